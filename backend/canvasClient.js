@@ -0,0 +1,312 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { normalizeBaseUrl } = require('./canvasUrl');
+
+// Send every Canvas API request to this instance instead of the one in the
+// course URL, such as the mock Canvas server (backend/mock/canvasServer.js)
+const API_BASE_URL = process.env.CANVAS_API_BASE_URL ? normalizeBaseUrl(process.env.CANVAS_API_BASE_URL) : null;
+
+// Requests that may run at once against one Canvas instance with one token
+const MAX_CONCURRENT_REQUESTS = Number(process.env.CANVAS_MAX_CONCURRENCY) || 4;
+// Attempts after the first for a throttled or transiently failing request
+const MAX_RETRIES = Number(process.env.CANVAS_MAX_RETRIES) || 5;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+// A limiter unused for this long is forgotten; by then Canvas has refilled its bucket
+const LIMITER_IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Canvas fills a bucket of 700 units per token and drains it at about 10 units
+// a second. Below this many units left, requests are sent one at a time and
+// spaced out so the bucket can drain before Canvas starts refusing them.
+const LOW_REMAINING_THRESHOLD = 150;
+const BUCKET_DRAIN_PER_SECOND = 10;
+
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+// Methods that can be repeated without side effects when Canvas may have handled the first attempt
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// One limiter per Canvas host and token, shared by every request of the backend
+const limiters = new Map();
+
+/**
+ * Forget limiters that have no requests and have been idle for too long, so
+ * tokens that are no longer used do not keep an entry
+ */
+function removeIdleLimiters() {
+  const now = Date.now();
+  for (const [key, limiter] of limiters) {
+    if (limiter.active === 0 && limiter.queue.length === 0 && now - limiter.lastUsedAt > LIMITER_IDLE_TIMEOUT_MS) {
+      limiters.delete(key);
+    }
+  }
+}
+
+// Sweep now and then; a limiter that is in use is never removed
+setInterval(removeIdleLimiters, 60 * 1000).unref();
+
+/**
+ * Get the limiter for a Canvas host and token
+ * @param {string} baseUrl - Canvas base URL
+ * @param {string} apiKey - Canvas API token
+ * @returns {Object} Limiter state: running requests, waiting requests and rate limit
+ */
+function getLimiter(baseUrl, apiKey) {
+  // Tokens are only kept in memory, but there is no need to keep them as keys
+  const key = `${baseUrl} ${crypto.createHash('sha256').update(apiKey).digest('hex')}`;
+
+  if (!limiters.has(key)) {
+    limiters.set(key, {
+      active: 0,
+      queue: [],
+      rateLimitRemaining: null,
+      pausedUntil: 0,
+      lastUsedAt: Date.now()
+    });
+  }
+  return limiters.get(key);
+}
+
+/**
+ * Get how many requests may run at once: one at a time while the bucket is nearly empty
+ * @param {Object} limiter - Limiter state
+ * @returns {number} Concurrency limit
+ */
+function currentLimit(limiter) {
+  return limiter.rateLimitRemaining !== null && limiter.rateLimitRemaining < LOW_REMAINING_THRESHOLD
+    ? 1
+    : MAX_CONCURRENT_REQUESTS;
+}
+
+/**
+ * Wait for a free slot in the limiter
+ * @param {Object} limiter - Limiter state
+ * @returns {Promise<void>} Resolves once the request may be sent
+ */
+async function acquire(limiter) {
+  limiter.lastUsedAt = Date.now();
+
+  // The limit is checked again after every wait, as the responses that freed
+  // the slot may have lowered it. A request that has to wait again keeps its
+  // place at the front of the queue.
+  let enqueue = resolve => limiter.queue.push(resolve);
+  while (limiter.active >= currentLimit(limiter)) {
+    await new Promise(enqueue);
+    enqueue = resolve => limiter.queue.unshift(resolve);
+  }
+  limiter.active++;
+
+  const pause = limiter.pausedUntil - Date.now();
+  if (pause > 0) {
+    await sleep(pause);
+  }
+}
+
+/**
+ * Free a slot in the limiter and let the next waiting request through
+ * @param {Object} limiter - Limiter state
+ */
+function release(limiter) {
+  limiter.lastUsedAt = Date.now();
+  limiter.active--;
+  const next = limiter.queue.shift();
+  if (next) {
+    next();
+  }
+}
+
+/**
+ * Record the rate limit headers of a Canvas response, and slow down when the
+ * bucket is nearly empty
+ * @param {Object} limiter - Limiter state
+ * @param {Object} headers - Response headers
+ * @returns {Object} Units left in the bucket and the cost of the request, when Canvas sent them
+ */
+function readRateLimit(limiter, headers = {}) {
+  const remaining = parseFloat(headers['x-rate-limit-remaining']);
+  const cost = parseFloat(headers['x-request-cost']);
+
+  if (!Number.isNaN(remaining)) {
+    limiter.rateLimitRemaining = remaining;
+    if (remaining < LOW_REMAINING_THRESHOLD) {
+      const delay = Math.min(MAX_DELAY_MS, ((LOW_REMAINING_THRESHOLD - remaining) / BUCKET_DRAIN_PER_SECOND) * 1000);
+      limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + delay);
+    }
+  }
+
+  return {
+    rateLimitRemaining: Number.isNaN(remaining) ? null : remaining,
+    requestCost: Number.isNaN(cost) ? null : cost
+  };
+}
+
+/**
+ * Check whether Canvas refused a request because of its rate limit
+ * @param {Object} response - Error response
+ * @returns {boolean} True for a throttled request
+ */
+function isThrottled(response) {
+  if (!response) return false;
+  if (response.status === 429) return true;
+  if (response.status !== 403) return false;
+
+  // Canvas answers 403 both for throttling and for missing permissions
+  const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data || '');
+  return /rate limit exceeded/i.test(body) || parseFloat(response.headers?.['x-rate-limit-remaining']) <= 0;
+}
+
+/**
+ * Check whether a request failed for a reason that may go away on its own
+ * @param {Object} error - Axios error
+ * @returns {boolean} True for server errors and dropped connections
+ */
+function isTransient(error) {
+  if (error.response) {
+    return TRANSIENT_STATUSES.includes(error.response.status);
+  }
+  return TRANSIENT_CODES.includes(error.code);
+}
+
+/**
+ * Get how long to wait before a retry: the Retry-After header when Canvas
+ * sends one, otherwise exponential backoff with full jitter
+ * @param {number} attempt - Number of the retry, starting at 1
+ * @param {Object} response - Error response, if any
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempt, response) {
+  const retryAfter = parseFloat(response?.headers?.['retry-after']);
+  if (!Number.isNaN(retryAfter)) {
+    return Math.min(MAX_DELAY_MS, retryAfter * 1000);
+  }
+
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create an Axios instance for the Canvas API of a course. Requests share a
+ * concurrency limit per Canvas host and token, and throttled or transiently
+ * failing requests are retried with backoff.
+ * @param {Object} parsedUrl - Parsed course URL with baseUrl
+ * @param {string} apiKey - Canvas API token
+ * @param {Array} throttleEvents - Receives an event for every throttled or retried request
+ * @returns {Object} Authenticated Axios instance
+ */
+function createCanvasClient(parsedUrl, apiKey, throttleEvents = []) {
+  const baseUrl = API_BASE_URL || parsedUrl.baseUrl;
+  const canvasApi = axios.create({
+    baseURL: `${baseUrl}/api/v1`,
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  // The limiter is looked up for every request, as an idle one may have been removed in between
+  canvasApi.interceptors.request.use(async (config) => {
+    const limiter = getLimiter(baseUrl, apiKey);
+    await acquire(limiter);
+    return { ...config, limiter };
+  });
+
+  canvasApi.interceptors.response.use(
+    (response) => {
+      const { limiter } = response.config;
+      release(limiter);
+      readRateLimit(limiter, response.headers);
+      return response;
+    },
+    async (error) => {
+      // Errors raised before the request was sent never took a slot
+      if (!error.config) {
+        throw error;
+      }
+      const { config, response } = error;
+      const { limiter } = config;
+      release(limiter);
+
+      const rateLimit = readRateLimit(limiter, response?.headers);
+      const throttled = isThrottled(response);
+      const method = (config.method || 'get').toLowerCase();
+      const retryable = throttled || (isTransient(error) && IDEMPOTENT_METHODS.includes(method));
+      const attempt = (config.retryCount || 0) + 1;
+
+      if (!retryable || attempt > MAX_RETRIES) {
+        throw error;
+      }
+
+      // Wait at least until the bucket has drained if the rate limit headers asked for a pause
+      const delayMs = Math.max(retryDelay(attempt, response), limiter.pausedUntil - Date.now());
+      const event = {
+        reason: throttled ? 'throttled' : 'transient_error',
+        status: response?.status || null,
+        code: response ? null : error.code,
+        method: method.toUpperCase(),
+        url: config.url,
+        attempt,
+        delayMs,
+        ...rateLimit,
+        at: new Date().toISOString()
+      };
+      throttleEvents.push(event);
+      console.warn(`Canvas ${event.reason} on ${event.method} ${event.url}; retry ${attempt} of ${MAX_RETRIES} in ${delayMs} ms`);
+
+      // A throttled request means every request with this token should back off
+      if (throttled) {
+        limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + delayMs);
+      } else {
+        await sleep(delayMs);
+      }
+
+      return canvasApi.request({ ...config, retryCount: attempt });
+    }
+  );
+
+  return canvasApi;
+}
+
+/**
+ * Express middleware that collects the throttling events of a request and
+ * reports a summary in the X-Canvas-Throttle response header
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function reportThrottling(req, res, next) {
+  const events = [];
+  res.locals.throttleEvents = events;
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (events.length > 0) {
+      res.set('X-Canvas-Throttle', JSON.stringify({
+        retries: events.length,
+        throttled: events.filter(event => event.reason === 'throttled').length,
+        waitedMs: events.reduce((total, event) => total + event.delayMs, 0),
+        rateLimitRemaining: events[events.length - 1].rateLimitRemaining,
+        lastStatus: events[events.length - 1].status
+      }));
+    }
+    return json(body);
+  };
+
+  next();
+}
+
+module.exports = {
+  createCanvasClient,
+  reportThrottling,
+  // For the tests
+  getLimiter,
+  removeIdleLimiters
+};
@@ -0,0 +1,291 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { normalizeBaseUrl, parseCourseUrl } = require('./canvasUrl');
+
+// Developer key of the Canvas instance instructors sign in to. Sign-in is
+// offered only when all three are set.
+const CLIENT_ID = process.env.CANVAS_OAUTH_CLIENT_ID;
+const CLIENT_SECRET = process.env.CANVAS_OAUTH_CLIENT_SECRET;
+// Includes the port and path prefix of Canvas, if it has them
+const BASE_URL = process.env.CANVAS_OAUTH_BASE_URL ? normalizeBaseUrl(process.env.CANVAS_OAUTH_BASE_URL) : null;
+// Must match a redirect URI of the developer key
+const REDIRECT_URI = process.env.CANVAS_OAUTH_REDIRECT_URI ||
+  `http://localhost:${process.env.BACKEND_PORT || 3001}/api/canvas/oauth/callback`;
+// Space-separated scopes, for developer keys that enforce them
+const SCOPES = process.env.CANVAS_OAUTH_SCOPES || '';
+// Where the callback page sends the browser when it was not opened as a popup
+const APP_URL = process.env.APP_URL || (process.env.NODE_ENV === 'production' ? '/' : 'http://localhost:3000');
+
+// Sign-in attempts expire if the callback does not arrive in time
+const STATE_TTL_MS = 10 * 60 * 1000;
+// Ties the callback to the browser that started the sign-in. SameSite=Lax, as
+// the callback arrives as a navigation from Canvas, where a strict cookie
+// such as the session cookie is not sent.
+const STATE_COOKIE = 'dcl_oauth_state';
+// Access tokens are refreshed this long before Canvas would reject them
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Pending sign-ins by state, each tied to the session that started it
+const pendingStates = new Map();
+
+/**
+ * Check whether Canvas sign-in is configured
+ * @returns {boolean} True if the developer key and Canvas URL are set
+ */
+function isEnabled() {
+  return Boolean(CLIENT_ID && CLIENT_SECRET && BASE_URL);
+}
+
+/**
+ * Start a sign-in attempt for a session
+ * @param {string} sessionId - Session the tokens will be stored in
+ * @returns {Object} State value and the Canvas URL to send the browser to
+ */
+function beginSignIn(sessionId) {
+  const now = Date.now();
+  for (const [state, pending] of pendingStates) {
+    if (now - pending.createdAt > STATE_TTL_MS) {
+      pendingStates.delete(state);
+    }
+  }
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  pendingStates.set(state, { sessionId, createdAt: now });
+
+  const params = new URLSearchParams({
+    client_id: CLIENT_ID,
+    response_type: 'code',
+    redirect_uri: REDIRECT_URI,
+    state
+  });
+  if (SCOPES) {
+    params.set('scope', SCOPES);
+  }
+
+  return {
+    state,
+    authorizationUrl: `${BASE_URL}/login/oauth2/auth?${params}`
+  };
+}
+
+/**
+ * Get the options of the state cookie. A sign-in that follows an LTI launch
+ * runs in the Canvas frame, where only SameSite=None cookies are sent.
+ * @param {Object} req - Express request
+ * @param {Object} session - Session of the sign-in, if known
+ * @returns {Object} Cookie options
+ */
+function stateCookieOptions(req, session) {
+  return {
+    httpOnly: true,
+    sameSite: session?.lti && req.secure ? 'none' : 'lax',
+    secure: req.secure,
+    path: '/api/canvas/oauth'
+  };
+}
+
+/**
+ * Start a sign-in for a session and send the browser to Canvas
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} session - Session the tokens will be stored in
+ */
+function redirectToSignIn(req, res, session) {
+  delete session.canvasLoginError;
+
+  const { state, authorizationUrl } = beginSignIn(session.id);
+  res.cookie(STATE_COOKIE, state, {
+    ...stateCookieOptions(req, session),
+    maxAge: STATE_TTL_MS
+  });
+
+  res.redirect(303, authorizationUrl);
+}
+
+/**
+ * Finish a sign-in attempt; each state can be used once
+ * @param {string} state - State value from the callback
+ * @returns {string|null} Session ID of the attempt, or null if it is unknown or expired
+ */
+function takeState(state) {
+  const pending = state ? pendingStates.get(state) : null;
+  if (!pending) {
+    return null;
+  }
+
+  pendingStates.delete(state);
+  return Date.now() - pending.createdAt > STATE_TTL_MS ? null : pending.sessionId;
+}
+
+/**
+ * Turn a Canvas token response into the login kept in the session
+ * @param {Object} data - Token response
+ * @param {Object} previous - Login being refreshed, if any
+ * @returns {Object} Login with tokens, expiry and user
+ */
+function toLogin(data, previous = {}) {
+  return {
+    accessToken: data.access_token,
+    // Refresh responses do not repeat the refresh token
+    refreshToken: data.refresh_token || previous.refreshToken,
+    expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+    user: data.user ? { id: data.user.id, name: data.user.name } : previous.user,
+    baseUrl: BASE_URL
+  };
+}
+
+/**
+ * Request tokens from Canvas
+ * @param {Object} params - Grant parameters
+ * @returns {Promise<Object>} Token response
+ */
+async function requestToken(params) {
+  const response = await axios.post(`${BASE_URL}/login/oauth2/token`, new URLSearchParams({
+    client_id: CLIENT_ID,
+    client_secret: CLIENT_SECRET,
+    ...params
+  }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+  return response.data;
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {string} code - Code from the callback
+ * @returns {Promise<Object>} Login to keep in the session
+ */
+async function exchangeCode(code) {
+  const data = await requestToken({
+    grant_type: 'authorization_code',
+    redirect_uri: REDIRECT_URI,
+    code
+  });
+  return toLogin(data);
+}
+
+/**
+ * Get a fresh access token for a login, refreshing it when it is about to expire
+ * @param {Object} login - Login kept in the session; updated in place
+ * @returns {Promise<string>} Access token
+ */
+async function getAccessToken(login) {
+  if (!login.expiresAt || login.expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+    return login.accessToken;
+  }
+  if (!login.refreshToken) {
+    throw new Error('The Canvas sign-in has expired');
+  }
+
+  // Requests that arrive during a refresh wait for it instead of starting their own
+  if (!login.refreshing) {
+    login.refreshing = requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: login.refreshToken
+    })
+      .then(data => Object.assign(login, toLogin(data, login)))
+      .finally(() => {
+        delete login.refreshing;
+      });
+  }
+
+  await login.refreshing;
+  return login.accessToken;
+}
+
+/**
+ * Revoke a login's tokens in Canvas
+ * @param {Object} login - Login kept in the session
+ * @returns {Promise<void>}
+ */
+async function revokeLogin(login) {
+  await axios.delete(`${login.baseUrl}/login/oauth2/token`, {
+    headers: { Authorization: `Bearer ${login.accessToken}` }
+  });
+}
+
+/**
+ * Get the base URL of the Canvas instance a course is on
+ * @param {string} courseUrl - Canvas course URL
+ * @returns {string|null} Base URL, or null if the URL is missing or invalid
+ */
+function baseUrlOf(courseUrl) {
+  try {
+    return courseUrl ? parseCourseUrl(courseUrl).baseUrl : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Express middleware that finds the Canvas token of the session: the pasted
+ * API key if there is one, otherwise the access token of a Canvas sign-in.
+ * The token is left in res.locals.canvasToken.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function requireCanvasToken(req, res, next) {
+  const courseBaseUrl = baseUrlOf(req.query.courseUrl || req.body?.courseUrl);
+
+  // A pasted key is only sent to the Canvas instance it was first used with
+  const apiKey = req.session?.credentials.canvasApiKey;
+  if (apiKey) {
+    const keyBaseUrl = req.session.canvasApiKeyBaseUrl;
+    if (courseBaseUrl && keyBaseUrl && courseBaseUrl !== keyBaseUrl) {
+      return res.status(400).json({
+        success: false,
+        error: `The Canvas API key of this session is used with ${keyBaseUrl}, but the course is on ${courseBaseUrl}. Enter the API key again to use it there.`
+      });
+    }
+    if (courseBaseUrl && !keyBaseUrl) {
+      req.session.canvasApiKeyBaseUrl = courseBaseUrl;
+    }
+
+    res.locals.canvasToken = apiKey;
+    return next();
+  }
+
+  const login = req.session?.canvasLogin;
+  if (!login) {
+    return res.status(401).json({
+      success: false,
+      error: 'No Canvas API key or Canvas sign-in in this session; the session may have expired. Enter the API key or sign in again.'
+    });
+  }
+
+  // A sign-in is only good for the Canvas instance it was made on, port and path prefix included
+  if (courseBaseUrl && courseBaseUrl !== login.baseUrl) {
+    return res.status(400).json({
+      success: false,
+      error: `Signed in to ${login.baseUrl}, but the course is on ${courseBaseUrl}. Use an API key for that Canvas instance.`
+    });
+  }
+
+  try {
+    res.locals.canvasToken = await getAccessToken(login);
+  } catch (error) {
+    delete req.session.canvasLogin;
+    return res.status(401).json({
+      success: false,
+      error: `Canvas sign-in could not be renewed: ${error.response?.data?.error_description || error.message}. Sign in again.`
+    });
+  }
+  next();
+}
+
+module.exports = {
+  BASE_URL,
+  REDIRECT_URI,
+  APP_URL,
+  STATE_TTL_MS,
+  STATE_COOKIE,
+  isEnabled,
+  beginSignIn,
+  stateCookieOptions,
+  redirectToSignIn,
+  takeState,
+  exchangeCode,
+  revokeLogin,
+  requireCanvasToken
+};
@@ -0,0 +1,78 @@
+// Canvas course URLs. A Canvas instance is identified by its base URL: the
+// origin, with any non-default port, plus the path prefix Canvas is served
+// under (https://lms.example.edu:8443/canvas). API requests go to
+// <baseUrl>/api/v1 and course URLs are <baseUrl>/courses/<id>.
+
+/**
+ * Normalize a Canvas base URL
+ * @param {string} url - Base URL, with or without a trailing slash
+ * @returns {string} Origin and path prefix without a trailing slash
+ * @throws {Error} If the URL is not an http(s) URL
+ */
+function normalizeBaseUrl(url) {
+  const parsedUrl = new URL(String(url).trim());
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new Error(`Not an http(s) URL: ${url}`);
+  }
+
+  return `${parsedUrl.origin}${parsedUrl.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Extract base URL and course ID from a Canvas course URL
+ * @param {string} url - Canvas course URL, or any URL inside the course
+ * @returns {Object} An object containing baseUrl and courseId
+ * @throws {Error} If the URL is invalid or has no /courses/<id> segment
+ */
+function parseCourseUrl(url) {
+  try {
+    const parsedUrl = new URL(String(url).trim());
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new Error('Only http and https URLs are supported');
+    }
+
+    // Everything before /courses/<id> is the path prefix of the instance
+    const pathMatch = parsedUrl.pathname.match(/^(.*?)\/courses\/(\d+)(?:\/|$)/);
+    if (!pathMatch) {
+      throw new Error('Could not find course ID in the URL');
+    }
+
+    const courseId = pathMatch[2];
+    const baseUrl = `${parsedUrl.origin}${pathMatch[1].replace(/\/+$/, '')}`;
+
+    return { baseUrl, courseId };
+  } catch (error) {
+    throw new Error(`Failed to parse Canvas URL: ${error.message}`);
+  }
+}
+
+/**
+ * Build a course URL from a base URL and a course ID
+ * @param {string} baseUrl - Canvas base URL
+ * @param {string|number} courseId - Course ID
+ * @returns {string} Course URL
+ */
+function buildCourseUrl(baseUrl, courseId) {
+  return `${normalizeBaseUrl(baseUrl)}/courses/${courseId}`;
+}
+
+/**
+ * Check whether a course URL is on the Canvas instance with a base URL
+ * @param {string} courseUrl - Canvas course URL
+ * @param {string} baseUrl - Canvas base URL
+ * @returns {boolean} True if the course is on that instance
+ */
+function isOnInstance(courseUrl, baseUrl) {
+  try {
+    return parseCourseUrl(courseUrl).baseUrl === normalizeBaseUrl(baseUrl);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  normalizeBaseUrl,
+  parseCourseUrl,
+  buildCourseUrl,
+  isOnInstance
+};
@@ -0,0 +1,90 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Blob requests that may run at once for one batch of files
+const MAX_CONCURRENT_REQUESTS = Number(process.env.GITHUB_MAX_CONCURRENCY) || 4;
+// Responses kept to answer conditional requests, shared by every session of the backend
+const MAX_CACHED_RESPONSES = Number(process.env.GITHUB_CACHE_SIZE) || 1000;
+
+// Responses with their ETag, by token and URL. The least recently used entry is
+// dropped first: a Map iterates in insertion order and a hit re-inserts its entry.
+const responseCache = new Map();
+
+/**
+ * Get the cache key of a request
+ * @param {string} url - Request URL with its query string
+ * @param {Object} headers - Request headers
+ * @returns {string} Key that keeps the responses of different tokens apart
+ */
+function cacheKey(url, headers) {
+  // Tokens are only kept in memory, but there is no need to keep them as keys
+  const token = crypto.createHash('sha256').update(headers.Authorization || '').digest('hex');
+  return `${token} ${url}`;
+}
+
+/**
+ * Send a GET request to the GitHub API, conditional on the ETag of the last
+ * response to the same request. GitHub answers an unchanged resource with 304
+ * Not Modified, which does not count against the rate limit.
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {Object} options.headers - Request headers
+ * @param {Object} options.params - Query parameters
+ * @returns {Promise<Object>} Response with data, headers and whether it came from the cache
+ */
+async function githubGet(url, { headers = {}, params } = {}) {
+  const fullUrl = axios.getUri({ url, params });
+  const key = cacheKey(fullUrl, headers);
+  const cached = responseCache.get(key);
+
+  const response = await axios.get(fullUrl, {
+    headers: cached ? { ...headers, 'If-None-Match': cached.etag } : headers,
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  });
+
+  if (response.status === 304 && cached) {
+    responseCache.delete(key);
+    responseCache.set(key, cached);
+    return { data: cached.data, headers: response.headers, cached: true };
+  }
+
+  if (response.headers.etag) {
+    responseCache.delete(key);
+    responseCache.set(key, { etag: response.headers.etag, data: response.data });
+    if (responseCache.size > MAX_CACHED_RESPONSES) {
+      responseCache.delete(responseCache.keys().next().value);
+    }
+  }
+
+  return { data: response.data, headers: response.headers, cached: false };
+}
+
+/**
+ * Run a task for every item, with at most MAX_CONCURRENT_REQUESTS tasks at once
+ * @param {Array} items - Items to run the task for
+ * @param {Function} task - Called with each item, returns a promise
+ * @returns {Promise<Array>} Settled result of each task, in the order of the items
+ */
+async function mapConcurrently(items, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await task(items[index]) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_REQUESTS, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  githubGet,
+  mapConcurrently
+};
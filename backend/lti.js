@@ -0,0 +1,331 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { normalizeBaseUrl, parseCourseUrl, buildCourseUrl } = require('./canvasUrl');
+
+// Registration of the platform (Canvas) the tool accepts launches from
+const ISSUER = process.env.LTI_ISSUER;
+const CLIENT_ID = process.env.LTI_CLIENT_ID;
+// Platform endpoints for the OIDC authentication request and its signing keys
+const AUTH_LOGIN_URL = process.env.LTI_AUTH_LOGIN_URL;
+const KEYSET_URL = process.env.LTI_KEYSET_URL;
+// Deployments allowed to launch the tool; any deployment when empty
+const DEPLOYMENT_IDS = (process.env.LTI_DEPLOYMENT_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+// Where the platform posts the id_token; must match the tool configuration in Canvas
+const LAUNCH_URL = process.env.LTI_LAUNCH_URL ||
+  `http://localhost:${process.env.BACKEND_PORT || 3001}/api/lti/launch`;
+// Canvas instance the launches come from, when the launch does not name its API domain.
+// Also used when it does, if the domain is this instance: the API domain has no
+// path prefix and the instance may not be served over https.
+const CANVAS_BASE_URL = process.env.LTI_CANVAS_BASE_URL || process.env.CANVAS_OAUTH_BASE_URL
+  ? normalizeBaseUrl(process.env.LTI_CANVAS_BASE_URL || process.env.CANVAS_OAUTH_BASE_URL)
+  : null;
+
+const CLAIM = 'https://purl.imsglobal.org/spec/lti/claim/';
+// Roles that may change course content with the tool
+const ALLOWED_ROLES = [
+  'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor',
+  'http://purl.imsglobal.org/vocab/lis/v2/membership/Instructor#TeachingAssistant',
+  'http://purl.imsglobal.org/vocab/lis/v2/membership#ContentDeveloper',
+  'http://purl.imsglobal.org/vocab/lis/v2/institution/person#Administrator',
+  'http://purl.imsglobal.org/vocab/lis/v2/system/person#SysAdmin'
+];
+
+// Logins must be completed by a launch within this time
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+// Tolerated difference between the clocks of the platform and the tool
+const CLOCK_SKEW_SECONDS = 60;
+// Platform keys are fetched again after this long, or when a token names an unknown key
+const KEYSET_TTL_MS = 60 * 60 * 1000;
+
+// Logins waiting for their launch, by state
+const pendingLogins = new Map();
+// Nonces of accepted launches, kept until their tokens expire so they cannot be replayed
+const usedNonces = new Map();
+let keyset = { keys: [], fetchedAt: 0 };
+
+/**
+ * Create an error for a launch that is refused
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with a status
+ */
+function launchError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check whether LTI launches are configured
+ * @returns {boolean} True if the platform registration is complete
+ */
+function isEnabled() {
+  return Boolean(ISSUER && CLIENT_ID && AUTH_LOGIN_URL && KEYSET_URL);
+}
+
+/**
+ * Handle an OIDC login initiation from the platform
+ * @param {Object} params - Login initiation parameters (iss, login_hint, target_link_uri, ...)
+ * @returns {string} URL of the platform's authentication request
+ * @throws {Error} If the login comes from an unknown platform
+ */
+function beginLogin(params) {
+  if (params.iss !== ISSUER) {
+    throw launchError(`Unknown LTI platform: ${params.iss}`, 400);
+  }
+  if (params.client_id && params.client_id !== CLIENT_ID) {
+    throw launchError(`Unknown LTI client ID: ${params.client_id}`, 400);
+  }
+  if (!params.login_hint) {
+    throw launchError('The LTI login has no login_hint', 400);
+  }
+
+  const now = Date.now();
+  for (const [state, pending] of pendingLogins) {
+    if (now - pending.createdAt > LOGIN_TTL_MS) {
+      pendingLogins.delete(state);
+    }
+  }
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  pendingLogins.set(state, { nonce, createdAt: now });
+
+  const query = new URLSearchParams({
+    scope: 'openid',
+    response_type: 'id_token',
+    response_mode: 'form_post',
+    prompt: 'none',
+    client_id: CLIENT_ID,
+    redirect_uri: LAUNCH_URL,
+    login_hint: params.login_hint,
+    state,
+    nonce
+  });
+  if (params.lti_message_hint) {
+    query.set('lti_message_hint', params.lti_message_hint);
+  }
+
+  return `${AUTH_LOGIN_URL}?${query}`;
+}
+
+/**
+ * Split a JWT into its parts
+ * @param {string} token - Compact JWT
+ * @returns {Object} Header, payload, signed input and signature
+ */
+function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw launchError('The id_token is not a JWT');
+  }
+
+  try {
+    const [header, payload] = parts.slice(0, 2).map(part => JSON.parse(Buffer.from(part, 'base64url').toString('utf8')));
+    return {
+      header,
+      payload,
+      signedInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch (error) {
+    throw launchError('The id_token cannot be decoded');
+  }
+}
+
+/**
+ * Find a signing key of the platform
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<Object>} Public key in JWK format
+ */
+async function getPlatformKey(kid) {
+  const findKey = () => keyset.keys.find(key => key.kid === kid);
+
+  if (!findKey() || Date.now() - keyset.fetchedAt > KEYSET_TTL_MS) {
+    const response = await axios.get(KEYSET_URL);
+    keyset = { keys: response.data.keys || [], fetchedAt: Date.now() };
+  }
+
+  const key = findKey();
+  if (!key) {
+    throw launchError(`The platform has no signing key '${kid}'`);
+  }
+  return key;
+}
+
+/**
+ * Validate the id_token of a launch and read the course it was launched from
+ * @param {string} idToken - id_token posted by the platform
+ * @param {string} state - State posted by the platform
+ * @returns {Promise<Object>} Launch with courseUrl, courseTitle, userName, roles and returnUrl
+ * @throws {Error} If the launch is invalid or not allowed
+ */
+async function validateLaunch(idToken, state) {
+  const pending = state ? pendingLogins.get(state) : null;
+  pendingLogins.delete(state);
+  if (!pending || Date.now() - pending.createdAt > LOGIN_TTL_MS) {
+    throw launchError('The LTI launch has an unknown or expired state; launch the tool again');
+  }
+
+  const { header, payload, signedInput, signature } = decodeJwt(idToken);
+
+  // LTI 1.3 requires RS256; accepting anything else would let a token pick a weaker check
+  if (header.alg !== 'RS256') {
+    throw launchError(`Unsupported id_token algorithm: ${header.alg}`);
+  }
+  const jwk = await getPlatformKey(header.kid);
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  if (!crypto.verify('RSA-SHA256', Buffer.from(signedInput), publicKey, signature)) {
+    throw launchError('The id_token signature is invalid');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (payload.iss !== ISSUER) {
+    throw launchError(`The id_token was issued by ${payload.iss}, not ${ISSUER}`);
+  }
+  if (!audiences.includes(CLIENT_ID) || (audiences.length > 1 && payload.azp !== CLIENT_ID)) {
+    throw launchError('The id_token is not meant for this tool');
+  }
+  if (!payload.exp || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw launchError('The id_token has expired');
+  }
+  if (payload.iat && payload.iat - CLOCK_SKEW_SECONDS > now) {
+    throw launchError('The id_token was issued in the future');
+  }
+  if (payload.nonce !== pending.nonce || usedNonces.has(payload.nonce)) {
+    throw launchError('The id_token nonce does not match the login');
+  }
+  usedNonces.set(payload.nonce, payload.exp);
+  for (const [nonce, exp] of usedNonces) {
+    if (exp + CLOCK_SKEW_SECONDS < now) {
+      usedNonces.delete(nonce);
+    }
+  }
+
+  return readLaunchClaims(payload);
+}
+
+/**
+ * Read the course and user of a validated launch
+ * @param {Object} payload - Claims of the id_token
+ * @returns {Object} Launch with courseUrl, courseTitle, userName, roles and returnUrl
+ * @throws {Error} If the launch is not a resource link launch from an allowed user and course
+ */
+function readLaunchClaims(payload) {
+  if (payload[`${CLAIM}version`] !== '1.3.0') {
+    throw launchError(`Unsupported LTI version: ${payload[`${CLAIM}version`]}`, 400);
+  }
+  if (payload[`${CLAIM}message_type`] !== 'LtiResourceLinkRequest') {
+    throw launchError(`Unsupported LTI message type: ${payload[`${CLAIM}message_type`]}`, 400);
+  }
+
+  const deploymentId = payload[`${CLAIM}deployment_id`];
+  if (DEPLOYMENT_IDS.length > 0 && !DEPLOYMENT_IDS.includes(deploymentId)) {
+    throw launchError(`Unknown LTI deployment: ${deploymentId}`, 403);
+  }
+
+  const roles = payload[`${CLAIM}roles`] || [];
+  if (!roles.some(role => ALLOWED_ROLES.includes(role))) {
+    throw launchError('Only instructors, teaching assistants, designers and administrators can use this tool', 403);
+  }
+
+  // Canvas passes its own course ID and API domain as custom fields
+  const custom = payload[`${CLAIM}custom`] || {};
+  const context = payload[`${CLAIM}context`] || {};
+  const courseId = custom.canvas_course_id;
+  const baseUrl = custom.canvas_api_domain && !(CANVAS_BASE_URL && new URL(CANVAS_BASE_URL).host === custom.canvas_api_domain)
+    ? `https://${custom.canvas_api_domain}`
+    : CANVAS_BASE_URL;
+  if (!courseId || !/^\d+$/.test(String(courseId))) {
+    throw launchError('The launch has no Canvas course ID; add the custom field canvas_course_id=$Canvas.course.id to the tool', 400);
+  }
+  if (!baseUrl) {
+    throw launchError('The launch has no Canvas domain; add the custom field canvas_api_domain=$Canvas.api.domain to the tool', 400);
+  }
+
+  return {
+    courseUrl: buildCourseUrl(baseUrl, courseId),
+    courseTitle: context.title || context.label || null,
+    userName: payload.name || null,
+    roles,
+    deploymentId,
+    returnUrl: payload[`${CLAIM}launch_presentation`]?.return_url || null
+  };
+}
+
+/**
+ * Express middleware that holds a session started by an LTI launch to the
+ * launching course. A request for any other course, on any Canvas instance,
+ * is refused; requests that name no course are left to the route.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireLaunchCourse(req, res, next) {
+  const launch = req.session?.lti;
+  const courseUrl = req.query.courseUrl || req.body?.courseUrl;
+  if (!launch || !courseUrl) {
+    return next();
+  }
+
+  let requested;
+  try {
+    requested = parseCourseUrl(courseUrl);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const launched = parseCourseUrl(launch.courseUrl);
+  if (requested.baseUrl !== launched.baseUrl || requested.courseId !== launched.courseId) {
+    return res.status(403).json({
+      success: false,
+      error: `This session was launched from ${launch.courseUrl} and can only work on that course`
+    });
+  }
+  next();
+}
+
+/**
+ * Build the JSON configuration to paste into a Canvas LTI developer key
+ * @returns {Object} Canvas tool configuration
+ */
+function canvasToolConfiguration() {
+  return {
+    title: 'DCL Exercise Tool',
+    description: 'Populate Canvas courses with DataCamp Light exercises',
+    oidc_initiation_url: new URL('/api/lti/login', LAUNCH_URL).toString(),
+    target_link_uri: LAUNCH_URL,
+    scopes: [],
+    extensions: [{
+      platform: 'canvas.instructure.com',
+      privacy_level: 'name_only',
+      settings: {
+        placements: [{
+          placement: 'course_navigation',
+          message_type: 'LtiResourceLinkRequest',
+          text: 'DCL Exercise Tool',
+          // Hidden from students; instructors and designers can enable it per course
+          visibility: 'admins',
+          default: 'disabled'
+        }]
+      }
+    }],
+    custom_fields: {
+      canvas_course_id: '$Canvas.course.id',
+      canvas_api_domain: '$Canvas.api.domain'
+    }
+  };
+}
+
+module.exports = {
+  isEnabled,
+  beginLogin,
+  validateLaunch,
+  readLaunchClaims,
+  requireLaunchCourse,
+  canvasToolConfiguration
+};
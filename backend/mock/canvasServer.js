@@ -0,0 +1,592 @@
+/**
+ * Stand-in Canvas instance for developing and testing without a live course.
+ *
+ * Run it with `npm run mock:canvas` and start the backend with
+ * CANVAS_API_BASE_URL pointing at it. It implements the parts of the Canvas
+ * REST API the tool uses: the current user, courses, wiki pages with their revisions, and
+ * modules with their items. Courses are loaded from a JSON fixture file and
+ * kept in memory, so every start begins from the same state.
+ *
+ * It is also an OAuth2 provider for Canvas sign-in, with the endpoints of
+ * /login/oauth2. The mock user approves every sign-in without being asked.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'canvas.json');
+const DEFAULT_TOKEN = 'mock-canvas-token';
+// Developer key for signing in
+const DEFAULT_CLIENT_ID = 'mock-canvas-client-id';
+const DEFAULT_CLIENT_SECRET = 'mock-canvas-client-secret';
+// Access tokens from a sign-in expire after an hour, as in Canvas
+const DEFAULT_TOKEN_TTL_SECONDS = 60 * 60;
+// Every token acts as the same teacher
+const MOCK_USER = { id: 1, name: 'Mock Teacher' };
+// Page size when a list request does not ask for one, as in Canvas
+const DEFAULT_PER_PAGE = 10;
+
+/**
+ * Build a Canvas-style error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Object} Express response
+ */
+function sendError(res, status, message) {
+  return res.status(status).json({ errors: [{ message }] });
+}
+
+/**
+ * Build an OAuth2 error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} error - OAuth2 error code
+ * @param {string} description - Error description
+ * @returns {Object} Express response
+ */
+function sendOAuthError(res, status, error, description) {
+  return res.status(status).json({ error, error_description: description });
+}
+
+/**
+ * Read the bearer token of a request
+ * @param {Object} req - Express request
+ * @returns {string} Token, or an empty string if there is none
+ */
+function bearerTokenOf(req) {
+  return (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+}
+
+/**
+ * Read the include[] parameter of a request
+ * @param {Object} req - Express request
+ * @returns {Array<string>} Included associations
+ */
+function includesOf(req) {
+  const include = req.query['include[]'] || req.query.include || [];
+  return Array.isArray(include) ? include : [include];
+}
+
+/**
+ * Send one page of a list and a Link header to the others, as Canvas paginates
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array} items - Whole list
+ */
+function sendPaginated(req, res, items) {
+  const perPage = Math.max(1, Number(req.query.per_page) || DEFAULT_PER_PAGE);
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const lastPage = Math.max(1, Math.ceil(items.length / perPage));
+
+  const linkTo = (number) => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    url.searchParams.set('page', number);
+    url.searchParams.set('per_page', perPage);
+    return url.toString();
+  };
+
+  const links = [`<${linkTo(page)}>; rel="current"`, `<${linkTo(1)}>; rel="first"`, `<${linkTo(lastPage)}>; rel="last"`];
+  if (page < lastPage) {
+    links.push(`<${linkTo(page + 1)}>; rel="next"`);
+  }
+  if (page > 1) {
+    links.push(`<${linkTo(page - 1)}>; rel="prev"`);
+  }
+
+  res.set('Link', links.join(','));
+  res.json(items.slice((page - 1) * perPage, page * perPage));
+}
+
+/**
+ * Create a mock Canvas instance
+ * @param {Object} options - Instance options
+ * @param {Object} options.fixtures - Courses to start with, in the format of fixtures/canvas.json
+ * @param {string} options.token - Access token requests may send, like an API key that never expires
+ * @param {string} options.clientId - Client ID of the developer key for signing in
+ * @param {string} options.clientSecret - Client secret of the developer key
+ * @param {number} options.tokenTtlSeconds - Lifetime of the access tokens of a sign-in
+ * @returns {Object} Express app, plus the in-memory courses and OAuth2 tokens for inspection
+ */
+function createMockCanvas({
+  fixtures = loadFixtures(),
+  token = DEFAULT_TOKEN,
+  clientId = DEFAULT_CLIENT_ID,
+  clientSecret = DEFAULT_CLIENT_SECRET,
+  tokenTtlSeconds = DEFAULT_TOKEN_TTL_SECONDS
+} = {}) {
+  const app = express();
+  const courses = new Map();
+  // Authorization codes waiting to be exchanged, and the tokens of sign-ins.
+  // Access tokens point to the refresh token they were issued for.
+  const oauth = {
+    codes: new Map(),
+    accessTokens: new Map(),
+    refreshTokens: new Set()
+  };
+  let nextId = 1000;
+  const newId = () => nextId++;
+  let clock = Date.parse('2024-01-01T00:00:00Z');
+
+  // Every change gets a later timestamp, however fast the requests come
+  const now = () => {
+    clock = Math.max(clock + 1000, Date.now());
+    return new Date(clock).toISOString();
+  };
+
+  /**
+   * Add a revision to a page for its current title and body
+   * @param {Object} page - Stored page
+   */
+  const addRevision = (page) => {
+    page.revisions.push({
+      revision_id: page.revisions.length + 1,
+      updated_at: page.updated_at,
+      edited_by: { id: 1, display_name: 'Mock Teacher' },
+      title: page.title,
+      body: page.body
+    });
+  };
+
+  /**
+   * Store a page with the fields Canvas keeps for it
+   * @param {Object} course - Stored course
+   * @param {Object} fields - Page fields from the fixture or a request
+   * @returns {Object} Stored page
+   */
+  const createPage = (course, fields) => {
+    const timestamp = now();
+    const page = {
+      page_id: newId(),
+      url: fields.url,
+      title: fields.title || fields.url,
+      body: fields.body || '',
+      published: fields.published !== undefined ? Boolean(fields.published) : true,
+      front_page: Boolean(fields.front_page),
+      editing_roles: fields.editing_roles || 'teachers',
+      created_at: timestamp,
+      updated_at: timestamp,
+      revisions: []
+    };
+    addRevision(page);
+    course.pages.set(page.url, page);
+    return page;
+  };
+
+  // Load the fixtures into the in-memory state
+  for (const fixture of fixtures.courses || []) {
+    const course = {
+      id: fixture.id,
+      name: fixture.name,
+      course_code: fixture.course_code || fixture.name,
+      blueprint: Boolean(fixture.blueprint),
+      syllabus_body: fixture.syllabus_body || null,
+      associatedCourseIds: fixture.associated_course_ids || [],
+      pages: new Map(),
+      modules: []
+    };
+    courses.set(String(course.id), course);
+
+    for (const page of fixture.pages || []) {
+      createPage(course, page);
+    }
+    for (const [index, module] of (fixture.modules || []).entries()) {
+      course.modules.push({
+        id: module.id || newId(),
+        name: module.name,
+        position: index + 1,
+        published: module.published !== undefined ? Boolean(module.published) : true,
+        items: (module.items || []).map(item => ({ ...item, id: item.id || newId() }))
+      });
+    }
+  }
+
+  const origin = req => `${req.protocol}://${req.get('host')}`;
+
+  const pageJson = (req, course, page, { includeBody = true } = {}) => ({
+    page_id: page.page_id,
+    url: page.url,
+    title: page.title,
+    created_at: page.created_at,
+    updated_at: page.updated_at,
+    published: page.published,
+    front_page: page.front_page,
+    editing_roles: page.editing_roles,
+    hide_from_students: !page.published,
+    html_url: `${origin(req)}/courses/${course.id}/pages/${page.url}`,
+    ...(includeBody ? { body: page.body } : {})
+  });
+
+  const moduleItemJson = (req, course, module, item, position) => {
+    const page = item.type === 'Page' ? course.pages.get(item.page_url) : null;
+    return {
+      id: item.id,
+      module_id: module.id,
+      position,
+      title: item.title || page?.title || null,
+      indent: 0,
+      type: item.type,
+      content_id: item.content_id || page?.page_id || null,
+      ...(item.page_url ? { page_url: item.page_url } : {}),
+      html_url: `${origin(req)}/courses/${course.id}/modules/items/${item.id}`
+    };
+  };
+
+  const moduleItemsJson = (req, course, module) =>
+    module.items.map((item, index) => moduleItemJson(req, course, module, item, index + 1));
+
+  /**
+   * Issue an access token for a sign-in; any earlier access token of the sign-in stops working
+   * @param {string} refreshToken - Refresh token of the sign-in
+   * @returns {Object} Token response fields
+   */
+  const issueAccessToken = (refreshToken) => {
+    for (const [accessToken, entry] of oauth.accessTokens) {
+      if (entry.refreshToken === refreshToken) {
+        oauth.accessTokens.delete(accessToken);
+      }
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    oauth.accessTokens.set(accessToken, { refreshToken, expiresAt: Date.now() + tokenTtlSeconds * 1000 });
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      user: MOCK_USER,
+      expires_in: tokenTtlSeconds
+    };
+  };
+
+  // The fixed token works like an API key; sign-in tokens work until they expire or are revoked
+  const isValidToken = (bearer) => {
+    const entry = oauth.accessTokens.get(bearer);
+    return bearer === token || Boolean(entry && entry.expiresAt > Date.now());
+  };
+
+  app.use(express.json());
+
+  // The sign-in page: the mock user approves at once and goes back to the app with a code
+  // GET /login/oauth2/auth?client_id=...&response_type=code&redirect_uri=...&state=...
+  app.get('/login/oauth2/auth', (req, res) => {
+    const { client_id: requestClientId, response_type: responseType, redirect_uri: redirectUri, state } = req.query;
+    if (requestClientId !== clientId) {
+      return sendOAuthError(res, 400, 'invalid_client', 'unknown client');
+    }
+    if (responseType !== 'code') {
+      return sendOAuthError(res, 400, 'unsupported_response_type', 'only response_type=code is supported');
+    }
+    if (!redirectUri) {
+      return sendOAuthError(res, 400, 'invalid_request', 'redirect_uri is required');
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    oauth.codes.set(code, { redirectUri });
+
+    const callbackUrl = new URL(redirectUri);
+    callbackUrl.searchParams.set('code', code);
+    if (state) {
+      callbackUrl.searchParams.set('state', state);
+    }
+    res.redirect(callbackUrl.toString());
+  });
+
+  // Token requests from the backend, sent as a form
+  // POST /login/oauth2/token
+  app.post('/login/oauth2/token', express.urlencoded({ extended: false }), (req, res) => {
+    const { client_id: requestClientId, client_secret: requestClientSecret, grant_type: grantType } = req.body;
+    if (requestClientId !== clientId || requestClientSecret !== clientSecret) {
+      return sendOAuthError(res, 401, 'invalid_client', 'unknown client or wrong client secret');
+    }
+
+    if (grantType === 'authorization_code') {
+      // Each code can be exchanged once, for the redirect URI it was issued to
+      const pending = oauth.codes.get(req.body.code);
+      oauth.codes.delete(req.body.code);
+      if (!pending || pending.redirectUri !== req.body.redirect_uri) {
+        return sendOAuthError(res, 400, 'invalid_grant', 'authorization_code not found');
+      }
+
+      const refreshToken = crypto.randomBytes(24).toString('hex');
+      oauth.refreshTokens.add(refreshToken);
+      return res.json({ ...issueAccessToken(refreshToken), refresh_token: refreshToken });
+    }
+
+    if (grantType === 'refresh_token') {
+      if (!oauth.refreshTokens.has(req.body.refresh_token)) {
+        return sendOAuthError(res, 400, 'invalid_grant', 'refresh_token not found');
+      }
+      // As in Canvas, the response does not repeat the refresh token
+      return res.json(issueAccessToken(req.body.refresh_token));
+    }
+
+    sendOAuthError(res, 400, 'unsupported_grant_type', `unsupported grant_type: ${grantType}`);
+  });
+
+  // Sign-out: revokes the access token and the refresh token of its sign-in
+  // DELETE /login/oauth2/token
+  app.delete('/login/oauth2/token', (req, res) => {
+    const accessToken = bearerTokenOf(req);
+    const entry = oauth.accessTokens.get(accessToken);
+    if (!entry) {
+      return sendError(res, 401, 'Invalid access token.');
+    }
+
+    oauth.accessTokens.delete(accessToken);
+    oauth.refreshTokens.delete(entry.refreshToken);
+    res.json({});
+  });
+
+  // Canvas answers every API request with its rate limit
+  app.use('/api/v1', (req, res, next) => {
+    res.set('X-Rate-Limit-Remaining', '700.0');
+    res.set('X-Request-Cost', '0.1');
+
+    if (!isValidToken(bearerTokenOf(req))) {
+      res.set('WWW-Authenticate', 'Bearer realm="canvas-lms"');
+      return sendError(res, 401, 'Invalid access token.');
+    }
+    next();
+  });
+
+  // Every course route works on a course from the fixtures
+  app.param('courseId', (req, res, next, courseId) => {
+    req.course = courses.get(String(courseId));
+    if (!req.course) {
+      return sendError(res, 404, 'The specified resource does not exist.');
+    }
+    next();
+  });
+
+  app.param('pageUrl', (req, res, next, pageUrl) => {
+    req.page = req.course.pages.get(pageUrl) || null;
+    next();
+  });
+
+  app.param('moduleId', (req, res, next, moduleId) => {
+    req.module = req.course.modules.find(module => String(module.id) === String(moduleId));
+    if (!req.module) {
+      return sendError(res, 404, 'The specified resource does not exist.');
+    }
+    next();
+  });
+
+  app.get('/api/v1/users/self', (req, res) => {
+    res.json(MOCK_USER);
+  });
+
+  app.get('/api/v1/courses/:courseId', (req, res) => {
+    const { course } = req;
+    res.json({
+      id: course.id,
+      name: course.name,
+      course_code: course.course_code,
+      blueprint: course.blueprint,
+      ...(includesOf(req).includes('syllabus_body') ? { syllabus_body: course.syllabus_body } : {})
+    });
+  });
+
+  app.put('/api/v1/courses/:courseId', (req, res) => {
+    const { course } = req;
+    if (req.body.course?.syllabus_body !== undefined) {
+      course.syllabus_body = req.body.course.syllabus_body;
+    }
+    res.json({ id: course.id, name: course.name, course_code: course.course_code, blueprint: course.blueprint });
+  });
+
+  app.get('/api/v1/courses/:courseId/blueprint_templates/default/associated_courses', (req, res) => {
+    if (!req.course.blueprint) {
+      return sendError(res, 404, 'The specified resource does not exist.');
+    }
+    const associated = req.course.associatedCourseIds
+      .map(id => courses.get(String(id)))
+      .filter(Boolean)
+      .map(course => ({ id: course.id, name: course.name, course_code: course.course_code, term_name: null }));
+    sendPaginated(req, res, associated);
+  });
+
+  app.get('/api/v1/courses/:courseId/pages', (req, res) => {
+    const includeBody = includesOf(req).includes('body');
+    const pages = [...req.course.pages.values()]
+      .sort((a, b) => a.title.localeCompare(b.title))
+      .map(page => pageJson(req, req.course, page, { includeBody }));
+    sendPaginated(req, res, pages);
+  });
+
+  app.get('/api/v1/courses/:courseId/pages/:pageUrl', (req, res) => {
+    if (!req.page) {
+      return sendError(res, 404, 'The specified resource does not exist.');
+    }
+    res.json(pageJson(req, req.course, req.page));
+  });
+
+  // Updating a page that does not exist creates it under that URL
+  app.put('/api/v1/courses/:courseId/pages/:pageUrl', (req, res) => {
+    const fields = req.body.wiki_page || {};
+    let page = req.page;
+
+    if (!page) {
+      page = createPage(req.course, { ...fields, url: req.params.pageUrl });
+    } else {
+      for (const name of ['title', 'body', 'editing_roles']) {
+        if (fields[name] !== undefined) page[name] = fields[name];
+      }
+      for (const name of ['published', 'front_page']) {
+        if (fields[name] !== undefined) page[name] = fields[name] === true || fields[name] === 'true';
+      }
+      page.updated_at = now();
+      addRevision(page);
+    }
+
+    // There is only one front page
+    if (page.front_page) {
+      for (const other of req.course.pages.values()) {
+        if (other !== page) other.front_page = false;
+      }
+    }
+
+    res.json(pageJson(req, req.course, page));
+  });
+
+  app.delete('/api/v1/courses/:courseId/pages/:pageUrl', (req, res) => {
+    if (!req.page) {
+      return sendError(res, 404, 'The specified resource does not exist.');
+    }
+    req.course.pages.delete(req.page.url);
+    for (const module of req.course.modules) {
+      module.items = module.items.filter(item => item.page_url !== req.page.url);
+    }
+    res.json(pageJson(req, req.course, req.page));
+  });
+
+  app.get('/api/v1/courses/:courseId/pages/:pageUrl/revisions', (req, res) => {
+    if (!req.page) {
+      return sendError(res, 404, 'The specified resource does not exist.');
+    }
+    const revisions = [...req.page.revisions].reverse().map((revision, index) => ({
+      revision_id: revision.revision_id,
+      updated_at: revision.updated_at,
+      latest: index === 0,
+      edited_by: revision.edited_by
+    }));
+    sendPaginated(req, res, revisions);
+  });
+
+  app.get('/api/v1/courses/:courseId/pages/:pageUrl/revisions/:revision', (req, res) => {
+    if (!req.page) {
+      return sendError(res, 404, 'The specified resource does not exist.');
+    }
+
+    const latest = req.page.revisions[req.page.revisions.length - 1];
+    const revision = req.params.revision === 'latest'
+      ? latest
+      : req.page.revisions.find(candidate => String(candidate.revision_id) === req.params.revision);
+    if (!revision) {
+      return sendError(res, 404, 'The specified resource does not exist.');
+    }
+
+    const summary = req.query.summary === 'true' || req.query.summary === '1';
+    res.json({
+      revision_id: revision.revision_id,
+      updated_at: revision.updated_at,
+      latest: revision === latest,
+      edited_by: revision.edited_by,
+      ...(summary ? {} : { title: revision.title, body: revision.body })
+    });
+  });
+
+  app.get('/api/v1/courses/:courseId/modules', (req, res) => {
+    const includeItems = includesOf(req).includes('items');
+    const modules = req.course.modules.map(module => ({
+      id: module.id,
+      name: module.name,
+      position: module.position,
+      published: module.published,
+      items_count: module.items.length,
+      items_url: `${origin(req)}/api/v1/courses/${req.course.id}/modules/${module.id}/items`,
+      ...(includeItems ? { items: moduleItemsJson(req, req.course, module) } : {})
+    }));
+    sendPaginated(req, res, modules);
+  });
+
+  app.get('/api/v1/courses/:courseId/modules/:moduleId/items', (req, res) => {
+    sendPaginated(req, res, moduleItemsJson(req, req.course, req.module));
+  });
+
+  app.post('/api/v1/courses/:courseId/modules/:moduleId/items', (req, res) => {
+    const fields = req.body.module_item || {};
+    if (!fields.type) {
+      return sendError(res, 400, 'type is required');
+    }
+    if (fields.type === 'Page' && !req.course.pages.has(fields.page_url)) {
+      return sendError(res, 400, `No page with the URL ${fields.page_url}`);
+    }
+
+    const item = {
+      id: newId(),
+      type: fields.type,
+      title: fields.title,
+      content_id: fields.content_id,
+      page_url: fields.type === 'Page' ? fields.page_url : undefined
+    };
+    const position = Number(fields.position) || req.module.items.length + 1;
+    req.module.items.splice(Math.min(position, req.module.items.length + 1) - 1, 0, item);
+
+    res.json(moduleItemJson(req, req.course, req.module, item, req.module.items.indexOf(item) + 1));
+  });
+
+  app.put('/api/v1/courses/:courseId/modules/:moduleId/items/:itemId', (req, res) => {
+    const index = req.module.items.findIndex(item => String(item.id) === req.params.itemId);
+    if (index === -1) {
+      return sendError(res, 404, 'The specified resource does not exist.');
+    }
+
+    const [item] = req.module.items.splice(index, 1);
+    const fields = req.body.module_item || {};
+    if (fields.title !== undefined) {
+      item.title = fields.title;
+    }
+    const position = Number(fields.position) || index + 1;
+    req.module.items.splice(Math.min(position, req.module.items.length + 1) - 1, 0, item);
+
+    res.json(moduleItemJson(req, req.course, req.module, item, req.module.items.indexOf(item) + 1));
+  });
+
+  app.use('/api/v1', (req, res) => sendError(res, 404, `The mock Canvas does not implement ${req.method} ${req.path}`));
+
+  return { app, courses, oauth };
+}
+
+/**
+ * Read a fixture file
+ * @param {string} file - Path of the JSON file
+ * @returns {Object} Fixtures
+ */
+function loadFixtures(file = DEFAULT_FIXTURES) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_CANVAS_PORT) || 3003;
+  const token = process.env.MOCK_CANVAS_TOKEN || DEFAULT_TOKEN;
+  const fixtures = loadFixtures(process.env.MOCK_CANVAS_FIXTURES || DEFAULT_FIXTURES);
+  const tokenTtlSeconds = Number(process.env.MOCK_CANVAS_TOKEN_TTL) || DEFAULT_TOKEN_TTL_SECONDS;
+  const { app, courses } = createMockCanvas({ fixtures, token, tokenTtlSeconds });
+
+  app.listen(port, () => {
+    const baseUrl = `http://localhost:${port}`;
+    console.log(`Mock Canvas running on ${baseUrl}`);
+    console.log('Start the backend with:');
+    console.log(`  CANVAS_API_BASE_URL=${baseUrl}`);
+    console.log(`Then use the Canvas API key ${token} and one of these course URLs:`);
+    for (const course of courses.values()) {
+      console.log(`  ${baseUrl}/courses/${course.id} (${course.name})`);
+    }
+    console.log('To sign in instead of using the API key, also set:');
+    console.log(`  CANVAS_OAUTH_BASE_URL=${baseUrl}`);
+    console.log(`  CANVAS_OAUTH_CLIENT_ID=${DEFAULT_CLIENT_ID}`);
+    console.log(`  CANVAS_OAUTH_CLIENT_SECRET=${DEFAULT_CLIENT_SECRET}`);
+  });
+}
+
+module.exports = { createMockCanvas, loadFixtures, DEFAULT_TOKEN, DEFAULT_CLIENT_ID, DEFAULT_CLIENT_SECRET };
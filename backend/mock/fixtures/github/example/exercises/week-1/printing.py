@@ -0,0 +1,6 @@
+__metadata__ = {
+    "page": "week-1-exercises",
+    "placement": "printing"
+}
+
+print("Hello, world!")
@@ -0,0 +1,10 @@
+__metadata__ = {
+    "page": "week-1-exercises",
+    "placement": "variables",
+    "published": True,
+    "module": "Week 2",
+    "position": 1
+}
+
+# Create a variable x with the value 5
+x = 5
@@ -0,0 +1,362 @@
+/**
+ * Stand-in GitHub API for developing and testing without the network.
+ *
+ * Run it with `npm run mock:github` and start the backend with GITHUB_API_URL
+ * pointing at it. Repositories are the directories <root>/<owner>/<repo> of
+ * a local directory, read again on every request, so edits to the files show
+ * up right away. Every repository has a single branch, main, whose commit
+ * holds the files as they are on disk. Object IDs are computed the way git
+ * computes them, so they change exactly when the content does. Each directory
+ * .tags/<name> in the repository is a tag, whose commit holds the files of
+ * that directory instead.
+ *
+ * The API is also served under /api/v3, where GitHub Enterprise Server has it.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROOT = path.join(__dirname, 'fixtures', 'github');
+const DEFAULT_TOKEN = 'mock-github-token';
+const DEFAULT_BRANCH = 'main';
+// Files of the mock itself, left out of the repository contents
+const IGNORED_ENTRIES = ['.git', '.tags'];
+// Commits are dated at a fixed time so that their IDs only depend on the files
+const COMMIT_DATE = '2024-01-01T00:00:00Z';
+
+/**
+ * Compute the ID git gives an object
+ * @param {string} type - Object type: blob, tree or commit
+ * @param {Buffer} content - Object content
+ * @returns {string} SHA-1 object ID
+ */
+function gitObjectId(type, content) {
+  return crypto.createHash('sha1')
+    .update(Buffer.concat([Buffer.from(`${type} ${content.length}\0`), content]))
+    .digest('hex');
+}
+
+/**
+ * Read a directory into git objects
+ * @param {string} directory - Directory on disk
+ * @param {string} prefix - Path of the directory in the repository
+ * @param {Map} objects - Receives every blob and tree by ID
+ * @returns {Object} Tree with its ID and entries
+ */
+function readTree(directory, prefix, objects) {
+  const entries = fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => !(prefix === '' && IGNORED_ENTRIES.includes(entry.name)) && (entry.isFile() || entry.isDirectory()))
+    .map((entry) => {
+      const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const fullPath = path.join(directory, entry.name);
+
+      if (entry.isDirectory()) {
+        return { name: entry.name, path: entryPath, type: 'tree', mode: '040000', ...readTree(fullPath, entryPath, objects) };
+      }
+
+      const content = fs.readFileSync(fullPath);
+      const blob = { name: entry.name, path: entryPath, type: 'blob', mode: '100644', sha: gitObjectId('blob', content), size: content.length, content };
+      objects.set(blob.sha, blob);
+      return blob;
+    });
+
+  // Git sorts tree entries by name, with a slash after directory names
+  const sortKey = entry => (entry.type === 'tree' ? `${entry.name}/` : entry.name);
+  entries.sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : sortKey(a) > sortKey(b) ? 1 : 0));
+
+  const content = Buffer.concat(entries.map(entry => Buffer.concat([
+    Buffer.from(`${entry.type === 'tree' ? '40000' : entry.mode} ${entry.name}\0`),
+    Buffer.from(entry.sha, 'hex')
+  ])));
+  const tree = { sha: gitObjectId('tree', content), entries };
+  objects.set(tree.sha, { ...tree, type: 'tree', path: prefix });
+  return tree;
+}
+
+/**
+ * Read a directory into a commit of its files
+ * @param {string} directory - Directory on disk
+ * @param {string} message - Commit message
+ * @param {Map} objects - Receives every blob and tree by ID
+ * @returns {Object} Commit with its ID, message, date and tree
+ */
+function readCommit(directory, message, objects) {
+  const tree = readTree(directory, '', objects);
+  const commitContent = Buffer.from([
+    `tree ${tree.sha}`,
+    `author Mock GitHub <mock@example.com> ${Date.parse(COMMIT_DATE) / 1000} +0000`,
+    `committer Mock GitHub <mock@example.com> ${Date.parse(COMMIT_DATE) / 1000} +0000`,
+    '',
+    message,
+    ''
+  ].join('\n'));
+
+  return { sha: gitObjectId('commit', commitContent), message, date: COMMIT_DATE, tree };
+}
+
+/**
+ * Read a repository from disk
+ * @param {string} root - Directory that holds the repositories
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Object|null} Repository with the commit of main, its tags and objects, or null if it does not exist
+ */
+function readRepository(root, owner, repo) {
+  const directory = path.join(root, owner, repo);
+  // Owner and repository names cannot leave the root directory
+  if (path.relative(root, directory).startsWith('..') || !fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    return null;
+  }
+
+  const objects = new Map();
+  const commit = readCommit(directory, 'Mock commit of the files on disk', objects);
+  const tagsDirectory = path.join(directory, '.tags');
+  const tags = fs.existsSync(tagsDirectory)
+    ? fs.readdirSync(tagsDirectory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort()
+      .map(name => ({ name, commit: readCommit(path.join(tagsDirectory, name), `Mock commit tagged ${name}`, objects) }))
+    : [];
+
+  return {
+    owner,
+    name: repo,
+    commit,
+    tags,
+    objects
+  };
+}
+
+/**
+ * Find the entry at a path of a tree
+ * @param {Object} tree - Root tree from readTree
+ * @param {string} entryPath - Path in the repository, empty for the root
+ * @returns {Object|null} Tree or blob, or null if there is nothing at the path
+ */
+function findEntry(tree, entryPath) {
+  let current = { type: 'tree', path: '', ...tree };
+  for (const name of entryPath.split('/').filter(Boolean)) {
+    if (current.type !== 'tree') return null;
+    current = current.entries.find(entry => entry.name === name);
+    if (!current) return null;
+  }
+  return current;
+}
+
+/**
+ * Encode file content the way the GitHub API does
+ * @param {Buffer} content - File content
+ * @returns {string} Base64 in lines of 60 characters
+ */
+function toBase64(content) {
+  return (content.toString('base64').match(/.{1,60}/g) || []).join('\n') + '\n';
+}
+
+/**
+ * Build a GitHub-style error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Object} Express response
+ */
+function sendError(res, status, message) {
+  return res.status(status).json({ message, documentation_url: 'https://docs.github.com/rest' });
+}
+
+/**
+ * Create a mock GitHub API
+ * @param {Object} options - Server options
+ * @param {string} options.root - Directory that holds the repositories, as <owner>/<repo>
+ * @param {string} options.token - Token that authenticates as the mock user
+ * @returns {Object} Express app
+ */
+function createMockGitHub({ root = DEFAULT_ROOT, token = DEFAULT_TOKEN } = {}) {
+  const app = express();
+  const api = express.Router();
+
+  const apiUrl = req => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  const htmlUrl = (req, repository) => `${req.protocol}://${req.get('host')}/${repository.owner}/${repository.name}`;
+
+  const contentJson = (req, repository, entry) => {
+    const isFile = entry.type === 'blob';
+    const repoApi = `${apiUrl(req)}/repos/${repository.owner}/${repository.name}`;
+    return {
+      type: isFile ? 'file' : 'dir',
+      name: entry.name || '',
+      path: entry.path,
+      sha: entry.sha,
+      size: isFile ? entry.size : 0,
+      url: `${repoApi}/contents/${entry.path}?ref=${DEFAULT_BRANCH}`,
+      html_url: `${htmlUrl(req, repository)}/${isFile ? 'blob' : 'tree'}/${DEFAULT_BRANCH}/${entry.path}`,
+      git_url: `${repoApi}/git/${isFile ? 'blobs' : 'trees'}/${entry.sha}`,
+      download_url: isFile ? `${htmlUrl(req, repository)}/raw/${DEFAULT_BRANCH}/${entry.path}` : null
+    };
+  };
+
+  // A token that is sent must be the mock token; public repositories need none
+  api.use((req, res, next) => {
+    res.set('X-RateLimit-Limit', '5000');
+    res.set('X-RateLimit-Remaining', '4999');
+
+    const header = req.headers.authorization || '';
+    const sentToken = header.replace(/^(token|Bearer)\s+/i, '');
+    if (header && sentToken !== token) {
+      return sendError(res, 401, 'Bad credentials');
+    }
+    req.authenticated = Boolean(header);
+    next();
+  });
+
+  api.get('/user', (req, res) => {
+    if (!req.authenticated) {
+      return sendError(res, 401, 'Requires authentication');
+    }
+    res.json({ login: 'mock-user', id: 1, name: 'Mock User', avatar_url: `${req.protocol}://${req.get('host')}/avatar.png` });
+  });
+
+  api.param('repo', (req, res, next) => {
+    req.repository = readRepository(root, req.params.owner, req.params.repo);
+    if (!req.repository) {
+      return sendError(res, 404, 'Not Found');
+    }
+    next();
+  });
+
+  // HEAD, the branch and its commit ID name the commit of main; a tag name or
+  // the ID of its commit names the commit of the tag
+  const resolveRef = (repository, ref) => {
+    const name = (ref || '').replace(/^refs\/(heads|tags)\//, '');
+    if (['', 'HEAD', DEFAULT_BRANCH, repository.commit.sha].includes(name)) {
+      return repository.commit;
+    }
+    const tag = repository.tags.find(candidate => candidate.name === name || candidate.commit.sha === name);
+    return tag ? tag.commit : null;
+  };
+
+  const commitRef = (req, repository, commit) => ({
+    sha: commit.sha,
+    url: `${apiUrl(req)}/repos/${repository.owner}/${repository.name}/commits/${commit.sha}`
+  });
+
+  api.get('/repos/:owner/:repo', (req, res) => {
+    const { repository } = req;
+    res.json({
+      id: 1,
+      name: repository.name,
+      full_name: `${repository.owner}/${repository.name}`,
+      owner: { login: repository.owner },
+      private: false,
+      default_branch: DEFAULT_BRANCH,
+      html_url: htmlUrl(req, repository)
+    });
+  });
+
+  // Lists fit on one page, so there are no Link headers
+  api.get('/repos/:owner/:repo/branches', (req, res) => {
+    res.json([{ name: DEFAULT_BRANCH, commit: commitRef(req, req.repository, req.repository.commit), protected: false }]);
+  });
+
+  api.get('/repos/:owner/:repo/tags', (req, res) => {
+    res.json(req.repository.tags.map(tag => ({ name: tag.name, commit: commitRef(req, req.repository, tag.commit) })));
+  });
+
+  api.get('/repos/:owner/:repo/contents{/*entryPath}', (req, res) => {
+    const { repository } = req;
+    const commit = resolveRef(repository, req.query.ref);
+    if (!commit) {
+      return sendError(res, 404, `No commit found for the ref ${req.query.ref}`);
+    }
+
+    const entry = findEntry(commit.tree, (req.params.entryPath || []).join('/'));
+    if (!entry) {
+      return sendError(res, 404, 'Not Found');
+    }
+
+    if (entry.type === 'tree') {
+      return res.json(entry.entries.map(child => contentJson(req, repository, child)));
+    }
+    res.json({ ...contentJson(req, repository, entry), encoding: 'base64', content: toBase64(entry.content) });
+  });
+
+  api.get('/repos/:owner/:repo/commits/:ref', (req, res) => {
+    const { repository } = req;
+    const commit = resolveRef(repository, req.params.ref);
+    if (!commit) {
+      return sendError(res, 422, `No commit found for SHA: ${req.params.ref}`);
+    }
+
+    const author = { name: 'Mock GitHub', email: 'mock@example.com', date: commit.date };
+    res.json({
+      sha: commit.sha,
+      commit: { message: commit.message, author, committer: author, tree: { sha: commit.tree.sha } },
+      html_url: `${htmlUrl(req, repository)}/commit/${commit.sha}`
+    });
+  });
+
+  api.get('/repos/:owner/:repo/git/trees/:treeish', (req, res) => {
+    const { repository } = req;
+    const commit = resolveRef(repository, req.params.treeish);
+    const tree = commit ? commit.tree : repository.objects.get(req.params.treeish);
+    if (!tree || tree.type === 'blob') {
+      return sendError(res, 404, 'Not Found');
+    }
+
+    const recursive = Boolean(req.query.recursive) && req.query.recursive !== '0' && req.query.recursive !== 'false';
+    const base = `${apiUrl(req)}/repos/${repository.owner}/${repository.name}/git`;
+    const list = (entries, prefix) => entries.flatMap((entry) => {
+      const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const item = entry.type === 'tree'
+        ? { path: entryPath, mode: entry.mode, type: 'tree', sha: entry.sha, url: `${base}/trees/${entry.sha}` }
+        : { path: entryPath, mode: entry.mode, type: 'blob', sha: entry.sha, size: entry.size, url: `${base}/blobs/${entry.sha}` };
+      return recursive && entry.type === 'tree' ? [item, ...list(entry.entries, entryPath)] : [item];
+    });
+
+    res.json({ sha: tree.sha, url: `${base}/trees/${tree.sha}`, tree: list(tree.entries, ''), truncated: false });
+  });
+
+  api.get('/repos/:owner/:repo/git/blobs/:sha', (req, res) => {
+    const blob = req.repository.objects.get(req.params.sha);
+    if (!blob || blob.type !== 'blob') {
+      return sendError(res, 404, 'Not Found');
+    }
+
+    res.json({
+      sha: blob.sha,
+      size: blob.size,
+      encoding: 'base64',
+      content: toBase64(blob.content),
+      url: `${apiUrl(req)}/repos/${req.repository.owner}/${req.repository.name}/git/blobs/${blob.sha}`
+    });
+  });
+
+  api.use((req, res) => sendError(res, 404, `The mock GitHub does not implement ${req.method} ${req.path}`));
+
+  app.use('/api/v3', api);
+  app.use('/', api);
+
+  return { app };
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_GITHUB_PORT) || 3004;
+  const token = process.env.MOCK_GITHUB_TOKEN || DEFAULT_TOKEN;
+  const root = path.resolve(process.env.MOCK_GITHUB_ROOT || DEFAULT_ROOT);
+  const { app } = createMockGitHub({ root, token });
+
+  app.listen(port, () => {
+    const baseUrl = `http://localhost:${port}`;
+    console.log(`Mock GitHub running on ${baseUrl}, serving ${root}`);
+    console.log('Start the backend with:');
+    console.log(`  GITHUB_API_URL=${baseUrl}`);
+    console.log(`Then use the GitHub token ${token} (or none) and one of these repository URLs:`);
+    for (const owner of fs.readdirSync(root, { withFileTypes: true }).filter(entry => entry.isDirectory())) {
+      for (const repo of fs.readdirSync(path.join(root, owner.name), { withFileTypes: true }).filter(entry => entry.isDirectory())) {
+        console.log(`  https://github.com/${owner.name}/${repo.name}`);
+      }
+    }
+  });
+}
+
+module.exports = { createMockGitHub, DEFAULT_TOKEN };
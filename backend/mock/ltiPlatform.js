@@ -0,0 +1,159 @@
+/**
+ * Stand-in LTI 1.3 platform for trying the launch flow without Canvas.
+ *
+ * Run it with `npm run mock:lti` and start the backend with the LTI_* values
+ * it prints. Opening http://localhost:3002/launch then goes through the OIDC
+ * login, the signed id_token and the launch, as Canvas would.
+ */
+const express = require('express');
+const crypto = require('crypto');
+
+const CLAIM = 'https://purl.imsglobal.org/spec/lti/claim/';
+const ROLE_URIS = {
+  Instructor: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor',
+  TeachingAssistant: 'http://purl.imsglobal.org/vocab/lis/v2/membership/Instructor#TeachingAssistant',
+  Learner: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Learner'
+};
+
+/**
+ * Escape a value for an HTML attribute; the state comes from the tool's request
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped value
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Create a mock platform
+ * @param {Object} options - Platform options
+ * @param {string} options.issuer - Issuer, which is also the URL the platform is served at
+ * @param {string} options.clientId - Client ID of the tool
+ * @param {string} options.deploymentId - Deployment ID of the tool
+ * @param {string} options.toolLoginUrl - OIDC login initiation URL of the tool
+ * @param {string} options.toolLaunchUrl - Launch URL of the tool
+ * @returns {Object} Express app, plus signIdToken and launchClaims for hand-made launches
+ */
+function createMockLtiPlatform({ issuer, clientId, deploymentId, toolLoginUrl, toolLaunchUrl }) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const app = express();
+
+  /**
+   * Sign an id_token with the platform key
+   * @param {Object} claims - Claims of the token
+   * @param {Object} header - Extra header fields
+   * @returns {string} Compact JWT
+   */
+  const signIdToken = (claims, header = {}) => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signedInput = `${encode({ alg: 'RS256', typ: 'JWT', kid, ...header })}.${encode(claims)}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(signedInput), privateKey).toString('base64url');
+    return `${signedInput}.${signature}`;
+  };
+
+  // Signing keys, as served by Canvas at /api/lti/security/jwks
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  // A user opens the tool: the platform starts the OIDC login
+  // GET /launch?courseId=1&role=Instructor
+  app.get('/launch', (req, res) => {
+    const { courseId = '1', role = 'Instructor', apiDomain = '' } = req.query;
+    const messageHint = Buffer.from(JSON.stringify({ courseId, role, apiDomain })).toString('base64url');
+    const params = new URLSearchParams({
+      iss: issuer,
+      login_hint: 'mock-user-1',
+      target_link_uri: toolLaunchUrl,
+      client_id: clientId,
+      lti_deployment_id: deploymentId,
+      lti_message_hint: messageHint
+    });
+    res.redirect(`${toolLoginUrl}?${params}`);
+  });
+
+  /**
+   * Build the claims of a launch from a course, as Canvas sends them
+   * @param {Object} launch - Launch parameters
+   * @param {string} launch.nonce - Nonce of the tool's authentication request
+   * @param {string} launch.courseId - Canvas course ID
+   * @param {string} launch.role - Role name from ROLE_URIS, or a role URI
+   * @param {string} launch.apiDomain - Canvas API domain to pass, if any
+   * @returns {Object} Claims of the id_token
+   */
+  const launchClaims = ({ nonce, courseId = '1', role = 'Instructor', apiDomain = '' }) => {
+    const now = Math.floor(Date.now() / 1000);
+    return {
+      iss: issuer,
+      aud: clientId,
+      sub: 'mock-user-1',
+      name: 'Mock Instructor',
+      iat: now,
+      exp: now + 300,
+      nonce,
+      [`${CLAIM}version`]: '1.3.0',
+      [`${CLAIM}message_type`]: 'LtiResourceLinkRequest',
+      [`${CLAIM}deployment_id`]: deploymentId,
+      [`${CLAIM}target_link_uri`]: toolLaunchUrl,
+      [`${CLAIM}resource_link`]: { id: `course-${courseId}-navigation` },
+      [`${CLAIM}roles`]: [ROLE_URIS[role] || role],
+      [`${CLAIM}context`]: { id: `context-${courseId}`, label: `MOCK${courseId}`, title: `Mock Course ${courseId}` },
+      [`${CLAIM}custom`]: {
+        canvas_course_id: String(courseId),
+        ...(apiDomain ? { canvas_api_domain: apiDomain } : {})
+      },
+      [`${CLAIM}launch_presentation`]: { document_target: 'iframe', return_url: `${issuer}/courses/${courseId}` }
+    };
+  };
+
+  // Authentication request from the tool: answer with a signed id_token, posted back by a form
+  app.get('/authorize', (req, res) => {
+    const { client_id: requestClientId, redirect_uri: redirectUri, state, nonce, lti_message_hint: messageHint } = req.query;
+    if (requestClientId !== clientId || redirectUri !== toolLaunchUrl) {
+      return res.status(400).send('Unknown client or redirect URI');
+    }
+
+    const { courseId, role, apiDomain } = JSON.parse(Buffer.from(messageHint, 'base64url').toString('utf8'));
+    const idToken = signIdToken(launchClaims({ nonce, courseId, role, apiDomain }));
+
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<body onload="document.forms[0].submit()">
+<form method="post" action="${escapeHtml(toolLaunchUrl)}">
+<input type="hidden" name="id_token" value="${escapeHtml(idToken)}">
+<input type="hidden" name="state" value="${escapeHtml(state)}">
+<noscript><button type="submit">Continue</button></noscript>
+</form>
+</body>
+</html>`);
+  });
+
+  return { app, signIdToken, launchClaims };
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_LTI_PORT) || 3002;
+  const backendUrl = process.env.MOCK_LTI_TOOL_URL || 'http://localhost:3001';
+  const issuer = `http://localhost:${port}`;
+  const { app } = createMockLtiPlatform({
+    issuer,
+    clientId: 'mock-client-id',
+    deploymentId: 'mock-deployment',
+    toolLoginUrl: `${backendUrl}/api/lti/login`,
+    toolLaunchUrl: `${backendUrl}/api/lti/launch`
+  });
+
+  app.listen(port, () => {
+    console.log(`Mock LTI platform running on ${issuer}`);
+    console.log('Start the backend with:');
+    console.log(`  LTI_ISSUER=${issuer}`);
+    console.log('  LTI_CLIENT_ID=mock-client-id');
+    console.log(`  LTI_AUTH_LOGIN_URL=${issuer}/authorize`);
+    console.log(`  LTI_KEYSET_URL=${issuer}/jwks`);
+    console.log('  LTI_CANVAS_BASE_URL=<URL of a Canvas instance to use for API calls>');
+    console.log(`Then open ${issuer}/launch?courseId=1&role=Instructor`);
+  });
+}
+
+module.exports = { createMockLtiPlatform };
@@ -1,33 +1,97 @@
 const express = require('express');
-const axios = require('axios');
+const crypto = require('crypto');
+const snapshotStore = require('../snapshotStore');
+const { createCanvasClient, reportThrottling } = require('../canvasClient');
+const { requireCanvasToken } = require('../canvasOAuth');
+const { requireLaunchCourse } = require('../lti');
+const { parseCourseUrl, buildCourseUrl } = require('../canvasUrl');
 const router = express.Router();
 
+// A session launched from Canvas only works on the launching course
+router.use(requireLaunchCourse);
+
+// Every route acts with the Canvas API key or Canvas sign-in of the session
+router.use(requireCanvasToken);
+
+// Report Canvas throttling to the browser with every response
+router.use(reportThrottling);
+
+// Canvas resources whose HTML can hold exercises: where they live in the API,
+// which field holds the HTML, and how to send it back
+const RESOURCE_TYPES = {
+  page: {
+    path: (courseId, id) => `/courses/${courseId}/pages/${encodeURIComponent(id)}`,
+    read: data => ({
+      title: data.title,
+      body: data.body,
+      updatedAt: data.updated_at,
+      htmlUrl: data.html_url,
+      settings: { title: data.title, published: data.published, editing_roles: data.editing_roles, front_page: data.front_page }
+    }),
+    write: (body, settings = {}) => ({ wiki_page: { ...settings, body } }),
+    hasRevisions: true,
+    hasSettings: true,
+    moduleItemType: 'Page'
+  },
+  assignment: {
+    path: (courseId, id) => `/courses/${courseId}/assignments/${encodeURIComponent(id)}`,
+    read: data => ({ title: data.name, body: data.description, updatedAt: data.updated_at, htmlUrl: data.html_url }),
+    write: body => ({ assignment: { description: body } }),
+    moduleItemType: 'Assignment'
+  },
+  discussion: {
+    path: (courseId, id) => `/courses/${courseId}/discussion_topics/${encodeURIComponent(id)}`,
+    read: data => ({ title: data.title, body: data.message, updatedAt: data.updated_at || null, htmlUrl: data.html_url }),
+    write: body => ({ message: body }),
+    moduleItemType: 'Discussion'
+  },
+  quiz: {
+    path: (courseId, id) => `/courses/${courseId}/quizzes/${encodeURIComponent(id)}`,
+    read: data => ({ title: data.title, body: data.description, updatedAt: data.updated_at || null, htmlUrl: data.html_url }),
+    write: body => ({ quiz: { description: body } }),
+    moduleItemType: 'Quiz'
+  },
+  syllabus: {
+    path: courseId => `/courses/${courseId}`,
+    params: { include: ['syllabus_body'] },
+    read: data => ({ title: 'Syllabus', body: data.syllabus_body, updatedAt: null, htmlUrl: null }),
+    write: body => ({ course: { syllabus_body: body } })
+  }
+};
+
+// Page settings a write may change along with the HTML, and the type each one needs
+const PAGE_SETTING_TYPES = {
+  title: 'string',
+  published: 'boolean',
+  editing_roles: 'string',
+  front_page: 'boolean',
+  notify_of_update: 'boolean'
+};
+
+// Workflow states in which a blueprint migration has stopped
+const BLUEPRINT_FAILED_STATES = ['exports_failed', 'imports_failed'];
+const BLUEPRINT_FINAL_STATES = ['completed', ...BLUEPRINT_FAILED_STATES];
+
 /**
  * Validate connection to Canvas
  * GET /api/canvas/validate
  */
 router.get('/validate', async (req, res) => {
   try {
-    const { apiKey, courseUrl } = req.query;
+    const { courseUrl } = req.query;
     
-    if (!apiKey || !courseUrl) {
+    if (!courseUrl) {
       return res.status(400).json({
         success: false,
-        error: 'API key and course URL are required'
+        error: 'Course URL is required'
       });
     }
     
     // Parse course URL to extract base URL and course ID
     const parsedUrl = parseCourseUrl(courseUrl);
     
-    // Create Axios instance with authentication
-    const canvasApi = axios.create({
-      baseURL: `${parsedUrl.baseUrl}/api/v1`,
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
     
     // Attempt to get course information
     const response = await canvasApi.get(`/courses/${parsedUrl.courseId}`);
@@ -53,29 +117,23 @@ router.get('/validate', async (req, res) => {
  */
 router.get('/pages', async (req, res) => {
   try {
-    const { apiKey, courseUrl, pageUrl } = req.query;
+    const { courseUrl, pageUrl } = req.query;
     
-    if (!apiKey || !courseUrl || !pageUrl) {
+    if (!courseUrl || !pageUrl) {
       return res.status(400).json({
         success: false,
-        error: 'API key, course URL, and page URL are required'
+        error: 'Course URL and page URL are required'
       });
     }
     
     // Parse course URL to extract base URL and course ID
     const parsedUrl = parseCourseUrl(courseUrl);
     
-    // Create Axios instance with authentication
-    const canvasApi = axios.create({
-      baseURL: `${parsedUrl.baseUrl}/api/v1`,
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
     
     // Get page content
-    const response = await canvasApi.get(`/courses/${parsedUrl.courseId}/pages/${pageUrl}`);
+    const response = await canvasApi.get(`/courses/${parsedUrl.courseId}/pages/${encodeURIComponent(pageUrl)}`);
     
     res.json({
       success: true,
@@ -97,40 +155,401 @@ router.get('/pages', async (req, res) => {
  */
 router.put('/pages', async (req, res) => {
   try {
-    const { apiKey, courseUrl, pageUrl, body } = req.body;
+    const { courseUrl, pageUrl, body, settings, runId } = req.body;
     
-    if (!apiKey || !courseUrl || !pageUrl || !body) {
+    if (!courseUrl || !pageUrl || !body) {
       return res.status(400).json({
         success: false,
-        error: 'API key, course URL, page URL, and body are required'
+        error: 'Course URL, page URL, and body are required'
       });
     }
     
     // Parse course URL to extract base URL and course ID
     const parsedUrl = parseCourseUrl(courseUrl);
     
-    // Create Axios instance with authentication
-    const canvasApi = axios.create({
-      baseURL: `${parsedUrl.baseUrl}/api/v1`,
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
     
     // Update page content
-    const response = await canvasApi.put(`/courses/${parsedUrl.courseId}/pages/${pageUrl}`, {
+    const run = runId ? await getRunForCourse(req, canvasApi, runId, parsedUrl) : null;
+    const data = await writeResource(canvasApi, parsedUrl, { type: 'page', id: pageUrl }, body, run, settings);
+    
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Canvas update page error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.message || error.message
+    });
+  }
+});
+
+/**
+ * Create a page that does not exist yet
+ * POST /api/canvas/pages
+ */
+router.post('/pages', async (req, res) => {
+  try {
+    const { courseUrl, pageUrl, title, body, settings, runId } = req.body;
+    
+    if (!courseUrl || !pageUrl || !title || !body) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL, page URL, title, and body are required'
+      });
+    }
+    
+    const pageSettings = checkPageSettings({ type: 'page' }, settings);
+    
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    // Refuse to overwrite a page that already exists
+    try {
+      await canvasApi.get(`/courses/${parsedUrl.courseId}/pages/${encodeURIComponent(pageUrl)}`);
+      return res.status(409).json({
+        success: false,
+        error: `Page '${pageUrl}' already exists`
+      });
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+    
+    // Rolling back a created page deletes it again
+    const target = { type: 'page', id: pageUrl };
+    if (runId) {
+      await getRunForCourse(req, canvasApi, runId, parsedUrl);
+      await snapshotStore.recordSnapshot(runId, resourceKey(target), {
+        target,
+        created: true,
+        title,
+        previousBody: null,
+        previousRevisionId: null,
+        previousUpdatedAt: null
+      });
+    }
+    
+    // Canvas creates the page when updating a slug that does not exist yet,
+    // which keeps the slug from the metadata (POST would derive it from the title)
+    const response = await canvasApi.put(`/courses/${parsedUrl.courseId}/pages/${encodeURIComponent(pageUrl)}`, {
       wiki_page: {
+        ...pageSettings,
+        title,
         body
       }
     });
     
-    res.json({
+    if (runId) {
+      await recordRunWrite(canvasApi, parsedUrl.courseId, runId, target, response.data);
+    }
+    
+    res.status(201).json({
       success: true,
       data: response.data
     });
   } catch (error) {
-    console.error('Canvas update page error:', error.message);
+    console.error('Canvas create page error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.message || error.message
+    });
+  }
+});
+
+/**
+ * Get the HTML of a page, assignment, discussion, quiz or the syllabus
+ * GET /api/canvas/content
+ */
+router.get('/content', async (req, res) => {
+  try {
+    const { courseUrl, type, id, includeVersion } = req.query;
+    
+    if (!courseUrl || !type) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL and target type are required'
+      });
+    }
+    
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    const target = await resolveTarget(canvasApi, parsedUrl.courseId, type, id);
+    const content = normalizeResource(target, await fetchResource(canvasApi, parsedUrl.courseId, target));
+    
+    // The version is only needed to detect later edits, and costs an extra request for pages
+    if (includeVersion === 'true') {
+      content.version = await getResourceVersion(canvasApi, parsedUrl.courseId, target, content);
+    }
+    
+    res.json({
+      success: true,
+      data: content
+    });
+  } catch (error) {
+    console.error('Canvas get content error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.message || error.message
+    });
+  }
+});
+
+/**
+ * Update the HTML of a page, assignment, discussion, quiz or the syllabus
+ * PUT /api/canvas/content
+ */
+router.put('/content', async (req, res) => {
+  try {
+    const { courseUrl, type, id, body, settings, expectedVersion, runId } = req.body;
+    
+    if (!courseUrl || !type || typeof body !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL, target type, and body are required'
+      });
+    }
+    
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    const target = await resolveTarget(canvasApi, parsedUrl.courseId, type, id);
+    const run = runId ? await getRunForCourse(req, canvasApi, runId, parsedUrl) : null;
+    const data = await writeResource(canvasApi, parsedUrl, target, body, run, settings, expectedVersion);
+    
+    res.json({
+      success: true,
+      data: normalizeResource(target, data)
+    });
+  } catch (error) {
+    console.error('Canvas update content error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.message || error.message,
+      // A resource edited since it was verified reports its current version
+      ...(error.code === 'stale_version' ? { code: error.code, currentVersion: error.currentVersion } : {})
+    });
+  }
+});
+
+/**
+ * Show which modules hold a target, and what placing it in a module would do
+ * GET /api/canvas/module-items
+ */
+router.get('/module-items', async (req, res) => {
+  try {
+    const { courseUrl, type, id, module, position } = req.query;
+    
+    if (!courseUrl || !type || !module) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL, target type, and module are required'
+      });
+    }
+    
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    const target = await resolveTarget(canvasApi, parsedUrl.courseId, type, id);
+    const plan = await planModuleItem(canvasApi, parsedUrl.courseId, target, module, parsePosition(position));
+    
+    res.json({
+      success: true,
+      data: describeModulePlan(plan)
+    });
+  } catch (error) {
+    console.error('Canvas get module item error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.message || error.message
+    });
+  }
+});
+
+/**
+ * Add a target to a module, or move it to a position in the module
+ * PUT /api/canvas/module-items
+ */
+router.put('/module-items', async (req, res) => {
+  try {
+    const { courseUrl, type, id, module, position } = req.body;
+    
+    if (!courseUrl || !type || !module) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL, target type, and module are required'
+      });
+    }
+    
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    const target = await resolveTarget(canvasApi, parsedUrl.courseId, type, id);
+    const plan = await planModuleItem(canvasApi, parsedUrl.courseId, target, module, parsePosition(position));
+    const itemsPath = `/courses/${parsedUrl.courseId}/modules/${encodeURIComponent(plan.module.id)}/items`;
+    
+    if (plan.action === 'create') {
+      const moduleItem = { type: RESOURCE_TYPES[target.type].moduleItemType, position: plan.position || undefined };
+      if (target.type === 'page') {
+        moduleItem.page_url = target.id;
+      } else {
+        moduleItem.content_id = target.id;
+      }
+      const response = await canvasApi.post(itemsPath, { module_item: moduleItem });
+      plan.item = response.data;
+    } else if (plan.action === 'move') {
+      const response = await canvasApi.put(`${itemsPath}/${encodeURIComponent(plan.item.id)}`, { module_item: { position: plan.position } });
+      plan.item = response.data;
+    }
+    
+    res.json({
+      success: true,
+      data: describeModulePlan(plan)
+    });
+  } catch (error) {
+    console.error('Canvas update module item error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.message || error.message
+    });
+  }
+});
+
+/**
+ * List every data-code-placement placeholder on every wiki page of a course
+ * GET /api/canvas/placeholders
+ */
+router.get('/placeholders', async (req, res) => {
+  try {
+    const { courseUrl } = req.query;
+    
+    if (!courseUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL is required'
+      });
+    }
+    
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    const wikiPages = await getAllPages(canvasApi, `/courses/${parsedUrl.courseId}/pages`, {
+      per_page: 100,
+      include: ['body']
+    });
+    
+    const pages = [];
+    for (const wikiPage of wikiPages) {
+      // Instances that ignore include[]=body need one request per page
+      let body = wikiPage.body;
+      if (body === undefined) {
+        const response = await canvasApi.get(`/courses/${parsedUrl.courseId}/pages/${encodeURIComponent(wikiPage.url)}`);
+        body = response.data.body;
+      }
+      
+      pages.push({
+        url: wikiPage.url,
+        title: wikiPage.title,
+        published: wikiPage.published,
+        placeholders: extractPlaceholders(body || '')
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        pageCount: pages.length,
+        pages
+      }
+    });
+  } catch (error) {
+    console.error('Canvas placeholder inventory error:', error.message);
+    
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.message || error.message
+    });
+  }
+});
+
+/**
+ * Tell whether a course is a blueprint, and list its associated courses
+ * GET /api/canvas/blueprint
+ */
+router.get('/blueprint', async (req, res) => {
+  try {
+    const { courseUrl } = req.query;
+    
+    if (!courseUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL is required'
+      });
+    }
+    
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    const course = await canvasApi.get(`/courses/${parsedUrl.courseId}`);
+    
+    let associatedCourses = [];
+    if (course.data.blueprint) {
+      const courses = await getAllPages(
+        canvasApi,
+        `/courses/${parsedUrl.courseId}/blueprint_templates/default/associated_courses`,
+        { per_page: 100 }
+      );
+      associatedCourses = courses.map(associated => ({
+        id: associated.id,
+        name: associated.name,
+        courseCode: associated.course_code,
+        termName: associated.term_name,
+        courseUrl: buildCourseUrl(parsedUrl.baseUrl, associated.id)
+      }));
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        isBlueprint: !!course.data.blueprint,
+        courseName: course.data.name,
+        associatedCourses
+      }
+    });
+  } catch (error) {
+    console.error('Canvas blueprint error:', error.message);
     
     res.status(error.response?.status || 500).json({
       success: false,
@@ -140,27 +559,936 @@ router.put('/pages', async (req, res) => {
 });
 
 /**
- * Extract base URL and course ID from a Canvas course URL
- * @param {string} url - Canvas course URL
- * @returns {Object} An object containing baseUrl and courseId
+ * Start a blueprint sync, pushing the blueprint content to its associated courses
+ * POST /api/canvas/blueprint/migrations
  */
-function parseCourseUrl(url) {
+router.post('/blueprint/migrations', async (req, res) => {
   try {
-    const parsedUrl = new URL(url);
+    const { courseUrl, comment, sendNotification } = req.body;
     
-    // Extract the course ID from the path
-    const pathMatch = parsedUrl.pathname.match(/\/courses\/(\d+)/);
-    if (!pathMatch) {
-      throw new Error('Could not find course ID in the URL');
+    if (!courseUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL is required'
+      });
     }
     
-    const courseId = pathMatch[1];
-    const baseUrl = `${parsedUrl.protocol}//${parsedUrl.hostname}`;
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    const response = await canvasApi.post(
+      `/courses/${parsedUrl.courseId}/blueprint_templates/default/migrations`,
+      {
+        comment: comment || undefined,
+        send_notification: !!sendNotification
+      }
+    );
     
-    return { baseUrl, courseId };
+    res.status(201).json({
+      success: true,
+      data: normalizeMigration(response.data)
+    });
   } catch (error) {
-    throw new Error(`Failed to parse Canvas URL: ${error.message}`);
+    console.error('Canvas start blueprint sync error:', error.message);
+    
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.message || error.message
+    });
   }
+});
+
+/**
+ * Get the status of a blueprint sync
+ * GET /api/canvas/blueprint/migrations/:migrationId
+ */
+router.get('/blueprint/migrations/:migrationId', async (req, res) => {
+  try {
+    const { courseUrl } = req.query;
+    
+    if (!courseUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL is required'
+      });
+    }
+    
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    const response = await canvasApi.get(
+      `/courses/${parsedUrl.courseId}/blueprint_templates/default/migrations/${encodeURIComponent(req.params.migrationId)}`
+    );
+    
+    res.json({
+      success: true,
+      data: normalizeMigration(response.data)
+    });
+  } catch (error) {
+    console.error('Canvas blueprint sync status error:', error.message);
+    
+    res.status(error.response?.status || 500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.message || error.message
+    });
+  }
+});
+
+/**
+ * Start a run; page writes that carry its ID are snapshotted for rollback
+ * POST /api/canvas/runs
+ */
+router.post('/runs', async (req, res) => {
+  try {
+    const { courseUrl } = req.body;
+    
+    if (!courseUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL is required'
+      });
+    }
+    
+    // Fail early on a course URL that page writes could not use
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // The run belongs to the Canvas user who started it; only they can see or roll it back
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    const userId = await getCanvasUserId(req, canvasApi);
+    
+    const run = await snapshotStore.createRun(courseUrl, { baseUrl: parsedUrl.baseUrl, userId });
+    
+    res.status(201).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Canvas create run error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List the previous runs of the session's Canvas user in a course
+ * GET /api/canvas/runs
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const { courseUrl } = req.query;
+    
+    if (!courseUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL is required'
+      });
+    }
+    
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    const runs = [];
+    for (const run of await snapshotStore.listRuns()) {
+      if (isSameCourse(parseCourseUrl(run.courseUrl), parsedUrl) && await canAccessRun(req, canvasApi, run, parsedUrl)) {
+        runs.push(run);
+      }
+    }
+    
+    res.json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    console.error('Canvas list runs error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get a run of the session's Canvas user with the snapshots of the pages it changed
+ * GET /api/canvas/runs/:runId
+ */
+router.get('/runs/:runId', async (req, res) => {
+  try {
+    const { courseUrl } = req.query;
+    
+    if (!courseUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL is required'
+      });
+    }
+    
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    const run = await getRunForCourse(req, canvasApi, req.params.runId, parsedUrl);
+    
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Canvas get run error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Restore every page a run changed to its snapshot. Pages the run created
+ * are deleted. Each page reports whether it was edited in Canvas after the run.
+ * POST /api/canvas/runs/:runId/rollback
+ */
+router.post('/runs/:runId/rollback', async (req, res) => {
+  try {
+    const { courseUrl } = req.body;
+    
+    if (!courseUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Course URL is required'
+      });
+    }
+    
+    // Parse course URL to extract base URL and course ID
+    const parsedUrl = parseCourseUrl(courseUrl);
+    
+    // Create a Canvas client that shares the rate limit with other requests
+    const canvasApi = createCanvasClient(parsedUrl, res.locals.canvasToken, res.locals.throttleEvents);
+    
+    const run = await getRunForCourse(req, canvasApi, req.params.runId, parsedUrl);
+    
+    const pages = [];
+    for (const [key, snapshot] of Object.entries(run.pages)) {
+      // Runs recorded before other resource types were supported only hold pages
+      const target = snapshot.target || { type: 'page', id: key };
+      const resource = RESOURCE_TYPES[target.type];
+      const resourcePath = resource.path(parsedUrl.courseId, target.id);
+      
+      try {
+        let current = null;
+        try {
+          current = await fetchResource(canvasApi, parsedUrl.courseId, target);
+        } catch (error) {
+          if (error.response?.status !== 404) {
+            throw error;
+          }
+        }
+        
+        const revision = current && resource.hasRevisions
+          ? await getLatestRevision(canvasApi, parsedUrl.courseId, target.id)
+          : null;
+        const editedSinceRun = isEditedSinceRun(snapshot, current && normalizeResource(target, current), revision);
+        
+        let status;
+        if (snapshot.created) {
+          if (current) {
+            await canvasApi.delete(resourcePath);
+            status = 'deleted';
+          } else {
+            status = 'already_deleted';
+          }
+        } else {
+          // Settings are restored too; runs recorded before pages had settings have none
+          await canvasApi.put(resourcePath, resource.write(snapshot.previousBody, snapshot.previousSettings || undefined));
+          status = 'restored';
+        }
+        
+        pages.push({ page: key, target, title: snapshot.title, status, editedSinceRun });
+      } catch (error) {
+        pages.push({
+          page: key,
+          target,
+          title: snapshot.title,
+          status: 'error',
+          editedSinceRun: null,
+          error: error.response?.data?.errors?.[0]?.message || error.message
+        });
+      }
+    }
+    
+    const rolledBackAt = new Date().toISOString();
+    await snapshotStore.updateRun(run.id, stored => {
+      stored.rolledBackAt = rolledBackAt;
+      stored.rollback = pages;
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        runId: run.id,
+        rolledBackAt,
+        pages
+      }
+    });
+  } catch (error) {
+    console.error('Canvas rollback error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.response?.data?.errors?.[0]?.message || error.message
+    });
+  }
+});
+
+/**
+ * Get every item of a paginated Canvas list by following the Link header.
+ * Only links to the Canvas instance of the client are followed, as the
+ * requests carry its token.
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @param {string} url - List endpoint
+ * @param {Object} params - Query parameters for the first request
+ * @returns {Promise<Array>} All items
+ */
+async function getAllPages(canvasApi, url, params) {
+  const { origin } = new URL(canvasApi.defaults.baseURL);
+  const items = [];
+  let response = await canvasApi.get(url, { params });
+  items.push(...response.data);
+  
+  let next = parseLinkHeader(response.headers.link).next;
+  while (next) {
+    if (new URL(next, canvasApi.defaults.baseURL).origin !== origin) {
+      console.warn(`Not following a Canvas pagination link to another host: ${next}`);
+      break;
+    }
+
+    // The next link already carries every query parameter
+    response = await canvasApi.get(next);
+    items.push(...response.data);
+    next = parseLinkHeader(response.headers.link).next;
+  }
+  
+  return items;
+}
+
+/**
+ * Parse a Link header into URLs keyed by their rel
+ * @param {string} header - Link header value
+ * @returns {Object} URLs keyed by rel (next, prev, first, last, current)
+ */
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+  
+  for (const part of header.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  }
+  
+  return links;
+}
+
+/**
+ * Find the data-code-placement placeholders in a page body
+ * @param {string} html - Page body
+ * @returns {Array} Placeholders with placement, element type, whether they are
+ *   empty, and the stamp left by the run that filled them
+ */
+function extractPlaceholders(html) {
+  const placeholders = [];
+  const tagRegex = /<(div|pre)\b([^>]*)>/gi;
+  let match;
+  
+  while ((match = tagRegex.exec(html)) !== null) {
+    const attributes = {};
+    const attributeRegex = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let attribute;
+    while ((attribute = attributeRegex.exec(match[2])) !== null) {
+      attributes[attribute[1].toLowerCase()] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+    }
+    
+    if (attributes['data-code-placement'] === undefined) continue;
+    
+    const elementType = match[1].toLowerCase();
+    const rest = html.slice(tagRegex.lastIndex);
+    placeholders.push({
+      placement: attributes['data-code-placement'],
+      elementType,
+      empty: new RegExp(`^\\s*</${elementType}>`, 'i').test(rest),
+      hash: attributes['data-dcl-hash'] || null,
+      source: attributes['data-dcl-source'] || null,
+      commit: attributes['data-dcl-commit'] || null
+    });
+  }
+  
+  return placeholders;
+}
+
+/**
+ * Decode the HTML entities that can appear in attribute values
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Check whether two parsed course URLs name the same course
+ * @param {Object} a - Parsed course URL
+ * @param {Object} b - Parsed course URL
+ * @returns {boolean} True for the same course on the same Canvas instance
+ */
+function isSameCourse(a, b) {
+  return a.baseUrl === b.baseUrl && a.courseId === b.courseId;
+}
+
+/**
+ * Get the ID of the Canvas user the session acts as: the user of the Canvas
+ * sign-in, or the owner of the API key, which is looked up once per key
+ * @param {Object} req - Express request
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @returns {Promise<string>} Canvas user ID
+ */
+async function getCanvasUserId(req, canvasApi) {
+  const { session } = req;
+  const usesApiKey = Boolean(session.credentials.canvasApiKey);
+  const known = usesApiKey ? session.canvasApiKeyUserId : session.canvasLogin?.user?.id;
+  if (known) {
+    return String(known);
+  }
+  
+  const response = await canvasApi.get('/users/self');
+  if (usesApiKey) {
+    session.canvasApiKeyUserId = response.data.id;
+  }
+  return String(response.data.id);
+}
+
+/**
+ * Check whether the session may see a run of its course: the run must have
+ * been started by the same Canvas user on the same instance. Runs recorded
+ * before runs had an owner are open to anyone whose token can read the course.
+ * @param {Object} req - Express request
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @param {Object} run - Run or run summary
+ * @param {Object} parsedUrl - Parsed course URL of the request
+ * @returns {Promise<boolean>} True if the session may see the run
+ */
+async function canAccessRun(req, canvasApi, run, parsedUrl) {
+  if (run.owner) {
+    return run.owner.baseUrl === parsedUrl.baseUrl && run.owner.userId === await getCanvasUserId(req, canvasApi);
+  }
+  
+  try {
+    await canvasApi.get(`/courses/${parsedUrl.courseId}`);
+    return true;
+  } catch (error) {
+    if ([401, 403, 404].includes(error.response?.status)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load a run and check that it belongs to the course being written to and
+ * to the Canvas user of the session
+ * @param {Object} req - Express request
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @param {string} runId - Run ID
+ * @param {Object} parsedUrl - Parsed course URL of the request
+ * @returns {Promise<Object>} The run
+ */
+async function getRunForCourse(req, canvasApi, runId, parsedUrl) {
+  const run = await snapshotStore.getRun(runId);
+  
+  if (!isSameCourse(parseCourseUrl(run.courseUrl), parsedUrl)) {
+    const error = new Error(`Run ${runId} belongs to a different course`);
+    error.status = 400;
+    throw error;
+  }
+  
+  if (!await canAccessRun(req, canvasApi, run, parsedUrl)) {
+    const error = new Error(`Run ${runId} was started by another Canvas user`);
+    error.status = 403;
+    throw error;
+  }
+  
+  return run;
+}
+
+/**
+ * Resolve a target to the resource that holds its HTML. Discussions can be
+ * named by ID or by the slug of their title.
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @param {string} courseId - Canvas course ID
+ * @param {string} type - Target type (page, assignment, discussion, quiz or syllabus)
+ * @param {string} id - Page slug or resource ID; not used for the syllabus
+ * @returns {Promise<Object>} Target with type and the ID Canvas knows the resource by
+ */
+async function resolveTarget(canvasApi, courseId, type, id) {
+  if (!RESOURCE_TYPES[type]) {
+    const error = new Error(`Unknown target type: ${type}`);
+    error.status = 400;
+    throw error;
+  }
+  
+  if (type === 'syllabus') {
+    return { type, id: null };
+  }
+  
+  if (!id) {
+    const error = new Error(`A ${type} target needs an ID`);
+    error.status = 400;
+    throw error;
+  }
+  
+  if (type === 'discussion' && !/^\d+$/.test(id)) {
+    const topics = await getAllPages(canvasApi, `/courses/${courseId}/discussion_topics`, { per_page: 100 });
+    const topic = topics.find(candidate => slugify(candidate.title) === id);
+    if (!topic) {
+      const error = new Error(`Discussion not found: ${id}`);
+      error.status = 404;
+      throw error;
+    }
+    return { type, id: String(topic.id) };
+  }
+  
+  return { type, id };
+}
+
+/**
+ * Read the requested position of a module item
+ * @param {*} value - Position from the query string or the request body
+ * @returns {number|null} Position, starting at 1, or null if none was requested
+ * @throws {Error} With status 400 if the position is not a whole number of 1 or more
+ */
+function parsePosition(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  const position = Number(value);
+  if (!Number.isInteger(position) || position < 1) {
+    const error = new Error('Position must be a whole number of 1 or more');
+    error.status = 400;
+    throw error;
+  }
+  return position;
+}
+
+/**
+ * List the modules of a course with their items. Canvas may leave the items
+ * out of the module list when there are many, so those are fetched separately.
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @param {string} courseId - Canvas course ID
+ * @returns {Promise<Array<Object>>} Modules, each with its items
+ */
+async function getModulesWithItems(canvasApi, courseId) {
+  const modules = await getAllPages(canvasApi, `/courses/${courseId}/modules`, { per_page: 100, include: ['items'] });
+  
+  for (const module of modules) {
+    if (!Array.isArray(module.items)) {
+      module.items = await getAllPages(canvasApi, `/courses/${courseId}/modules/${encodeURIComponent(module.id)}/items`, { per_page: 100 });
+    }
+  }
+  
+  return modules;
+}
+
+/**
+ * Work out what placing a target in a module at a position takes
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @param {string} courseId - Canvas course ID
+ * @param {Object} target - Resolved target
+ * @param {string|number} moduleRef - Module ID or name
+ * @param {number|null} position - Requested position, or null to leave it to Canvas
+ * @returns {Promise<Object>} Module, the existing item (if any), the modules that hold the
+ *   target, and the action: 'create', 'move' or 'none'
+ * @throws {Error} With status 400 for targets that cannot be module items, 404 if the module
+ *   does not exist and 409 if several modules have its name
+ */
+async function planModuleItem(canvasApi, courseId, target, moduleRef, position) {
+  const itemType = RESOURCE_TYPES[target.type].moduleItemType;
+  if (!itemType) {
+    const error = new Error(`A ${target.type} target cannot be added to a module`);
+    error.status = 400;
+    throw error;
+  }
+  
+  const modules = await getModulesWithItems(canvasApi, courseId);
+  const ref = String(moduleRef).trim();
+  
+  // A number names a module by ID first; anything else, or an unknown ID, by name
+  let candidates = modules.filter(module => String(module.id) === ref);
+  if (candidates.length === 0) {
+    candidates = modules.filter(module => module.name === ref);
+  }
+  if (candidates.length === 0) {
+    candidates = modules.filter(module => module.name.trim().toLowerCase() === ref.toLowerCase());
+  }
+  
+  if (candidates.length === 0) {
+    const error = new Error(`Module not found: ${ref}`);
+    error.status = 404;
+    throw error;
+  }
+  if (candidates.length > 1) {
+    const error = new Error(`Several modules are named '${ref}'; use the module ID (${candidates.map(module => module.id).join(', ')})`);
+    error.status = 409;
+    throw error;
+  }
+  
+  const isTargetItem = item => item.type === itemType && (target.type === 'page'
+    ? item.page_url === target.id
+    : String(item.content_id) === String(target.id));
+  
+  const module = candidates[0];
+  const item = module.items.find(isTargetItem) || null;
+  
+  let action = 'none';
+  if (!item) {
+    action = 'create';
+  } else if (position && item.position !== position) {
+    action = 'move';
+  }
+  
+  return {
+    module,
+    item,
+    position,
+    action,
+    containingModules: modules.filter(candidate => candidate.items.some(isTargetItem))
+  };
+}
+
+/**
+ * Describe a module plan for the browser
+ * @param {Object} plan - Plan from planModuleItem
+ * @returns {Object} Module, item, requested position, action, and the other modules that hold the target
+ */
+function describeModulePlan(plan) {
+  return {
+    module: { id: plan.module.id, name: plan.module.name },
+    item: plan.item ? { id: plan.item.id, position: plan.item.position } : null,
+    position: plan.position,
+    action: plan.action,
+    otherModules: plan.containingModules
+      .filter(module => module.id !== plan.module.id)
+      .map(module => ({ id: module.id, name: module.name }))
+  };
+}
+
+/**
+ * Turn a title into the slug used to name discussions
+ * @param {string} title - Title
+ * @returns {string} Lower-case slug with words joined by hyphens
+ */
+function slugify(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Get the raw Canvas object for a target
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @param {string} courseId - Canvas course ID
+ * @param {Object} target - Resolved target
+ * @returns {Promise<Object>} Canvas object
+ */
+async function fetchResource(canvasApi, courseId, target) {
+  const resource = RESOURCE_TYPES[target.type];
+  const response = await canvasApi.get(resource.path(courseId, target.id), { params: resource.params });
+  return response.data;
+}
+
+/**
+ * Map a Canvas object to the fields shared by every target type
+ * @param {Object} target - Resolved target
+ * @param {Object} data - Canvas object
+ * @returns {Object} Type, ID, title, HTML body, update time and Canvas URL
+ */
+function normalizeResource(target, data) {
+  const { title, body, updatedAt, htmlUrl, settings } = RESOURCE_TYPES[target.type].read(data);
+  
+  return {
+    type: target.type,
+    id: target.id,
+    title,
+    body: body || '',
+    updated_at: updatedAt,
+    html_url: htmlUrl,
+    settings: settings || null
+  };
+}
+
+/**
+ * Check the settings sent with a write and keep only known ones
+ * @param {Object} target - Target of the write (only pages have settings)
+ * @param {Object} settings - Requested settings such as published or editing_roles
+ * @returns {Object} Settings to send to Canvas
+ * @throws {Error} With status 400 if a setting is unknown, has the wrong type or the target has no settings
+ */
+function checkPageSettings(target, settings) {
+  if (settings === undefined || settings === null || Object.keys(settings).length === 0) {
+    return {};
+  }
+  
+  const fail = message => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+  
+  if (!RESOURCE_TYPES[target.type]?.hasSettings) {
+    throw fail(`A ${target.type} target has no page settings`);
+  }
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw fail('Settings must be an object');
+  }
+  
+  const checked = {};
+  for (const [name, value] of Object.entries(settings)) {
+    if (!PAGE_SETTING_TYPES[name]) {
+      throw fail(`Unknown page setting: ${name}`);
+    }
+    if (typeof value !== PAGE_SETTING_TYPES[name]) {
+      throw fail(`Page setting '${name}' must be a ${PAGE_SETTING_TYPES[name]}`);
+    }
+    checked[name] = value;
+  }
+  return checked;
+}
+
+/**
+ * Get the key a target is stored under in a run
+ * @param {Object} target - Resolved target
+ * @returns {string} Key such as "page:intro", "assignment:12" or "syllabus"
+ */
+function resourceKey(target) {
+  return target.id ? `${target.type}:${target.id}` : target.type;
+}
+
+/**
+ * Write the HTML of a target, snapshotting it first when the write belongs to a run
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @param {Object} parsedUrl - Parsed course URL
+ * @param {Object} target - Resolved target
+ * @param {string} body - New HTML
+ * @param {Object} run - Run the write belongs to (see getRunForCourse), if it should be snapshotted
+ * @param {Object} settings - Page settings to change along with the HTML
+ * @param {Object} expectedVersion - Version the resource must still have (see getResourceVersion), if any
+ * @returns {Promise<Object>} Canvas object after the write
+ * @throws {Error} With status 409 and code 'stale_version' if the resource no longer has the expected version
+ */
+async function writeResource(canvasApi, parsedUrl, target, body, run, settings, expectedVersion) {
+  const resource = RESOURCE_TYPES[target.type];
+  const { courseId } = parsedUrl;
+  const pageSettings = checkPageSettings(target, settings);
+  
+  // Refuse to overwrite an edit made since the caller last read the resource
+  if (expectedVersion) {
+    const current = normalizeResource(target, await fetchResource(canvasApi, courseId, target));
+    const currentVersion = await getResourceVersion(canvasApi, courseId, target, current);
+    if (!isSameVersion(expectedVersion, currentVersion)) {
+      const error = new Error(`${current.title || resourceKey(target)} was edited in Canvas after it was verified`);
+      error.status = 409;
+      error.code = 'stale_version';
+      error.currentVersion = currentVersion;
+      throw error;
+    }
+  }
+  
+  // Keep the resource as it was before this run first changed it
+  if (run) {
+    const key = resourceKey(target);
+    if (!run.pages[key]) {
+      const current = normalizeResource(target, await fetchResource(canvasApi, courseId, target));
+      const revision = resource.hasRevisions ? await getLatestRevision(canvasApi, courseId, target.id) : null;
+      await snapshotStore.recordSnapshot(run.id, key, {
+        target,
+        created: false,
+        title: current.title,
+        previousBody: current.body,
+        previousRevisionId: revision ? revision.revision_id : null,
+        previousUpdatedAt: current.updated_at,
+        previousBodyHash: hashBody(current.body),
+        previousSettings: current.settings
+      });
+    }
+  }
+  
+  const response = await canvasApi.put(resource.path(courseId, target.id), resource.write(body, pageSettings));
+  
+  // Some endpoints (the course for the syllabus) do not return the HTML they stored
+  let data = response.data;
+  if (resource.read(data).body === undefined) {
+    data = await fetchResource(canvasApi, courseId, target);
+  }
+  
+  if (run) {
+    await recordRunWrite(canvasApi, courseId, run.id, target, data);
+  }
+  
+  return data;
+}
+
+/**
+ * Get the latest revision of a page from the page revisions API
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @param {string} courseId - Canvas course ID
+ * @param {string} pageUrl - The URL (slug) of the page
+ * @returns {Promise<Object|null>} Latest revision, or null if revisions are not available
+ */
+async function getLatestRevision(canvasApi, courseId, pageUrl) {
+  try {
+    const response = await canvasApi.get(`/courses/${courseId}/pages/${encodeURIComponent(pageUrl)}/revisions/latest`, {
+      params: { summary: true }
+    });
+    return response.data;
+  } catch (error) {
+    // Reading revisions needs edit rights on the page; fall back to the body
+    return null;
+  }
+}
+
+/**
+ * Get what identifies the current version of a resource
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @param {string} courseId - Canvas course ID
+ * @param {Object} target - Resolved target
+ * @param {Object} content - Resource as returned by normalizeResource
+ * @returns {Promise<Object>} Update time, latest revision ID (pages only) and hash of the HTML
+ */
+async function getResourceVersion(canvasApi, courseId, target, content) {
+  const revision = RESOURCE_TYPES[target.type].hasRevisions
+    ? await getLatestRevision(canvasApi, courseId, target.id)
+    : null;
+  
+  return {
+    updatedAt: content.updated_at || null,
+    revisionId: revision ? revision.revision_id : null,
+    bodyHash: hashBody(content.body)
+  };
+}
+
+/**
+ * Compare two resource versions by the most precise field both have
+ * @param {Object} expected - Version the caller read
+ * @param {Object} current - Current version
+ * @returns {boolean} True if the resource has not changed in between
+ */
+function isSameVersion(expected, current) {
+  if (expected.revisionId && current.revisionId) {
+    return expected.revisionId === current.revisionId;
+  }
+  if (expected.updatedAt && current.updatedAt) {
+    return expected.updatedAt === current.updatedAt;
+  }
+  return expected.bodyHash === current.bodyHash;
+}
+
+/**
+ * Hash an HTML body, to detect edits to resources without revision history
+ * @param {string} body - HTML body
+ * @returns {string} SHA-256 hex digest
+ */
+function hashBody(body) {
+  return crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+/**
+ * Record the resource a run just wrote, so rollback can tell later edits apart
+ * @param {Object} canvasApi - Authenticated Axios instance
+ * @param {string} courseId - Canvas course ID
+ * @param {string} runId - Run ID
+ * @param {Object} target - Resolved target
+ * @param {Object} data - Canvas object after the write
+ */
+async function recordRunWrite(canvasApi, courseId, runId, target, data) {
+  const written = normalizeResource(target, data);
+  const revision = RESOURCE_TYPES[target.type].hasRevisions
+    ? await getLatestRevision(canvasApi, courseId, target.id)
+    : null;
+  
+  await snapshotStore.recordWrite(runId, resourceKey(target), {
+    revisionId: revision ? revision.revision_id : null,
+    updatedAt: written.updated_at,
+    bodyHash: hashBody(written.body)
+  });
+}
+
+/**
+ * Check whether a resource changed in Canvas after the run last wrote it
+ * @param {Object} snapshot - Entry of the run
+ * @param {Object|null} current - Current resource (normalized), or null if it no longer exists
+ * @param {Object|null} revision - Latest revision of the current page
+ * @returns {boolean} True if someone edited or deleted the resource since the run
+ */
+function isEditedSinceRun(snapshot, current, revision) {
+  if (!current) {
+    return !snapshot.created;
+  }
+  
+  // A resource whose write failed is compared with its state before the run
+  const expected = snapshot.written || {
+    revisionId: snapshot.previousRevisionId,
+    updatedAt: snapshot.previousUpdatedAt,
+    bodyHash: snapshot.previousBodyHash
+  };
+  
+  if (revision && expected.revisionId !== null && expected.revisionId !== undefined) {
+    return revision.revision_id !== expected.revisionId;
+  }
+  
+  if (expected.bodyHash) {
+    return hashBody(current.body) !== expected.bodyHash;
+  }
+  
+  return current.updated_at !== expected.updatedAt;
+}
+
+/**
+ * Map a Canvas blueprint migration to the fields the tool reports
+ * @param {Object} migration - Blueprint migration from the Canvas API
+ * @returns {Object} ID, workflow state, whether it finished, and its timestamps
+ */
+function normalizeMigration(migration) {
+  return {
+    id: migration.id,
+    workflowState: migration.workflow_state,
+    finished: BLUEPRINT_FINAL_STATES.includes(migration.workflow_state),
+    failed: BLUEPRINT_FAILED_STATES.includes(migration.workflow_state),
+    comment: migration.comment || null,
+    createdAt: migration.created_at || null,
+    exportsStartedAt: migration.exports_started_at || null,
+    importsQueuedAt: migration.imports_queued_at || null,
+    importsCompletedAt: migration.imports_completed_at || null
+  };
 }
 
 module.exports = router;
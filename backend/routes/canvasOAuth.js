@@ -0,0 +1,126 @@
+const express = require('express');
+const sessionStore = require('../sessionStore');
+const canvasOAuth = require('../canvasOAuth');
+const router = express.Router();
+
+/**
+ * Whether Canvas sign-in is available and whether the session is signed in
+ * GET /api/canvas/oauth/status
+ */
+router.get('/status', sessionStore.requireAppRequest, (req, res) => {
+  const login = req.session?.canvasLogin;
+
+  res.json({
+    success: true,
+    data: {
+      enabled: canvasOAuth.isEnabled(),
+      baseUrl: canvasOAuth.BASE_URL,
+      // Opened as a page on the backend itself, which the development proxy does not serve
+      startUrl: new URL('/api/canvas/oauth/start', canvasOAuth.REDIRECT_URI).toString(),
+      signedIn: Boolean(login),
+      user: login?.user || null,
+      error: req.session?.canvasLoginError || null
+    }
+  });
+});
+
+/**
+ * Send the browser to Canvas to sign in
+ * GET /api/canvas/oauth/start
+ */
+router.get('/start', (req, res) => {
+  if (!canvasOAuth.isEnabled()) {
+    return res.status(404).json({
+      success: false,
+      error: 'Canvas sign-in is not configured on this server'
+    });
+  }
+
+  const session = req.session || sessionStore.createSession();
+  sessionStore.setSessionCookie(req, res, session);
+  canvasOAuth.redirectToSignIn(req, res, session);
+});
+
+/**
+ * Canvas sends the browser back here with an authorization code
+ * GET /api/canvas/oauth/callback
+ */
+router.get('/callback', async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+  const cookieState = sessionStore.parseCookies(req.headers.cookie)[canvasOAuth.STATE_COOKIE];
+  res.clearCookie(canvasOAuth.STATE_COOKIE, canvasOAuth.stateCookieOptions(req));
+
+  // A state from another browser could sign this one in to someone else's session
+  const sessionId = state && state === cookieState ? canvasOAuth.takeState(state) : null;
+  const session = sessionStore.getSession(sessionId);
+  if (!session) {
+    return renderCallbackPage(res, 400, 'This sign-in link is invalid or has expired. Start the sign-in again.');
+  }
+
+  if (error || !code) {
+    session.canvasLoginError = errorDescription || error || 'Canvas did not return an authorization code';
+    return renderCallbackPage(res, 400, `Canvas sign-in failed: ${session.canvasLoginError}`);
+  }
+
+  try {
+    session.canvasLogin = await canvasOAuth.exchangeCode(code);
+    delete session.canvasLoginError;
+    renderCallbackPage(res, 200, `Signed in to Canvas${session.canvasLogin.user ? ` as ${session.canvasLogin.user.name}` : ''}.`);
+  } catch (exchangeError) {
+    console.error('Canvas OAuth error:', exchangeError.message);
+    session.canvasLoginError = exchangeError.response?.data?.error_description || exchangeError.message;
+    renderCallbackPage(res, 502, `Canvas sign-in failed: ${session.canvasLoginError}`);
+  }
+});
+
+/**
+ * Sign out of Canvas; the tokens are revoked in Canvas and forgotten
+ * POST /api/canvas/oauth/logout
+ */
+router.post('/logout', sessionStore.requireAppRequest, async (req, res) => {
+  const login = req.session?.canvasLogin;
+
+  if (login) {
+    delete req.session.canvasLogin;
+    try {
+      await canvasOAuth.revokeLogin(login);
+    } catch (error) {
+      // The tokens are forgotten either way; Canvas expires them on its own
+      console.warn('Failed to revoke Canvas token:', error.message);
+    }
+  }
+
+  res.json({
+    success: true,
+    data: { signedIn: false }
+  });
+});
+
+/**
+ * Render the page the sign-in popup ends on. It closes itself when it was
+ * opened as a popup and returns to the app otherwise.
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Message to show
+ */
+function renderCallbackPage(res, status, message) {
+  const escaped = message.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  const appUrl = JSON.stringify(canvasOAuth.APP_URL).replace(/</g, '\\u003c');
+
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Canvas sign-in</title></head>
+<body>
+<p>${escaped}</p>
+<script>
+  if (window.opener) {
+    window.close();
+  } else {
+    setTimeout(function () { window.location.replace(${appUrl}); }, 2000);
+  }
+</script>
+</body>
+</html>`);
+}
+
+module.exports = router;
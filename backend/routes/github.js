@@ -1,14 +1,28 @@
 const express = require('express');
 const axios = require('axios');
+const { githubGet, mapConcurrently } = require('../githubClient');
 const router = express.Router();
 
+// API of repositories on github.com. Set it to use the mock GitHub server
+// (backend/mock/githubServer.js) or to send github.com repositories elsewhere.
+const GITHUB_API_URL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+const GITHUB_HOSTS = ['github.com', 'www.github.com'];
+// GitHub Enterprise Server hosts repositories may be on. The session token is
+// only ever sent to these and to GITHUB_API_URL.
+const ENTERPRISE_HOSTS = (process.env.GITHUB_ENTERPRISE_HOSTS || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+// Branch and tag lists stop after this many pages of 100
+const MAX_LIST_PAGES = 10;
+// Blobs that one request may ask for
+const MAX_BLOBS_PER_REQUEST = 100;
+
 /**
- * Get repository contents
+ * Get repository contents at a branch, tag or commit (the default branch if no ref is given)
  * GET /api/github/contents
  */
 router.get('/contents', async (req, res) => {
   try {
-    const { repoUrl, path = '', token } = req.query;
+    const { repoUrl, path = '', ref } = req.query;
     
     if (!repoUrl) {
       return res.status(400).json({
@@ -17,21 +31,17 @@ router.get('/contents', async (req, res) => {
       });
     }
     
-    // Parse repo URL to extract owner and repo name
-    const { owner, repo } = parseRepoUrl(repoUrl);
+    // Parse repo URL to extract owner, repo name and the API it is served by
+    const { owner, repo, apiUrl } = parseRepoUrl(repoUrl);
     
     // Prepare headers with auth token if available
-    const headers = {};
-    if (token) {
-      // Use user-provided token first
-      headers.Authorization = `token ${token}`;
-    } else if (process.env.GITHUB_TOKEN) {
-      // Fall back to server-side token if available
-      headers.Authorization = `token ${process.env.GITHUB_TOKEN}`;
-    }
+    const headers = githubHeaders(req, apiUrl);
     
-    // Make request to GitHub API
-    const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/contents/${path}`, { headers });
+    // Make request to GitHub API; without a ref GitHub reads the default branch
+    const response = await axios.get(`${apiUrl}/repos/${owner}/${repo}/contents/${path}`, {
+      headers,
+      params: { ref: ref || undefined }
+    });
     
     res.json({
       success: true,
@@ -40,7 +50,7 @@ router.get('/contents', async (req, res) => {
   } catch (error) {
     console.error('GitHub API error:', error.message);
     
-    res.status(error.response?.status || 500).json({
+    res.status(error.response?.status || error.status || 500).json({
       success: false,
       error: error.response?.data?.message || error.message
     });
@@ -48,12 +58,12 @@ router.get('/contents', async (req, res) => {
 });
 
 /**
- * Get file content
+ * Get file content at a branch, tag or commit (the default branch if no ref is given)
  * GET /api/github/content
  */
 router.get('/content', async (req, res) => {
   try {
-    const { repoUrl, path, token } = req.query;
+    const { repoUrl, path, ref } = req.query;
     
     if (!repoUrl || !path) {
       return res.status(400).json({
@@ -62,21 +72,17 @@ router.get('/content', async (req, res) => {
       });
     }
     
-    // Parse repo URL to extract owner and repo name
-    const { owner, repo } = parseRepoUrl(repoUrl);
+    // Parse repo URL to extract owner, repo name and the API it is served by
+    const { owner, repo, apiUrl } = parseRepoUrl(repoUrl);
     
     // Prepare headers with auth token if available
-    const headers = {};
-    if (token) {
-      // Use user-provided token first
-      headers.Authorization = `token ${token}`;
-    } else if (process.env.GITHUB_TOKEN) {
-      // Fall back to server-side token if available
-      headers.Authorization = `token ${process.env.GITHUB_TOKEN}`;
-    }
+    const headers = githubHeaders(req, apiUrl);
     
-    // Make request to GitHub API
-    const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/contents/${path}`, { headers });
+    // Make request to GitHub API; without a ref GitHub reads the default branch
+    const response = await axios.get(`${apiUrl}/repos/${owner}/${repo}/contents/${path}`, {
+      headers,
+      params: { ref: ref || undefined }
+    });
     
     if (!response.data.content) {
       throw new Error('Content not found or not a file');
@@ -97,7 +103,114 @@ router.get('/content', async (req, res) => {
   } catch (error) {
     console.error('GitHub API error:', error.message);
     
-    res.status(error.response?.status || 500).json({
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.response?.data?.message || error.message
+    });
+  }
+});
+
+/**
+ * Get the commit a ref points to (the head of the default branch by default)
+ * GET /api/github/commit
+ */
+router.get('/commit', async (req, res) => {
+  try {
+    const { repoUrl, ref = 'HEAD' } = req.query;
+    
+    if (!repoUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Repository URL is required'
+      });
+    }
+    
+    // Parse repo URL to extract owner, repo name and the API it is served by
+    const { owner, repo, apiUrl } = parseRepoUrl(repoUrl);
+    
+    // Prepare headers with auth token if available
+    const headers = githubHeaders(req, apiUrl);
+    
+    // Make request to GitHub API; a branch that has not moved is answered from the cache
+    const response = await githubGet(`${apiUrl}/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}`, { headers });
+    
+    res.json({
+      success: true,
+      data: {
+        sha: response.data.sha,
+        message: response.data.commit?.message,
+        date: response.data.commit?.committer?.date,
+        url: response.data.html_url
+      }
+    });
+  } catch (error) {
+    console.error('GitHub API error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.response?.data?.message || error.message
+    });
+  }
+});
+
+/**
+ * List every file under a directory at a branch, tag or commit, with one
+ * request for the commit and one for the recursive tree of its root
+ * GET /api/github/tree
+ */
+router.get('/tree', async (req, res) => {
+  try {
+    const { repoUrl, ref } = req.query;
+    const dirPath = (req.query.path || '').replace(/^\/+|\/+$/g, '');
+    
+    if (!repoUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Repository URL is required'
+      });
+    }
+    
+    // Parse repo URL to extract owner, repo name and the API it is served by
+    const { owner, repo, apiUrl } = parseRepoUrl(repoUrl);
+    
+    // Prepare headers with auth token if available
+    const headers = githubHeaders(req, apiUrl);
+    
+    // Resolve the ref to the tree of its commit
+    const repoPath = `${apiUrl}/repos/${owner}/${repo}`;
+    const commit = await githubGet(`${repoPath}/commits/${encodeURIComponent(ref || 'HEAD')}`, { headers });
+    const treeSha = commit.data.commit.tree.sha;
+    const tree = await githubGet(`${repoPath}/git/trees/${treeSha}`, { headers, params: { recursive: 1 } });
+    
+    const prefix = dirPath ? `${dirPath}/` : '';
+    if (dirPath && !tree.data.truncated && !tree.data.tree.some(entry => entry.type === 'tree' && entry.path === dirPath)) {
+      return res.status(404).json({
+        success: false,
+        error: `Directory not found: ${dirPath}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        commit: commit.data.sha,
+        tree: treeSha,
+        // GitHub leaves out entries of very large trees; the caller has to list the directories itself
+        truncated: Boolean(tree.data.truncated),
+        files: tree.data.tree
+          .filter(entry => entry.type === 'blob' && entry.path.startsWith(prefix))
+          .map(entry => ({
+            name: entry.path.split('/').pop(),
+            path: entry.path,
+            sha: entry.sha,
+            size: entry.size
+          }))
+      }
+    });
+  } catch (error) {
+    console.error('GitHub API error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
       success: false,
       error: error.response?.data?.message || error.message
     });
@@ -105,40 +218,222 @@ router.get('/content', async (req, res) => {
 });
 
 /**
- * Extract owner and repo name from a GitHub URL
+ * Get the content of several files by their blob SHA, a few requests at a time
+ * POST /api/github/blobs
+ */
+router.post('/blobs', async (req, res) => {
+  try {
+    const { repoUrl, shas } = req.body || {};
+    
+    if (!repoUrl || !Array.isArray(shas)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Repository URL and blob SHAs are required'
+      });
+    }
+    
+    if (shas.length > MAX_BLOBS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_BLOBS_PER_REQUEST} blobs can be requested at once`
+      });
+    }
+    
+    // Parse repo URL to extract owner, repo name and the API it is served by
+    const { owner, repo, apiUrl } = parseRepoUrl(repoUrl);
+    
+    // Prepare headers with auth token if available
+    const headers = githubHeaders(req, apiUrl);
+    
+    const uniqueShas = [...new Set(shas)];
+    const results = await mapConcurrently(uniqueShas, async (sha) => {
+      const response = await githubGet(`${apiUrl}/repos/${owner}/${repo}/git/blobs/${encodeURIComponent(sha)}`, { headers });
+      return Buffer.from(response.data.content, response.data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+    });
+    
+    // A blob that cannot be read does not fail the others
+    const blobs = {};
+    const errors = {};
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        blobs[uniqueShas[index]] = result.value;
+      } else {
+        errors[uniqueShas[index]] = result.reason.response?.data?.message || result.reason.message;
+      }
+    });
+    
+    res.json({
+      success: true,
+      data: { blobs, errors }
+    });
+  } catch (error) {
+    console.error('GitHub API error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.response?.data?.message || error.message
+    });
+  }
+});
+
+/**
+ * List the branches and tags of a repository
+ * GET /api/github/refs
+ */
+router.get('/refs', async (req, res) => {
+  try {
+    const { repoUrl } = req.query;
+    
+    if (!repoUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Repository URL is required'
+      });
+    }
+    
+    // Parse repo URL to extract owner, repo name and the API it is served by
+    const { owner, repo, apiUrl } = parseRepoUrl(repoUrl);
+    
+    // Prepare headers with auth token if available
+    const headers = githubHeaders(req, apiUrl);
+    
+    const repoPath = `${apiUrl}/repos/${owner}/${repo}`;
+    const [repository, branches, tags] = await Promise.all([
+      axios.get(repoPath, { headers }),
+      getAllPages(`${repoPath}/branches`, headers),
+      getAllPages(`${repoPath}/tags`, headers)
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        defaultBranch: repository.data.default_branch,
+        branches: branches.map(branch => ({ name: branch.name, sha: branch.commit?.sha })),
+        tags: tags.map(tag => ({ name: tag.name, sha: tag.commit?.sha }))
+      }
+    });
+  } catch (error) {
+    console.error('GitHub API error:', error.message);
+    
+    res.status(error.response?.status || error.status || 500).json({
+      success: false,
+      error: error.response?.data?.message || error.message
+    });
+  }
+});
+
+/**
+ * Get every item of a paginated GitHub list by following the Link header
+ * @param {string} url - List endpoint
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Array>} All items, up to MAX_LIST_PAGES pages
+ */
+async function getAllPages(url, headers) {
+  const items = [];
+  let next = url;
+  let params = { per_page: 100 };
+  
+  for (let page = 0; next && page < MAX_LIST_PAGES; page++) {
+    const response = await axios.get(next, { headers, params });
+    items.push(...response.data);
+    
+    // The next link already carries every query parameter
+    next = /<([^>]+)>;\s*rel="next"/.exec(response.headers.link || '')?.[1];
+    params = undefined;
+  }
+  
+  return items;
+}
+
+/**
+ * Extract owner and repo name from a GitHub URL, and find the API that serves it
  * @param {string} url - GitHub repository URL
- * @returns {Object} An object containing owner and repo
+ * @returns {Object} An object containing owner, repo and apiUrl
  */
 function parseRepoUrl(url) {
+  let parsedUrl;
+  let pathParts;
   try {
-    const parsedUrl = new URL(url);
-    const pathParts = parsedUrl.pathname.split('/').filter(Boolean);
+    parsedUrl = new URL(url);
+    pathParts = parsedUrl.pathname.split('/').filter(Boolean);
     
     if (pathParts.length < 2) {
       throw new Error('Invalid GitHub repository URL');
     }
-    
-    return {
-      owner: pathParts[0],
-      repo: pathParts[1]
-    };
   } catch (error) {
-    throw new Error(`Failed to parse GitHub URL: ${error.message}`);
+    const parseError = new Error(`Failed to parse GitHub URL: ${error.message}`);
+    parseError.status = 400;
+    throw parseError;
+  }
+  
+  return {
+    owner: pathParts[0],
+    repo: pathParts[1].replace(/\.git$/, ''),
+    apiUrl: apiUrlOf(parsedUrl)
+  };
+}
+
+/**
+ * Get the API base URL for a repository host. GitHub Enterprise Server serves
+ * its API under /api/v3 of the host the repositories are on.
+ * @param {URL} parsedUrl - Parsed repository URL
+ * @returns {string} API base URL without a trailing slash
+ * @throws {Error} If the host is neither GitHub nor an allowed GitHub Enterprise Server
+ */
+function apiUrlOf(parsedUrl) {
+  if (GITHUB_HOSTS.includes(parsedUrl.hostname)) {
+    return GITHUB_API_URL;
+  }
+  if (parsedUrl.protocol === 'https:' && ENTERPRISE_HOSTS.includes(parsedUrl.host)) {
+    return `${parsedUrl.origin}/api/v3`;
   }
+  
+  const error = new Error(`${parsedUrl.host} is not a GitHub Enterprise Server this tool may use; add it to GITHUB_ENTERPRISE_HOSTS`);
+  error.status = 403;
+  throw error;
 }
 
 /**
- * Validate GitHub token
+ * Build the headers for a GitHub API request
+ * @param {Object} req - Express request
+ * @param {string} apiUrl - API the request goes to
+ * @returns {Object} Headers, with the token of the session or the server if there is one
+ */
+function githubHeaders(req, apiUrl) {
+  // Use the token of the session first, then fall back to the server-side token.
+  // The server-side token is only sent to the API configured for the deployment.
+  const token = req.session?.credentials.githubToken || (apiUrl === GITHUB_API_URL ? process.env.GITHUB_TOKEN : null);
+  return token ? { Authorization: `token ${token}` } : {};
+}
+
+/**
+ * Validate the GitHub token of the session, against the API of a repository if one is given
  * GET /api/github/validate-token
  */
 router.get('/validate-token', async (req, res) => {
   try {
-    const { token } = req.query;
+    const token = req.session?.credentials.githubToken;
+    
+    // A repository URL that is still being typed leaves the API of the deployment
+    let apiUrl = GITHUB_API_URL;
+    try {
+      apiUrl = req.query.repoUrl ? parseRepoUrl(req.query.repoUrl).apiUrl : GITHUB_API_URL;
+    } catch (error) {
+      // A host the token may not be sent to is not a typo
+      if (error.status === 403) {
+        return res.status(403).json({
+          success: false,
+          error: error.message,
+          valid: false
+        });
+      }
+      apiUrl = GITHUB_API_URL;
+    }
     
     if (!token) {
       return res.status(400).json({
         success: false,
-        error: 'Token is required'
+        error: 'No GitHub token in this session'
       });
     }
     
@@ -148,7 +443,7 @@ router.get('/validate-token', async (req, res) => {
     };
     
     // Make a request to GitHub API to get user info
-    const response = await axios.get('https://api.github.com/user', { headers });
+    const response = await axios.get(`${apiUrl}/user`, { headers });
     
     res.json({
       success: true,
@@ -171,7 +466,7 @@ router.get('/validate-token', async (req, res) => {
     
     console.error('GitHub API error:', error.message);
     
-    res.status(error.response?.status || 500).json({
+    res.status(error.response?.status || error.status || 500).json({
       success: false,
       error: error.response?.data?.message || error.message,
       valid: false
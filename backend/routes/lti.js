@@ -0,0 +1,106 @@
+const express = require('express');
+const sessionStore = require('../sessionStore');
+const lti = require('../lti');
+const canvasOAuth = require('../canvasOAuth');
+const { isOnInstance } = require('../canvasUrl');
+const router = express.Router();
+
+// The platform sends the login initiation and the launch as HTML form posts
+router.use(express.urlencoded({ extended: false }));
+
+/**
+ * OIDC login initiation; the platform may send it as a GET or a POST
+ * GET|POST /api/lti/login
+ */
+router.all('/login', (req, res) => {
+  if (!lti.isEnabled()) {
+    return renderLaunchPage(res, 404, 'LTI launches are not configured on this server.');
+  }
+
+  try {
+    res.redirect(lti.beginLogin({ ...req.query, ...req.body }));
+  } catch (error) {
+    renderLaunchPage(res, error.status || 500, error.message);
+  }
+});
+
+/**
+ * Launch from the platform: validate the id_token and open the app bound to
+ * the launching course
+ * POST /api/lti/launch
+ */
+router.post('/launch', async (req, res) => {
+  if (!lti.isEnabled()) {
+    return renderLaunchPage(res, 404, 'LTI launches are not configured on this server.');
+  }
+
+  try {
+    const launch = await lti.validateLaunch(req.body.id_token, req.body.state);
+
+    // Each launch starts a new session; credentials of an earlier one are not carried over
+    const session = sessionStore.createSession();
+    session.lti = launch;
+    sessionStore.setSessionCookie(req, res, session);
+
+    // The launch carries no Canvas token, so the instructor signs in to the
+    // launching instance right away; the sign-in then returns to the app
+    if (canvasOAuth.isEnabled() && isOnInstance(launch.courseUrl, canvasOAuth.BASE_URL)) {
+      return canvasOAuth.redirectToSignIn(req, res, session);
+    }
+    res.redirect(303, canvasOAuth.APP_URL);
+  } catch (error) {
+    console.error('LTI launch error:', error.message);
+    renderLaunchPage(res, error.status || 500, `The tool could not be launched: ${error.message}`);
+  }
+});
+
+/**
+ * Course and user of the LTI launch of this session, if any
+ * GET /api/lti/context
+ */
+router.get('/context', (req, res) => {
+  const launch = req.session?.lti;
+
+  res.json({
+    success: true,
+    data: {
+      enabled: lti.isEnabled(),
+      launched: Boolean(launch),
+      // Without a Canvas sign-in for the launching instance there is no way to get a token
+      canvasSignIn: Boolean(launch) && canvasOAuth.isEnabled() && isOnInstance(launch.courseUrl, canvasOAuth.BASE_URL),
+      courseUrl: launch?.courseUrl || null,
+      courseTitle: launch?.courseTitle || null,
+      userName: launch?.userName || null,
+      returnUrl: launch?.returnUrl || null
+    }
+  });
+});
+
+/**
+ * JSON configuration for a Canvas LTI developer key
+ * GET /api/lti/config
+ */
+router.get('/config', (req, res) => {
+  // Canvas reads this URL directly, so it gets the bare configuration
+  res.json(lti.canvasToolConfiguration());
+});
+
+/**
+ * Render a page for a launch that cannot go on
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Message to show
+ */
+function renderLaunchPage(res, status, message) {
+  const escaped = message.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>DCL Exercise Tool</title></head>
+<body>
+<p>${escaped}</p>
+</body>
+</html>`);
+}
+
+module.exports = router;
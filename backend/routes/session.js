@@ -0,0 +1,66 @@
+const express = require('express');
+const sessionStore = require('../sessionStore');
+const canvasOAuth = require('../canvasOAuth');
+const router = express.Router();
+
+/**
+ * Get which credentials the current session holds
+ * GET /api/session
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: sessionStore.describeSession(req.session)
+  });
+});
+
+/**
+ * Store credentials in the session, starting one if needed. The credentials
+ * stay in backend memory; the browser only gets an HttpOnly session cookie.
+ * PUT /api/session
+ */
+router.put('/', (req, res) => {
+  const { canvasApiKey, githubToken } = req.body || {};
+
+  if (canvasApiKey === undefined && githubToken === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'A Canvas API key or GitHub token is required'
+    });
+  }
+
+  const session = req.session || sessionStore.createSession();
+  sessionStore.setCredentials(session, { canvasApiKey, githubToken });
+  sessionStore.setSessionCookie(req, res, session);
+
+  res.json({
+    success: true,
+    data: sessionStore.describeSession(session)
+  });
+});
+
+/**
+ * End the session and forget its credentials. A Canvas sign-in is revoked.
+ * DELETE /api/session
+ */
+router.delete('/', async (req, res) => {
+  if (req.session) {
+    sessionStore.destroySession(req.session.id);
+    
+    if (req.session.canvasLogin) {
+      try {
+        await canvasOAuth.revokeLogin(req.session.canvasLogin);
+      } catch (error) {
+        console.warn('Failed to revoke Canvas token:', error.message);
+      }
+    }
+  }
+  sessionStore.setSessionCookie(req, res, null);
+
+  res.json({
+    success: true,
+    data: sessionStore.describeSession(null)
+  });
+});
+
+module.exports = router;
@@ -6,19 +6,33 @@ require('dotenv').config();
 
 // Import routes
 const canvasRoutes = require('./routes/canvas');
+const canvasOAuthRoutes = require('./routes/canvasOAuth');
 const githubRoutes = require('./routes/github');
+const sessionRoutes = require('./routes/session');
+const ltiRoutes = require('./routes/lti');
+const { loadSession, requireAppRequest } = require('./sessionStore');
 
 const app = express();
 const PORT = process.env.BACKEND_PORT || 3001;
 
+// Behind reverse proxies that terminate HTTPS, cookies are only marked secure when the proxies are trusted
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY)); // Number of proxies in front of the backend
+}
+
 // Middleware
-app.use(cors()); // Enable CORS for all routes
+app.use(cors()); // Enable CORS for all routes, without credentials
 app.use(express.json()); // Parse JSON request body
 app.use(morgan('dev')); // HTTP request logging
-
-// API Routes
-app.use('/api/canvas', canvasRoutes);
-app.use('/api/github', githubRoutes);
+app.use('/api', loadSession); // Credentials of the session cookie, if any
+
+// API Routes. LTI launches and the Canvas sign-in redirects arrive as
+// navigations and form posts; every other route only answers the app.
+app.use('/api/session', requireAppRequest, sessionRoutes);
+app.use('/api/lti', ltiRoutes);
+app.use('/api/canvas/oauth', canvasOAuthRoutes);
+app.use('/api/canvas', requireAppRequest, canvasRoutes);
+app.use('/api/github', requireAppRequest, githubRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
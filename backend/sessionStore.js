@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+
+// Name of the HttpOnly cookie that identifies a session
+const SESSION_COOKIE = 'dcl_session';
+// Sessions unused for this long are forgotten along with their credentials
+const SESSION_IDLE_TIMEOUT_MS = (Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 120) * 60 * 1000;
+// Credentials a session may hold
+const CREDENTIAL_FIELDS = ['canvasApiKey', 'githubToken'];
+
+// Credentials are only ever kept in memory; a backend restart ends every session
+const sessions = new Map();
+
+/**
+ * Forget sessions that have been idle for too long
+ */
+function removeExpiredSessions() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (now - session.lastSeenAt > SESSION_IDLE_TIMEOUT_MS) {
+      sessions.delete(id);
+    }
+  }
+}
+
+// Sweep now and then so idle credentials do not stay in memory until the next request
+setInterval(removeExpiredSessions, 60 * 1000).unref();
+
+/**
+ * Read the cookies of a request
+ * @param {string} header - Cookie header
+ * @returns {Object} Cookie values by name
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+
+    const name = part.slice(0, separator).trim();
+    const value = part.slice(separator + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Get a session that has not expired
+ * @param {string} sessionId - Session ID from the cookie
+ * @returns {Object|null} The session, or null if there is none
+ */
+function getSession(sessionId) {
+  const session = sessionId ? sessions.get(sessionId) : null;
+  if (!session) {
+    return null;
+  }
+  if (Date.now() - session.lastSeenAt > SESSION_IDLE_TIMEOUT_MS) {
+    sessions.delete(sessionId);
+    return null;
+  }
+
+  session.lastSeenAt = Date.now();
+  return session;
+}
+
+/**
+ * Start a new, empty session
+ * @returns {Object} The new session
+ */
+function createSession() {
+  const session = {
+    id: crypto.randomBytes(32).toString('base64url'),
+    credentials: {},
+    canvasApiKeyBaseUrl: null, // Canvas instance the API key was first used with; it is not sent anywhere else
+    canvasApiKeyUserId: null, // Canvas user the API key acts as, looked up when a run needs an owner
+    canvasLogin: null, // Tokens of a Canvas sign-in, see canvasOAuth.js
+    lti: null, // Course and user of an LTI launch, see lti.js
+    createdAt: Date.now(),
+    lastSeenAt: Date.now()
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Store credentials in a session. Fields left out are kept; empty values
+ * remove the stored credential. A new Canvas API key may be used with any
+ * Canvas instance until its first request.
+ * @param {Object} session - Session
+ * @param {Object} credentials - Canvas API key and/or GitHub token
+ * @returns {Object} The session
+ */
+function setCredentials(session, credentials) {
+  if (credentials.canvasApiKey !== undefined) {
+    session.canvasApiKeyBaseUrl = null;
+    session.canvasApiKeyUserId = null;
+  }
+
+  for (const field of CREDENTIAL_FIELDS) {
+    if (credentials[field] === undefined) continue;
+
+    if (credentials[field]) {
+      session.credentials[field] = String(credentials[field]);
+    } else {
+      delete session.credentials[field];
+    }
+  }
+  return session;
+}
+
+/**
+ * End a session and forget its credentials
+ * @param {string} sessionId - Session ID
+ */
+function destroySession(sessionId) {
+  sessions.delete(sessionId);
+}
+
+/**
+ * Describe a session without revealing its credentials
+ * @param {Object|null} session - Session
+ * @returns {Object} Which credentials the session holds
+ */
+function describeSession(session) {
+  return {
+    active: Boolean(session),
+    hasCanvasApiKey: Boolean(session?.credentials.canvasApiKey),
+    hasGithubToken: Boolean(session?.credentials.githubToken),
+    hasCanvasLogin: Boolean(session?.canvasLogin),
+    idleTimeoutMinutes: SESSION_IDLE_TIMEOUT_MS / 60000
+  };
+}
+
+/**
+ * Set the session cookie on a response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object|null} session - Session, or null to clear the cookie
+ */
+function setSessionCookie(req, res, session) {
+  const options = {
+    httpOnly: true,
+    // A tool launched from Canvas runs in a frame on another site, where only
+    // SameSite=None cookies are sent. Browsers accept those over HTTPS only.
+    sameSite: session?.lti && req.secure ? 'none' : 'strict',
+    secure: req.secure,
+    path: '/api'
+  };
+
+  if (session) {
+    res.cookie(SESSION_COOKIE, session.id, options);
+  } else {
+    res.clearCookie(SESSION_COOKIE, options);
+  }
+}
+
+/**
+ * Express middleware that refuses API requests not sent by the app itself.
+ * A form, link or image on another site can send a request with a
+ * SameSite=None session cookie, but it cannot add a custom header: that takes
+ * a CORS preflight, which this backend never allows with credentials.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAppRequest(req, res, next) {
+  if (req.get('X-Requested-With') !== 'XMLHttpRequest') {
+    return res.status(403).json({
+      success: false,
+      error: 'API requests must be sent by the app, with the X-Requested-With header'
+    });
+  }
+  next();
+}
+
+/**
+ * Express middleware that attaches the session of the request, if any, as req.session
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function loadSession(req, res, next) {
+  req.session = getSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  next();
+}
+
+module.exports = {
+  parseCookies,
+  getSession,
+  createSession,
+  setCredentials,
+  destroySession,
+  describeSession,
+  setSessionCookie,
+  requireAppRequest,
+  loadSession
+};
@@ -0,0 +1,210 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Runs are kept as one JSON file each so they survive a backend restart. Next
+// to each run, <id>.meta.json holds its summary, so listing runs does not read
+// the page bodies.
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, 'data', 'snapshots');
+const RUN_FILE_PATTERN = /^([0-9a-f-]{36})\.json$/;
+
+// Last pending update of each run. Page writes of one run can be in flight at
+// once, so updates are chained to keep one from overwriting another.
+const pendingUpdates = new Map();
+
+/**
+ * Get the file that stores a run or its summary
+ * @param {string} runId - Run ID
+ * @param {string} extension - '.json' for the run, '.meta.json' for its summary
+ * @returns {string} Path of the file
+ */
+function runFile(runId, extension = '.json') {
+  // Run IDs are UUIDs; anything else could escape the snapshot directory
+  if (!/^[0-9a-f-]{36}$/.test(runId)) {
+    const error = new Error(`Invalid run ID: ${runId}`);
+    error.status = 400;
+    throw error;
+  }
+  return path.join(SNAPSHOT_DIR, `${runId}${extension}`);
+}
+
+/**
+ * Write a JSON file next to its final name and rename it, so a reader never
+ * sees a half-written file. Each write has a temporary file of its own.
+ * @param {string} file - Path of the file
+ * @param {Object} value - Value to write
+ * @returns {Promise<void>}
+ */
+async function writeJson(file, value) {
+  const tempFile = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(value, null, 2));
+  await fs.rename(tempFile, file);
+}
+
+/**
+ * Get the summary of a run that listRuns returns
+ * @param {Object} run - Run record
+ * @returns {Object} Run without its page entries, with the keys of its pages
+ */
+function summarizeRun(run) {
+  return {
+    id: run.id,
+    courseUrl: run.courseUrl,
+    owner: run.owner || null,
+    startedAt: run.startedAt,
+    rolledBackAt: run.rolledBackAt,
+    pages: Object.keys(run.pages)
+  };
+}
+
+/**
+ * Save a run and its summary to disk
+ * @param {Object} run - Run record
+ * @returns {Promise<Object>} The saved run
+ */
+async function saveRun(run) {
+  await fs.mkdir(SNAPSHOT_DIR, { recursive: true });
+  await writeJson(runFile(run.id), run);
+  await writeJson(runFile(run.id, '.meta.json'), summarizeRun(run));
+  return run;
+}
+
+/**
+ * Change a run on disk. Updates of one run wait for each other, so each one
+ * starts from the run as the previous one left it.
+ * @param {string} runId - Run ID
+ * @param {Function} update - Called with the stored run, changes it in place and returns a result
+ * @returns {Promise<*>} Result of the update
+ */
+function updateRun(runId, update) {
+  const previous = pendingUpdates.get(runId) || Promise.resolve();
+  const result = previous.then(async () => {
+    const run = await getRun(runId);
+    const value = await update(run);
+    await saveRun(run);
+    return value;
+  });
+
+  // A failed update does not hold up the next one
+  const settled = result.catch(() => {});
+  pendingUpdates.set(runId, settled);
+  settled.then(() => {
+    if (pendingUpdates.get(runId) === settled) {
+      pendingUpdates.delete(runId);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Start a new run for a course
+ * @param {string} courseUrl - URL of the Canvas course
+ * @param {Object} owner - Canvas base URL and user ID of whoever started the run
+ * @returns {Promise<Object>} The new run
+ */
+async function createRun(courseUrl, owner) {
+  return saveRun({
+    id: crypto.randomUUID(),
+    courseUrl,
+    owner,
+    startedAt: new Date().toISOString(),
+    rolledBackAt: null,
+    pages: {}
+  });
+}
+
+/**
+ * Load a run from disk
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} The run
+ */
+async function getRun(runId) {
+  try {
+    return JSON.parse(await fs.readFile(runFile(runId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      const notFoundError = new Error(`Run not found: ${runId}`);
+      notFoundError.status = 404;
+      throw notFoundError;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List all runs, newest first, without their page bodies
+ * @returns {Promise<Array>} Run summaries
+ */
+async function listRuns() {
+  let files;
+  try {
+    files = await fs.readdir(SNAPSHOT_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const names = new Set(files);
+  const runs = await Promise.all(
+    files
+      .map(file => file.match(RUN_FILE_PATTERN)?.[1])
+      .filter(Boolean)
+      .map(async (runId) => {
+        if (names.has(`${runId}.meta.json`)) {
+          return JSON.parse(await fs.readFile(runFile(runId, '.meta.json'), 'utf8'));
+        }
+        // Runs saved before summaries were kept get one now
+        return updateRun(runId, summarizeRun);
+      })
+  );
+
+  return runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Record the state of a page before a run first writes to it. Later writes
+ * in the same run keep the original snapshot.
+ * @param {string} runId - Run ID
+ * @param {string} pageUrl - The URL (slug) of the page
+ * @param {Object} snapshot - Title, previous body and revision, or created: true
+ * @returns {Promise<Object>} The page entry of the run
+ */
+async function recordSnapshot(runId, pageUrl, snapshot) {
+  return updateRun(runId, run => {
+    if (!run.pages[pageUrl]) {
+      run.pages[pageUrl] = {
+        ...snapshot,
+        snapshotAt: new Date().toISOString()
+      };
+    }
+    return run.pages[pageUrl];
+  });
+}
+
+/**
+ * Record the state of a page after a run wrote to it, used to detect edits
+ * made in Canvas after the run
+ * @param {string} runId - Run ID
+ * @param {string} pageUrl - The URL (slug) of the page
+ * @param {Object} written - Revision ID and update time of the written page
+ * @returns {Promise<Object>} The page entry of the run
+ */
+async function recordWrite(runId, pageUrl, written) {
+  return updateRun(runId, run => {
+    run.pages[pageUrl] = {
+      ...run.pages[pageUrl],
+      written
+    };
+    return run.pages[pageUrl];
+  });
+}
+
+module.exports = {
+  createRun,
+  getRun,
+  listRuns,
+  updateRun,
+  recordSnapshot,
+  recordWrite
+};
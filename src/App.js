@@ -1,49 +1,60 @@
 import { Box, ChakraProvider, Container, Heading, Button, HStack, ButtonGroup } from '@chakra-ui/react';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import InputForm from './components/InputForm';
 import DirectoryBrowser from './components/DirectoryBrowser';
 import ProcessingStatus from './components/ProcessingStatus';
 import ResultsReport from './components/ResultsReport';
 import VerificationStatus from './components/VerificationStatus';
 import VerificationReport from './components/VerificationReport';
+import DryRunReport from './components/DryRunReport';
 import TestMetadataParser from './components/TestMetadataParser';
 import TestCanvasAPI from './components/TestCanvasAPI';
-import GitHubService from './services/GitHubService';
-import CanvasService from './services/CanvasService';
+import SessionService from './services/SessionService';
+import LtiService from './services/LtiService';
+import CanvasService, { DEFAULT_PAGE_TEMPLATE } from './services/CanvasService';
 
 function App() {
   const [step, setStep] = useState(1);
   const [formData, setFormData] = useState({
-    canvasApiKey: '',
     courseUrl: '',
     githubRepoUrl: '',
+    githubRef: '', // Branch, tag or commit to deploy from; the default branch if empty
     includeLineNumbers: true, // Default to true for line numbers
-    customClasses: '' // Default to empty string
+    customClasses: '', // Default to empty string
+    createMissingPages: false, // Opt-in creation of pages that do not exist yet
+    pageTemplate: DEFAULT_PAGE_TEMPLATE,
+    dryRun: true, // Review a diff of every page before anything is written
+    syncBlueprint: false // Push blueprint courses to their associated courses after writing
   });
   const [selectedDirectory, setSelectedDirectory] = useState('');
   const [verificationResults, setVerificationResults] = useState(null);
   const [isVerifying, setIsVerifying] = useState(false);
   const [processingResults, setProcessingResults] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [approvedPages, setApprovedPages] = useState(null); // Target keys by course URL; null means all pages
   const [errors, setErrors] = useState([]);
   const [currentView, setCurrentView] = useState('main'); // 'main', 'metadata', 'canvas'
+  const [ltiLaunch, setLtiLaunch] = useState(null); // Course the app was launched from in Canvas, if any
+
+  // A launch from Canvas binds the wizard to the launching course
+  useEffect(() => {
+    LtiService.getLaunch()
+      .then(setLtiLaunch)
+      .catch(error => console.warn(error.message));
+  }, []);
 
   const handleFormSubmit = (data) => {
+    // The Canvas API key and GitHub token are already in the backend session
     setFormData(data);
-    
-    // If a GitHub token is provided, set it in the GitHubService
-    if (data.githubToken) {
-      GitHubService.setAuthToken(data.githubToken);
-    }
-    
     setStep(2);
   };
 
-  const handleDirectorySelect = (directory) => {
+  const handleDirectorySelect = (directory, ref) => {
     setSelectedDirectory(directory);
+    setFormData(prev => ({ ...prev, githubRef: ref || '' }));
     setStep(3);
     // Initialize Canvas service first
-    CanvasService.initialize(formData.canvasApiKey, formData.courseUrl);
+    CanvasService.initialize(formData.courseUrl);
     // Start verification
     setIsVerifying(true);
   };
@@ -61,40 +72,77 @@ function App() {
   };
   
   const handleProceedToProcessing = () => {
-    setStep(5);
+    setApprovedPages(null);
+    
+    // Show the dry run first unless it was turned off
+    if (formData.dryRun) {
+      setStep(5);
+      return;
+    }
+    
+    setStep(6);
+    setIsProcessing(true);
+  };
+  
+  const handleDryRunApproved = (pages) => {
+    setApprovedPages(pages);
+    setStep(6);
     setIsProcessing(true);
   };
   
   const handleProcessingComplete = (results) => {
     setProcessingResults(results);
     setIsProcessing(false);
-    setStep(6);
+    setStep(7);
   };
 
   const handleStartOver = () => {
+    // The form asks for the credentials again, so the backend can forget them.
+    // A session launched from Canvas is kept for its course binding.
+    const forgetCredentials = ltiLaunch
+      ? SessionService.setCredentials({ canvasApiKey: '', githubToken: '' })
+      : SessionService.end();
+    forgetCredentials.catch(error => console.warn(error.message));
     setStep(1);
     setSelectedDirectory('');
     setVerificationResults(null);
     setProcessingResults(null);
+    setApprovedPages(null);
     setIsVerifying(false);
     setIsProcessing(false);
     setErrors([]);
   };
   
+  // Courses associated with a blueprint in the same run are updated through the blueprint only.
+  // Pages edited after verification are not overwritten without asking.
+  // The dry run starts again whenever its config changes, so it only changes with its inputs.
+  const runConfig = useMemo(() => ({
+    ...formData,
+    courseUrls: verificationResults?.deployCourseUrls || formData.courseUrls,
+    directoryPath: selectedDirectory,
+    // Deploy exactly the commit that was verified, even if the branch has moved since
+    githubCommit: verificationResults?.source?.commit?.sha,
+    verifiedVersions: Object.fromEntries(
+      (verificationResults?.courses || []).map(course => [course.courseUrl, course.pageVersions || {}])
+    )
+  }), [formData, selectedDirectory, verificationResults]);
+  
   const renderCurrentStep = () => {
     switch (step) {
       case 1:
-        return <InputForm onSubmit={handleFormSubmit} />;
+        return <InputForm onSubmit={handleFormSubmit} ltiLaunch={ltiLaunch} />;
       case 2:
-        return <DirectoryBrowser githubRepoUrl={formData.githubRepoUrl} onDirectorySelect={handleDirectorySelect} />;
+        return <DirectoryBrowser githubRepoUrl={formData.githubRepoUrl} githubRef={formData.githubRef} onDirectorySelect={handleDirectorySelect} />;
       case 3:
         return <VerificationStatus isVerifying={isVerifying} config={{ ...formData, directoryPath: selectedDirectory }} onComplete={handleVerificationComplete} onAbort={handleStartOver} />;
       case 4:
         return <VerificationReport results={verificationResults} onStartOver={handleStartOver} onProceed={handleProceedToProcessing} onVerifyAgain={handleVerifyAgain} isVerifying={isVerifying} />;
       case 5:
-        return <ProcessingStatus isProcessing={isProcessing} config={{ ...formData, directoryPath: selectedDirectory }} errors={errors} onComplete={handleProcessingComplete} />;
+        return <DryRunReport config={runConfig} onApprove={handleDryRunApproved} onBack={() => setStep(4)} />;
       case 6:
-        return <ResultsReport results={processingResults} onStartOver={handleStartOver} />;
+        return <ProcessingStatus isProcessing={isProcessing} config={{ ...runConfig, approvedPages }} errors={errors} onComplete={handleProcessingComplete} />;
+      case 7:
+        return <ResultsReport results={processingResults} onStartOver={handleStartOver} onVerifyAgain={handleVerifyAgain} />;
       default:
         return <div>Unknown step</div>;
     }
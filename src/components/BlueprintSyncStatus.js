@@ -0,0 +1,45 @@
+import { HStack, VStack, Text, Badge, Spinner } from '@chakra-ui/react';
+
+// Canvas workflow states of a blueprint migration
+const syncStateBadges = {
+  queued: { colorScheme: 'gray', label: 'Queued' },
+  exports_started: { colorScheme: 'blue', label: 'Exporting' },
+  exports_complete: { colorScheme: 'blue', label: 'Exported' },
+  imports_queued: { colorScheme: 'blue', label: 'Waiting to import' },
+  imports_started: { colorScheme: 'blue', label: 'Importing' },
+  completed: { colorScheme: 'green', label: 'Completed' },
+  exports_failed: { colorScheme: 'red', label: 'Export failed' },
+  imports_failed: { colorScheme: 'red', label: 'Import failed' }
+};
+
+// State of a blueprint sync, while it runs and once it has finished
+const BlueprintSyncStatus = ({ sync }) => {
+  const badge = sync.error
+    ? { colorScheme: 'red', label: 'Failed' }
+    : syncStateBadges[sync.workflowState] || { colorScheme: 'gray', label: sync.workflowState };
+
+  return (
+    <VStack align="start" spacing={1}>
+      <HStack>
+        <Text fontWeight="bold">Blueprint sync:</Text>
+        <Badge colorScheme={badge.colorScheme}>{badge.label}</Badge>
+        {!sync.finished && !sync.timedOut && <Spinner size="sm" />}
+      </HStack>
+      {sync.associatedCourseCount !== undefined && (
+        <Text fontSize="sm" color="gray.600">
+          {sync.associatedCourseCount} associated course(s)
+        </Text>
+      )}
+      {sync.timedOut && (
+        <Text fontSize="sm" color="orange.600">
+          Still running when the tool stopped waiting; check the sync history of the blueprint course in Canvas.
+        </Text>
+      )}
+      {sync.error && (
+        <Text fontSize="sm" color="red.500">{sync.error}</Text>
+      )}
+    </VStack>
+  );
+};
+
+export default BlueprintSyncStatus;
@@ -17,14 +17,95 @@ import {
   useColorModeValue,
   Breadcrumb,
   BreadcrumbItem,
-  BreadcrumbLink
+  BreadcrumbLink,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Select,
+  Input
 } from '@chakra-ui/react';
 import { FaFolder, FaFile } from 'react-icons/fa';
 import GitHubService from '../services/GitHubService';
+import SessionService from '../services/SessionService';
 
+// Select value of the option that lets the user type a commit SHA
+const COMMIT_OPTION = '__commit__';
 
-const DirectoryBrowser = ({ githubRepoUrl, onDirectorySelect }) => {
+/**
+ * Picker for the branch, tag or commit to browse and deploy from
+ * @param {Object} props - Component props
+ * @param {Object} props.refs - Default branch, branches and tags from GitHubService.listRefs (null while loading)
+ * @param {string} props.selectedRef - Ref in use, empty for the default branch
+ * @param {Function} props.onChange - Called with the ref to use
+ */
+const RefPicker = ({ refs, selectedRef, onChange }) => {
+  const names = refs ? [...refs.branches, ...refs.tags].map(ref => ref.name) : [];
+  const [commitChosen, setCommitChosen] = useState(false);
+  const [commitInput, setCommitInput] = useState(selectedRef);
+  
+  // A ref that is neither a branch nor a tag is a commit
+  const isCommit = commitChosen || Boolean(refs && selectedRef && !names.includes(selectedRef));
+  
+  const handleSelect = (value) => {
+    if (value === COMMIT_OPTION) {
+      setCommitChosen(true);
+      return;
+    }
+    setCommitChosen(false);
+    onChange(value);
+  };
+  
+  const otherBranches = refs ? refs.branches.filter(branch => branch.name !== refs.defaultBranch) : [];
+  
+  return (
+    <FormControl>
+      <FormLabel>Branch, Tag or Commit</FormLabel>
+      <HStack align="start">
+        <Select
+          value={isCommit ? COMMIT_OPTION : selectedRef}
+          onChange={(e) => handleSelect(e.target.value)}
+          isDisabled={!refs}
+          maxW="sm"
+        >
+          <option value="">{refs?.defaultBranch ? `${refs.defaultBranch} (default branch)` : 'Default branch'}</option>
+          {otherBranches.length > 0 && (
+            <optgroup label="Branches">
+              {otherBranches.map(branch => <option key={branch.name} value={branch.name}>{branch.name}</option>)}
+            </optgroup>
+          )}
+          {refs?.tags.length > 0 && (
+            <optgroup label="Tags">
+              {refs.tags.map(tag => <option key={tag.name} value={tag.name}>{tag.name}</option>)}
+            </optgroup>
+          )}
+          <option value={COMMIT_OPTION}>A commit...</option>
+        </Select>
+        {isCommit && (
+          <>
+            <Input
+              value={commitInput}
+              onChange={(e) => setCommitInput(e.target.value)}
+              placeholder="Commit SHA"
+              fontFamily="mono"
+              maxW="sm"
+            />
+            <Button onClick={() => onChange(commitInput.trim())} isDisabled={!commitInput.trim()}>
+              Use Commit
+            </Button>
+          </>
+        )}
+      </HStack>
+      <FormHelperText>
+        The exercises are verified and deployed from this ref, so a tag deploys exactly the files it names.
+      </FormHelperText>
+    </FormControl>
+  );
+};
+
+const DirectoryBrowser = ({ githubRepoUrl, githubRef = '', onDirectorySelect }) => {
   const [currentPath, setCurrentPath] = useState('');
+  const [selectedRef, setSelectedRef] = useState(githubRef);
+  const [refs, setRefs] = useState(null);
   const [contents, setContents] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
@@ -37,20 +118,36 @@ const DirectoryBrowser = ({ githubRepoUrl, onDirectorySelect }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   
   useEffect(() => {
-    // Check if the GitHubService has a token set
-    setIsAuthenticated(!!GitHubService.token);
+    // Check if the session holds a GitHub token
+    SessionService.getStatus()
+      .then(status => setIsAuthenticated(status.hasGithubToken))
+      .catch(() => setIsAuthenticated(false));
+  }, []);
+  
+  useEffect(() => {
+    if (!githubRepoUrl) return;
     
+    // Without the list, the default branch can still be browsed
+    GitHubService.listRefs(githubRepoUrl)
+      .then(setRefs)
+      .catch(err => {
+        console.warn(err.message);
+        setRefs({ defaultBranch: null, branches: [], tags: [] });
+      });
+  }, [githubRepoUrl]);
+  
+  useEffect(() => {
     if (githubRepoUrl) {
-      loadDirectoryContents(currentPath);
+      loadDirectoryContents(currentPath, selectedRef);
     }
-  }, [githubRepoUrl, currentPath]);
+  }, [githubRepoUrl, currentPath, selectedRef]);
   
-  const loadDirectoryContents = async (path) => {
+  const loadDirectoryContents = async (path, ref) => {
     setIsLoading(true);
     setError('');
     
     try {
-      const data = await GitHubService.getContents(githubRepoUrl, path);
+      const data = await GitHubService.getContents(githubRepoUrl, path, ref);
       
       // Sort: directories first, then files
       const sortedData = [...data].sort((a, b) => {
@@ -82,8 +179,15 @@ const DirectoryBrowser = ({ githubRepoUrl, onDirectorySelect }) => {
     setPathHistory(pathHistory.slice(0, index + 1));
   };
   
+  const handleRefChange = (ref) => {
+    // A directory may not exist at the other ref, so browsing starts over at the root
+    setSelectedRef(ref);
+    setCurrentPath('');
+    setPathHistory([{ name: 'Root', path: '' }]);
+  };
+  
   const handleSelectDirectory = () => {
-    onDirectorySelect(currentPath);
+    onDirectorySelect(currentPath, selectedRef);
   };
 
   return (
@@ -104,9 +208,11 @@ const DirectoryBrowser = ({ githubRepoUrl, onDirectorySelect }) => {
         )}
         
         <Text>
-          Browse and select the directory containing your Python exercise files.
+          Browse and select the directory containing your exercise files (Python, R, SQL or shell).
         </Text>
         
+        <RefPicker refs={refs} selectedRef={selectedRef} onChange={handleRefChange} />
+        
         {error && (
           <Alert status="error">
             <AlertIcon />
@@ -0,0 +1,362 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  VStack,
+  Heading,
+  Text,
+  Button,
+  Progress,
+  Badge,
+  HStack,
+  Flex,
+  Spacer,
+  Checkbox,
+  Accordion,
+  AccordionItem,
+  AccordionButton,
+  AccordionPanel,
+  AccordionIcon,
+  Alert,
+  AlertIcon,
+  AlertTitle,
+  AlertDescription,
+  List,
+  ListItem,
+  Link,
+  Icon
+} from '@chakra-ui/react';
+import { FaExternalLinkAlt } from 'react-icons/fa';
+import ExerciseProcessor from '../services/ExerciseProcessor';
+import HtmlDiff from '../services/HtmlDiff';
+import ThrottleNotice from './ThrottleNotice';
+
+// Show the value of a page setting
+const formatSetting = (value) => {
+  if (typeof value === 'boolean') {
+    return value ? 'yes' : 'no';
+  }
+  return value === null || value === undefined || value === '' ? 'not set' : String(value);
+};
+
+// Say what placing a page in its module would do
+const describeModuleChange = ({ module, item, position, action }) => {
+  if (action === 'create') {
+    return `add to '${module.name}'${position ? ` at position ${position}` : ' at the end'}`;
+  }
+  if (action === 'move') {
+    return `move from position ${item.position} to ${position} in '${module.name}'`;
+  }
+  return `already in '${module.name}' at position ${item.position}`;
+};
+
+// Dry run using the ExerciseProcessor service; nothing is written to Canvas
+const previewExercises = async (config, onProgress) => {
+  ExerciseProcessor.initialize({
+    courseUrl: config.courseUrl,
+    courseUrls: config.courseUrls,
+    githubRepoUrl: config.githubRepoUrl,
+    githubRef: config.githubRef,
+    githubCommit: config.githubCommit,
+    directoryPath: config.directoryPath,
+    includeLineNumbers: config.includeLineNumbers !== undefined ? config.includeLineNumbers : true,
+    customClasses: config.customClasses || '',
+    createMissingPages: config.createMissingPages || false,
+    pageTemplate: config.pageTemplate
+  });
+
+  return ExerciseProcessor.previewCourses(onProgress);
+};
+
+const lineStyles = {
+  add: { bg: 'green.50', color: 'green.800', marker: '+' },
+  remove: { bg: 'red.50', color: 'red.800', marker: '-' },
+  equal: { bg: 'white', color: 'gray.700', marker: ' ' }
+};
+
+const UnifiedDiff = ({ oldHtml, newHtml }) => {
+  const { hunks } = HtmlDiff.diffHtml(oldHtml, newHtml);
+
+  if (hunks.length === 0) {
+    return <Text color="gray.600">No changes.</Text>;
+  }
+
+  return (
+    <VStack align="stretch" spacing={3}>
+      {hunks.map((hunk, hunkIndex) => (
+        <Box key={hunkIndex} borderWidth="1px" borderRadius="md" overflowX="auto" fontFamily="monospace" fontSize="xs">
+          {hunk.map((entry, entryIndex) => {
+            const style = lineStyles[entry.type];
+            return (
+              <Flex key={entryIndex} bg={style.bg} color={style.color}>
+                <Box width="3.5em" px={1} textAlign="right" color="gray.400" flexShrink={0}>
+                  {entry.oldLine || ''}
+                </Box>
+                <Box width="3.5em" px={1} textAlign="right" color="gray.400" flexShrink={0}>
+                  {entry.newLine || ''}
+                </Box>
+                <Box width="1.5em" textAlign="center" flexShrink={0}>{style.marker}</Box>
+                <Box whiteSpace="pre-wrap" wordBreak="break-all">{entry.text}</Box>
+              </Flex>
+            );
+          })}
+        </Box>
+      ))}
+    </VStack>
+  );
+};
+
+// Changed pages of every course, by course URL
+const changedTargets = (courses) => Object.fromEntries(
+  courses.map(course => [
+    course.courseUrl,
+    course.pages.filter(page => page.changed).map(page => page.target)
+  ])
+);
+
+// Pages of one course, each with a checkbox to approve it
+const CoursePages = ({ course, approvedPages, onToggle }) => (
+  <VStack spacing={4} align="stretch">
+    {course.failed && (
+      <Alert status="error">
+        <AlertIcon />
+        <AlertTitle mr={2}>Dry run failed for this course</AlertTitle>
+        <AlertDescription>{course.error}</AlertDescription>
+      </Alert>
+    )}
+
+    {course.errors.length > 0 && (
+      <Alert status="warning" alignItems="flex-start">
+        <AlertIcon />
+        <Box>
+          <AlertTitle>{course.errors.length} file(s) could not be applied</AlertTitle>
+          <AlertDescription>
+            <List spacing={1}>
+              {course.errors.map((fileError, index) => (
+                <ListItem key={index}>{fileError.error}</ListItem>
+              ))}
+            </List>
+          </AlertDescription>
+        </Box>
+      </Alert>
+    )}
+
+    <Accordion allowMultiple>
+      {course.pages.map((page) => (
+        <AccordionItem key={page.target}>
+          <h2>
+            <HStack>
+              <Checkbox
+                ml={4}
+                isChecked={approvedPages.includes(page.target)}
+                isDisabled={!page.changed}
+                onChange={() => onToggle(page.target)}
+              />
+              <AccordionButton>
+                <Box flex="1" textAlign="left">
+                  <HStack>
+                    <Text fontWeight="medium">{page.title || page.target}</Text>
+                    {page.created ? (
+                      <Badge colorScheme="purple">New page</Badge>
+                    ) : page.changed ? (
+                      <Badge colorScheme="blue">Changed</Badge>
+                    ) : (
+                      <Badge colorScheme="gray">No changes</Badge>
+                    )}
+                    <Text fontSize="sm" color="gray.600">
+                      {page.files.length} file(s)
+                    </Text>
+                  </HStack>
+                </Box>
+                <AccordionIcon />
+              </AccordionButton>
+            </HStack>
+          </h2>
+          <AccordionPanel pb={4}>
+            <VStack align="stretch" spacing={3}>
+              <Text fontSize="sm" color="gray.600">
+                Files: {page.files.join(', ')}
+              </Text>
+              {page.canvasPageUrl && !page.created && (
+                <Link href={page.canvasPageUrl} isExternal color="blue.500" fontSize="sm">
+                  View current page in Canvas
+                  <Icon as={FaExternalLinkAlt} ml={1} boxSize={3} />
+                </Link>
+              )}
+              {page.settingChanges && page.settingChanges.length > 0 && (
+                <Box fontSize="sm">
+                  <Text fontWeight="medium">Page settings:</Text>
+                  <List spacing={1}>
+                    {page.settingChanges.map((change) => (
+                      <ListItem key={change.name}>
+                        {change.label}: {page.created ? '' : `${formatSetting(change.current)} → `}{formatSetting(change.requested)}
+                      </ListItem>
+                    ))}
+                  </List>
+                </Box>
+              )}
+              {page.moduleChange && (
+                <Text fontSize="sm">
+                  <Text as="span" fontWeight="medium">Module:</Text> {describeModuleChange(page.moduleChange)}
+                </Text>
+              )}
+              <UnifiedDiff oldHtml={page.originalBody} newHtml={page.body} />
+            </VStack>
+          </AccordionPanel>
+        </AccordionItem>
+      ))}
+    </Accordion>
+  </VStack>
+);
+
+const DryRunReport = ({ config, onApprove, onBack }) => {
+  const [progress, setProgress] = useState(0);
+  const [currentFile, setCurrentFile] = useState('');
+  const [course, setCourse] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [approvedPages, setApprovedPages] = useState({}); // Target keys by course URL
+
+  useEffect(() => {
+    const runPreview = async () => {
+      try {
+        const results = await previewExercises(config, (progressData) => {
+          setProgress(progressData.progress);
+          setCurrentFile(progressData.currentFile);
+          setCourse(progressData.courseCount > 1 ? progressData : null);
+        });
+
+        setPreview(results);
+        // Pages with changes are approved by default
+        setApprovedPages(changedTargets(results.courses));
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    runPreview();
+  }, [config]);
+
+  const togglePage = (courseUrl, page) => {
+    setApprovedPages(prev => {
+      const pages = prev[courseUrl] || [];
+      return {
+        ...prev,
+        [courseUrl]: pages.includes(page) ? pages.filter(p => p !== page) : [...pages, page]
+      };
+    });
+  };
+
+  if (error) {
+    return (
+      <Box width="100%">
+        <VStack spacing={6} align="stretch">
+          <Alert status="error">
+            <AlertIcon />
+            <AlertTitle mr={2}>Dry run failed</AlertTitle>
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+          <Button variant="outline" alignSelf="flex-start" onClick={onBack}>
+            Back to Verification Report
+          </Button>
+        </VStack>
+      </Box>
+    );
+  }
+
+  if (!preview) {
+    return (
+      <Box width="100%">
+        <VStack spacing={6} align="stretch">
+          <Heading as="h3" size="lg">
+            Preparing Dry Run
+          </Heading>
+          <ThrottleNotice />
+          {course && (
+            <Text>
+              Course {course.courseIndex + 1} of {course.courseCount}: <strong>{course.courseUrl}</strong>
+            </Text>
+          )}
+          <Progress value={progress} size="lg" colorScheme="blue" hasStripe isAnimated />
+          {currentFile && (
+            <Text>
+              Computing changes for: <strong>{currentFile}</strong>
+            </Text>
+          )}
+        </VStack>
+      </Box>
+    );
+  }
+
+  const allPages = preview.courses.flatMap(previewCourse => previewCourse.pages);
+  const changedCount = allPages.filter(page => page.changed).length;
+  const approvedCount = Object.values(approvedPages).reduce((count, pages) => count + pages.length, 0);
+
+  return (
+    <Box width="100%">
+      <VStack spacing={6} align="stretch">
+        <Heading as="h3" size="lg">
+          Review Changes
+        </Heading>
+
+        <Text>
+          Nothing has been written to Canvas yet. Review the changes for each page and choose which pages to update.
+          {' '}{changedCount} of {allPages.length} pages would change
+          {preview.courses.length > 1 ? ` across ${preview.courses.length} courses.` : '.'}
+        </Text>
+
+        <HStack>
+          <Button size="sm" onClick={() => setApprovedPages(changedTargets(preview.courses))}>
+            Select All
+          </Button>
+          <Button size="sm" variant="outline" onClick={() => setApprovedPages({})}>
+            Select None
+          </Button>
+        </HStack>
+
+        {preview.courses.length > 1 ? (
+          preview.courses.map((previewCourse) => (
+            <Box key={previewCourse.courseUrl} borderWidth="1px" borderRadius="md" p={4}>
+              <VStack spacing={4} align="stretch">
+                <Heading as="h4" size="md" wordBreak="break-all">
+                  {previewCourse.courseUrl}
+                </Heading>
+                <CoursePages
+                  course={previewCourse}
+                  approvedPages={approvedPages[previewCourse.courseUrl] || []}
+                  onToggle={(page) => togglePage(previewCourse.courseUrl, page)}
+                />
+              </VStack>
+            </Box>
+          ))
+        ) : (
+          preview.courses.map((previewCourse) => (
+            <CoursePages
+              key={previewCourse.courseUrl}
+              course={previewCourse}
+              approvedPages={approvedPages[previewCourse.courseUrl] || []}
+              onToggle={(page) => togglePage(previewCourse.courseUrl, page)}
+            />
+          ))
+        )}
+
+        <Box pt={4}>
+          <Flex>
+            <Button variant="outline" onClick={onBack}>
+              Back to Verification Report
+            </Button>
+            <Spacer />
+            <Button
+              colorScheme="blue"
+              onClick={() => onApprove(approvedPages)}
+              isDisabled={approvedCount === 0}
+            >
+              Write {approvedCount} Approved Page{approvedCount === 1 ? '' : 's'}
+            </Button>
+          </Flex>
+        </Box>
+      </VStack>
+    </Box>
+  );
+};
+
+export default DryRunReport;
@@ -20,52 +20,87 @@ import {
   Tooltip,
   Switch,
   Spinner,
-  Icon
+  Icon,
+  Textarea
 } from '@chakra-ui/react';
-import { FaEye, FaEyeSlash, FaCheck, FaTimes } from 'react-icons/fa';
+import { FaEye, FaEyeSlash, FaCheck, FaTimes, FaSignInAlt, FaSignOutAlt } from 'react-icons/fa';
 import GitHubService from '../services/GitHubService';
+import SessionService from '../services/SessionService';
+import CanvasAuthService from '../services/CanvasAuthService';
+import { DEFAULT_PAGE_TEMPLATE } from '../services/CanvasService';
+import { normalizeBaseUrl, resolveCourseUrl } from '../services/CanvasUrl';
 
-const InputForm = ({ onSubmit }) => {
+const InputForm = ({ onSubmit, ltiLaunch }) => {
   const [canvasApiKey, setCanvasApiKey] = useState('');
+  const [canvasBaseUrl, setCanvasBaseUrl] = useState('');
   const [courseUrl, setCourseUrl] = useState('');
   const [githubRepoUrl, setGithubRepoUrl] = useState('');
   const [githubToken, setGithubToken] = useState('');
   const [includeLineNumbers, setIncludeLineNumbers] = useState(true);
   const [customClasses, setCustomClasses] = useState('');
+  const [createMissingPages, setCreateMissingPages] = useState(false);
+  const [dryRun, setDryRun] = useState(true);
+  const [syncBlueprint, setSyncBlueprint] = useState(false);
+  const [pageTemplate, setPageTemplate] = useState(DEFAULT_PAGE_TEMPLATE);
   const [error, setError] = useState('');
   const [showApiKey, setShowApiKey] = useState(false);
   const [showGithubToken, setShowGithubToken] = useState(false);
   const [tokenStatus, setTokenStatus] = useState(null); // null, valid, invalid
   const [tokenValidating, setTokenValidating] = useState(false);
   const [tokenUser, setTokenUser] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [canvasAuth, setCanvasAuth] = useState(null); // Canvas sign-in status, when the server offers it
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  
+  // One course URL, or course ID with a base URL, per line; every course is
+  // updated from the same repository. A launch from Canvas is bound to the launching course.
+  const courseLines = ltiLaunch ? [ltiLaunch.courseUrl] : [...new Set(
+    courseUrl.split('\n').map(line => line.trim()).filter(Boolean)
+  )];
   
   const validateInput = () => {
     // Clear previous errors
     setError('');
     
+    // A launch from Canvas gets its token from the Canvas sign-in, never from a pasted key
+    if (ltiLaunch && !canvasAuth?.signedIn) {
+      setError('Sign in with Canvas to continue');
+      return false;
+    }
+    
     // Check that all fields are filled
-    if (!canvasApiKey || !courseUrl || !githubRepoUrl) {
+    if ((!canvasApiKey && !canvasAuth?.signedIn) || courseLines.length === 0 || !githubRepoUrl) {
       setError('All fields are required');
       return false;
     }
     
-    // Validate Canvas course URL format
-    try {
-      const url = new URL(courseUrl);
-      if (!url.hostname.includes('canvas') && !url.pathname.includes('courses')) {
-        setError('Please enter a valid Canvas course URL');
+    // Validate the Canvas base URL, which may have a port and a path prefix
+    if (canvasBaseUrl.trim()) {
+      try {
+        normalizeBaseUrl(canvasBaseUrl);
+      } catch (e) {
+        setError(`Please enter a valid URL for the Canvas base URL: ${canvasBaseUrl}`);
+        return false;
+      }
+    }
+    
+    // Validate Canvas course URL format: anything with /courses/<id> in its path
+    for (const courseLine of courseLines) {
+      try {
+        resolveCourseUrl(courseLine, canvasBaseUrl.trim());
+      } catch (e) {
+        setError(/^\d+$/.test(courseLine)
+          ? `Please enter the Canvas base URL to use the course ID ${courseLine}`
+          : `Please enter a valid Canvas course URL: ${courseLine}`);
         return false;
       }
-    } catch (e) {
-      setError('Please enter a valid URL for the Canvas course');
-      return false;
     }
     
-    // Validate GitHub repo URL format
+    // Validate GitHub repo URL format; GitHub Enterprise Server repositories are on other hosts
     try {
       const url = new URL(githubRepoUrl);
-      if (!url.hostname.includes('github.com')) {
-        setError('Please enter a valid GitHub repository URL');
+      if (!['http:', 'https:'].includes(url.protocol) || url.pathname.split('/').filter(Boolean).length < 2) {
+        setError('Please enter a valid GitHub repository URL, such as https://github.com/username/repo');
         return false;
       }
     } catch (e) {
@@ -76,18 +111,59 @@ const InputForm = ({ onSubmit }) => {
     return true;
   };
   
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (validateInput()) {
-      onSubmit({
-        canvasApiKey,
-        courseUrl,
-        githubRepoUrl,
-        githubToken,
-        includeLineNumbers,
-        customClasses: customClasses.trim()
-      });
+    if (!validateInput()) {
+      return;
+    }
+    
+    // The credentials go to the backend session once and are not kept in the app state
+    setIsSubmitting(true);
+    try {
+      await SessionService.setCredentials({ canvasApiKey, githubToken });
+    } catch (err) {
+      setError(err.message);
+      return;
+    } finally {
+      setIsSubmitting(false);
+    }
+    
+    const courseUrls = [...new Set(courseLines.map(line => resolveCourseUrl(line, canvasBaseUrl.trim())))];
+    onSubmit({
+      courseUrl: courseUrls[0],
+      courseUrls,
+      githubRepoUrl,
+      includeLineNumbers,
+      customClasses: customClasses.trim(),
+      createMissingPages,
+      pageTemplate,
+      dryRun,
+      syncBlueprint
+    });
+  };
+  
+  const handleCanvasSignIn = async () => {
+    setError('');
+    setIsSigningIn(true);
+    
+    try {
+      setCanvasAuth(await CanvasAuthService.signIn());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+  
+  const handleCanvasSignOut = async () => {
+    setError('');
+    
+    try {
+      await CanvasAuthService.signOut();
+      setCanvasAuth(await CanvasAuthService.getStatus());
+    } catch (err) {
+      setError(err.message);
     }
   };
   
@@ -99,7 +175,14 @@ const InputForm = ({ onSubmit }) => {
     setShowGithubToken(!showGithubToken);
   };
   
-  // Validate GitHub token when it changes
+  // Offer Canvas sign-in if the server has a developer key for it
+  useEffect(() => {
+    CanvasAuthService.getStatus()
+      .then(setCanvasAuth)
+      .catch(() => setCanvasAuth(null));
+  }, []);
+  
+  // Validate GitHub token when it changes, on the GitHub instance of the repository
   useEffect(() => {
     const validateToken = async () => {
       // Don't validate if token is empty
@@ -111,7 +194,9 @@ const InputForm = ({ onSubmit }) => {
       setTokenValidating(true);
       
       try {
-        const result = await GitHubService.validateToken(githubToken);
+        // The backend validates the token of the session, so the token never goes in a URL
+        await SessionService.setCredentials({ githubToken });
+        const result = await GitHubService.validateToken(githubRepoUrl);
         
         if (result.valid) {
           setTokenStatus('valid');
@@ -132,7 +217,7 @@ const InputForm = ({ onSubmit }) => {
     const timeoutId = setTimeout(validateToken, 500);
     
     return () => clearTimeout(timeoutId);
-  }, [githubToken]);
+  }, [githubToken, githubRepoUrl]);
   
   return (
     <Box as="form" onSubmit={handleSubmit} width="100%">
@@ -142,9 +227,21 @@ const InputForm = ({ onSubmit }) => {
         </Heading>
         
         <Text>
-          Enter your Canvas API key, course URL, and GitHub repository URL to get started.
+          {ltiLaunch
+            ? 'Enter the GitHub repository URL to get started.'
+            : 'Enter your Canvas API key, course URLs, and GitHub repository URL to get started.'}
         </Text>
         
+        {ltiLaunch && !ltiLaunch.canvasSignIn && (
+          <Alert status="error">
+            <AlertIcon />
+            <AlertDescription>
+              Canvas sign-in is not set up for the Canvas instance of this course, so the tool cannot act in it.
+              Ask the administrator of the tool to configure Canvas sign-in (CANVAS_OAUTH_BASE_URL and the developer key) for this instance.
+            </AlertDescription>
+          </Alert>
+        )}
+        
         {error && (
           <Alert status="error">
             <AlertIcon />
@@ -153,43 +250,113 @@ const InputForm = ({ onSubmit }) => {
           </Alert>
         )}
         
-        <FormControl isRequired>
-          <FormLabel>Canvas API Key</FormLabel>
-          <InputGroup>
-            <Input
-              type={showApiKey ? 'text' : 'password'}
-              value={canvasApiKey}
-              onChange={(e) => setCanvasApiKey(e.target.value)}
-              placeholder="Enter your Canvas API key"
-            />
-            <InputRightElement>
-              <Tooltip label={showApiKey ? "Hide API Key" : "Show API Key"}>
-                <IconButton
-                  aria-label={showApiKey ? "Hide API Key" : "Show API Key"}
-                  size="sm"
-                  onClick={toggleApiKeyVisibility}
-                  icon={showApiKey ? <FaEyeSlash /> : <FaEye />}
-                />
-              </Tooltip>
-            </InputRightElement>
-          </InputGroup>
-          <FormHelperText>
-            This is needed to authenticate with the Canvas API. You can generate an API key from your Canvas account settings.
-          </FormHelperText>
-        </FormControl>
+        {canvasAuth?.enabled && (!ltiLaunch || ltiLaunch.canvasSignIn) && (
+          <Box borderWidth="1px" borderRadius="md" p={4}>
+            {canvasAuth.signedIn ? (
+              <HStack justify="space-between">
+                <HStack>
+                  <Icon as={FaCheck} color="green.500" />
+                  <Text>
+                    Signed in to {canvasAuth.baseUrl} as <strong>{canvasAuth.user?.name || 'a Canvas user'}</strong>
+                  </Text>
+                </HStack>
+                <Button size="sm" variant="outline" leftIcon={<FaSignOutAlt />} onClick={handleCanvasSignOut}>
+                  Sign Out
+                </Button>
+              </HStack>
+            ) : (
+              <VStack align="start" spacing={2}>
+                <Button
+                  colorScheme="blue"
+                  variant="outline"
+                  leftIcon={<FaSignInAlt />}
+                  onClick={handleCanvasSignIn}
+                  isLoading={isSigningIn}
+                  loadingText="Waiting for Canvas"
+                >
+                  Sign in with Canvas
+                </Button>
+                <Text fontSize="sm" color="gray.600">
+                  {ltiLaunch
+                    ? `Sign in to ${canvasAuth.baseUrl} to let the tool write to this course as you.`
+                    : `Sign in to ${canvasAuth.baseUrl} instead of generating an API key, or enter an API key below.`}
+                </Text>
+                {canvasAuth.error && (
+                  <Text fontSize="sm" color="red.500">
+                    The last sign-in failed: {canvasAuth.error}
+                  </Text>
+                )}
+              </VStack>
+            )}
+          </Box>
+        )}
         
-        <FormControl isRequired>
-          <FormLabel>Canvas Course URL</FormLabel>
-          <Input
-            type="url"
-            value={courseUrl}
-            onChange={(e) => setCourseUrl(e.target.value)}
-            placeholder="https://canvas.institution.edu/courses/12345"
-          />
-          <FormHelperText>
-            The URL of the Canvas course you want to update.
-          </FormHelperText>
-        </FormControl>
+        {!ltiLaunch && (
+          <FormControl isRequired={!canvasAuth?.signedIn}>
+            <FormLabel>Canvas API Key</FormLabel>
+            <InputGroup>
+              <Input
+                type={showApiKey ? 'text' : 'password'}
+                value={canvasApiKey}
+                onChange={(e) => setCanvasApiKey(e.target.value)}
+                placeholder="Enter your Canvas API key"
+              />
+              <InputRightElement>
+                <Tooltip label={showApiKey ? "Hide API Key" : "Show API Key"}>
+                  <IconButton
+                    aria-label={showApiKey ? "Hide API Key" : "Show API Key"}
+                    size="sm"
+                    onClick={toggleApiKeyVisibility}
+                    icon={showApiKey ? <FaEyeSlash /> : <FaEye />}
+                  />
+                </Tooltip>
+              </InputRightElement>
+            </InputGroup>
+            <FormHelperText>
+              This is needed to authenticate with the Canvas API. You can generate an API key from your Canvas account settings.
+              The key is kept in backend memory for this session only.
+              {canvasAuth?.signedIn && ' Leave it empty to use your Canvas sign-in.'}
+            </FormHelperText>
+          </FormControl>
+        )}
+        
+        {ltiLaunch ? (
+          <Alert status="info">
+            <AlertIcon />
+            <AlertDescription>
+              Launched from Canvas: exercises will be written to <strong>{ltiLaunch.courseTitle || ltiLaunch.courseUrl}</strong> ({ltiLaunch.courseUrl}).
+            </AlertDescription>
+          </Alert>
+        ) : (
+          <>
+            <FormControl>
+              <FormLabel>Canvas Base URL (Optional)</FormLabel>
+              <Input
+                type="url"
+                value={canvasBaseUrl}
+                onChange={(e) => setCanvasBaseUrl(e.target.value)}
+                placeholder="https://lms.institution.edu:8443/canvas"
+              />
+              <FormHelperText>
+                The address Canvas is served from, including its port and path prefix if it has them.
+                With a base URL, courses can be entered by course ID alone.
+              </FormHelperText>
+            </FormControl>
+            
+            <FormControl isRequired>
+              <FormLabel>Canvas Course URLs</FormLabel>
+              <Textarea
+                value={courseUrl}
+                onChange={(e) => setCourseUrl(e.target.value)}
+                placeholder="https://canvas.institution.edu/courses/12345"
+                rows={3}
+              />
+              <FormHelperText>
+                The URL of the Canvas course you want to update, or its course ID if a base URL is entered above. Enter one course per line to update several courses or sections from the same repository; each course is verified and processed in turn.
+              </FormHelperText>
+            </FormControl>
+          </>
+        )}
         
         <FormControl isRequired>
           <FormLabel>GitHub Repository URL</FormLabel>
@@ -200,7 +367,7 @@ const InputForm = ({ onSubmit }) => {
             placeholder="https://github.com/username/repo"
           />
           <FormHelperText>
-            The URL of the GitHub repository containing your Python exercise files.
+            The URL of the GitHub repository containing your exercise files. Repositories on a GitHub Enterprise Server the administrator has allowed work too.
           </FormHelperText>
         </FormControl>
         
@@ -282,7 +449,80 @@ const InputForm = ({ onSubmit }) => {
           </FormHelperText>
         </FormControl>
         
-        <Button type="submit" colorScheme="blue" size="lg" alignSelf="flex-start">
+        <FormControl>
+          <HStack spacing={3}>
+            <Switch
+              id="dry-run"
+              isChecked={dryRun}
+              onChange={(e) => setDryRun(e.target.checked)}
+              colorScheme="blue"
+            />
+            <FormLabel htmlFor="dry-run" mb={0}>
+              Preview changes before writing (dry run)
+            </FormLabel>
+          </HStack>
+          <FormHelperText>
+            When enabled, the new HTML of every page is computed first and shown as a diff against the current page, so you can choose which pages to update.
+          </FormHelperText>
+        </FormControl>
+        
+        <FormControl>
+          <HStack spacing={3}>
+            <Switch
+              id="sync-blueprint"
+              isChecked={syncBlueprint}
+              onChange={(e) => setSyncBlueprint(e.target.checked)}
+              colorScheme="blue"
+            />
+            <FormLabel htmlFor="sync-blueprint" mb={0}>
+              Sync blueprint courses after processing
+            </FormLabel>
+          </HStack>
+          <FormHelperText>
+            When enabled and a course is a Blueprint course, a blueprint sync is started once its pages are written, pushing the changes to its associated courses. The tool waits for the sync to finish.
+          </FormHelperText>
+        </FormControl>
+        
+        <FormControl>
+          <HStack spacing={3}>
+            <Switch
+              id="create-missing-pages"
+              isChecked={createMissingPages}
+              onChange={(e) => setCreateMissingPages(e.target.checked)}
+              colorScheme="blue"
+            />
+            <FormLabel htmlFor="create-missing-pages" mb={0}>
+              Create missing Canvas pages
+            </FormLabel>
+          </HStack>
+          <FormHelperText>
+            When enabled, pages named in the metadata that do not exist yet are created during processing, using the template below.
+          </FormHelperText>
+        </FormControl>
+        
+        {createMissingPages && (
+          <FormControl>
+            <FormLabel>New Page Template</FormLabel>
+            <Textarea
+              value={pageTemplate}
+              onChange={(e) => setPageTemplate(e.target.value)}
+              fontFamily="monospace"
+              rows={5}
+            />
+            <FormHelperText>
+              HTML body for created pages. <code>{'{{title}}'}</code> is replaced by the page title (the <code>title</code> metadata field, or one derived from the page slug) and <code>{'{{placeholders}}'}</code> by a &lt;div data-code-placement&gt; element for every placement that targets the page.
+            </FormHelperText>
+          </FormControl>
+        )}
+        
+        <Button
+          type="submit"
+          colorScheme="blue"
+          size="lg"
+          alignSelf="flex-start"
+          isLoading={isSubmitting}
+          isDisabled={Boolean(ltiLaunch) && !ltiLaunch.canvasSignIn}
+        >
           Next
         </Button>
       </VStack>
@@ -0,0 +1,253 @@
+import { useState } from 'react';
+import {
+  Box,
+  VStack,
+  Heading,
+  Text,
+  Button,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Badge,
+  Stat,
+  StatLabel,
+  StatNumber,
+  StatGroup,
+  HStack,
+  Icon,
+  Link,
+  Accordion,
+  AccordionItem,
+  AccordionButton,
+  AccordionPanel,
+  AccordionIcon,
+  Alert,
+  AlertIcon,
+  AlertTitle,
+  AlertDescription
+} from '@chakra-ui/react';
+import { FaExternalLinkAlt, FaSearch } from 'react-icons/fa';
+import VerificationService from '../services/VerificationService';
+
+const PageLink = ({ title, url }) => (
+  url ? (
+    <Link href={url} isExternal color="blue.500">
+      {title}
+      <Icon as={FaExternalLinkAlt} ml={1} boxSize={3} />
+    </Link>
+  ) : (
+    <Text>{title}</Text>
+  )
+);
+
+const PlaceholderState = ({ placeholder }) => (
+  <HStack>
+    <Badge colorScheme={placeholder.elementType === 'div' ? 'blue' : 'gray'}>
+      {placeholder.elementType === 'div' ? 'interactive' : 'non-interactive'}
+    </Badge>
+    {placeholder.empty ? (
+      <Badge colorScheme="yellow">Empty</Badge>
+    ) : (
+      <Badge colorScheme="green">Has content</Badge>
+    )}
+  </HStack>
+);
+
+const PlaceholderReport = ({ results }) => {
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadReport = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      setReport(await VerificationService.buildPlaceholderReport(results));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Box borderWidth="1px" borderRadius="md" p={4}>
+      <VStack spacing={4} align="stretch">
+        <HStack justify="space-between">
+          <Heading as="h4" size="md">
+            Placeholder Inventory
+          </Heading>
+          <Button
+            size="sm"
+            leftIcon={<FaSearch />}
+            onClick={loadReport}
+            isLoading={isLoading}
+            loadingText="Scanning pages"
+          >
+            {report ? 'Scan Again' : 'Scan Course Pages'}
+          </Button>
+        </HStack>
+
+        <Text fontSize="sm" color="gray.600">
+          Lists every data-code-placement placeholder on the wiki pages of the course and checks it against the exercises in the selected directory.
+        </Text>
+
+        {error && (
+          <Alert status="error">
+            <AlertIcon />
+            <AlertTitle mr={2}>Scan failed</AlertTitle>
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {report && (
+          <>
+            <StatGroup>
+              <Stat>
+                <StatLabel>Pages Scanned</StatLabel>
+                <StatNumber>{report.pageCount}</StatNumber>
+              </Stat>
+              <Stat>
+                <StatLabel>Placeholders</StatLabel>
+                <StatNumber>{report.placeholderCount}</StatNumber>
+              </Stat>
+              <Stat>
+                <StatLabel>Filled by an Exercise</StatLabel>
+                <StatNumber>{report.filled.length}</StatNumber>
+              </Stat>
+              <Stat>
+                <StatLabel>No Exercise</StatLabel>
+                <StatNumber>{report.unclaimed.length}</StatNumber>
+              </Stat>
+              <Stat>
+                <StatLabel>Orphaned Exercises</StatLabel>
+                <StatNumber>{report.orphans.length}</StatNumber>
+              </Stat>
+            </StatGroup>
+
+            <Accordion allowMultiple>
+              <AccordionItem>
+                <h2>
+                  <AccordionButton>
+                    <Box flex="1" textAlign="left" fontWeight="medium">
+                      Placeholders filled by an exercise ({report.filled.length})
+                    </Box>
+                    <AccordionIcon />
+                  </AccordionButton>
+                </h2>
+                <AccordionPanel pb={4} overflowX="auto">
+                  <Table size="sm">
+                    <Thead>
+                      <Tr>
+                        <Th>Page</Th>
+                        <Th>Placement</Th>
+                        <Th>State</Th>
+                        <Th>Exercise Files</Th>
+                      </Tr>
+                    </Thead>
+                    <Tbody>
+                      {report.filled.map((placeholder, index) => (
+                        <Tr key={index}>
+                          <Td><PageLink title={placeholder.pageTitle} url={placeholder.canvasPageUrl} /></Td>
+                          <Td>{placeholder.placement}</Td>
+                          <Td><PlaceholderState placeholder={placeholder} /></Td>
+                          <Td>
+                            <VStack align="start" spacing={1}>
+                              {placeholder.files.map(file => (
+                                <Text key={file} fontSize="sm">{file}</Text>
+                              ))}
+                              {placeholder.files.length > 1 && (
+                                <Badge colorScheme="orange">Several files target this placeholder</Badge>
+                              )}
+                            </VStack>
+                          </Td>
+                        </Tr>
+                      ))}
+                    </Tbody>
+                  </Table>
+                </AccordionPanel>
+              </AccordionItem>
+
+              <AccordionItem>
+                <h2>
+                  <AccordionButton>
+                    <Box flex="1" textAlign="left" fontWeight="medium">
+                      Placeholders with no exercise ({report.unclaimed.length})
+                    </Box>
+                    <AccordionIcon />
+                  </AccordionButton>
+                </h2>
+                <AccordionPanel pb={4} overflowX="auto">
+                  <Table size="sm">
+                    <Thead>
+                      <Tr>
+                        <Th>Page</Th>
+                        <Th>Placement</Th>
+                        <Th>State</Th>
+                        <Th>Last Filled From</Th>
+                      </Tr>
+                    </Thead>
+                    <Tbody>
+                      {report.unclaimed.map((placeholder, index) => (
+                        <Tr key={index}>
+                          <Td><PageLink title={placeholder.pageTitle} url={placeholder.canvasPageUrl} /></Td>
+                          <Td>{placeholder.placement}</Td>
+                          <Td><PlaceholderState placeholder={placeholder} /></Td>
+                          <Td>
+                            <Text fontSize="sm" color="gray.600">{placeholder.source || '-'}</Text>
+                          </Td>
+                        </Tr>
+                      ))}
+                    </Tbody>
+                  </Table>
+                </AccordionPanel>
+              </AccordionItem>
+
+              <AccordionItem>
+                <h2>
+                  <AccordionButton>
+                    <Box flex="1" textAlign="left" fontWeight="medium">
+                      Exercises pointing at a missing placeholder ({report.orphans.length})
+                    </Box>
+                    <AccordionIcon />
+                  </AccordionButton>
+                </h2>
+                <AccordionPanel pb={4} overflowX="auto">
+                  <Table size="sm">
+                    <Thead>
+                      <Tr>
+                        <Th>File</Th>
+                        <Th>Page</Th>
+                        <Th>Placement</Th>
+                        <Th>Problem</Th>
+                      </Tr>
+                    </Thead>
+                    <Tbody>
+                      {report.orphans.map((orphan, index) => (
+                        <Tr key={index}>
+                          <Td>{orphan.file}</Td>
+                          <Td><PageLink title={orphan.page} url={orphan.canvasPageUrl} /></Td>
+                          <Td>{orphan.placement}</Td>
+                          <Td>
+                            <Badge colorScheme="red">
+                              {orphan.reason === 'page_missing' ? 'Page does not exist' : 'Placeholder not on page'}
+                            </Badge>
+                          </Td>
+                        </Tr>
+                      ))}
+                    </Tbody>
+                  </Table>
+                </AccordionPanel>
+              </AccordionItem>
+            </Accordion>
+          </>
+        )}
+      </VStack>
+    </Box>
+  );
+};
+
+export default PlaceholderReport;
@@ -15,27 +15,39 @@ import {
   AlertDescription,
   HStack,
   Badge,
-  Code
+  Code,
+  Link
 } from '@chakra-ui/react';
 import { FaCheck, FaTimes } from 'react-icons/fa';
 import ExerciseProcessor from '../services/ExerciseProcessor';
+import BlueprintSyncStatus from './BlueprintSyncStatus';
+import ThrottleNotice from './ThrottleNotice';
 
 // Real processing function using ExerciseProcessor service
-const processExercises = async (config, onProgress, onError) => {
+const processExercises = async (config, onProgress, onError, onStale) => {
   try {
     // Initialize the processor
     ExerciseProcessor.initialize({
-      canvasApiKey: config.canvasApiKey,
       courseUrl: config.courseUrl,
+      courseUrls: config.courseUrls,
       githubRepoUrl: config.githubRepoUrl,
+      githubRef: config.githubRef,
+      githubCommit: config.githubCommit,
       directoryPath: config.directoryPath,
       useCorsProxy: config.useCorsProxy || false,
       includeLineNumbers: config.includeLineNumbers !== undefined ? config.includeLineNumbers : true,
-      customClasses: config.customClasses || ''
+      customClasses: config.customClasses || '',
+      createMissingPages: config.createMissingPages || false,
+      pageTemplate: config.pageTemplate,
+      syncBlueprint: config.syncBlueprint || false
     });
     
-    // Process the exercises
-    const results = await ExerciseProcessor.processExercises(onProgress, onError);
+    // Process every course, limited to the pages approved after a dry run
+    const results = await ExerciseProcessor.processCourses(onProgress, onError, {
+      approvedPages: config.approvedPages || undefined,
+      verifiedVersions: config.verifiedVersions,
+      onStale
+    });
     return results;
   } catch (error) {
     console.error('Processing error:', error);
@@ -48,9 +60,12 @@ const ProcessingStatus = ({ isProcessing, config, errors: initialErrors, onCompl
   const [currentFile, setCurrentFile] = useState('');
   const [processed, setProcessed] = useState(0);
   const [total, setTotal] = useState(0);
+  const [course, setCourse] = useState(null);
+  const [blueprintSync, setBlueprintSync] = useState(null);
   const [errors, setErrors] = useState(initialErrors || []);
   const [errorDialogOpen, setErrorDialogOpen] = useState(false);
   const [currentError, setCurrentError] = useState(null);
+  const [staleTarget, setStaleTarget] = useState(null); // Page edited since verification, waiting for a choice
   
   useEffect(() => {
     if (isProcessing) {
@@ -63,16 +78,26 @@ const ProcessingStatus = ({ isProcessing, config, errors: initialErrors, onCompl
       const results = await processExercises(
         config,
         (progressData) => {
+          // A blueprint sync reports its own progress once the pages are written
+          if (progressData.blueprintSync) {
+            setBlueprintSync(progressData.blueprintSync);
+            return;
+          }
+          
+          setBlueprintSync(null);
           setProgress(progressData.progress);
           setCurrentFile(progressData.currentFile);
           setProcessed(progressData.processed);
           setTotal(progressData.total);
+          setCourse(progressData.courseCount > 1 ? progressData : null);
         },
         (error) => {
           setErrors(prev => [...prev, error]);
           setCurrentError(error);
           setErrorDialogOpen(true);
-        }
+        },
+        // Processing waits until the user picks overwrite, skip or reverify
+        (stale) => new Promise(resolve => setStaleTarget({ ...stale, resolve }))
       );
       
       onComplete(results);
@@ -86,6 +111,11 @@ const ProcessingStatus = ({ isProcessing, config, errors: initialErrors, onCompl
     setErrorDialogOpen(false);
   };
   
+  const handleStaleChoice = (choice) => {
+    staleTarget.resolve(choice);
+    setStaleTarget(null);
+  };
+  
   const handleAbort = () => {
     // In a real implementation, we'd need to cancel the processing
     setErrorDialogOpen(false);
@@ -93,6 +123,8 @@ const ProcessingStatus = ({ isProcessing, config, errors: initialErrors, onCompl
       aborted: true,
       processedFiles: processed,
       totalFiles: total,
+      runs: ExerciseProcessor.runs,
+      source: ExerciseProcessor.source,
       errors
     });
   };
@@ -104,8 +136,48 @@ const ProcessingStatus = ({ isProcessing, config, errors: initialErrors, onCompl
           Processing Files
         </Heading>
         
+        <ThrottleNotice />
+        
+        {staleTarget && !errorDialogOpen && (
+          <Alert status="warning" variant="subtle" flexDirection="column" alignItems="flex-start">
+            <HStack>
+              <AlertIcon />
+              <AlertTitle>Page Edited Since Verification</AlertTitle>
+            </HStack>
+            <AlertDescription>
+              <Text mt={2}>
+                <strong>{staleTarget.title}</strong> was changed in Canvas after the files were verified.
+                Writing it now would be based on the edited page.
+              </Text>
+              <Text fontSize="sm" mt={1}>Files: {staleTarget.files.join(', ')}</Text>
+              {staleTarget.canvasPageUrl && (
+                <Link href={staleTarget.canvasPageUrl} isExternal color="blue.500" fontSize="sm">
+                  View the page in Canvas
+                </Link>
+              )}
+            </AlertDescription>
+            <HStack mt={4} spacing={4}>
+              <Button colorScheme="blue" onClick={() => handleStaleChoice('reverify')}>
+                Stop and Verify Again
+              </Button>
+              <Button colorScheme="orange" variant="outline" onClick={() => handleStaleChoice('overwrite')}>
+                Overwrite
+              </Button>
+              <Button variant="outline" onClick={() => handleStaleChoice('skip')}>
+                Skip This Page
+              </Button>
+            </HStack>
+          </Alert>
+        )}
+        
         {!errorDialogOpen ? (
           <>
+            {course && (
+              <Text>
+                Course {course.courseIndex + 1} of {course.courseCount}: <strong>{course.courseUrl}</strong>
+              </Text>
+            )}
+            
             <Progress 
               value={progress} 
               size="lg" 
@@ -114,6 +186,8 @@ const ProcessingStatus = ({ isProcessing, config, errors: initialErrors, onCompl
               isAnimated={progress < 100}
             />
             
+            {blueprintSync && <BlueprintSyncStatus sync={blueprintSync} />}
+            
             <HStack justify="space-between">
               <Text>
                 Processing file: <strong>{currentFile}</strong>
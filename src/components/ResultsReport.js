@@ -1,3 +1,4 @@
+import { useState } from 'react';
 import {
   Box,
   VStack,
@@ -18,11 +19,281 @@ import {
   HStack,
   Icon,
   Link,
-  Tooltip
+  Tooltip,
+  Alert,
+  AlertIcon,
+  AlertTitle,
+  AlertDescription
 } from '@chakra-ui/react';
-import { FaExternalLinkAlt } from 'react-icons/fa';
+import { FaExternalLinkAlt, FaUndo } from 'react-icons/fa';
+import CanvasService from '../services/CanvasService';
+import BlueprintSyncStatus from './BlueprintSyncStatus';
+import SourceCommit from './SourceCommit';
 
-const ResultsReport = ({ results, onStartOver }) => {
+const rollbackStatusBadges = {
+  restored: { colorScheme: 'green', label: 'Restored' },
+  deleted: { colorScheme: 'purple', label: 'Deleted' },
+  already_deleted: { colorScheme: 'gray', label: 'Already deleted' },
+  error: { colorScheme: 'red', label: 'Error' }
+};
+
+// Restores every page the run changed, after the user confirms
+const RollbackPanel = ({ runId, courseUrl }) => {
+  const [confirming, setConfirming] = useState(false);
+  const [isRollingBack, setIsRollingBack] = useState(false);
+  const [rollback, setRollback] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleRollback = async () => {
+    setIsRollingBack(true);
+    setError('');
+    try {
+      setRollback(await CanvasService.rollbackRun(runId, courseUrl));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRollingBack(false);
+      setConfirming(false);
+    }
+  };
+
+  if (rollback) {
+    const editedPages = rollback.pages.filter(page => page.editedSinceRun);
+
+    return (
+      <VStack align="stretch" spacing={4}>
+        <Heading as="h4" size="md">
+          Run Rolled Back
+        </Heading>
+
+        {editedPages.length > 0 && (
+          <Alert status="warning">
+            <AlertIcon />
+            <AlertDescription>
+              {editedPages.length} page(s) had been edited in Canvas after the run. Those edits were replaced as well; use the page history in Canvas to recover them.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {rollback.pages.length === 0 ? (
+          <Text>The run did not change any pages.</Text>
+        ) : (
+          <Table variant="simple" size="sm">
+            <Thead>
+              <Tr>
+                <Th>Page</Th>
+                <Th>Result</Th>
+                <Th>Edited since run</Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {rollback.pages.map((page) => {
+                const badge = rollbackStatusBadges[page.status] || rollbackStatusBadges.error;
+                return (
+                  <Tr key={page.page}>
+                    <Td>{page.title || page.page}</Td>
+                    <Td>
+                      <VStack align="start" spacing={1}>
+                        <Badge colorScheme={badge.colorScheme}>{badge.label}</Badge>
+                        {page.error && (
+                          <Text fontSize="sm" color="red.500">{page.error}</Text>
+                        )}
+                      </VStack>
+                    </Td>
+                    <Td>
+                      {page.editedSinceRun === null ? (
+                        <Text color="gray.500">Unknown</Text>
+                      ) : page.editedSinceRun ? (
+                        <Badge colorScheme="orange">Edited</Badge>
+                      ) : (
+                        <Text color="gray.600">No</Text>
+                      )}
+                    </Td>
+                  </Tr>
+                );
+              })}
+            </Tbody>
+          </Table>
+        )}
+      </VStack>
+    );
+  }
+
+  return (
+    <VStack align="stretch" spacing={4}>
+      {error && (
+        <Alert status="error">
+          <AlertIcon />
+          <AlertTitle mr={2}>Rollback failed</AlertTitle>
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {confirming ? (
+        <Alert status="warning" flexDirection="column" alignItems="flex-start">
+          <HStack>
+            <AlertIcon />
+            <AlertTitle>Roll back this run?</AlertTitle>
+          </HStack>
+          <AlertDescription>
+            Every page this run changed is restored to its content before the run, and pages it created are deleted. Edits made in Canvas since the run are replaced too.
+          </AlertDescription>
+          <HStack mt={4} spacing={4}>
+            <Button colorScheme="red" onClick={handleRollback} isLoading={isRollingBack} loadingText="Rolling back">
+              Roll Back
+            </Button>
+            <Button variant="outline" onClick={() => setConfirming(false)} isDisabled={isRollingBack}>
+              Cancel
+            </Button>
+          </HStack>
+        </Alert>
+      ) : (
+        <Button leftIcon={<FaUndo />} variant="outline" colorScheme="red" alignSelf="flex-start" onClick={() => setConfirming(true)}>
+          Roll Back This Run
+        </Button>
+      )}
+    </VStack>
+  );
+};
+
+// Results of one course: counts, one row per file, and rollback of its run
+const CourseResults = ({ results }) => {
+  if (results.failed) {
+    return (
+      <Alert status="error">
+        <AlertIcon />
+        <AlertTitle mr={2}>Course could not be processed</AlertTitle>
+        <AlertDescription>{results.error}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  return (
+    <VStack spacing={6} align="stretch">
+      <StatGroup>
+        <Stat>
+          <StatLabel>Total Files</StatLabel>
+          <StatNumber>{results.totalFiles}</StatNumber>
+        </Stat>
+        
+        <Stat>
+          <StatLabel>Successfully Processed</StatLabel>
+          <StatNumber>{results.successCount}</StatNumber>
+        </Stat>
+        
+        <Stat>
+          <StatLabel>Errors</StatLabel>
+          <StatNumber>{results.errorCount}</StatNumber>
+        </Stat>
+        
+        {results.unchangedCount > 0 && (
+          <Stat>
+            <StatLabel>Unchanged</StatLabel>
+            <StatNumber>{results.unchangedCount}</StatNumber>
+          </Stat>
+        )}
+        
+        {results.skippedCount > 0 && (
+          <Stat>
+            <StatLabel>Skipped</StatLabel>
+            <StatNumber>{results.skippedCount}</StatNumber>
+          </Stat>
+        )}
+        
+        {results.createdPages && results.createdPages.length > 0 && (
+          <Stat>
+            <StatLabel>Pages Created</StatLabel>
+            <StatNumber>{results.createdPages.length}</StatNumber>
+          </Stat>
+        )}
+      </StatGroup>
+      
+      <Box overflowX="auto">
+        <Table variant="simple">
+          <Thead>
+            <Tr>
+              <Th>File</Th>
+              <Th>Status</Th>
+              <Th width="50%">Details</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {results.results && results.results.map((result, index) => (
+              <Tr key={index}>
+                <Td>{result.file}</Td>
+                <Td>
+                  <HStack>
+                    {result.status === 'skipped' ? (
+                      <Badge colorScheme="gray">Skipped</Badge>
+                    ) : result.status === 'unchanged' ? (
+                      <Badge colorScheme="blue">Unchanged</Badge>
+                    ) : result.status === 'success' ? (
+                      <>
+                        <Icon as={() => <span>✅</span>} />
+                        <Badge colorScheme="green">Success</Badge>
+                        {result.pageCreated && (
+                          <Badge colorScheme="purple">Page created</Badge>
+                        )}
+                      </>
+                    ) : (
+                      <>
+                        <Icon as={() => <span>❌</span>} />
+                        <Badge colorScheme="red">Error</Badge>
+                      </>
+                    )}
+                  </HStack>
+                </Td>
+                <Td>
+                  {result.status !== 'error' ? (
+                    <VStack align="start" spacing={1}>
+                      <HStack>
+                        <Text fontWeight="bold">Page:</Text>
+                        <Text>{result.title || result.page || result.target}</Text>
+                        {result.canvasPageUrl && (
+                          <Tooltip label="Open Canvas page in new tab">
+                            <Link href={result.canvasPageUrl} isExternal color="blue.500">
+                              <Icon as={FaExternalLinkAlt} ml={1} boxSize={3} />
+                            </Link>
+                          </Tooltip>
+                        )}
+                      </HStack>
+                      {result.placementDetails && (
+                        <Text fontSize="sm" color="gray.600">{result.placementDetails}</Text>
+                      )}
+                    </VStack>
+                  ) : (
+                    <VStack align="start" spacing={1}>
+                      <Text color="red.500">{result.error}</Text>
+                      {result.canvasPageUrl && (
+                        <HStack>
+                          <Text fontSize="sm" fontWeight="bold">Page:</Text>
+                          <Tooltip label="Open Canvas page in new tab">
+                            <Link href={result.canvasPageUrl} isExternal color="blue.500" fontSize="sm">
+                              View in Canvas
+                              <Icon as={FaExternalLinkAlt} ml={1} boxSize={3} />
+                            </Link>
+                          </Tooltip>
+                        </HStack>
+                      )}
+                    </VStack>
+                  )}
+                </Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      </Box>
+      
+      {results.blueprintSync && <BlueprintSyncStatus sync={results.blueprintSync} />}
+      
+      {results.runId && results.successCount > 0 && (
+        <RollbackPanel runId={results.runId} courseUrl={results.courseUrl} />
+      )}
+    </VStack>
+  );
+};
+
+const ResultsReport = ({ results, onStartOver, onVerifyAgain }) => {
   // If no results are provided yet, show a loading state
   if (!results) {
     return (
@@ -34,6 +305,8 @@ const ResultsReport = ({ results, onStartOver }) => {
 
   // If the operation was aborted, show a special message
   if (results.aborted) {
+    const runs = results.runs || [];
+
     return (
       <Box width="100%">
         <VStack spacing={6} align="stretch">
@@ -45,6 +318,17 @@ const ResultsReport = ({ results, onStartOver }) => {
             The operation was aborted after processing {results.processedFiles} of {results.totalFiles} files.
           </Text>
           
+          <SourceCommit source={results.source} label="Exercises were read from" />
+          
+          {runs.map((run) => (
+            <VStack key={run.runId} align="stretch" spacing={2}>
+              {runs.length > 1 && (
+                <Text fontWeight="bold" wordBreak="break-all">{run.courseUrl}</Text>
+              )}
+              <RollbackPanel runId={run.runId} courseUrl={run.courseUrl} />
+            </VStack>
+          ))}
+          
           <Button colorScheme="blue" size="lg" onClick={onStartOver}>
             Start Over
           </Button>
@@ -53,105 +337,88 @@ const ResultsReport = ({ results, onStartOver }) => {
     );
   }
 
+  const courses = results.courses || [];
+
   // Regular results display
   return (
     <Box width="100%">
       <VStack spacing={6} align="stretch">
         <Heading as="h3" size="lg">
-          Processing Complete
+          {results.reverifyRequested ? 'Processing Stopped' : 'Processing Complete'}
         </Heading>
         
-        <StatGroup>
-          <Stat>
-            <StatLabel>Total Files</StatLabel>
-            <StatNumber>{results.totalFiles}</StatNumber>
-          </Stat>
-          
-          <Stat>
-            <StatLabel>Successfully Processed</StatLabel>
-            <StatNumber>{results.successCount}</StatNumber>
-          </Stat>
-          
-          <Stat>
-            <StatLabel>Errors</StatLabel>
-            <StatNumber>{results.errorCount}</StatNumber>
-          </Stat>
-        </StatGroup>
+        <SourceCommit source={results.source} label="Deployed from" />
         
-        <Box overflowX="auto">
-          <Table variant="simple">
-            <Thead>
-              <Tr>
-                <Th>File</Th>
-                <Th>Status</Th>
-                <Th width="50%">Details</Th>
-              </Tr>
-            </Thead>
-            <Tbody>
-              {results.results && results.results.map((result, index) => (
-                <Tr key={index}>
-                  <Td>{result.file}</Td>
-                  <Td>
-                    <HStack>
-                      {result.status === 'success' ? (
-                        <>
-                          <Icon as={() => <span>✅</span>} />
-                          <Badge colorScheme="green">Success</Badge>
-                        </>
-                      ) : (
-                        <>
-                          <Icon as={() => <span>❌</span>} />
-                          <Badge colorScheme="red">Error</Badge>
-                        </>
-                      )}
-                    </HStack>
-                  </Td>
-                  <Td>
-                    {result.status === 'success' ? (
-                      <VStack align="start" spacing={1}>
-                        <HStack>
-                          <Text fontWeight="bold">Page:</Text>
-                          <Text>{result.title || result.page}</Text>
-                          {result.canvasPageUrl && (
-                            <Tooltip label="Open Canvas page in new tab">
-                              <Link href={result.canvasPageUrl} isExternal color="blue.500">
-                                <Icon as={FaExternalLinkAlt} ml={1} boxSize={3} />
-                              </Link>
-                            </Tooltip>
-                          )}
-                        </HStack>
-                        {result.placementDetails && (
-                          <Text fontSize="sm" color="gray.600">{result.placementDetails}</Text>
-                        )}
-                      </VStack>
+        {results.reverifyRequested && (
+          <Alert status="info">
+            <AlertIcon />
+            <AlertDescription>
+              A page was edited in Canvas after verification, and processing stopped so the files can be
+              verified again. Pages written before that stay written and can be rolled back below.
+            </AlertDescription>
+          </Alert>
+        )}
+        
+        {courses.length > 1 ? (
+          <>
+            <StatGroup>
+              <Stat>
+                <StatLabel>Courses</StatLabel>
+                <StatNumber>{courses.length}</StatNumber>
+              </Stat>
+              
+              <Stat>
+                <StatLabel>Failed Courses</StatLabel>
+                <StatNumber>{results.failedCourses}</StatNumber>
+              </Stat>
+              
+              <Stat>
+                <StatLabel>Successfully Processed</StatLabel>
+                <StatNumber>{results.successCount}</StatNumber>
+              </Stat>
+              
+              <Stat>
+                <StatLabel>Errors</StatLabel>
+                <StatNumber>{results.errorCount}</StatNumber>
+              </Stat>
+            </StatGroup>
+            
+            {courses.map((course) => (
+              <Box key={course.courseUrl} borderWidth="1px" borderRadius="md" p={4}>
+                <VStack spacing={4} align="stretch">
+                  <HStack>
+                    <Heading as="h4" size="md" wordBreak="break-all">
+                      {course.courseUrl}
+                    </Heading>
+                    {course.failed ? (
+                      <Badge colorScheme="red">Failed</Badge>
+                    ) : course.errorCount > 0 ? (
+                      <Badge colorScheme="orange">{course.errorCount} error(s)</Badge>
                     ) : (
-                      <VStack align="start" spacing={1}>
-                        <Text color="red.500">{result.error}</Text>
-                        {result.canvasPageUrl && (
-                          <HStack>
-                            <Text fontSize="sm" fontWeight="bold">Page:</Text>
-                            <Tooltip label="Open Canvas page in new tab">
-                              <Link href={result.canvasPageUrl} isExternal color="blue.500" fontSize="sm">
-                                View in Canvas
-                                <Icon as={FaExternalLinkAlt} ml={1} boxSize={3} />
-                              </Link>
-                            </Tooltip>
-                          </HStack>
-                        )}
-                      </VStack>
+                      <Badge colorScheme="green">Done</Badge>
                     )}
-                  </Td>
-                </Tr>
-              ))}
-            </Tbody>
-          </Table>
-        </Box>
+                  </HStack>
+                  <CourseResults results={course} />
+                </VStack>
+              </Box>
+            ))}
+          </>
+        ) : (
+          courses.map((course) => (
+            <CourseResults key={course.courseUrl} results={course} />
+          ))
+        )}
         
-        <Box pt={4}>
-          <Button colorScheme="blue" size="lg" onClick={onStartOver}>
+        <HStack pt={4} spacing={4}>
+          {results.reverifyRequested && onVerifyAgain && (
+            <Button colorScheme="blue" size="lg" onClick={onVerifyAgain}>
+              Verify Again
+            </Button>
+          )}
+          <Button colorScheme="blue" variant={results.reverifyRequested ? 'outline' : 'solid'} size="lg" onClick={onStartOver}>
             Start Over
           </Button>
-        </Box>
+        </HStack>
       </VStack>
     </Box>
   );
@@ -0,0 +1,33 @@
+import { Text, Link, Code, Icon } from '@chakra-ui/react';
+import { FaCodeBranch, FaExternalLinkAlt } from 'react-icons/fa';
+
+// Names the branch, tag or commit the exercise files were read from, and the commit it resolved to
+const SourceCommit = ({ source, label }) => {
+  if (!source) {
+    return null;
+  }
+
+  const refName = source.ref ? <Code>{source.ref}</Code> : 'the default branch';
+  const { commit } = source;
+
+  return (
+    <Text>
+      <Icon as={FaCodeBranch} mr={2} color="gray.500" />
+      {label} {refName}
+      {commit ? (
+        <>
+          {' '}at commit{' '}
+          <Link href={commit.url} isExternal color="blue.500">
+            <Code>{commit.sha.slice(0, 7)}</Code> <Icon as={FaExternalLinkAlt} mx="2px" boxSize={3} />
+          </Link>
+          {commit.message && ` (${commit.message.split('\n')[0]})`}
+        </>
+      ) : (
+        '; its commit could not be looked up'
+      )}
+      .
+    </Text>
+  );
+};
+
+export default SourceCommit;
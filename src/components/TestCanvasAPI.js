@@ -26,6 +26,7 @@ import {
 } from '@chakra-ui/react';
 import { FaEye, FaEyeSlash } from 'react-icons/fa';
 import CanvasService from '../services/CanvasService';
+import SessionService from '../services/SessionService';
 
 const TestCanvasAPI = () => {
   const [canvasApiKey, setCanvasApiKey] = useState('');
@@ -53,8 +54,9 @@ const TestCanvasAPI = () => {
     setIsConnected(false);
     
     try {
-      // Initialize the Canvas service
-      CanvasService.initialize(canvasApiKey, courseUrl);
+      // Store the API key in the backend session and initialize the Canvas service
+      await SessionService.setCredentials({ canvasApiKey });
+      CanvasService.initialize(courseUrl);
       
       // Test the connection by getting course info
       const course = await CanvasService.validateConnection();
@@ -12,9 +12,17 @@ import {
   AlertTitle,
   AlertDescription,
   Divider,
-  ButtonGroup
+  ButtonGroup,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Badge
 } from '@chakra-ui/react';
 import MetadataParser from '../services/MetadataParser';
+import MetadataSchema from '../services/MetadataSchema';
 
 const TestMetadataParser = () => {
   const [pythonCode, setPythonCode] = useState(
@@ -145,6 +153,58 @@ print(multiply(5, 3))`;
             </Code>
           </Box>
         )}
+        
+        <Box>
+          <Heading as="h2" size="md" mb={2}>
+            Metadata Field Reference
+          </Heading>
+          <Table variant="simple" size="sm">
+            <Thead>
+              <Tr>
+                <Th>Field</Th>
+                <Th>Type</Th>
+                <Th>Required</Th>
+                <Th>Default</Th>
+                <Th>Description</Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {MetadataSchema.describe().map((field) => (
+                <Tr key={field.name}>
+                  <Td>
+                    <Code>{field.name}</Code>
+                    {field.deprecated && (
+                      <Badge colorScheme="yellow" ml={2}>Deprecated</Badge>
+                    )}
+                  </Td>
+                  <Td>{field.types.join(' | ')}</Td>
+                  <Td>
+                    <Badge colorScheme={field.required ? 'red' : 'gray'}>
+                      {field.required ? 'Required' : 'Optional'}
+                    </Badge>
+                    {field.requiredWhen && (
+                      <Text fontSize="xs" color="gray.600" mt={1}>{field.requiredWhen}</Text>
+                    )}
+                  </Td>
+                  <Td>{field.default !== null && field.default !== undefined ? String(field.default) : '-'}</Td>
+                  <Td>
+                    {field.description}
+                    {field.enum && (
+                      <Box mt={1}>
+                        Allowed values: {field.enum.map(value => <Code key={value} mr={1}>{value}</Code>)}
+                      </Box>
+                    )}
+                    {field.deprecated && (
+                      <Box mt={1} color="orange.600">
+                        {field.deprecated}{field.replacedBy && ` Use '${field.replacedBy}' instead.`}
+                      </Box>
+                    )}
+                  </Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </Box>
       </VStack>
     </Box>
   );
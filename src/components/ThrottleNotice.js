@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { Alert, AlertIcon, AlertTitle, AlertDescription, Box } from '@chakra-ui/react';
+import CanvasService from '../services/CanvasService';
+
+// Shows how often Canvas throttled or failed requests while this screen was open
+const ThrottleNotice = () => {
+  const [totals, setTotals] = useState(null);
+
+  useEffect(() => CanvasService.onThrottle((summary) => {
+    setTotals(prev => ({
+      retries: (prev?.retries || 0) + summary.retries,
+      throttled: (prev?.throttled || 0) + summary.throttled,
+      waitedMs: (prev?.waitedMs || 0) + summary.waitedMs,
+      rateLimitRemaining: summary.rateLimitRemaining
+    }));
+  }), []);
+
+  if (!totals) {
+    return null;
+  }
+
+  return (
+    <Alert status="warning" alignItems="flex-start">
+      <AlertIcon />
+      <Box>
+        <AlertTitle>
+          {totals.throttled > 0 ? 'Canvas is limiting the request rate' : 'Canvas requests are being retried'}
+        </AlertTitle>
+        <AlertDescription>
+          {totals.retries} request(s) retried after waiting {Math.round(totals.waitedMs / 1000)} s in total
+          {totals.throttled > 0 && `, ${totals.throttled} of them throttled`}.
+          {totals.rateLimitRemaining !== null && ` Rate limit remaining: ${Math.round(totals.rateLimitRemaining)}.`}
+          {' '}Processing continues; requests are slowed down until Canvas catches up.
+        </AlertDescription>
+      </Box>
+    </Alert>
+  );
+};
+
+export default ThrottleNotice;
@@ -26,20 +26,30 @@ import {
   Flex,
   Spacer,
   UnorderedList,
-  ListItem
+  ListItem,
+  Alert,
+  AlertIcon,
+  AlertTitle,
+  AlertDescription
 } from '@chakra-ui/react';
 import { FaCheck, FaTimes, FaExclamationTriangle, FaFileAlt, FaInfoCircle } from 'react-icons/fa';
+import { SECTION_NAMES } from '../services/MetadataParser';
+import PlaceholderReport from './PlaceholderReport';
+import SourceCommit from './SourceCommit';
 
-const VerificationReport = ({ results, onStartOver, onProceed, onVerifyAgain, isVerifying }) => {
-  // If no results are provided yet, show a loading state
-  if (!results) {
-    return (
-      <Box width="100%" textAlign="center" p={8}>
-        <Text>Loading verification results...</Text>
-      </Box>
-    );
+// Show a page setting value; a page that does not exist yet has none
+const formatSettingValue = (value, willCreate) => {
+  if (value === null || value === undefined) {
+    return willCreate ? 'new page' : '-';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
   }
+  return String(value) || '-';
+};
 
+// Verification of one course: counts, missing pages, per-file checks and the placeholder inventory
+const CourseVerification = ({ results }) => {
   // Count valid and invalid files
   const validCount = results.results.filter(r => r.status === 'valid').length;
   const invalidCount = results.results.filter(r => r.status !== 'valid').length;
@@ -52,12 +62,322 @@ const VerificationReport = ({ results, onStartOver, onProceed, onVerifyAgain, is
     return 0;
   });
 
-  // Define badge colors and icons for check status
-  const checkStatusMap = {
-    valid: { color: 'green', icon: FaCheck },
-    invalid: { color: 'red', icon: FaTimes },
-    error: { color: 'red', icon: FaExclamationTriangle }
-  };
+  if (results.failed) {
+    return (
+      <Alert status="error">
+        <AlertIcon />
+        <AlertTitle mr={2}>Course could not be verified</AlertTitle>
+        <AlertDescription>{results.error}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  return (
+    <VStack spacing={6} align="stretch">
+      <StatGroup>
+        <Stat>
+          <StatLabel>Total Files</StatLabel>
+          <StatNumber>{results.totalFiles}</StatNumber>
+        </Stat>
+        
+        <Stat>
+          <StatLabel>Valid Files</StatLabel>
+          <StatNumber>{validCount}</StatNumber>
+        </Stat>
+        
+        <Stat>
+          <StatLabel>Invalid Files</StatLabel>
+          <StatNumber>{invalidCount}</StatNumber>
+        </Stat>
+      </StatGroup>
+      
+      {results.blueprintCourseUrl && (
+        <Alert status="warning">
+          <AlertIcon />
+          <AlertDescription>
+            This course is associated with the blueprint course {results.blueprintCourseUrl}, which is part of this run. It is not written to directly; it receives the exercises through a blueprint sync.
+          </AlertDescription>
+        </Alert>
+      )}
+      
+      {results.blueprint && results.blueprint.isBlueprint && (
+        <Alert status="info" alignItems="flex-start">
+          <AlertIcon />
+          <Box>
+            <AlertTitle>
+              Blueprint course with {results.blueprint.associatedCourses.length} associated course(s)
+            </AlertTitle>
+            <AlertDescription>
+              <Text>
+                Exercises are written to the blueprint only. Associated courses receive them when the blueprint is synced, either from Canvas or automatically after processing when "Sync blueprint courses after processing" is enabled.
+              </Text>
+              {results.blueprint.associatedCourses.length > 0 && (
+                <UnorderedList mt={2}>
+                  {results.blueprint.associatedCourses.map((course) => (
+                    <ListItem key={course.id}>
+                      {course.name}
+                      {course.termName && ` (${course.termName})`}
+                    </ListItem>
+                  ))}
+                </UnorderedList>
+              )}
+            </AlertDescription>
+          </Box>
+        </Alert>
+      )}
+      
+      {results.missingPages && results.missingPages.length > 0 && (
+        <Alert status={results.createMissingPages ? 'info' : 'warning'} alignItems="flex-start">
+          <AlertIcon />
+          <Box>
+            <AlertTitle>
+              {results.createMissingPages
+                ? `${results.missingPages.length} page(s) will be created`
+                : `${results.missingPages.length} page(s) do not exist`}
+            </AlertTitle>
+            <AlertDescription>
+              <UnorderedList>
+                {results.missingPages.map((page) => (
+                  <ListItem key={page}>{page}</ListItem>
+                ))}
+              </UnorderedList>
+              {!results.createMissingPages && (
+                <Text mt={2}>Enable "Create missing Canvas pages" on the configuration screen to create them from a template.</Text>
+              )}
+            </AlertDescription>
+          </Box>
+        </Alert>
+      )}
+      
+      <Accordion allowToggle defaultIndex={allValid ? [] : [0]}>
+        {sortedResults.map((result, index) => (
+          <AccordionItem key={index}>
+            <h2>
+              <AccordionButton>
+                <Box flex="1" textAlign="left">
+                  <HStack>
+                    <Icon 
+                      as={result.status === 'valid' ? FaCheck : FaExclamationTriangle}
+                      color={result.status === 'valid' ? 'green.500' : 'red.500'}
+                    />
+                    <Text fontWeight="medium" isTruncated>
+                      {result.file}
+                    </Text>
+                    <Badge colorScheme={result.status === 'valid' ? 'green' : 'red'} ml={2}>
+                      {result.status === 'valid' ? 'Valid' : 'Invalid'}
+                    </Badge>
+                  </HStack>
+                </Box>
+                <AccordionIcon />
+              </AccordionButton>
+            </h2>
+            <AccordionPanel pb={4}>
+              {result.status === 'error' ? (
+                <Box p={3} bg="red.50" color="red.800" borderRadius="md">
+                  <HStack align="flex-start">
+                    <Icon as={FaTimes} mt={1} />
+                    <Text>{result.message}</Text>
+                  </HStack>
+                </Box>
+              ) : (
+                <Table variant="simple" size="sm">
+                  <Thead>
+                    <Tr>
+                      <Th width="20%">Check</Th>
+                      <Th width="15%">Status</Th>
+                      <Th>Details</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {result.checks && result.checks.map((check, checkIndex) => (
+                      <Tr key={checkIndex}>
+                        <Td>
+                          <HStack>
+                            <Icon as={FaFileAlt} />
+                            <Text fontWeight="medium">{check.name.replace('_', ' ')}</Text>
+                          </HStack>
+                        </Td>
+                        <Td>
+                          {check.passed && check.warning ? (
+                            <Badge colorScheme="yellow">Warning</Badge>
+                          ) : (
+                            <Badge colorScheme={check.passed ? 'green' : 'red'}>
+                              {check.passed ? 'Passed' : 'Failed'}
+                            </Badge>
+                          )}
+                        </Td>
+                        <Td>
+                          <Text>{check.message}</Text>
+                          {check.name === 'page_exists' && check.canvasPageUrl && (
+                            <Box mt={1}>
+                              <Text fontSize="sm" color="blue.600">
+                                <a href={check.canvasPageUrl} target="_blank" rel="noopener noreferrer" style={{ textDecoration: 'underline' }}>
+                                  View page in Canvas →
+                                </a>
+                              </Text>
+                            </Box>
+                          )}
+                          {check.name === 'metadata_valid' && check.passed && check.metadata && (
+                            <Box mt={1} p={2} bg="gray.50" borderRadius="md" fontSize="sm">
+                              <Text fontWeight="bold">Metadata:</Text>
+                              {check.metadata.target ? (
+                                <Text>Target: {check.metadata.target}</Text>
+                              ) : (
+                                <Text>Page: {check.metadata.page}</Text>
+                              )}
+                              {check.language && (
+                                <Text>Language: {check.language}</Text>
+                              )}
+                              {Array.isArray(check.metadata.placement) ? (
+                                <Box>
+                                  <Text fontWeight="bold">Multiple Placements:</Text>
+                                  <UnorderedList>
+                                    {check.metadata.placement.map((place, i) => (
+                                      <ListItem key={i}>{place}</ListItem>
+                                    ))}
+                                  </UnorderedList>
+                                </Box>
+                              ) : (
+                                <Text>Placement: {check.metadata.placement}</Text>
+                              )}
+                              {check.metadata.course && (
+                                <Text>Course (for admin only): {check.metadata.course}</Text>
+                              )}
+                            </Box>
+                          )}
+                          {check.name === 'metadata_valid' && check.violations && check.violations.length > 0 && (
+                            <UnorderedList mt={1} fontSize="sm">
+                              {check.violations.map((violation, i) => (
+                                <ListItem key={i}>
+                                  <Badge colorScheme={violation.severity === 'error' ? 'red' : 'yellow'} mr={2}>
+                                    {violation.code}
+                                  </Badge>
+                                  {violation.message}
+                                </ListItem>
+                              ))}
+                            </UnorderedList>
+                          )}
+                          {check.name === 'sections_found' && check.sections && (
+                            <HStack mt={1} spacing={2} wrap="wrap">
+                              {SECTION_NAMES.map((section) => (
+                                <Badge key={section} colorScheme={check.sections.includes(section) ? 'green' : 'gray'}>
+                                  {section.replace(/_/g, ' ')}
+                                </Badge>
+                              ))}
+                            </HStack>
+                          )}
+                          {check.name === 'placeholder_exists' && check.placementDetails && (
+                            <Box mt={1} p={2} bg={check.passed ? "green.50" : "red.50"} borderRadius="md" fontSize="sm">
+                              <Text fontWeight="bold">Placement Details:</Text>
+                              <Table size="sm" variant="simple" mt={1}>
+                                <Thead>
+                                  <Tr>
+                                    <Th>Placement</Th>
+                                    <Th>Element</Th>
+                                    <Th>Type</Th>
+                                    <Th>Status</Th>
+                                  </Tr>
+                                </Thead>
+                                <Tbody>
+                                  {check.placementDetails.map((detail, i) => (
+                                    <Tr key={i}>
+                                      <Td>{detail.placement}</Td>
+                                      <Td>
+                                        {detail.elementType ? (
+                                          <Badge colorScheme={detail.elementType === 'pre' ? 'purple' : 'blue'}>
+                                            &lt;{detail.elementType}&gt;
+                                          </Badge>
+                                        ) : (
+                                          <Text>-</Text>
+                                        )}
+                                      </Td>
+                                      <Td>
+                                        {detail.interactive !== null ? (
+                                          <Badge colorScheme={detail.interactive ? 'green' : 'gray'}>
+                                            {detail.interactive ? 'Interactive' : 'Non-interactive'}
+                                          </Badge>
+                                        ) : (
+                                          <Text>-</Text>
+                                        )}
+                                      </Td>
+                                      <Td>
+                                        {detail.exists ? (
+                                          <Badge colorScheme="green">Found</Badge>
+                                        ) : (
+                                          <Badge colorScheme="red">Missing</Badge>
+                                        )}
+                                      </Td>
+                                    </Tr>
+                                  ))}
+                                </Tbody>
+                              </Table>
+                            </Box>
+                          )}
+                          {check.name === 'page_settings' && check.settings && (
+                            <Box mt={1} p={2} bg="gray.50" borderRadius="md" fontSize="sm">
+                              <Text fontWeight="bold">Page Settings:</Text>
+                              <Table size="sm" variant="simple" mt={1}>
+                                <Thead>
+                                  <Tr>
+                                    <Th>Setting</Th>
+                                    <Th>Current</Th>
+                                    <Th>Requested</Th>
+                                    <Th>Status</Th>
+                                  </Tr>
+                                </Thead>
+                                <Tbody>
+                                  {check.settings.map((setting) => (
+                                    <Tr key={setting.name}>
+                                      <Td>{setting.label}</Td>
+                                      <Td>{formatSettingValue(setting.current, check.willCreate)}</Td>
+                                      <Td>{formatSettingValue(setting.requested)}</Td>
+                                      <Td>
+                                        {setting.action ? (
+                                          <Badge colorScheme="gray">On write</Badge>
+                                        ) : setting.changed ? (
+                                          <Badge colorScheme="orange">Will change</Badge>
+                                        ) : (
+                                          <Badge colorScheme="green">Matches</Badge>
+                                        )}
+                                      </Td>
+                                    </Tr>
+                                  ))}
+                                </Tbody>
+                              </Table>
+                            </Box>
+                          )}
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              )}
+            </AccordionPanel>
+          </AccordionItem>
+        ))}
+      </Accordion>
+      
+      <PlaceholderReport results={results} />
+    </VStack>
+  );
+};
+
+const VerificationReport = ({ results, onStartOver, onProceed, onVerifyAgain, isVerifying }) => {
+  // If no results are provided yet, show a loading state
+  if (!results) {
+    return (
+      <Box width="100%" textAlign="center" p={8}>
+        <Text>Loading verification results...</Text>
+      </Box>
+    );
+  }
+
+  const courses = results.courses || [];
+  const invalidCount = courses.reduce(
+    (count, course) => count + course.results.filter(r => r.status !== 'valid').length,
+    0
+  );
+  const allValid = invalidCount === 0 && !results.failedCourses && !results.aborted;
 
   return (
     <Box width="100%">
@@ -72,165 +392,68 @@ const VerificationReport = ({ results, onStartOver, onProceed, onVerifyAgain, is
             : 'Some files did not pass verification. Please review the issues below before proceeding.'}
         </Text>
         
-        <StatGroup>
-          <Stat>
-            <StatLabel>Total Files</StatLabel>
-            <StatNumber>{results.totalFiles}</StatNumber>
-          </Stat>
-          
-          <Stat>
-            <StatLabel>Valid Files</StatLabel>
-            <StatNumber>{validCount}</StatNumber>
-          </Stat>
-          
-          <Stat>
-            <StatLabel>Invalid Files</StatLabel>
-            <StatNumber>{invalidCount}</StatNumber>
-          </Stat>
-        </StatGroup>
+        <SourceCommit source={results.source} label="Verified" />
         
-        <Accordion allowToggle defaultIndex={allValid ? [] : [0]}>
-          {sortedResults.map((result, index) => (
-            <AccordionItem key={index}>
-              <h2>
-                <AccordionButton>
-                  <Box flex="1" textAlign="left">
-                    <HStack>
-                      <Icon 
-                        as={result.status === 'valid' ? FaCheck : FaExclamationTriangle}
-                        color={result.status === 'valid' ? 'green.500' : 'red.500'}
-                      />
-                      <Text fontWeight="medium" isTruncated>
-                        {result.file}
-                      </Text>
-                      <Badge colorScheme={result.status === 'valid' ? 'green' : 'red'} ml={2}>
-                        {result.status === 'valid' ? 'Valid' : 'Invalid'}
-                      </Badge>
-                    </HStack>
-                  </Box>
-                  <AccordionIcon />
-                </AccordionButton>
-              </h2>
-              <AccordionPanel pb={4}>
-                {result.status === 'error' ? (
-                  <Box p={3} bg="red.50" color="red.800" borderRadius="md">
-                    <HStack align="flex-start">
-                      <Icon as={FaTimes} mt={1} />
-                      <Text>{result.message}</Text>
-                    </HStack>
-                  </Box>
-                ) : (
-                  <Table variant="simple" size="sm">
-                    <Thead>
-                      <Tr>
-                        <Th width="20%">Check</Th>
-                        <Th width="15%">Status</Th>
-                        <Th>Details</Th>
-                      </Tr>
-                    </Thead>
-                    <Tbody>
-                      {result.checks && result.checks.map((check, checkIndex) => (
-                        <Tr key={checkIndex}>
-                          <Td>
-                            <HStack>
-                              <Icon as={FaFileAlt} />
-                              <Text fontWeight="medium">{check.name.replace('_', ' ')}</Text>
-                            </HStack>
-                          </Td>
-                          <Td>
-                            <Badge colorScheme={check.passed ? 'green' : 'red'}>
-                              {check.passed ? 'Passed' : 'Failed'}
-                            </Badge>
-                          </Td>
-                          <Td>
-                            <Text>{check.message}</Text>
-                            {check.name === 'page_exists' && check.canvasPageUrl && (
-                              <Box mt={1}>
-                                <Text fontSize="sm" color="blue.600">
-                                  <a href={check.canvasPageUrl} target="_blank" rel="noopener noreferrer" style={{ textDecoration: 'underline' }}>
-                                    View page in Canvas →
-                                  </a>
-                                </Text>
-                              </Box>
-                            )}
-                            {check.name === 'metadata_valid' && check.passed && check.metadata && (
-                              <Box mt={1} p={2} bg="gray.50" borderRadius="md" fontSize="sm">
-                                <Text fontWeight="bold">Metadata:</Text>
-                                <Text>Page: {check.metadata.page}</Text>
-                                {Array.isArray(check.metadata.placement) ? (
-                                  <Box>
-                                    <Text fontWeight="bold">Multiple Placements:</Text>
-                                    <UnorderedList>
-                                      {check.metadata.placement.map((place, i) => (
-                                        <ListItem key={i}>{place}</ListItem>
-                                      ))}
-                                    </UnorderedList>
-                                  </Box>
-                                ) : (
-                                  <Text>Placement: {check.metadata.placement}</Text>
-                                )}
-                                {check.metadata.course && (
-                                  <Text>Course (for admin only): {check.metadata.course}</Text>
-                                )}
-                              </Box>
-                            )}
-                            {check.name === 'placeholder_exists' && check.placementDetails && (
-                              <Box mt={1} p={2} bg={check.passed ? "green.50" : "red.50"} borderRadius="md" fontSize="sm">
-                                <Text fontWeight="bold">Placement Details:</Text>
-                                <Table size="sm" variant="simple" mt={1}>
-                                  <Thead>
-                                    <Tr>
-                                      <Th>Placement</Th>
-                                      <Th>Element</Th>
-                                      <Th>Type</Th>
-                                      <Th>Status</Th>
-                                    </Tr>
-                                  </Thead>
-                                  <Tbody>
-                                    {check.placementDetails.map((detail, i) => (
-                                      <Tr key={i}>
-                                        <Td>{detail.placement}</Td>
-                                        <Td>
-                                          {detail.elementType ? (
-                                            <Badge colorScheme={detail.elementType === 'pre' ? 'purple' : 'blue'}>
-                                              &lt;{detail.elementType}&gt;
-                                            </Badge>
-                                          ) : (
-                                            <Text>-</Text>
-                                          )}
-                                        </Td>
-                                        <Td>
-                                          {detail.interactive !== null ? (
-                                            <Badge colorScheme={detail.interactive ? 'green' : 'gray'}>
-                                              {detail.interactive ? 'Interactive' : 'Non-interactive'}
-                                            </Badge>
-                                          ) : (
-                                            <Text>-</Text>
-                                          )}
-                                        </Td>
-                                        <Td>
-                                          {detail.exists ? (
-                                            <Badge colorScheme="green">Found</Badge>
-                                          ) : (
-                                            <Badge colorScheme="red">Missing</Badge>
-                                          )}
-                                        </Td>
-                                      </Tr>
-                                    ))}
-                                  </Tbody>
-                                </Table>
-                              </Box>
-                            )}
-                          </Td>
-                        </Tr>
-                      ))}
-                    </Tbody>
-                  </Table>
-                )}
-              </AccordionPanel>
-            </AccordionItem>
-          ))}
-        </Accordion>
+        {results.aborted && (
+          <Alert status="error">
+            <AlertIcon />
+            <AlertTitle mr={2}>Verification failed</AlertTitle>
+            <AlertDescription>{results.error}</AlertDescription>
+          </Alert>
+        )}
+        
+        {courses.length > 1 ? (
+          <>
+            <StatGroup>
+              <Stat>
+                <StatLabel>Courses</StatLabel>
+                <StatNumber>{courses.length}</StatNumber>
+              </Stat>
+              
+              <Stat>
+                <StatLabel>Courses with Issues</StatLabel>
+                <StatNumber>
+                  {courses.filter(course => course.failed || course.results.some(r => r.status !== 'valid')).length}
+                </StatNumber>
+              </Stat>
+              
+              <Stat>
+                <StatLabel>Invalid Files</StatLabel>
+                <StatNumber>{invalidCount}</StatNumber>
+              </Stat>
+            </StatGroup>
+            
+            {courses.map((course) => (
+              <Box key={course.courseUrl} borderWidth="1px" borderRadius="md" p={4}>
+                <VStack spacing={4} align="stretch">
+                  <HStack>
+                    <Heading as="h4" size="md" wordBreak="break-all">
+                      {course.courseUrl}
+                    </Heading>
+                    {course.blueprint && course.blueprint.isBlueprint && (
+                      <Badge colorScheme="purple">Blueprint</Badge>
+                    )}
+                    {course.blueprintCourseUrl && (
+                      <Badge colorScheme="gray">Synced from blueprint</Badge>
+                    )}
+                    {course.failed ? (
+                      <Badge colorScheme="red">Failed</Badge>
+                    ) : course.results.every(r => r.status === 'valid') ? (
+                      <Badge colorScheme="green">Valid</Badge>
+                    ) : (
+                      <Badge colorScheme="red">Issues</Badge>
+                    )}
+                  </HStack>
+                  <CourseVerification results={course} />
+                </VStack>
+              </Box>
+            ))}
+          </>
+        ) : (
+          courses.map((course) => (
+            <CourseVerification key={course.courseUrl} results={course} />
+          ))
+        )}
         
         <Box pt={4}>
           <Flex>
@@ -17,12 +17,14 @@ import {
 } from '@chakra-ui/react';
 import { FaCheck, FaTimes } from 'react-icons/fa';
 import VerificationService from '../services/VerificationService';
+import ThrottleNotice from './ThrottleNotice';
 
 const VerificationStatus = ({ isVerifying, config, onComplete, onAbort }) => {
   const [progress, setProgress] = useState(0);
   const [currentFile, setCurrentFile] = useState('');
   const [processed, setProcessed] = useState(0);
   const [total, setTotal] = useState(0);
+  const [course, setCourse] = useState(null);
   const [errors, setErrors] = useState([]);
   const [results, setResults] = useState(null);
 
@@ -37,6 +39,11 @@ const VerificationStatus = ({ isVerifying, config, onComplete, onAbort }) => {
     setCurrentFile(progressInfo.currentFile);
     setProcessed(progressInfo.processed);
     setTotal(progressInfo.total);
+    setCourse({
+      courseUrl: progressInfo.courseUrl,
+      courseIndex: progressInfo.courseIndex,
+      courseCount: progressInfo.courseCount
+    });
   };
 
   const handleError = (error) => {
@@ -50,18 +57,21 @@ const VerificationStatus = ({ isVerifying, config, onComplete, onAbort }) => {
       setCurrentFile('');
       setProcessed(0);
       setTotal(0);
+      setCourse(null);
       setErrors([]);
       setResults(null);
 
       // Initialize verification service with all config
       VerificationService.initialize({
         githubRepoUrl: config.githubRepoUrl,
+        githubRef: config.githubRef,
         courseUrl: config.courseUrl,
-        canvasApiKey: config.canvasApiKey
+        courseUrls: config.courseUrls,
+        createMissingPages: config.createMissingPages
       });
 
       // Initialize Canvas service in the VerificationService's initialization
-      const verificationResults = await VerificationService.verifyDirectory(
+      const verificationResults = await VerificationService.verifyCourses(
         config.directoryPath,
         handleProgress
       );
@@ -78,7 +88,8 @@ const VerificationStatus = ({ isVerifying, config, onComplete, onAbort }) => {
         aborted: true, 
         totalFiles: total, 
         processedFiles: processed, 
-        error: error.message 
+        error: error.message,
+        courses: []
       });
     }
   };
@@ -98,6 +109,14 @@ const VerificationStatus = ({ isVerifying, config, onComplete, onAbort }) => {
           Verifying Files
         </Heading>
 
+        <ThrottleNotice />
+
+        {course && course.courseCount > 1 && (
+          <Text>
+            Course {course.courseIndex + 1} of {course.courseCount}: <strong>{course.courseUrl}</strong>
+          </Text>
+        )}
+
         <Box>
           <HStack justify="space-between">
             <Text>Progress: {processed} of {total} files</Text>
@@ -0,0 +1,121 @@
+// A minimal browser for the sign-in and launch flows, which are made of
+// redirects, cookies and auto-submitting forms rather than API calls. Cookies
+// are kept per host and sent on every request to it; their paths and
+// SameSite attributes are not checked.
+const http = require('http');
+
+/**
+ * Decode the HTML character references a server may put in an attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+const decodeAttribute = value => value
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+  .replace(/&quot;/g, '"')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Create a browser with an empty cookie jar
+ * @returns {Object} Browser with request, navigate and submitForm
+ */
+function createBrowser() {
+  const jar = new Map();
+
+  /**
+   * Keep the cookies a response sets, and drop those it expires
+   * @param {URL} url - URL of the request
+   * @param {Array<string>} setCookies - Set-Cookie headers
+   */
+  const storeCookies = (url, setCookies = []) => {
+    const cookies = jar.get(url.host) || new Map();
+    for (const setCookie of setCookies) {
+      const [pair, ...attributes] = setCookie.split(';');
+      const name = pair.slice(0, pair.indexOf('=')).trim();
+      const expires = attributes.map(attribute => attribute.trim()).find(attribute => /^expires=/i.test(attribute));
+      if (expires && Date.parse(expires.slice('expires='.length)) <= Date.now()) {
+        cookies.delete(name);
+      } else {
+        cookies.set(name, pair.slice(pair.indexOf('=') + 1).trim());
+      }
+    }
+    jar.set(url.host, cookies);
+  };
+
+  /**
+   * Send one request, with the cookies of its host; redirects are not followed
+   * @param {string} url - Absolute URL
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method
+   * @param {Object} options.headers - Extra headers
+   * @param {Object} options.form - Fields to send as a form
+   * @returns {Promise<Object>} Response with status, headers, body and url
+   */
+  const request = (url, { method = 'GET', headers = {}, form } = {}) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const cookies = jar.get(target.host);
+    const body = form ? new URLSearchParams(form).toString() : null;
+
+    const req = http.request(target, {
+      method,
+      headers: {
+        ...(cookies?.size ? { Cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; ') } : {}),
+        ...(body !== null ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {}),
+        ...headers
+      }
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => {
+        storeCookies(target, res.headers['set-cookie']);
+        const isJson = /application\/json/.test(res.headers['content-type'] || '');
+        resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(text) : text, url: target.toString() });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  /**
+   * Open a URL and follow its redirects, as a browser navigation does
+   * @param {string} url - Absolute URL
+   * @param {Object} options - Options of the first request, as for request
+   * @returns {Promise<Object>} Final response
+   */
+  const navigate = async (url, options = {}) => {
+    let response = await request(url, options);
+    for (let redirects = 0; response.status >= 300 && response.status < 400 && response.headers.location; redirects++) {
+      if (redirects >= 10) {
+        throw new Error(`Too many redirects from ${url}`);
+      }
+      // 307 and 308 repeat the request; the other redirects turn it into a GET
+      const nextUrl = new URL(response.headers.location, response.url).toString();
+      response = await request(nextUrl, [307, 308].includes(response.status) ? options : {});
+    }
+    return response;
+  };
+
+  /**
+   * Submit the form of a page, such as the one an LTI platform posts the id_token with
+   * @param {Object} page - Response whose body holds the form
+   * @returns {Promise<Object>} Final response, after redirects
+   */
+  const submitForm = (page) => {
+    const action = page.body.match(/<form[^>]*action="([^"]*)"/);
+    if (!action) {
+      throw new Error(`No form on ${page.url}`);
+    }
+
+    const form = {};
+    for (const [, name, value] of page.body.matchAll(/<input[^>]*name="([^"]*)"[^>]*value="([^"]*)"/g)) {
+      form[decodeAttribute(name)] = decodeAttribute(value);
+    }
+    return navigate(new URL(decodeAttribute(action[1]), page.url).toString(), { method: 'POST', form });
+  };
+
+  return { request, navigate, submitForm };
+}
+
+module.exports = { createBrowser };
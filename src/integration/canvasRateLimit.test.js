@@ -0,0 +1,198 @@
+/**
+ * @jest-environment node
+ */
+// Sends requests through the Canvas client of the backend (backend/canvasClient.js)
+// to a stub Canvas that throttles or fails them, and checks the retries, the
+// backoff between them and the concurrency limit.
+import express from 'express';
+import { listen, close } from './servers';
+import { createCanvasClient, getLimiter, removeIdleLimiters } from '../../backend/canvasClient';
+
+// Jest does not read package exports, so the backend's require('axios') would
+// get the ES module build; Node gives it the CommonJS build
+jest.mock('axios', () => jest.requireActual('axios/dist/node/axios.cjs'));
+
+// Math.random for the jitter, so the backoff is 2% of its ceiling: 20, 40, 80, ... ms
+const JITTER = 0.02;
+// Timers may fire a little before the time Date.now reports
+const TIMER_SLACK_MS = 5;
+const TIMEOUT_MS = 30000;
+
+let stub;
+let stubServer;
+let tokenCount = 0;
+
+/**
+ * Create a client with a token of its own, so tests do not share a limiter
+ * @returns {Object} Client, its throttle events and its token
+ */
+const createClient = () => {
+  const apiKey = `token-${++tokenCount}`;
+  const throttleEvents = [];
+  return { canvasApi: createCanvasClient({ baseUrl: stubServer.url }, apiKey, throttleEvents), throttleEvents, apiKey };
+};
+
+/**
+ * Make the stub answer the next requests with a handler
+ * @param {Function} handler - Express handler
+ * @returns {Array<number>} Arrival times of the requests, filled in as they come
+ */
+const answerWith = (handler) => {
+  const arrivals = [];
+  stub.handler = (req, res) => {
+    arrivals.push(Date.now());
+    handler(req, res, arrivals.length);
+  };
+  return arrivals;
+};
+
+beforeAll(async () => {
+  stub = { handler: null };
+  const app = express();
+  app.use('/api/v1', (req, res) => stub.handler(req, res));
+  stubServer = await listen(app);
+});
+
+beforeEach(() => {
+  jest.spyOn(Math, 'random').mockReturnValue(JITTER);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  if (stubServer) {
+    await close(stubServer);
+  }
+});
+
+describe('Canvas client retries', () => {
+  test('a request refused with 403 Rate Limit Exceeded is retried after a backoff', async () => {
+    const arrivals = answerWith((req, res, count) => {
+      if (count <= 2) {
+        return res.status(403).type('text').send('403 Forbidden (Rate Limit Exceeded)');
+      }
+      res.json({ id: 101 });
+    });
+    const { canvasApi, throttleEvents } = createClient();
+
+    const response = await canvasApi.get('/courses/101');
+
+    expect(response.data).toEqual({ id: 101 });
+    expect(arrivals).toHaveLength(3);
+    expect(throttleEvents.map(({ reason, status, attempt, delayMs, rateLimitRemaining }) =>
+      ({ reason, status, attempt, delayMs, rateLimitRemaining }))).toEqual([
+      { reason: 'throttled', status: 403, attempt: 1, delayMs: 20, rateLimitRemaining: null },
+      { reason: 'throttled', status: 403, attempt: 2, delayMs: 40, rateLimitRemaining: null }
+    ]);
+    expect(arrivals[1] - arrivals[0]).toBeGreaterThanOrEqual(20 - TIMER_SLACK_MS);
+    expect(arrivals[2] - arrivals[1]).toBeGreaterThanOrEqual(40 - TIMER_SLACK_MS);
+  }, TIMEOUT_MS);
+
+  test('a 403 without the rate limit message is a permission error and is not retried', async () => {
+    const arrivals = answerWith((req, res) => {
+      res.status(403).set('X-Rate-Limit-Remaining', '650.0').json({ errors: [{ message: 'user not authorized to perform that action' }] });
+    });
+    const { canvasApi, throttleEvents } = createClient();
+
+    await expect(canvasApi.get('/courses/101')).rejects.toMatchObject({ response: { status: 403 } });
+    expect(arrivals).toHaveLength(1);
+    expect(throttleEvents).toEqual([]);
+  }, TIMEOUT_MS);
+
+  test('a GET failing with 503 is retried with exponential backoff until the retries run out', async () => {
+    const arrivals = answerWith((req, res) => {
+      res.status(503).json({ errors: [{ message: 'Service Unavailable' }] });
+    });
+    const { canvasApi, throttleEvents } = createClient();
+
+    await expect(canvasApi.get('/courses/101')).rejects.toMatchObject({ response: { status: 503 } });
+
+    // The first attempt and five retries
+    expect(arrivals).toHaveLength(6);
+    const delays = [20, 40, 80, 160, 320];
+    expect(throttleEvents.map(({ reason, attempt, delayMs }) => ({ reason, attempt, delayMs })))
+      .toEqual(delays.map((delayMs, index) => ({ reason: 'transient_error', attempt: index + 1, delayMs })));
+    delays.forEach((delayMs, index) => {
+      expect(arrivals[index + 1] - arrivals[index]).toBeGreaterThanOrEqual(delayMs - TIMER_SLACK_MS);
+    });
+  }, TIMEOUT_MS);
+
+  test('a POST failing with 503 is not retried, as Canvas may have handled it', async () => {
+    const arrivals = answerWith((req, res) => {
+      res.status(503).json({ errors: [{ message: 'Service Unavailable' }] });
+    });
+    const { canvasApi, throttleEvents } = createClient();
+
+    await expect(canvasApi.post('/courses/101/pages', { wiki_page: { title: 'New' } }))
+      .rejects.toMatchObject({ response: { status: 503 } });
+    expect(arrivals).toHaveLength(1);
+    expect(throttleEvents).toEqual([]);
+  }, TIMEOUT_MS);
+});
+
+describe('Canvas client limiter', () => {
+  test('waiting requests go one at a time once the bucket is nearly empty', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const runningAtArrival = [];
+    answerWith((req, res) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      runningAtArrival.push(running);
+      setTimeout(() => {
+        running--;
+        // Just under the threshold, which asks for a pause of 100 ms
+        res.set('X-Rate-Limit-Remaining', '149.0').json({});
+      }, 50);
+    });
+    const { canvasApi } = createClient();
+
+    await Promise.all(Array.from({ length: 8 }, (item, index) => canvasApi.get(`/courses/101/pages/page-${index}`)));
+
+    // The first four go out together; the rest wait and see the lower limit when they wake
+    expect(maxRunning).toBe(4);
+    expect(runningAtArrival.slice(4)).toEqual([1, 1, 1, 1]);
+  }, TIMEOUT_MS);
+
+  test('a limiter is forgotten once it has been idle for ten minutes', async () => {
+    answerWith((req, res) => res.json({}));
+    const { canvasApi, apiKey } = createClient();
+    await canvasApi.get('/courses/101');
+    const limiter = getLimiter(stubServer.url, apiKey);
+
+    removeIdleLimiters();
+    expect(getLimiter(stubServer.url, apiKey)).toBe(limiter);
+
+    const later = Date.now() + 11 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    removeIdleLimiters();
+    const fresh = getLimiter(stubServer.url, apiKey);
+    expect(fresh).not.toBe(limiter);
+    expect(fresh).toMatchObject({ active: 0, queue: [], rateLimitRemaining: null, pausedUntil: 0 });
+  }, TIMEOUT_MS);
+
+  test('a limiter with a request in flight is kept however long it has been idle', async () => {
+    const { canvasApi, apiKey } = createClient();
+    let request;
+    // The stub holds the request until the test lets it answer
+    const respond = await new Promise((resolve) => {
+      answerWith((req, res) => resolve(() => res.json({})));
+      request = canvasApi.get('/courses/101');
+    });
+    const limiter = getLimiter(stubServer.url, apiKey);
+    expect(limiter.active).toBe(1);
+
+    const later = Date.now() + 11 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    removeIdleLimiters();
+    Date.now.mockRestore();
+    expect(getLimiter(stubServer.url, apiKey)).toBe(limiter);
+
+    respond();
+    await request;
+    expect(limiter.active).toBe(0);
+  }, TIMEOUT_MS);
+});
@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+// Signs in to the mock Canvas through the backend's OAuth routes, as the
+// sign-in popup does. The mock and the backend run in the test process, so the
+// tests can read the tokens the mock issued and move the clock past their expiry.
+import { createBrowser } from './browser';
+import { listen, close } from './servers';
+import { createMockCanvas, DEFAULT_CLIENT_ID, DEFAULT_CLIENT_SECRET } from '../../backend/mock/canvasServer';
+
+// Jest does not read package exports, so the backend's require('axios') would
+// get the ES module build; Node gives it the CommonJS build
+jest.mock('axios', () => jest.requireActual('axios/dist/node/axios.cjs'));
+
+// The routes the app calls refuse requests without this header
+const APP_REQUEST = { headers: { 'X-Requested-With': 'XMLHttpRequest' } };
+// Past the one-hour lifetime of the mock's access tokens
+const AFTER_EXPIRY_MS = 65 * 60 * 1000;
+const TIMEOUT_MS = 30000;
+
+let canvas;
+let canvasServer;
+let backendServer;
+let courseUrl;
+
+/**
+ * Sign in to Canvas in a new browser
+ * @returns {Promise<Object>} Browser holding the signed-in session
+ */
+const signIn = async () => {
+  const browser = createBrowser();
+  const page = await browser.navigate(`${backendServer.url}/api/canvas/oauth/start`);
+
+  expect(page.status).toBe(200);
+  expect(page.body).toContain('Signed in to Canvas as Mock Teacher.');
+  return browser;
+};
+
+/**
+ * Read the course through the backend with the session's Canvas token
+ * @param {Object} browser - Browser holding the session
+ * @returns {Promise<Object>} Response of the backend
+ */
+const validateCourse = browser =>
+  browser.request(`${backendServer.url}/api/canvas/validate?courseUrl=${encodeURIComponent(courseUrl)}`, APP_REQUEST);
+
+beforeAll(async () => {
+  canvas = createMockCanvas();
+  canvasServer = await listen(canvas.app);
+  courseUrl = `${canvasServer.url}/courses/101`;
+
+  // The backend reads its configuration when it is loaded, and its redirect
+  // URI must name the port it listens on
+  let backend;
+  backendServer = await listen((req, res) => backend(req, res));
+  Object.assign(process.env, {
+    CANVAS_OAUTH_BASE_URL: canvasServer.url,
+    CANVAS_OAUTH_CLIENT_ID: DEFAULT_CLIENT_ID,
+    CANVAS_OAUTH_CLIENT_SECRET: DEFAULT_CLIENT_SECRET,
+    CANVAS_OAUTH_REDIRECT_URI: `${backendServer.url}/api/canvas/oauth/callback`,
+    NODE_ENV: 'test'
+  });
+  backend = require('../../backend/server');
+}, TIMEOUT_MS);
+
+// Every test signs in again, so the tokens of earlier tests are not in the way
+beforeEach(() => {
+  canvas.oauth.codes.clear();
+  canvas.oauth.accessTokens.clear();
+  canvas.oauth.refreshTokens.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await Promise.all([backendServer, canvasServer].filter(Boolean).map(close));
+});
+
+describe('Canvas sign-in against the mock Canvas', () => {
+  test('signing in keeps the Canvas tokens in the session', async () => {
+    const before = await createBrowser().request(`${backendServer.url}/api/canvas/oauth/status`, APP_REQUEST);
+    expect(before.body.data).toMatchObject({ enabled: true, baseUrl: canvasServer.url, signedIn: false });
+
+    const browser = await signIn();
+    expect(canvas.oauth.accessTokens.size).toBe(1);
+    expect(canvas.oauth.refreshTokens.size).toBe(1);
+
+    const status = await browser.request(`${backendServer.url}/api/canvas/oauth/status`, APP_REQUEST);
+    expect(status.body.data).toMatchObject({ signedIn: true, user: { id: 1, name: 'Mock Teacher' }, error: null });
+
+    const course = await validateCourse(browser);
+    expect(course.status).toBe(200);
+    expect(course.body.data.name).toBe('Introduction to Python');
+  }, TIMEOUT_MS);
+
+  test('a callback without the state cookie of the sign-in is refused', async () => {
+    const browser = createBrowser();
+    const start = await browser.request(`${backendServer.url}/api/canvas/oauth/start`);
+    const authorization = await browser.request(start.headers.location);
+
+    // Another browser opens the callback, as a link sent to a victim would
+    const page = await createBrowser().navigate(authorization.headers.location);
+    expect(page.status).toBe(400);
+    expect(page.body).toContain('This sign-in link is invalid or has expired.');
+    expect(canvas.oauth.accessTokens.size).toBe(0);
+  }, TIMEOUT_MS);
+
+  test('an expired access token is refreshed before the request goes to Canvas', async () => {
+    const browser = await signIn();
+    const [firstToken] = canvas.oauth.accessTokens.keys();
+    const [refreshToken] = canvas.oauth.refreshTokens;
+
+    const later = Date.now() + AFTER_EXPIRY_MS;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    const course = await validateCourse(browser);
+    expect(course.status).toBe(200);
+
+    // The refresh replaced the expired token and kept the sign-in's refresh token
+    expect(canvas.oauth.accessTokens.has(firstToken)).toBe(false);
+    expect([...canvas.oauth.accessTokens.values()]).toEqual([{ refreshToken, expiresAt: later + 60 * 60 * 1000 }]);
+    const [secondToken] = canvas.oauth.accessTokens.keys();
+
+    // The new token is used without another refresh
+    expect((await validateCourse(browser)).status).toBe(200);
+    expect([...canvas.oauth.accessTokens.keys()]).toEqual([secondToken]);
+  }, TIMEOUT_MS);
+
+  test('signing out revokes the tokens in Canvas', async () => {
+    const browser = await signIn();
+
+    const logout = await browser.request(`${backendServer.url}/api/canvas/oauth/logout`, { ...APP_REQUEST, method: 'POST' });
+    expect(logout.body.data).toEqual({ signedIn: false });
+    expect(canvas.oauth.accessTokens.size).toBe(0);
+    expect(canvas.oauth.refreshTokens.size).toBe(0);
+
+    const status = await browser.request(`${backendServer.url}/api/canvas/oauth/status`, APP_REQUEST);
+    expect(status.body.data.signedIn).toBe(false);
+    expect((await validateCourse(browser)).status).toBe(401);
+  }, TIMEOUT_MS);
+});
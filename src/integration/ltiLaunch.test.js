@@ -0,0 +1,319 @@
+/**
+ * @jest-environment node
+ */
+// Launches the tool from the mock LTI platform (backend/mock/ltiPlatform.js)
+// and checks that the backend refuses launches it must not accept. The platform
+// and the backend run in the test process, so the tests can sign their own
+// id_tokens with the platform and move the clock past the login's expiry.
+import { createBrowser } from './browser';
+import { listen, close } from './servers';
+import { createMockLtiPlatform } from '../../backend/mock/ltiPlatform';
+
+// Jest does not read package exports, so the backend's require('axios') would
+// get the ES module build; Node gives it the CommonJS build
+jest.mock('axios', () => jest.requireActual('axios/dist/node/axios.cjs'));
+
+const CLIENT_ID = 'mock-client-id';
+const CANVAS_BASE_URL = 'https://canvas.example.edu';
+const COURSE_URL = `${CANVAS_BASE_URL}/courses/101`;
+// The routes the app calls refuse requests without this header
+const APP_REQUEST = { headers: { 'X-Requested-With': 'XMLHttpRequest' } };
+// Past the ten minutes a login waits for its launch
+const AFTER_LOGIN_EXPIRY_MS = 11 * 60 * 1000;
+const TIMEOUT_MS = 30000;
+
+let platform;
+let platformServer;
+let backendServer;
+let lti;
+
+/**
+ * Start a launch from the platform and follow it through the tool's OIDC login
+ * @param {Object} browser - Browser to launch in
+ * @param {Object} query - Course, role and API domain of the launch
+ * @returns {Promise<Object>} Authentication request URL, with the state and nonce of the login
+ */
+const login = async (browser = createBrowser(), query = { courseId: '101', role: 'Instructor' }) => {
+  const launch = await browser.request(`${platformServer.url}/launch?${new URLSearchParams(query)}`);
+  const toolLogin = await browser.request(launch.headers.location);
+  expect(toolLogin.status).toBe(302);
+
+  const authorizeUrl = new URL(toolLogin.headers.location);
+  return {
+    authorizeUrl: authorizeUrl.toString(),
+    state: authorizeUrl.searchParams.get('state'),
+    nonce: authorizeUrl.searchParams.get('nonce')
+  };
+};
+
+/**
+ * Launch the tool in a browser, as a user opening it from the course navigation
+ * @param {Object} browser - Browser to launch in
+ * @param {Object} query - Course, role and API domain of the launch
+ * @returns {Promise<Object>} Final response after the form post and its redirect
+ */
+const launchInBrowser = async (browser, query) => {
+  const { authorizeUrl } = await login(browser, query);
+  return browser.submitForm(await browser.navigate(authorizeUrl));
+};
+
+/**
+ * Sign an id_token for a login with the claims the platform would send
+ * @param {string} nonce - Nonce of the login
+ * @param {Object} changes - Claims to change
+ * @returns {string} Signed id_token
+ */
+const signLaunch = (nonce, changes = {}) =>
+  platform.signIdToken({ ...platform.launchClaims({ nonce, courseId: '101' }), ...changes });
+
+beforeAll(async () => {
+  // The platform and the backend name each other's URLs, so both listen before either is created
+  let platformApp;
+  let backend;
+  platformServer = await listen((req, res) => platformApp(req, res));
+  backendServer = await listen((req, res) => backend(req, res));
+
+  platform = createMockLtiPlatform({
+    issuer: platformServer.url,
+    clientId: CLIENT_ID,
+    deploymentId: 'mock-deployment',
+    toolLoginUrl: `${backendServer.url}/api/lti/login`,
+    toolLaunchUrl: `${backendServer.url}/api/lti/launch`
+  });
+  platformApp = platform.app;
+
+  // The backend reads its configuration when it is loaded
+  Object.assign(process.env, {
+    LTI_ISSUER: platformServer.url,
+    LTI_CLIENT_ID: CLIENT_ID,
+    LTI_AUTH_LOGIN_URL: `${platformServer.url}/authorize`,
+    LTI_KEYSET_URL: `${platformServer.url}/jwks`,
+    LTI_DEPLOYMENT_IDS: 'mock-deployment',
+    LTI_LAUNCH_URL: `${backendServer.url}/api/lti/launch`,
+    LTI_CANVAS_BASE_URL: CANVAS_BASE_URL,
+    // The app reads the launch from here first
+    APP_URL: `${backendServer.url}/api/lti/context`,
+    NODE_ENV: 'test'
+  });
+  backend = require('../../backend/server');
+  lti = require('../../backend/lti');
+}, TIMEOUT_MS);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await Promise.all([backendServer, platformServer].filter(Boolean).map(close));
+});
+
+describe('LTI launches from the mock platform', () => {
+  test('an instructor launch opens a session bound to the course', async () => {
+    const browser = createBrowser();
+    const context = await launchInBrowser(browser, { courseId: '101', role: 'Instructor' });
+
+    expect(context.status).toBe(200);
+    expect(context.body.data).toEqual({
+      enabled: true,
+      launched: true,
+      canvasSignIn: false,
+      courseUrl: COURSE_URL,
+      courseTitle: 'Mock Course 101',
+      userName: 'Mock Instructor',
+      returnUrl: `${platformServer.url}/courses/101`
+    });
+  }, TIMEOUT_MS);
+
+  test('a learner is refused', async () => {
+    const page = await launchInBrowser(createBrowser(), { courseId: '101', role: 'Learner' });
+
+    expect(page.status).toBe(403);
+    expect(page.body).toContain('Only instructors, teaching assistants, designers and administrators can use this tool');
+  }, TIMEOUT_MS);
+
+  test('a launched session cannot work on another course', async () => {
+    const browser = createBrowser();
+    await launchInBrowser(browser, { courseId: '101', role: 'Instructor' });
+    const validate = courseUrl =>
+      browser.request(`${backendServer.url}/api/canvas/validate?courseUrl=${encodeURIComponent(courseUrl)}`, APP_REQUEST);
+
+    const otherCourse = await validate(`${CANVAS_BASE_URL}/courses/102`);
+    expect(otherCourse.status).toBe(403);
+    expect(otherCourse.body.error).toBe(`This session was launched from ${COURSE_URL} and can only work on that course`);
+
+    const otherInstance = await validate('https://other.example.edu/courses/101');
+    expect(otherInstance.status).toBe(403);
+
+    // The launching course gets past the check, to ask for a Canvas token
+    const sameCourse = await validate(COURSE_URL);
+    expect(sameCourse.status).toBe(401);
+    expect(sameCourse.body.error).toMatch(/^No Canvas API key or Canvas sign-in/);
+  }, TIMEOUT_MS);
+
+  test('the auto-submit form escapes the values it posts', async () => {
+    const { authorizeUrl } = await login();
+    const url = new URL(authorizeUrl);
+    url.searchParams.set('state', '"><script>alert(1)</script>');
+
+    const page = await createBrowser().request(url.toString());
+    expect(page.body).not.toContain('<script>');
+    expect(page.body).toContain('value="&#34;&#62;&#60;script&#62;alert(1)&#60;/script&#62;"');
+  }, TIMEOUT_MS);
+});
+
+describe('validateLaunch', () => {
+  test('accepts a token the platform signed for the login', async () => {
+    const { state, nonce } = await login();
+
+    await expect(lti.validateLaunch(signLaunch(nonce), state)).resolves.toMatchObject({
+      courseUrl: COURSE_URL,
+      deploymentId: 'mock-deployment'
+    });
+  }, TIMEOUT_MS);
+
+  test('refuses a token signed with another key', async () => {
+    const { state, nonce } = await login();
+    const { keys: [{ kid }] } = (await createBrowser().request(`${platformServer.url}/jwks`)).body;
+    const impostor = createMockLtiPlatform({
+      issuer: platformServer.url,
+      clientId: CLIENT_ID,
+      deploymentId: 'mock-deployment',
+      toolLoginUrl: `${backendServer.url}/api/lti/login`,
+      toolLaunchUrl: `${backendServer.url}/api/lti/launch`
+    });
+
+    // Signed with the impostor's key, but naming the platform's
+    const idToken = impostor.signIdToken(impostor.launchClaims({ nonce, courseId: '101' }), { kid });
+    await expect(lti.validateLaunch(idToken, state))
+      .rejects.toMatchObject({ status: 401, message: 'The id_token signature is invalid' });
+  }, TIMEOUT_MS);
+
+  test('refuses a token from another issuer or for another tool', async () => {
+    let { state, nonce } = await login();
+    await expect(lti.validateLaunch(signLaunch(nonce, { iss: 'https://evil.example.com' }), state))
+      .rejects.toMatchObject({ status: 401, message: `The id_token was issued by https://evil.example.com, not ${platformServer.url}` });
+
+    ({ state, nonce } = await login());
+    await expect(lti.validateLaunch(signLaunch(nonce, { aud: 'another-tool' }), state))
+      .rejects.toMatchObject({ status: 401, message: 'The id_token is not meant for this tool' });
+  }, TIMEOUT_MS);
+
+  test('requires azp when the token has several audiences', async () => {
+    let { state, nonce } = await login();
+    await expect(lti.validateLaunch(signLaunch(nonce, { aud: ['another-tool', CLIENT_ID] }), state))
+      .rejects.toMatchObject({ status: 401, message: 'The id_token is not meant for this tool' });
+
+    ({ state, nonce } = await login());
+    await expect(lti.validateLaunch(signLaunch(nonce, { aud: ['another-tool', CLIENT_ID], azp: 'another-tool' }), state))
+      .rejects.toMatchObject({ status: 401, message: 'The id_token is not meant for this tool' });
+
+    ({ state, nonce } = await login());
+    await expect(lti.validateLaunch(signLaunch(nonce, { aud: ['another-tool', CLIENT_ID], azp: CLIENT_ID }), state))
+      .resolves.toMatchObject({ courseUrl: COURSE_URL });
+  }, TIMEOUT_MS);
+
+  test('refuses an expired token', async () => {
+    const { state, nonce } = await login();
+    const now = Math.floor(Date.now() / 1000);
+
+    // Expired longer ago than the clock skew allows
+    await expect(lti.validateLaunch(signLaunch(nonce, { iat: now - 600, exp: now - 120 }), state))
+      .rejects.toMatchObject({ status: 401, message: 'The id_token has expired' });
+  }, TIMEOUT_MS);
+
+  test('refuses a replayed token', async () => {
+    const { state, nonce } = await login();
+    const idToken = signLaunch(nonce);
+    await lti.validateLaunch(idToken, state);
+
+    // The state was used up by the first launch
+    await expect(lti.validateLaunch(idToken, state))
+      .rejects.toMatchObject({ status: 401, message: 'The LTI launch has an unknown or expired state; launch the tool again' });
+
+    // A new login has a nonce of its own
+    const { state: newState } = await login();
+    await expect(lti.validateLaunch(idToken, newState))
+      .rejects.toMatchObject({ status: 401, message: 'The id_token nonce does not match the login' });
+  }, TIMEOUT_MS);
+
+  test('refuses an unknown or expired state', async () => {
+    const { nonce } = await login();
+    await expect(lti.validateLaunch(signLaunch(nonce), 'made-up-state'))
+      .rejects.toMatchObject({ status: 401, message: 'The LTI launch has an unknown or expired state; launch the tool again' });
+
+    const { state, nonce: expiredNonce } = await login();
+    const idToken = signLaunch(expiredNonce);
+    const later = Date.now() + AFTER_LOGIN_EXPIRY_MS;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    await expect(lti.validateLaunch(idToken, state))
+      .rejects.toMatchObject({ status: 401, message: 'The LTI launch has an unknown or expired state; launch the tool again' });
+  }, TIMEOUT_MS);
+});
+
+describe('readLaunchClaims', () => {
+  test('reads the course and user of the launch', () => {
+    expect(lti.readLaunchClaims(platform.launchClaims({ nonce: 'n', courseId: '101', role: 'TeachingAssistant' }))).toEqual({
+      courseUrl: COURSE_URL,
+      courseTitle: 'Mock Course 101',
+      userName: 'Mock Instructor',
+      roles: ['http://purl.imsglobal.org/vocab/lis/v2/membership/Instructor#TeachingAssistant'],
+      deploymentId: 'mock-deployment',
+      returnUrl: `${platformServer.url}/courses/101`
+    });
+  });
+
+  test('prefers the API domain of the launch', () => {
+    expect(lti.readLaunchClaims(platform.launchClaims({ nonce: 'n', courseId: '7', apiDomain: 'lms.example.org' })).courseUrl)
+      .toBe('https://lms.example.org/courses/7');
+  });
+
+  test('refuses a learner', () => {
+    expect(() => lti.readLaunchClaims(platform.launchClaims({ nonce: 'n', courseId: '101', role: 'Learner' })))
+      .toThrow(expect.objectContaining({
+        status: 403,
+        message: 'Only instructors, teaching assistants, designers and administrators can use this tool'
+      }));
+  });
+
+  test('refuses another deployment', () => {
+    const claims = platform.launchClaims({ nonce: 'n', courseId: '101' });
+    claims['https://purl.imsglobal.org/spec/lti/claim/deployment_id'] = 'another-deployment';
+
+    expect(() => lti.readLaunchClaims(claims)).toThrow(expect.objectContaining({ status: 403 }));
+  });
+});
+
+describe('requireLaunchCourse', () => {
+  /**
+   * Run the middleware for a request of a launched session
+   * @param {Object} query - Query of the request
+   * @returns {Object} Status and body it answered with, or next: true if it let the request through
+   */
+  const check = (query) => {
+    const result = { next: false };
+    const req = { query, body: {}, session: { lti: { courseUrl: COURSE_URL } } };
+    const res = {
+      status(status) {
+        result.status = status;
+        return this;
+      },
+      json(body) {
+        result.body = body;
+        return this;
+      }
+    };
+    lti.requireLaunchCourse(req, res, () => { result.next = true; });
+    return result;
+  };
+
+  test('lets requests for the launching course through', () => {
+    expect(check({ courseUrl: `${COURSE_URL}/pages/week-1` }).next).toBe(true);
+    expect(check({}).next).toBe(true);
+  });
+
+  test('refuses other courses with 403', () => {
+    expect(check({ courseUrl: `${CANVAS_BASE_URL}/courses/102` })).toMatchObject({ next: false, status: 403 });
+    expect(check({ courseUrl: 'https://other.example.edu/courses/101' })).toMatchObject({ next: false, status: 403 });
+    expect(check({ courseUrl: 'not a url' })).toMatchObject({ next: false, status: 400 });
+  });
+});
@@ -0,0 +1,191 @@
+// Starts the mock Canvas and GitHub servers and the backend as child processes
+// for the integration tests, the same way `npm run mock:canvas`, `npm run mock:github`
+// and the backend run. Tests that need to look inside them serve them in the
+// test process instead, with listen.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const BACKEND_PORT = Number(process.env.INTEGRATION_BACKEND_PORT) || 3101;
+const MOCK_CANVAS_PORT = Number(process.env.INTEGRATION_CANVAS_PORT) || 3103;
+const MOCK_GITHUB_PORT = Number(process.env.INTEGRATION_GITHUB_PORT) || 3104;
+const BACKEND_URL = `http://localhost:${BACKEND_PORT}`;
+const MOCK_CANVAS_URL = `http://localhost:${MOCK_CANVAS_PORT}`;
+const MOCK_GITHUB_URL = `http://localhost:${MOCK_GITHUB_PORT}`;
+const GITHUB_FIXTURES = path.join(ROOT, 'backend', 'mock', 'fixtures', 'github');
+const SNAPSHOT_DIR_NAME = 'snapshots';
+const STARTUP_TIMEOUT_MS = 15000;
+
+/**
+ * Start a Node script and wait until it prints a line
+ * @param {string} script - Script path relative to the repository
+ * @param {Object} env - Extra environment variables
+ * @param {string} readyText - Text the script prints once it listens
+ * @returns {Promise<Object>} Child process
+ */
+function startProcess(script, env, readyText) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT, script)], {
+      cwd: ROOT,
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${script} did not start within ${STARTUP_TIMEOUT_MS} ms:\n${output}`));
+    }, STARTUP_TIMEOUT_MS);
+
+    const onData = (data) => {
+      output += data;
+      if (output.includes(readyText)) {
+        clearTimeout(timer);
+        // Keep draining the output so the process never blocks on a full pipe
+        child.stdout.off('data', onData);
+        child.stdout.resume();
+        resolve(child);
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', (data) => { output += data; });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`${script} exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+/**
+ * Start a mock Canvas loaded from the fixtures
+ * @returns {Promise<Object>} Child process
+ */
+function startMockCanvas() {
+  return startProcess('backend/mock/canvasServer.js', {
+    MOCK_CANVAS_PORT: String(MOCK_CANVAS_PORT)
+  }, 'Mock Canvas running');
+}
+
+/**
+ * Stop a child process
+ * @param {Object} child - Child process
+ * @returns {Promise<void>} Resolves once it has exited
+ */
+function stopProcess(child) {
+  return new Promise((resolve) => {
+    child.removeAllListeners('exit');
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', resolve);
+    child.kill();
+  });
+}
+
+/**
+ * Start a fresh mock Canvas, loaded from the fixtures, a mock GitHub serving a
+ * copy of the fixture repositories, and a backend that sends every Canvas and
+ * GitHub request to them
+ * @returns {Promise<Object>} Running servers, to pass to stopServers; githubRoot
+ *   is the directory of the repositories, which tests may change
+ */
+async function startServers() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dcl-integration-'));
+  const githubRoot = path.join(tempDir, 'github');
+  fs.cpSync(GITHUB_FIXTURES, githubRoot, { recursive: true });
+  const servers = { tempDir, githubRoot, processes: [] };
+
+  try {
+    servers.canvas = await startMockCanvas();
+    servers.processes.push(servers.canvas);
+
+    servers.processes.push(await startProcess('backend/mock/githubServer.js', {
+      MOCK_GITHUB_PORT: String(MOCK_GITHUB_PORT),
+      MOCK_GITHUB_ROOT: githubRoot
+    }, 'Mock GitHub running'));
+
+    servers.processes.push(await startProcess('backend/server.js', {
+      BACKEND_PORT: String(BACKEND_PORT),
+      CANVAS_API_BASE_URL: MOCK_CANVAS_URL,
+      GITHUB_API_URL: MOCK_GITHUB_URL,
+      // A server-side token from .env would be refused by the mock
+      GITHUB_TOKEN: '',
+      SNAPSHOT_DIR: path.join(tempDir, SNAPSHOT_DIR_NAME),
+      NODE_ENV: 'test'
+    }, 'Backend server running'));
+  } catch (error) {
+    await stopServers(servers);
+    throw error;
+  }
+
+  return servers;
+}
+
+/**
+ * Put the servers back in the state startServers left them in, so that no test
+ * depends on another: the mock Canvas is started again from its fixtures, the
+ * repositories are copied again and the snapshots of earlier runs are removed.
+ * The backend keeps running, and with it the session of the tests.
+ * @param {Object} servers - Result of startServers
+ * @returns {Promise<void>}
+ */
+async function resetServers(servers) {
+  const index = servers.processes.indexOf(servers.canvas);
+  await stopProcess(servers.canvas);
+  servers.canvas = await startMockCanvas();
+  servers.processes[index] = servers.canvas;
+
+  fs.rmSync(servers.githubRoot, { recursive: true, force: true });
+  fs.cpSync(GITHUB_FIXTURES, servers.githubRoot, { recursive: true });
+  fs.rmSync(path.join(servers.tempDir, SNAPSHOT_DIR_NAME), { recursive: true, force: true });
+}
+
+/**
+ * Stop the servers started by startServers and remove their snapshots and repositories
+ * @param {Object} servers - Result of startServers
+ * @returns {Promise<void>}
+ */
+async function stopServers(servers) {
+  await Promise.all(servers.processes.map(stopProcess));
+  fs.rmSync(servers.tempDir, { recursive: true, force: true });
+}
+
+/**
+ * Serve an app in the test process on a free port, for tests that need to
+ * inspect a mock or control the clock of the backend
+ * @param {Function} handler - Express app or request listener
+ * @returns {Promise<Object>} HTTP server and its URL, to pass to close
+ */
+function listen(handler) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(handler);
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Stop a server started by listen
+ * @param {Object} listening - Result of listen
+ * @returns {Promise<void>}
+ */
+function close(listening) {
+  return new Promise((resolve) => {
+    listening.server.close(() => resolve());
+    listening.server.closeAllConnections();
+  });
+}
+
+module.exports = {
+  BACKEND_URL,
+  MOCK_CANVAS_URL,
+  MOCK_GITHUB_URL,
+  startServers,
+  resetServers,
+  stopServers,
+  listen,
+  close
+};
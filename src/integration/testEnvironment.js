@@ -0,0 +1,13 @@
+// jsdom environment whose page is served from the backend the integration
+// tests start, so the services' relative /api requests and the session
+// cookie go to it as they would in the browser
+const JSDOMEnvironment = require('jest-environment-jsdom');
+const { BACKEND_URL } = require('./servers');
+
+class IntegrationEnvironment extends JSDOMEnvironment {
+  constructor(config, context) {
+    super({ ...config, testURL: `${BACKEND_URL}/` }, context);
+  }
+}
+
+module.exports = IntegrationEnvironment;
@@ -0,0 +1,268 @@
+/**
+ * @jest-environment ./src/integration/testEnvironment.js
+ */
+// Runs browsing, verification and processing end to end: the services talk to
+// a real backend, which talks to the mock Canvas and GitHub servers
+// (backend/mock) loaded from backend/mock/fixtures.
+import fs from 'fs';
+import path from 'path';
+import SessionService from '../services/SessionService';
+import GitHubService from '../services/GitHubService';
+import CanvasService from '../services/CanvasService';
+import VerificationService from '../services/VerificationService';
+import ExerciseProcessor from '../services/ExerciseProcessor';
+import { startServers, resetServers, stopServers } from './servers';
+import { DEFAULT_TOKEN as CANVAS_TOKEN } from '../../backend/mock/canvasServer';
+import { DEFAULT_TOKEN as GITHUB_TOKEN } from '../../backend/mock/githubServer';
+
+const COURSE_URL = 'https://canvas.example.edu/courses/101';
+const SECOND_COURSE_URL = 'https://canvas.example.edu/courses/102';
+const PAGE = { type: 'page', id: 'week-1-exercises' };
+const TIMEOUT_MS = 30000;
+
+const config = {
+  githubRepoUrl: 'https://github.com/example/exercises',
+  directoryPath: 'week-1',
+  courseUrl: COURSE_URL,
+  courseUrls: [COURSE_URL],
+  includeLineNumbers: true,
+  createMissingPages: false
+};
+
+let servers;
+
+/**
+ * Verify the exercises, as the verification step does
+ * @param {Array<string>} courseUrls - Courses to verify
+ * @param {string} githubRef - Branch, tag or commit to verify (the default branch if omitted)
+ * @returns {Promise<Object>} Verification results
+ */
+const verify = async (courseUrls = config.courseUrls, githubRef) => {
+  VerificationService.initialize({ ...config, courseUrl: courseUrls[0], courseUrls, githubRef });
+  return VerificationService.verifyCourses(config.directoryPath);
+};
+
+/**
+ * Process the exercises with the page versions seen by a verification, as the processing step does
+ * @param {Object} verification - Verification results
+ * @param {Function} onStale - Answers for pages edited since verification
+ * @returns {Promise<Object>} Processing results
+ */
+const processRun = async (verification, onStale = async () => 'skip') => {
+  const courseUrls = verification.courses.map(course => course.courseUrl);
+  const errors = [];
+
+  ExerciseProcessor.initialize({
+    ...config,
+    courseUrl: courseUrls[0],
+    courseUrls,
+    githubRef: verification.source.ref,
+    githubCommit: verification.source.commit?.sha
+  });
+  const results = await ExerciseProcessor.processCourses(() => {}, error => errors.push(error), {
+    verifiedVersions: Object.fromEntries(verification.courses.map(course => [course.courseUrl, course.pageVersions])),
+    onStale
+  });
+
+  return { ...results, errors };
+};
+
+/**
+ * Read the exercise page of a course from Canvas
+ * @param {string} courseUrl - Course URL
+ * @returns {Promise<Object>} Page content
+ */
+const readPage = async (courseUrl = COURSE_URL) => {
+  CanvasService.initialize(courseUrl);
+  return CanvasService.getContent(PAGE);
+};
+
+beforeAll(async () => {
+  servers = await startServers();
+  await SessionService.setCredentials({ canvasApiKey: CANVAS_TOKEN, githubToken: GITHUB_TOKEN });
+}, TIMEOUT_MS);
+
+// Every test starts from the fixtures and makes the runs it needs
+beforeEach(async () => {
+  await resetServers(servers);
+}, TIMEOUT_MS);
+
+afterAll(async () => {
+  if (servers) {
+    await stopServers(servers);
+  }
+});
+
+describe('verify and process against the mock Canvas and GitHub', () => {
+  test('the repository can be browsed with the session token', async () => {
+    const token = await GitHubService.validateToken(config.githubRepoUrl);
+    expect(token.valid).toBe(true);
+    expect(token.user.username).toBe('mock-user');
+
+    const root = await GitHubService.getContents(config.githubRepoUrl);
+    expect(root.map(item => [item.name, item.type])).toEqual([['README.md', 'file'], ['week-1', 'dir']]);
+    expect(await GitHubService.findExerciseFiles(config.githubRepoUrl, 'week-1'))
+      .toEqual(['week-1/printing.py', 'week-1/variables.py']);
+
+    const refs = await GitHubService.listRefs(config.githubRepoUrl);
+    expect(refs.defaultBranch).toBe('main');
+    expect(refs.tags.map(tag => tag.name)).toEqual(['fall-2026']);
+  }, TIMEOUT_MS);
+
+  test('verification reads the files at the commit a tag names, and fails for an unknown ref', async () => {
+    const verification = await verify(config.courseUrls, 'fall-2026');
+    const main = await GitHubService.getCommit(config.githubRepoUrl, 'main');
+    const { tags } = await GitHubService.listRefs(config.githubRepoUrl);
+
+    expect(verification.source.ref).toBe('fall-2026');
+    expect(verification.source.commit.sha).toBe(tags[0].sha);
+    expect(verification.source.commit.sha).not.toBe(main.sha);
+    expect(verification.courses[0].results.map(result => result.status)).toEqual(['valid', 'valid']);
+
+    await expect(verify(config.courseUrls, 'no-such-branch')).rejects.toThrow("Could not find 'no-such-branch'");
+  }, TIMEOUT_MS);
+
+  test('exercise files are found with one tree request and read as blobs in one batch', async () => {
+    // Blobs read by the tests before are cached
+    GitHubService.blobs.clear();
+    const get = jest.spyOn(GitHubService.apiClient, 'get');
+    const post = jest.spyOn(GitHubService.apiClient, 'post');
+    try {
+      await verify();
+      expect(get.mock.calls.map(([url]) => url)).toEqual(['/commit', '/tree']);
+      expect(post.mock.calls.map(([url, body]) => [url, body.shas.length])).toEqual([['/blobs', 2]]);
+    } finally {
+      get.mockRestore();
+      post.mockRestore();
+    }
+  }, TIMEOUT_MS);
+
+  test('verification finds the page and its placeholders', async () => {
+    const verification = await verify();
+    const [course] = verification.courses;
+
+    expect(course.failed).toBeFalsy();
+    expect(course.results.map(result => result.status)).toEqual(['valid', 'valid']);
+    expect(course.missingPages).toEqual([]);
+    expect(Object.keys(course.pageVersions)).toHaveLength(1);
+  }, TIMEOUT_MS);
+
+  test('a dry run reports the changes without writing them', async () => {
+    const before = await readPage();
+
+    ExerciseProcessor.initialize(config);
+    const preview = await ExerciseProcessor.previewCourses(() => {});
+    const [page] = preview.courses[0].pages;
+
+    expect(page.changed).toBe(true);
+    expect(page.moduleChange).toBeTruthy();
+    expect((await readPage()).body).toBe(before.body);
+  }, TIMEOUT_MS);
+
+  test('processing fills the placeholders, sets the page settings and adds the module item', async () => {
+    const verification = await verify();
+    const results = await processRun(verification);
+    const [course] = results.courses;
+
+    expect(results.errors).toEqual([]);
+    expect(results.successCount).toBe(2);
+    expect(results.source.commit.sha).toBe(verification.source.commit.sha);
+    expect(course.runId).toBeTruthy();
+
+    const page = await readPage();
+    expect(page.body).toContain('data-code-placement="variables"');
+    expect(page.body).toContain('x = 5');
+    expect(page.body).toContain('Hello, world!');
+    expect(page.settings.published).toBe(true);
+
+    const placement = await CanvasService.getModulePlacement(PAGE, 'Week 2', 1);
+    expect(placement.action).toBe('none');
+    expect(placement.item.position).toBe(1);
+  }, TIMEOUT_MS);
+
+  test('a missing page is created with its exercises in one request', async () => {
+    const loops = path.join(servers.githubRoot, 'example', 'exercises', 'week-1', 'loops.py');
+    fs.writeFileSync(loops, '__metadata__ = {\n    "page": "week-1-loops",\n    "placement": "loops"\n}\n\nfor i in range(3):\n    print(i)\n');
+    const createPage = jest.spyOn(CanvasService, 'createPage');
+    const updateContent = jest.spyOn(CanvasService, 'updateContent');
+    try {
+      ExerciseProcessor.initialize({ ...config, createMissingPages: true });
+      const results = await ExerciseProcessor.processCourses(() => {}, () => {});
+      expect(results.successCount).toBe(3);
+      expect(createPage.mock.calls.map(([pageUrl]) => pageUrl)).toEqual(['week-1-loops']);
+      expect(updateContent.mock.calls.map(([target]) => target.id)).toEqual(['week-1-exercises']);
+    } finally {
+      createPage.mockRestore();
+      updateContent.mockRestore();
+    }
+
+    CanvasService.initialize(COURSE_URL);
+    const page = await CanvasService.getContent({ type: 'page', id: 'week-1-loops' });
+    expect(page.body).toContain('data-code-placement="loops"');
+    expect(page.body).toContain('range(3)');
+  }, TIMEOUT_MS);
+
+  test('a second run leaves the unchanged page alone', async () => {
+    await processRun(await verify());
+    const before = await readPage();
+    const results = await processRun(await verify());
+
+    expect(results.successCount).toBe(0);
+    expect(results.unchangedCount).toBe(2);
+    expect((await readPage()).updated_at).toBe(before.updated_at);
+  }, TIMEOUT_MS);
+
+  test('a page edited after verification is not overwritten without asking', async () => {
+    const printing = path.join(servers.githubRoot, 'example', 'exercises', 'week-1', 'printing.py');
+    fs.writeFileSync(printing, fs.readFileSync(printing, 'utf8').replace('Hello, world!', 'Hello, Canvas!'));
+    const verification = await verify();
+
+    // Someone edits the page in Canvas between verification and processing
+    const edited = `${(await readPage()).body}\n<p>Note from the teacher</p>`;
+    await CanvasService.updateContent(PAGE, edited);
+
+    const onStale = jest.fn(async () => 'skip');
+    const results = await processRun(verification, onStale);
+
+    expect(onStale).toHaveBeenCalledTimes(1);
+    expect(results.skippedCount).toBe(2);
+    const page = await readPage();
+    expect(page.body).toContain('Note from the teacher');
+    expect(page.body).not.toContain('Hello, Canvas!');
+  }, TIMEOUT_MS);
+
+  test('rolling back a run restores the page', async () => {
+    const { courses: [course] } = await processRun(await verify());
+    expect((await readPage()).body).toContain('x = 5');
+
+    const rollback = await CanvasService.rollbackRun(course.runId, COURSE_URL);
+
+    expect(rollback.pages.map(page => page.status)).toEqual(['restored']);
+    const page = await readPage();
+    expect(page.body).not.toContain('x = 5');
+    expect(page.settings.published).toBe(false);
+  }, TIMEOUT_MS);
+
+  test('several courses are processed in one run', async () => {
+    const results = await processRun(await verify([COURSE_URL, SECOND_COURSE_URL]));
+
+    expect(results.failedCourses).toBe(0);
+    expect(results.courses.map(course => course.successCount)).toEqual([2, 2]);
+    expect(results.courses[0].runId).not.toBe(results.courses[1].runId);
+    expect((await readPage(COURSE_URL)).body).toContain('Hello, world!');
+    expect((await readPage(SECOND_COURSE_URL)).body).toContain('Hello, world!');
+  }, TIMEOUT_MS);
+
+  test('processing a tag deploys the files of its commit and reports that commit', async () => {
+    const { tags } = await GitHubService.listRefs(config.githubRepoUrl);
+    const verification = await verify(config.courseUrls, 'fall-2026');
+    const results = await processRun(verification);
+
+    expect(results.errors).toEqual([]);
+    expect(results.source.ref).toBe('fall-2026');
+    expect(results.source.commit.sha).toBe(tags[0].sha);
+    const page = await readPage();
+    expect(page.body).toContain('Hello, fall 2026!');
+    expect(page.body).not.toContain('Hello, world!');
+  }, TIMEOUT_MS);
+});
@@ -0,0 +1,73 @@
+import axios from 'axios';
+import { APP_REQUEST_HEADERS } from './SessionService';
+
+// How often to check whether the sign-in popup has been closed
+const POPUP_POLL_INTERVAL = 500;
+
+/**
+ * Service for signing in to Canvas with OAuth2 instead of pasting an API key.
+ * The backend keeps the tokens in the session, like a pasted key.
+ */
+class CanvasAuthService {
+  constructor() {
+    this.apiClient = axios.create({
+      baseURL: '/api/canvas/oauth',
+      headers: APP_REQUEST_HEADERS
+    });
+  }
+
+  /**
+   * Get whether Canvas sign-in is available and whether the session is signed in
+   * @returns {Promise<Object>} Status with enabled, baseUrl, startUrl, signedIn, user and error
+   */
+  async getStatus() {
+    try {
+      const response = await this.apiClient.get('/status');
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to get Canvas sign-in status: ${errorMsg}`);
+    }
+  }
+
+  /**
+   * Sign in to Canvas in a popup window, so the form keeps what has been
+   * entered. Without a popup, the whole page goes to Canvas and back.
+   * @returns {Promise<Object>} Status once the popup has closed
+   */
+  async signIn() {
+    const { startUrl } = await this.getStatus();
+    const popup = window.open(startUrl, 'canvas-sign-in', 'width=640,height=720');
+
+    if (!popup) {
+      window.location.assign(startUrl);
+      return new Promise(() => {}); // The page is navigating away
+    }
+
+    await new Promise((resolve) => {
+      const intervalId = setInterval(() => {
+        if (popup.closed) {
+          clearInterval(intervalId);
+          resolve();
+        }
+      }, POPUP_POLL_INTERVAL);
+    });
+
+    return this.getStatus();
+  }
+
+  /**
+   * Sign out of Canvas; the backend revokes the tokens
+   * @returns {Promise<void>}
+   */
+  async signOut() {
+    try {
+      await this.apiClient.post('/logout');
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to sign out of Canvas: ${errorMsg}`);
+    }
+  }
+}
+
+export default new CanvasAuthService();
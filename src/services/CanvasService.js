@@ -1,4 +1,48 @@
 import axios from 'axios';
+import { DEFAULT_LANGUAGE, getLanguage } from './ExerciseLanguages';
+import { TARGET_TYPES } from './CanvasTargets';
+import { parseCourseUrl } from './CanvasUrl';
+import { APP_REQUEST_HEADERS } from './SessionService';
+
+// Exercise sections that DataCamp Light reads from <code> blocks, in embed order
+const DCL_CODE_SECTIONS = [
+  { name: 'pre_exercise_code', dataType: 'pre-exercise-code' },
+  { name: 'sample_code', dataType: 'sample-code' },
+  { name: 'solution', dataType: 'solution' },
+  { name: 'sct', dataType: 'sct' }
+];
+
+// Attributes stamped on a filled placeholder, recording what was inserted
+const STAMP_ATTRIBUTES = {
+  hash: 'data-dcl-hash',
+  source: 'data-dcl-source',
+  commit: 'data-dcl-commit'
+};
+
+/**
+ * Hash a string to 14 hex digits (cyrb53). Not cryptographic; it only needs
+ * to tell whether inserted content changed between runs.
+ * @param {string} text - Text to hash
+ * @returns {string} Hex digest
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+// Body used for pages created by the tool unless the user supplies a template.
+// {{title}} is replaced by the page title and {{placeholders}} by one
+// data-code-placement element per placement that targets the page.
+export const DEFAULT_PAGE_TEMPLATE = `<h2>{{title}}</h2>
+{{placeholders}}`;
 
 // Use local API instead of direct Canvas API calls
 /**
@@ -6,38 +50,79 @@ import axios from 'axios';
  */
 class CanvasService {
   constructor() {
-    this.apiKey = null;
     this.courseUrl = null;
     this.courseId = null;
     this.apiClient = null;
+    this.runId = null; // Writes made during a run are snapshotted for rollback
+    this.throttleListeners = new Set();
     this.isInitialized = false;
   }
 
   /**
-   * Initialize the Canvas API client with the API key and course URL
-   * @param {string} apiKey - Canvas API key
+   * Initialize the Canvas API client with the course URL. The API key is not
+   * needed here: the backend reads it from the session (see SessionService).
    * @param {string} courseUrl - URL of the Canvas course
    */
-  initialize(apiKey, courseUrl) {
-    // Store these values for use in subsequent API calls
-    this.apiKey = apiKey;
+  initialize(courseUrl) {
+    // Store this value for use in subsequent API calls
     this.courseUrl = courseUrl;
+    this.runId = null;
     
-    // Extract course ID from URL
-    const courseIdMatch = courseUrl.match(/courses\/([0-9]+)/);
-    if (!courseIdMatch) {
+    // Extract course ID from URL; the backend takes the base URL from the course URL
+    try {
+      this.courseId = parseCourseUrl(courseUrl).courseId;
+    } catch (error) {
       throw new Error('Invalid Canvas URL: Could not extract course ID');
     }
-    this.courseId = courseIdMatch[1];
 
     // Set up API client
     this.apiClient = axios.create({
-      baseURL: '/api'
+      baseURL: '/api',
+      headers: APP_REQUEST_HEADERS
     });
     
+    // The backend retries throttled Canvas requests and reports them in a header
+    this.apiClient.interceptors.response.use(
+      (response) => {
+        this.reportThrottling(response);
+        return response;
+      },
+      (error) => {
+        this.reportThrottling(error.response);
+        return Promise.reject(error);
+      }
+    );
+    
     this.isInitialized = true;
   }
   
+  /**
+   * Subscribe to reports of Canvas throttling
+   * @param {Function} listener - Called with the retries, throttled requests and
+   *   time waited for one backend request
+   * @returns {Function} Unsubscribes the listener
+   */
+  onThrottle(listener) {
+    this.throttleListeners.add(listener);
+    return () => this.throttleListeners.delete(listener);
+  }
+  
+  /**
+   * Pass the throttling summary of a backend response to the listeners
+   * @param {Object} response - Axios response
+   */
+  reportThrottling(response) {
+    const header = response?.headers?.['x-canvas-throttle'];
+    if (!header) return;
+    
+    try {
+      const summary = JSON.parse(header);
+      this.throttleListeners.forEach(listener => listener(summary));
+    } catch (error) {
+      console.warn('Ignoring malformed throttling report:', error.message);
+    }
+  }
+  
   /**
    * Validate API connection by getting course information
    * @returns {Promise<Object>} Course information
@@ -46,7 +131,6 @@ class CanvasService {
     try {
       const response = await this.apiClient.get('/canvas/validate', {
         params: {
-          apiKey: this.apiKey,
           courseUrl: this.courseUrl
         }
       });
@@ -67,7 +151,6 @@ class CanvasService {
     try {
       const response = await this.apiClient.get('/canvas/pages', {
         params: {
-          apiKey: this.apiKey,
           courseUrl: this.courseUrl,
           pageUrl
         }
@@ -77,12 +160,143 @@ class CanvasService {
     } catch (error) {
       const errorMsg = error.response?.data?.error || error.message;
       if (error.response?.status === 404) {
-        throw new Error(`Page not found: ${pageUrl}`);
+        const notFoundError = new Error(`Page not found: ${pageUrl}`);
+        notFoundError.status = 404;
+        throw notFoundError;
       }
       throw new Error(`Failed to get page: ${errorMsg}`);
     }
   }
   
+  /**
+   * Get the HTML of a page, assignment, discussion, quiz or the syllabus
+   * @param {Object} target - Target with type and id (see CanvasTargets)
+   * @param {Object} options - Options
+   * @param {boolean} options.includeVersion - Also return the version, to detect later edits
+   * @returns {Promise<Object>} Type, id, title, body, updated_at, html_url, for pages settings
+   *   (title, published, editing_roles and front_page), and version if requested
+   */
+  async getContent(target, { includeVersion = false } = {}) {
+    try {
+      const response = await this.apiClient.get('/canvas/content', {
+        params: {
+          courseUrl: this.courseUrl,
+          type: target.type,
+          id: target.id,
+          includeVersion: includeVersion || undefined
+        }
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      if (error.response?.status === 404) {
+        const notFoundError = new Error(`${TARGET_TYPES[target.type]?.label || 'Resource'} not found: ${target.id || target.type}`);
+        notFoundError.status = 404;
+        throw notFoundError;
+      }
+      throw new Error(`Failed to get content: ${errorMsg}`);
+    }
+  }
+  
+  /**
+   * Update the HTML of a page, assignment, discussion, quiz or the syllabus
+   * @param {Object} target - Target with type and id (see CanvasTargets)
+   * @param {string} body - The new HTML
+   * @param {Object} settings - Page settings to change with the HTML (see PageSettings)
+   * @param {Object} expectedVersion - Version from getContent the resource must still have (optional)
+   * @returns {Promise<Object>} Updated content, as returned by getContent
+   * @throws {Error} With code 'stale_version' and currentVersion if the resource was edited since
+   */
+  async updateContent(target, body, settings = {}, expectedVersion = null) {
+    try {
+      const response = await this.apiClient.put('/canvas/content', {
+        courseUrl: this.courseUrl,
+        type: target.type,
+        id: target.id,
+        body,
+        settings,
+        expectedVersion: expectedVersion || undefined,
+        runId: this.runId
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      const updateError = new Error(`Failed to update content: ${errorMsg}`);
+      if (error.response?.data?.code === 'stale_version') {
+        updateError.status = 409;
+        updateError.code = 'stale_version';
+        updateError.currentVersion = error.response.data.currentVersion;
+      }
+      throw updateError;
+    }
+  }
+  
+  /**
+   * Create a page that does not exist yet
+   * @param {string} pageUrl - The URL (slug) the page should have
+   * @param {string} title - Title of the new page
+   * @param {string} body - HTML body of the new page
+   * @param {Object} settings - Page settings for the new page (see PageSettings)
+   * @returns {Promise<Object>} Created page data
+   */
+  async createPage(pageUrl, title, body, settings = {}) {
+    try {
+      const response = await this.apiClient.post('/canvas/pages', {
+        courseUrl: this.courseUrl,
+        pageUrl,
+        title,
+        body,
+        settings,
+        runId: this.runId
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to create page: ${errorMsg}`);
+    }
+  }
+  
+  /**
+   * Build the body of a new page from a template
+   * @param {string} template - HTML template with {{title}} and {{placeholders}}
+   * @param {string} title - Page title
+   * @param {Array<string>} placements - Placements the page must contain
+   * @returns {string} HTML body for the new page
+   */
+  renderPageTemplate(template, title, placements) {
+    const placeholders = placements
+      .map(placement => `<div data-code-placement="${this.escapeHtml(placement)}"></div>`)
+      .join('\n');
+    
+    const body = (template || DEFAULT_PAGE_TEMPLATE)
+      .replace(/{{\s*title\s*}}/g, this.escapeHtml(title))
+      .replace(/{{\s*placeholders\s*}}/g, placeholders);
+    
+    // Append placements the template does not contain, so every exercise has a target
+    const missing = placements.filter(placement => !body.includes(`data-code-placement="${placement}"`));
+    if (missing.length === 0) {
+      return body;
+    }
+    
+    return `${body}\n${missing.map(placement => `<div data-code-placement="${this.escapeHtml(placement)}"></div>`).join('\n')}`;
+  }
+  
+  /**
+   * Derive a readable page title from a page slug
+   * @param {string} pageUrl - The URL (slug) of the page
+   * @returns {string} Title such as "Intro To Python" for "intro-to-python"
+   */
+  titleFromSlug(pageUrl) {
+    return pageUrl
+      .split(/[-_]+/)
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+  
   /**
    * Update a page's content
    * @param {string} pageUrl - The URL (slug) of the page
@@ -92,10 +306,10 @@ class CanvasService {
   async updatePage(pageUrl, body) {
     try {
       const response = await this.apiClient.put('/canvas/pages', {
-        apiKey: this.apiKey,
         courseUrl: this.courseUrl,
         pageUrl,
-        body
+        body,
+        runId: this.runId
       });
       
       return response.data.data;
@@ -105,6 +319,175 @@ class CanvasService {
     }
   }
   
+  /**
+   * Find out what placing a target in a module would do, without changing anything
+   * @param {Object} target - Target with type and id (see CanvasTargets)
+   * @param {string|number} module - Module name or ID
+   * @param {number} position - Requested position in the module, starting at 1 (optional)
+   * @returns {Promise<Object>} Module, existing item, action ('create', 'move' or 'none')
+   *   and the other modules that hold the target
+   */
+  async getModulePlacement(target, module, position) {
+    try {
+      const response = await this.apiClient.get('/canvas/module-items', {
+        params: {
+          courseUrl: this.courseUrl,
+          type: target.type,
+          id: target.id,
+          module,
+          position
+        }
+      });
+
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to check module: ${errorMsg}`);
+    }
+  }
+
+  /**
+   * Add a target to a module if it is not in it yet, and move it to the requested position
+   * @param {Object} target - Target with type and id (see CanvasTargets)
+   * @param {string|number} module - Module name or ID
+   * @param {number} position - Requested position in the module, starting at 1 (optional)
+   * @returns {Promise<Object>} Module placement as returned by getModulePlacement, after the change
+   */
+  async placeInModule(target, module, position) {
+    try {
+      const response = await this.apiClient.put('/canvas/module-items', {
+        courseUrl: this.courseUrl,
+        type: target.type,
+        id: target.id,
+        module,
+        position
+      });
+
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to place in module: ${errorMsg}`);
+    }
+  }
+
+  /**
+   * Get every data-code-placement placeholder on every page of the course
+   * @returns {Promise<Object>} Page count and the pages with their placeholders
+   */
+  async getPlaceholderInventory() {
+    try {
+      const response = await this.apiClient.get('/canvas/placeholders', {
+        params: {
+          courseUrl: this.courseUrl
+        }
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to list placeholders: ${errorMsg}`);
+    }
+  }
+  
+  /**
+   * Start a run; the backend snapshots every page written until the next run
+   * so that the run can be rolled back
+   * @returns {Promise<Object>} The new run
+   */
+  async startRun() {
+    try {
+      const response = await this.apiClient.post('/canvas/runs', {
+        courseUrl: this.courseUrl
+      });
+      
+      this.runId = response.data.data.id;
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to start run: ${errorMsg}`);
+    }
+  }
+  
+  /**
+   * Restore every page a run changed to its state before the run
+   * @param {string} runId - ID of the run to roll back
+   * @param {string} courseUrl - URL of the course the run wrote to (defaults to the current course)
+   * @returns {Promise<Object>} Per-page rollback results
+   */
+  async rollbackRun(runId, courseUrl = this.courseUrl) {
+    try {
+      const response = await this.apiClient.post(`/canvas/runs/${runId}/rollback`, {
+        courseUrl
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to roll back run: ${errorMsg}`);
+    }
+  }
+  
+  /**
+   * Check whether the course is a blueprint course
+   * @returns {Promise<Object>} Whether the course is a blueprint, and its associated courses
+   */
+  async getBlueprint() {
+    try {
+      const response = await this.apiClient.get('/canvas/blueprint', {
+        params: {
+          courseUrl: this.courseUrl
+        }
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to get blueprint information: ${errorMsg}`);
+    }
+  }
+  
+  /**
+   * Start a blueprint sync that pushes the course content to its associated courses
+   * @param {Object} options - Sync options
+   * @param {string} options.comment - Comment shown in the sync history
+   * @param {boolean} options.sendNotification - Notify the users of the associated courses
+   * @returns {Promise<Object>} The started migration
+   */
+  async startBlueprintSync({ comment = '', sendNotification = false } = {}) {
+    try {
+      const response = await this.apiClient.post('/canvas/blueprint/migrations', {
+        courseUrl: this.courseUrl,
+        comment,
+        sendNotification
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to start blueprint sync: ${errorMsg}`);
+    }
+  }
+  
+  /**
+   * Get the status of a blueprint sync
+   * @param {number} migrationId - ID of the migration
+   * @returns {Promise<Object>} The migration, with its workflow state
+   */
+  async getBlueprintSync(migrationId) {
+    try {
+      const response = await this.apiClient.get(`/canvas/blueprint/migrations/${migrationId}`, {
+        params: {
+          courseUrl: this.courseUrl
+        }
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to get blueprint sync status: ${errorMsg}`);
+    }
+  }
+  
   /**
    * Detect the element type for a placement
    * @param {string} html - HTML content
@@ -145,6 +528,58 @@ class CanvasService {
     }
   }
 
+  /**
+   * Compute the hash stamped on a placeholder for the content inserted into it.
+   * Formatting options are included because they change the inserted markup.
+   * @param {string} content - Content to insert
+   * @param {Object} options - Insertion options
+   * @param {boolean} options.isRawCode - Whether the content is inserted as raw code
+   * @param {boolean} options.includeLineNumbers - Whether line numbers are added
+   * @param {string} options.customClasses - Custom CSS classes for pre elements
+   * @param {string} options.language - Exercise language
+   * @returns {string} Content hash
+   */
+  placementHash(content, { isRawCode = false, includeLineNumbers = false, customClasses = '', language = DEFAULT_LANGUAGE } = {}) {
+    const format = isRawCode ? ['raw', language, includeLineNumbers, customClasses.trim()] : ['embed'];
+    return hashString(JSON.stringify([...format, content]));
+  }
+  
+  /**
+   * Read the stamp left on a placeholder by a previous run
+   * @param {string} html - HTML content
+   * @param {string} placement - Value of data-code-placement attribute
+   * @param {string} elementType - Element type of the placeholder ('pre' or 'div')
+   * @returns {Object|null} Stamp with hash, source and commit, or null if the placeholder is not stamped
+   */
+  getPlacementStamp(html, placement, elementType = '') {
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = html;
+    
+    const placeholder = tempDiv.querySelector(`${elementType}[data-code-placement="${placement}"]`);
+    if (!placeholder || !placeholder.hasAttribute(STAMP_ATTRIBUTES.hash)) {
+      return null;
+    }
+    
+    return {
+      hash: placeholder.getAttribute(STAMP_ATTRIBUTES.hash),
+      source: placeholder.getAttribute(STAMP_ATTRIBUTES.source),
+      commit: placeholder.getAttribute(STAMP_ATTRIBUTES.commit)
+    };
+  }
+  
+  /**
+   * Build the stamp attributes for a placeholder as an HTML attribute string
+   * @param {Object} stamp - Stamp with hash, source and commit
+   * @returns {string} Attributes, each preceded by a space
+   */
+  stampAttributes(stamp) {
+    if (!stamp) return '';
+    return Object.entries(STAMP_ATTRIBUTES)
+      .filter(([key]) => stamp[key])
+      .map(([key, attribute]) => ` ${attribute}="${this.escapeHtml(String(stamp[key]))}"`)
+      .join('');
+  }
+  
   /**
    * Insert content at a specific placeholder in HTML
    * @param {string} html - HTML content
@@ -153,10 +588,14 @@ class CanvasService {
    * @param {boolean} isRawCode - If true, insert as raw code (for pre tags)
    * @param {boolean} includeLineNumbers - If true, add line-numbers class to pre elements
    * @param {string} customClasses - Custom CSS classes to add to pre elements
+   * @param {string} language - Exercise language, used for the code highlight class
+   * @param {Object} stamp - Hash, source path and commit to record on the placeholder
    * @returns {string} Updated HTML
    */
-  insertContentAtPlaceholder(html, placement, content, isRawCode = false, includeLineNumbers = false, customClasses = '') {
+  insertContentAtPlaceholder(html, placement, content, isRawCode = false, includeLineNumbers = false, customClasses = '', language = DEFAULT_LANGUAGE, stamp = null) {
     try {
+      const { highlightClass } = getLanguage(language);
+      
       // Use DOMParser if available (browser environment) or jsdom approach for server
       // For now, we'll use a simpler approach with string manipulation
       const tempDiv = document.createElement('div');
@@ -205,12 +644,23 @@ class CanvasService {
             preClass = ` class="${classesToAdd.join(' ')}"`;
           }
           
-          return html.replace(match[0], `<${elementType}${preClass} data-code-placement="${placement}"><code class="language-python">${escapedContent}</code></${elementType}>`);
+          return html.replace(match[0], `<${elementType}${preClass} data-code-placement="${placement}"${this.stampAttributes(stamp)}><code class="${highlightClass}">${escapedContent}</code></${elementType}>`);
         } else {
-          return html.replace(match[0], `<${elementType} data-code-placement="${placement}">${content}</${elementType}>`);
+          return html.replace(match[0], `<${elementType} data-code-placement="${placement}"${this.stampAttributes(stamp)}>${content}</${elementType}>`);
         }
       }
       
+      // Record what was inserted so the next run can skip unchanged content
+      if (stamp) {
+        Object.entries(STAMP_ATTRIBUTES).forEach(([key, attribute]) => {
+          if (stamp[key]) {
+            placeholder.setAttribute(attribute, stamp[key]);
+          } else {
+            placeholder.removeAttribute(attribute);
+          }
+        });
+      }
+      
       // Replace the content of the placeholder
       if (elementType === 'pre' || isRawCode) {
         // For pre elements, add line-numbers class if requested
@@ -228,9 +678,9 @@ class CanvasService {
           });
         }
         
-        // Create a code element with language-python class
+        // Create a code element with the language's highlight class
         const codeElement = document.createElement('code');
-        codeElement.className = 'language-python';
+        codeElement.className = highlightClass;
         codeElement.textContent = content;
         
         // Clear placeholder and add the code element
@@ -267,14 +717,26 @@ class CanvasService {
   
   /**
    * Generate DataCamp Light embed code
-   * @param {string} pythonCode - Python code for the exercise
+   * @param {Object|string} sections - Exercise sections keyed by name
+   *   (pre_exercise_code, sample_code, solution, sct, hint), or just the sample code
+   * @param {string} language - Exercise language
    * @returns {string} HTML for the DCL embed
    */
-  generateDclEmbed(pythonCode) {
-    return `<div data-datacamp-exercise data-lang="python">
-  <code data-type="sample-code">
-${pythonCode}
-  </code>
+  generateDclEmbed(sections, language = DEFAULT_LANGUAGE) {
+    const exercise = typeof sections === 'string' ? { sample_code: sections } : sections;
+    
+    const blocks = DCL_CODE_SECTIONS
+      .filter(({ name }) => name === 'sample_code' || exercise[name])
+      .map(({ name, dataType }) => `  <code data-type="${dataType}">
+${this.escapeHtml(exercise[name] || '')}
+  </code>`);
+    
+    if (exercise.hint) {
+      blocks.push(`  <div data-type="hint">${this.escapeHtml(exercise.hint)}</div>`);
+    }
+    
+    return `<div data-datacamp-exercise data-lang="${getLanguage(language).dclLang}">
+${blocks.join('\n')}
 </div>`;
   }
 }
@@ -0,0 +1,115 @@
+/**
+ * Canvas resources an exercise can be published to, keyed by the type part
+ * of the `target` metadata field
+ */
+export const TARGET_TYPES = {
+  page: {
+    label: 'Page',
+    field: 'body',
+    canCreate: true,
+    inModules: true,
+    urlPath: id => `pages/${id}`
+  },
+  assignment: {
+    label: 'Assignment',
+    field: 'description',
+    numericId: true,
+    inModules: true,
+    urlPath: id => `assignments/${id}`
+  },
+  discussion: {
+    label: 'Discussion',
+    field: 'message',
+    inModules: true,
+    urlPath: id => `discussion_topics/${id}`
+  },
+  quiz: {
+    label: 'Quiz',
+    field: 'description',
+    numericId: true,
+    inModules: true,
+    urlPath: id => `quizzes/${id}`
+  },
+  syllabus: {
+    label: 'Syllabus',
+    field: 'syllabus_body',
+    singleton: true,
+    urlPath: () => 'assignments/syllabus'
+  }
+};
+
+export const DEFAULT_TARGET_TYPE = 'page';
+
+// Target types that can be items of a course module
+export const MODULE_TARGET_TYPES = Object.keys(TARGET_TYPES).filter(type => TARGET_TYPES[type].inModules);
+
+/**
+ * Parse a `target` value such as "assignment:1234", "discussion:weekly-prompt"
+ * or "syllabus"
+ * @param {string} value - Target value from the metadata
+ * @returns {Object} Target type and ID (null when the ID comes from the `page` field)
+ * @throws {Error} If the value is not a valid target
+ */
+export function parseTargetString(value) {
+  const separator = value.indexOf(':');
+  const type = (separator === -1 ? value : value.slice(0, separator)).trim();
+  const id = separator === -1 ? null : value.slice(separator + 1).trim();
+
+  const targetType = TARGET_TYPES[type];
+  if (!targetType) {
+    throw new Error(`unknown target type '${type}'; expected one of: ${Object.keys(TARGET_TYPES).join(', ')}`);
+  }
+  if (targetType.singleton) {
+    if (id) {
+      throw new Error(`target '${type}' does not take an ID`);
+    }
+    return { type, id: null };
+  }
+  if (id === '' || (id === null && type !== DEFAULT_TARGET_TYPE)) {
+    throw new Error(`target '${type}' needs an ID, as in '${type}:123'`);
+  }
+  if (id && targetType.numericId && !/^\d+$/.test(id)) {
+    throw new Error(`target '${type}' needs a numeric ID`);
+  }
+
+  return { type, id };
+}
+
+/**
+ * Resolve the Canvas resource an exercise is published to
+ * @param {Object} metadata - Exercise metadata
+ * @returns {Object} Target with type, id, key (unique per resource) and label
+ */
+export function resolveTarget(metadata) {
+  const { type, id: targetId } = metadata.target
+    ? parseTargetString(metadata.target)
+    : { type: DEFAULT_TARGET_TYPE, id: null };
+
+  // Pages are named by the `page` field unless the target names them
+  const id = type === DEFAULT_TARGET_TYPE && !targetId ? metadata.page : targetId;
+  const key = TARGET_TYPES[type].singleton ? type : `${type}:${id}`;
+
+  return {
+    type,
+    id,
+    key,
+    label: TARGET_TYPES[type].singleton ? TARGET_TYPES[type].label : `${TARGET_TYPES[type].label} '${id}'`
+  };
+}
+
+/**
+ * Check whether the `page` field is needed to name the target
+ * @param {Object} metadata - Exercise metadata
+ * @returns {boolean} True if the target is a page that the `target` field does not name
+ */
+export function needsPageField(metadata) {
+  if (!metadata.target || typeof metadata.target !== 'string') return true;
+
+  try {
+    const { type, id } = parseTargetString(metadata.target);
+    return type === DEFAULT_TARGET_TYPE && !id;
+  } catch (error) {
+    // An invalid target is reported on its own field
+    return false;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Canvas course URLs. A Canvas instance is identified by its base URL: the
+ * origin, with any non-default port, plus the path prefix Canvas is served
+ * under (https://lms.example.edu:8443/canvas). Course URLs are the base URL
+ * followed by /courses/<id>.
+ */
+
+/**
+ * Normalize a Canvas base URL
+ * @param {string} url - Base URL, with or without a trailing slash
+ * @returns {string} Origin and path prefix without a trailing slash
+ * @throws {Error} If the URL is not an http(s) URL
+ */
+export function normalizeBaseUrl(url) {
+  const parsedUrl = new URL(url.trim());
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new Error(`Not an http(s) URL: ${url}`);
+  }
+
+  return `${parsedUrl.origin}${parsedUrl.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Split a Canvas course URL into the base URL of the instance and the course ID
+ * @param {string} courseUrl - Course URL, or any URL inside the course
+ * @returns {{baseUrl: string, courseId: string}} Base URL and course ID
+ * @throws {Error} If the URL is invalid or has no /courses/<id> segment
+ */
+export function parseCourseUrl(courseUrl) {
+  const parsedUrl = new URL(courseUrl.trim());
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new Error(`Not an http(s) URL: ${courseUrl}`);
+  }
+
+  // Everything before /courses/<id> is the path prefix of the instance
+  const pathMatch = parsedUrl.pathname.match(/^(.*?)\/courses\/(\d+)(?:\/|$)/);
+  if (!pathMatch) {
+    throw new Error(`No course ID in ${courseUrl}`);
+  }
+
+  return {
+    baseUrl: `${parsedUrl.origin}${pathMatch[1].replace(/\/+$/, '')}`,
+    courseId: pathMatch[2]
+  };
+}
+
+/**
+ * Build a course URL from a base URL and a course ID
+ * @param {string} baseUrl - Canvas base URL
+ * @param {string|number} courseId - Course ID
+ * @returns {string} Course URL
+ */
+export function buildCourseUrl(baseUrl, courseId) {
+  return `${normalizeBaseUrl(baseUrl)}/courses/${courseId}`;
+}
+
+/**
+ * Read a course given as a full course URL or, with a base URL, as a bare course ID
+ * @param {string} value - Course URL or course ID
+ * @param {string} [baseUrl] - Canvas base URL to combine course IDs with
+ * @returns {string} Course URL
+ * @throws {Error} If the value is neither a valid course URL nor a course ID with a base URL
+ */
+export function resolveCourseUrl(value, baseUrl = '') {
+  const trimmed = value.trim();
+
+  if (/^\d+$/.test(trimmed)) {
+    if (!baseUrl) {
+      throw new Error(`Enter a Canvas base URL to use the course ID ${trimmed}`);
+    }
+    return buildCourseUrl(baseUrl, trimmed);
+  }
+
+  const { baseUrl: courseBaseUrl, courseId } = parseCourseUrl(trimmed);
+  return buildCourseUrl(courseBaseUrl, courseId);
+}
+
+/**
+ * Build the URL of a page of a course in the Canvas web interface
+ * @param {string} courseUrl - Course URL
+ * @param {string} path - Path inside the course, such as pages/intro
+ * @returns {string|null} Full URL, or null for an invalid course URL
+ */
+export function courseResourceUrl(courseUrl, path) {
+  try {
+    const { baseUrl, courseId } = parseCourseUrl(courseUrl);
+    return `${baseUrl}/courses/${courseId}/${path}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get a key that identifies a course whatever the form of its URL
+ * @param {string} courseUrl - Course URL
+ * @returns {string|null} Base URL and course ID, or null for an invalid URL
+ */
+export function courseKey(courseUrl) {
+  try {
+    const { baseUrl, courseId } = parseCourseUrl(courseUrl);
+    return `${baseUrl}/courses/${courseId}`;
+  } catch (error) {
+    return null;
+  }
+}
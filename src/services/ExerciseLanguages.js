@@ -0,0 +1,75 @@
+/**
+ * Languages supported for exercise files, keyed by the value of the
+ * `language` metadata field
+ */
+export const LANGUAGES = {
+  python: {
+    label: 'Python',
+    extensions: ['.py'],
+    commentPrefix: '#',
+    commentedMetadata: false,
+    dclLang: 'python',
+    highlightClass: 'language-python'
+  },
+  r: {
+    label: 'R',
+    extensions: ['.R', '.r'],
+    commentPrefix: '#',
+    commentedMetadata: true,
+    dclLang: 'r',
+    highlightClass: 'language-r'
+  },
+  sql: {
+    label: 'SQL',
+    extensions: ['.sql'],
+    commentPrefix: '--',
+    commentedMetadata: true,
+    dclLang: 'sql',
+    highlightClass: 'language-sql'
+  },
+  shell: {
+    label: 'Shell',
+    extensions: ['.sh'],
+    commentPrefix: '#',
+    commentedMetadata: true,
+    dclLang: 'shell',
+    highlightClass: 'language-bash'
+  }
+};
+
+export const DEFAULT_LANGUAGE = 'python';
+
+/**
+ * Infer the language of an exercise file from its extension
+ * @param {string} filePath - Path or name of the file
+ * @returns {string|null} Language key or null if the extension is not supported
+ */
+export function languageFromPath(filePath) {
+  if (!filePath) return null;
+
+  for (const [language, config] of Object.entries(LANGUAGES)) {
+    if (config.extensions.some(extension => filePath.endsWith(extension))) {
+      return language;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a file name has the extension of a supported exercise language
+ * @param {string} fileName - Name of the file
+ * @returns {boolean} True if the file is an exercise file
+ */
+export function isExerciseFile(fileName) {
+  return languageFromPath(fileName) !== null;
+}
+
+/**
+ * Get the configuration for a language, falling back to the default language
+ * @param {string} language - Language key
+ * @returns {Object} Language configuration
+ */
+export function getLanguage(language) {
+  return LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+}
@@ -1,6 +1,14 @@
 import GitHubService from './GitHubService';
 import CanvasService from './CanvasService';
 import MetadataParser from './MetadataParser';
+import MetadataSchema from './MetadataSchema';
+import { TARGET_TYPES, resolveTarget } from './CanvasTargets';
+import { pageSettingsOf, mergePageSettings, comparePageSettings } from './PageSettings';
+import { parseCourseUrl, courseResourceUrl } from './CanvasUrl';
+
+// How often the status of a blueprint sync is checked, and how long to wait for it
+const BLUEPRINT_POLL_INTERVAL = 5000;
+const BLUEPRINT_SYNC_TIMEOUT = 30 * 60 * 1000;
 
 /**
  * Main processor for handling the end-to-end process of updating Canvas pages with DCL exercises
@@ -12,31 +20,54 @@ class ExerciseProcessor {
   constructor() {
     // Initialize state
     this.config = null;
+    this.courseUrls = []; // Every course of the run, processed in sequence
     this.courseId = null; // Will be extracted from Canvas URL
+    this.runId = null; // ID of the current run, used to roll it back
+    this.runs = []; // Course URL and run ID of every run started since initialize
+    this.source = null; // Ref and commit the exercise files are read from, found once per run
+    this.reverifyRequested = false; // Set when the user stops a run to verify again
   }
   
   /**
    * Initialize the processor with configuration
    * @param {Object} config - Configuration object
-   * @param {string} config.canvasApiKey - Canvas API key
    * @param {string} config.courseUrl - Canvas course URL
+   * @param {Array<string>} config.courseUrls - Canvas course URLs, when the run targets several courses
    * @param {string} config.githubRepoUrl - GitHub repo URL
+   * @param {string} config.githubRef - Branch, tag or commit SHA to deploy from (the default branch if omitted)
+   * @param {string} config.githubCommit - Commit SHA that was verified, deployed instead of where the ref points now
    * @param {string} config.directoryPath - Path to directory in GitHub repo
+   * @param {boolean} config.createMissingPages - Create pages that do not exist yet
+   * @param {string} config.pageTemplate - HTML template for created pages
+   * @param {boolean} config.syncBlueprint - Sync blueprint courses to their associated courses after writing
    */
   initialize(config) {
     this.config = config;
+    this.courseUrls = config.courseUrls && config.courseUrls.length > 0 ? config.courseUrls : [config.courseUrl];
+    this.runs = [];
+    this.source = null;
+    this.reverifyRequested = false;
     
+    this.useCourse(this.courseUrls[0]);
+  }
+  
+  /**
+   * Point the processor, and the Canvas service, at one course
+   * @param {string} courseUrl - Canvas course URL
+   */
+  useCourse(courseUrl) {
     // Extract course ID from Canvas URL
-    this.courseId = this.extractCourseId(config.courseUrl);
-    if (!this.courseId) {
+    const courseId = this.extractCourseId(courseUrl);
+    if (!courseId) {
       throw new Error('Invalid Canvas URL: Could not extract course ID');
     }
     
+    this.config = { ...this.config, courseUrl };
+    this.courseId = courseId;
+    this.runId = null;
+    
     // Initialize Canvas service
-    CanvasService.initialize(
-      config.canvasApiKey, 
-      config.courseUrl
-    );
+    CanvasService.initialize(courseUrl);
   }
   
   /**
@@ -46,135 +77,397 @@ class ExerciseProcessor {
    */
   extractCourseId(url) {
     try {
-      const parsedUrl = new URL(url);
+      return parseCourseUrl(url).courseId;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Construct a URL to the Canvas resource an exercise targets
+   * @param {Object} target - Target from resolveTarget
+   * @returns {string} Full Canvas URL
+   */
+  constructCanvasTargetUrl(target) {
+    if (!this.courseId || !target) return null;
+    
+    return courseResourceUrl(this.config.courseUrl, TARGET_TYPES[target.type].urlPath(target.id));
+  }
+
+  /**
+   * Find the exercise files to process and prepare the run
+   * @returns {Promise<Array<string>>} Paths of the exercise files
+   */
+  async prepareRun() {
+    // Validate Canvas connection
+    await CanvasService.validateConnection();
+    
+    // Every course gets the same commit, even if the branch moves during the run
+    if (!this.source) {
+      const { githubRepoUrl, githubRef, githubCommit } = this.config;
+      const source = await GitHubService.resolveSource(githubRepoUrl, githubCommit || githubRef);
+      this.source = { ...source, ref: githubRef || null };
+    }
+    
+    // Find all exercise files in the directory
+    const exerciseFiles = await GitHubService.findExerciseFiles(
+      this.config.githubRepoUrl,
+      this.config.directoryPath,
+      this.contentRef()
+    );
+    
+    if (exerciseFiles.length === 0) {
+      throw new Error('No exercise files found in the selected directory');
+    }
+    
+    // Read every file in a few batched requests instead of one request per file
+    await GitHubService.prefetchFiles(this.config.githubRepoUrl, exerciseFiles, this.contentRef());
+    
+    return exerciseFiles;
+  }
+  
+  /**
+   * Get the ref to read exercise files at: the commit found for the run when there is one
+   * @returns {string|undefined} Commit SHA or ref, undefined for the default branch
+   */
+  contentRef() {
+    return this.source?.commit?.sha || this.config.githubRef || undefined;
+  }
+  
+  /**
+   * Run a step for every course, one course after the other. A course that
+   * fails does not stop the others.
+   * @param {Function} onProgress - Callback for progress updates, also told which course is running
+   * @param {Function} runCourse - Called with the progress callback of the course
+   * @param {Object} emptyResult - Result fields of a course that failed
+   * @returns {Promise<Array<Object>>} Result of each course, with its URL
+   */
+  async forEachCourse(onProgress, runCourse, emptyResult) {
+    const courses = [];
+    
+    for (const [courseIndex, courseUrl] of this.courseUrls.entries()) {
+      // Courses after the one the user stopped in are left for the next run
+      if (this.reverifyRequested) {
+        break;
+      }
       
-      // Extract the course ID from the path
-      const pathMatch = parsedUrl.pathname.match(/\/courses\/(\d+)/);
-      if (!pathMatch) {
+      const onCourseProgress = (progressData) => onProgress({
+        ...progressData,
+        courseUrl,
+        courseIndex,
+        courseCount: this.courseUrls.length
+      });
+      
+      try {
+        this.useCourse(courseUrl);
+        courses.push({ courseUrl, ...(await runCourse(onCourseProgress)) });
+      } catch (error) {
+        courses.push({ courseUrl, ...emptyResult, failed: true, error: error.message });
+      }
+    }
+    
+    return courses;
+  }
+  
+  /**
+   * Dry run every course of the run
+   * @param {Function} onProgress - Callback for progress updates
+   * @returns {Promise<Object>} Dry run of each course, and the source the files were read from
+   */
+  async previewCourses(onProgress) {
+    const courses = await this.forEachCourse(
+      onProgress,
+      (onCourseProgress) => this.previewExercises(onCourseProgress),
+      { totalFiles: 0, pages: [], errors: [] }
+    );
+    
+    return { courses, source: this.source };
+  }
+  
+  /**
+   * Process every course of the run. Each course gets its own run, so that it
+   * can be rolled back on its own.
+   * @param {Function} onProgress - Callback for progress updates
+   * @param {Function} onError - Callback for error notifications
+   * @param {Object} options - Processing options
+   * @param {Object} options.approvedPages - Targets to write per course URL, by key (all targets if omitted)
+   * @param {Object} options.verifiedVersions - Version of each verified target per course URL, by key
+   * @param {Function} options.onStale - Asked what to do with a target edited since verification (see processPage)
+   * @returns {Promise<Object>} Results of each course, totals across courses, the source the
+   *   files were read from, and whether the user stopped the run to verify again
+   */
+  async processCourses(onProgress, onError, options = {}) {
+    const approvedPages = options.approvedPages || null;
+    const verifiedVersions = options.verifiedVersions || {};
+    
+    const courses = await this.forEachCourse(
+      onProgress,
+      async (onCourseProgress) => {
+        const { courseUrl } = this.config;
+        try {
+          const results = await this.processExercises(
+            onCourseProgress,
+            (error) => onError({ ...error, courseUrl }),
+            {
+              approvedPages: approvedPages ? approvedPages[courseUrl] || [] : undefined,
+              verifiedVersions: verifiedVersions[courseUrl],
+              onStale: options.onStale
+            }
+          );
+          
+          // Only a run that changed the blueprint has anything to sync
+          if (this.config.syncBlueprint && results.successCount > 0) {
+            results.blueprintSync = await this.syncBlueprint(onCourseProgress);
+          }
+          
+          return results;
+        } catch (error) {
+          onError({ file: courseUrl, message: error.message, courseUrl });
+          throw error;
+        }
+      },
+      {
+        totalFiles: 0,
+        processedFiles: 0,
+        successCount: 0,
+        errorCount: 0,
+        skippedCount: 0,
+        unchangedCount: 0,
+        runId: null,
+        createdPages: [],
+        results: []
+      }
+    );
+    
+    const sum = (field) => courses.reduce((total, course) => total + course[field], 0);
+    
+    return {
+      courses,
+      failedCourses: courses.filter(course => course.failed).length,
+      totalFiles: sum('totalFiles'),
+      processedFiles: sum('processedFiles'),
+      successCount: sum('successCount'),
+      errorCount: sum('errorCount'),
+      skippedCount: sum('skippedCount'),
+      unchangedCount: sum('unchangedCount'),
+      source: this.source,
+      reverifyRequested: this.reverifyRequested
+    };
+  }
+  
+  /**
+   * Push the content of a blueprint course to its associated courses, and
+   * wait until the sync has finished
+   * @param {Function} onProgress - Called with the migration each time its status is read
+   * @returns {Promise<Object|null>} Final state of the sync, or null if the course is not a blueprint
+   */
+  async syncBlueprint(onProgress) {
+    try {
+      const blueprint = await CanvasService.getBlueprint();
+      if (!blueprint.isBlueprint) {
         return null;
       }
       
-      return pathMatch[1];
+      const associatedCourseCount = blueprint.associatedCourses.length;
+      const report = (migration) => {
+        onProgress({ blueprintSync: { ...migration, associatedCourseCount } });
+        return { ...migration, associatedCourseCount };
+      };
+      
+      const sourceCommit = this.source?.commit?.sha;
+      const comment = sourceCommit
+        ? `DCL Exercise Tool: exercises from commit ${sourceCommit.slice(0, 7)}`
+        : 'DCL Exercise Tool: exercises updated';
+      let migration = report(await CanvasService.startBlueprintSync({ comment }));
+      
+      const startedAt = Date.now();
+      while (!migration.finished) {
+        if (Date.now() - startedAt > BLUEPRINT_SYNC_TIMEOUT) {
+          return { ...migration, timedOut: true };
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, BLUEPRINT_POLL_INTERVAL));
+        migration = report(await CanvasService.getBlueprintSync(migration.id));
+      }
+      
+      return migration;
     } catch (error) {
-      return null;
+      // The pages were written; a failed sync is reported with the course
+      return { failed: true, finished: true, error: error.message };
     }
   }
   
   /**
-   * Construct a URL to a Canvas page
-   * @param {string} courseId - Canvas course ID
-   * @param {string} pageSlug - Canvas page slug
-   * @returns {string} Full Canvas page URL
+   * Compute the final body of every page without writing anything to Canvas
+   * @param {Function} onProgress - Callback for progress updates
+   * @returns {Promise<Object>} Files processed, per-page old and new bodies, setting and module changes, and per-file errors
    */
-  constructCanvasPageUrl(courseId, pageSlug) {
-    if (!courseId || !pageSlug) return null;
-    
-    // Use the base URL from the Canvas URL in the config
+  async previewExercises(onProgress) {
     try {
-      const parsedUrl = new URL(this.config.courseUrl);
-      return `${parsedUrl.protocol}//${parsedUrl.host}/courses/${courseId}/pages/${pageSlug}`;
+      const exerciseFiles = await this.prepareRun();
+      const totalFiles = exerciseFiles.length;
+      let loaded = 0;
+      
+      const { exercises, failures } = await this.loadExercises(exerciseFiles, (filePath) => {
+        onProgress({
+          processed: loaded,
+          total: totalFiles,
+          currentFile: filePath,
+          progress: Math.floor((loaded / totalFiles) * 100)
+        });
+        loaded++;
+      });
+      
+      const errors = failures.map(failure => ({
+        file: failure.file,
+        error: failure.error
+      }));
+      const pages = [];
+      
+      for (const pageExercises of this.groupByTarget(exercises).values()) {
+        const { target } = pageExercises[0];
+        const outcome = await this.processPage(target, pageExercises, { dryRun: true });
+        
+        outcome.results
+          .filter(result => result.status === 'error')
+          .forEach(result => errors.push({ file: result.file, error: result.error }));
+        
+        if (outcome.loaded) {
+          pages.push({
+            target: target.key,
+            page: target.type === 'page' ? target.id : null,
+            title: outcome.title || target.label,
+            canvasPageUrl: outcome.canvasPageUrl,
+            created: outcome.created,
+            originalBody: outcome.originalBody,
+            body: outcome.body,
+            settingChanges: outcome.settingChanges,
+            moduleChange: outcome.modulePlacement,
+            files: outcome.results.filter(result => result.status !== 'error').map(result => result.file),
+            changed: outcome.originalBody !== outcome.body
+              || outcome.settingChanges.length > 0
+              || Boolean(outcome.modulePlacement && outcome.modulePlacement.action !== 'none')
+          });
+        }
+      }
+      
+      onProgress({
+        processed: totalFiles,
+        total: totalFiles,
+        currentFile: '',
+        progress: 100
+      });
+      
+      return {
+        totalFiles,
+        pages,
+        errors
+      };
     } catch (error) {
-      return null;
+      throw new Error(`Dry run failed: ${error.message}`);
     }
   }
-
+  
   /**
-   * Process all Python files in the selected directory
+   * Process all exercise files in the selected directory. Files are grouped by
+   * target page so that each page is fetched and written once.
    * @param {Function} onProgress - Callback for progress updates
    * @param {Function} onError - Callback for error notifications
+   * @param {Object} options - Processing options
+   * @param {Array<string>} options.approvedPages - Only write these targets, by key (all targets if omitted)
+   * @param {Object} options.verifiedVersions - Version of each target at verification, by key
+   * @param {Function} options.onStale - Asked what to do with a target edited since verification (see processPage)
    * @returns {Promise<Object>} Results of the processing operation
    */
-  async processExercises(onProgress, onError) {
+  async processExercises(onProgress, onError, options = {}) {
     try {
-      // Validate Canvas connection
-      await CanvasService.validateConnection();
-      
-      // Find all Python files in the directory
-      const pythonFiles = await GitHubService.findPythonFiles(
-        this.config.githubRepoUrl,
-        this.config.directoryPath
-      );
+      const exerciseFiles = await this.prepareRun();
+      const totalFiles = exerciseFiles.length;
       
-      const totalFiles = pythonFiles.length;
-      if (totalFiles === 0) {
-        throw new Error('No Python files found in the selected directory');
-      }
+      // Snapshot every page this run writes so that it can be rolled back
+      const run = await CanvasService.startRun();
+      this.runId = run.id;
+      this.runs.push({ courseUrl: this.config.courseUrl, runId: run.id });
+      const approvedPages = options.approvedPages || null;
+      const verifiedVersions = options.verifiedVersions || {};
       
       const results = [];
-      let processed = 0;
-      let successCount = 0;
-      let errorCount = 0;
+      let loaded = 0;
       
-      // Process each file
-      for (const filePath of pythonFiles) {
-        try {
-          // Update progress
-          onProgress({
-            processed,
-            total: totalFiles,
-            currentFile: filePath,
-            progress: Math.floor((processed / totalFiles) * 100)
-          });
-          
-          // Process the file
-          const result = await this.processSingleFile(filePath);
-          results.push({
-            file: filePath,
-            status: 'success',
-            ...result
-          });
-          
-          successCount++;
-        } catch (error) {
-          // Try to extract page info for Canvas URL even on error
-          let canvasPageUrl = null;
-          try {
-            const fileContent = await GitHubService.getFileContent(
-              this.config.githubRepoUrl,
-              filePath
-            );
-            const { metadata } = MetadataParser.processPythonFile(fileContent);
-            if (metadata && metadata.page) {
-              canvasPageUrl = this.constructCanvasPageUrl(this.courseId, metadata.page);
-            }
-          } catch (metadataError) {
-            // If we can't get metadata, that's okay - just won't have a link
-          }
-          
-          // Handle error for this file
-          results.push({
-            file: filePath,
-            status: 'error',
-            error: error.message,
-            canvasPageUrl
-          });
-          
-          errorCount++;
-          
-          // Notify about the error
+      // Loading the files is the first half of the progress, writing the pages the second
+      const reportProgress = (currentFile) => {
+        onProgress({
+          processed: results.length,
+          total: totalFiles,
+          currentFile,
+          progress: Math.floor(((loaded + results.length) / (2 * totalFiles)) * 100)
+        });
+      };
+      
+      const addResult = (result) => {
+        results.push(result);
+        
+        // Notify about the error
+        if (result.status === 'error') {
           onError({
-            file: filePath,
-            message: error.message
+            file: result.file,
+            message: result.error
           });
         }
+      };
+      
+      const { exercises, failures } = await this.loadExercises(exerciseFiles, (filePath) => {
+        reportProgress(filePath);
+        loaded++;
+      });
+      
+      failures.forEach(failure => addResult({ ...failure, status: 'error' }));
+      
+      // Process each page with all the files that target it
+      for (const pageExercises of this.groupByTarget(exercises).values()) {
+        const { target } = pageExercises[0];
+        reportProgress(pageExercises.map(exercise => exercise.filePath).join(', '));
+        
+        // Leave pages the user did not approve after the dry run untouched
+        if (approvedPages && !approvedPages.includes(target.key)) {
+          pageExercises.forEach(exercise => addResult(this.skippedResult(target, exercise, 'Page was not approved after the dry run')));
+          continue;
+        }
+        
+        // Pages after the one the user stopped at are left for the next run
+        if (this.reverifyRequested) {
+          pageExercises.forEach(exercise => addResult(this.skippedResult(target, exercise, 'Processing stopped to verify again')));
+          continue;
+        }
         
-        // Update processed count
-        processed++;
+        const outcome = await this.processPage(target, pageExercises, {
+          expectedVersion: verifiedVersions[target.key],
+          onStale: options.onStale
+        });
+        outcome.results.forEach(addResult);
       }
       
       // Final progress update
       onProgress({
-        processed,
+        processed: totalFiles,
         total: totalFiles,
         currentFile: '',
         progress: 100
       });
       
+      // Report files in the order they were found rather than grouped by page
+      results.sort((a, b) => exerciseFiles.indexOf(a.file) - exerciseFiles.indexOf(b.file));
+      const countStatus = (status) => results.filter(result => result.status === status).length;
+      
       return {
         totalFiles,
-        processedFiles: processed,
-        successCount,
-        errorCount,
+        processedFiles: results.length,
+        successCount: countStatus('success'),
+        errorCount: countStatus('error'),
+        skippedCount: countStatus('skipped'),
+        unchangedCount: countStatus('unchanged'),
+        runId: run.id,
+        createdPages: [...new Set(results.filter(r => r.pageCreated).map(r => r.page))],
         results
       };
     } catch (error) {
@@ -183,179 +476,511 @@ class ExerciseProcessor {
   }
   
   /**
-   * Validate metadata object has required fields and valid types
-   * @param {Object} metadata - The metadata object to validate
+   * Download, parse and validate every exercise file
+   * @param {Array<string>} filePaths - Paths of the exercise files in the GitHub repo
+   * @param {Function} onFile - Called with each file path before it is loaded
+   * @returns {Promise<Object>} Loaded exercises, and error results for the files that could not be loaded
    */
-  validateMetadata(metadata) {
-    if (!metadata) {
-      throw new Error('Metadata is missing');
-    }
+  async loadExercises(filePaths, onFile) {
+    const exercises = [];
+    const failures = [];
     
-    // Check for required fields
-    const requiredFields = [
-      { name: 'page', type: 'string' },
-      { name: 'placement', type: 'string' }
-    ];
-    
-    // Optional fields to validate if present
-    const optionalFields = [
-      { name: 'course', type: 'number|string' } // Now optional, used for administrative purposes only
-    ];
-    
-    // Check required fields
-    for (const field of requiredFields) {
-      if (metadata[field.name] === undefined || metadata[field.name] === null) {
-        throw new Error(`Required metadata field '${field.name}' is missing`);
-      }
+    for (const filePath of filePaths) {
+      onFile(filePath);
       
-      // Special handling for placement field which can be string or array of strings
-      if (field.name === 'placement') {
-        const placement = metadata[field.name];
+      let fileContent = null;
+      try {
+        // Get the file content from GitHub
+        fileContent = await GitHubService.getFileContent(this.config.githubRepoUrl, filePath, this.contentRef());
         
-        // Check if it's an array
-        if (Array.isArray(placement)) {
-          // Validate that all items in array are strings
-          const nonStringItems = placement.filter(item => typeof item !== 'string');
-          if (nonStringItems.length > 0) {
-            throw new Error(`All items in 'placement' array must be strings`);
-          }
-          if (placement.length === 0) {
-            throw new Error(`'placement' array cannot be empty`);
+        // Parse the file content
+        const { metadata, language, code, sections } = MetadataParser.parseExerciseFile(fileContent, filePath);
+        
+        // Validate metadata
+        this.validateMetadata(metadata);
+        
+        exercises.push({ filePath, metadata, language, code, sections, target: resolveTarget(metadata) });
+      } catch (error) {
+        // Try to extract page info for Canvas URL even on error
+        let canvasPageUrl = null;
+        try {
+          const { metadata } = MetadataParser.parseExerciseFile(fileContent, filePath);
+          const target = resolveTarget(metadata);
+          if (target.id || target.type === 'syllabus') {
+            canvasPageUrl = this.constructCanvasTargetUrl(target);
           }
-        } 
-        // Check if it's a string
-        else if (typeof placement !== 'string') {
-          throw new Error(`Metadata field 'placement' should be a string or an array of strings`);
+        } catch (metadataError) {
+          // If we can't get metadata, that's okay - just won't have a link
         }
+        
+        failures.push({
+          file: filePath,
+          error: this.fileError(filePath, error).message,
+          canvasPageUrl
+        });
       }
-      // Type checking for other required fields
-      else if (field.type === 'number|string') {
-        if (typeof metadata[field.name] !== 'number' && typeof metadata[field.name] !== 'string') {
-          throw new Error(`Metadata field '${field.name}' should be a number or string`);
-        }
-      } else if (typeof metadata[field.name] !== field.type) {
-        throw new Error(`Metadata field '${field.name}' should be a ${field.type}`);
+    }
+    
+    return { exercises, failures };
+  }
+  
+  /**
+   * Group exercises by the Canvas resource they target, keeping the order of the files
+   * @param {Array<Object>} exercises - Loaded exercises
+   * @returns {Map<string, Array<Object>>} Target key -> exercises targeting the resource
+   */
+  groupByTarget(exercises) {
+    const targets = new Map();
+    
+    for (const exercise of exercises) {
+      if (!targets.has(exercise.target.key)) {
+        targets.set(exercise.target.key, []);
       }
+      targets.get(exercise.target.key).push(exercise);
     }
     
-    // Check optional fields if present
-    for (const field of optionalFields) {
-      if (metadata[field.name] !== undefined && metadata[field.name] !== null) {
-        // Type checking for optional fields
-        if (field.type === 'number|string') {
-          if (typeof metadata[field.name] !== 'number' && typeof metadata[field.name] !== 'string') {
-            throw new Error(`Optional metadata field '${field.name}' should be a number or string`);
-          }
-        } else if (typeof metadata[field.name] !== field.type) {
-          throw new Error(`Optional metadata field '${field.name}' should be a ${field.type}`);
-        }
+    return targets;
+  }
+  
+  /**
+   * Get the placements of an exercise as a list
+   * @param {Object} metadata - Exercise metadata
+   * @returns {Array<string>} Placement names
+   */
+  placementsOf(metadata) {
+    return Array.isArray(metadata.placement) ? metadata.placement : [metadata.placement];
+  }
+  
+  /**
+   * Get the HTML of the Canvas resource an exercise targets. A missing page is
+   * rendered from the page template when page creation is enabled; processPage
+   * creates it once the exercises are in its body.
+   * @param {Object} target - Target from resolveTarget
+   * @param {Array<Object>} exercises - Every exercise targeting the resource
+   * @param {Object} settings - Page settings requested by the exercises
+   * @returns {Promise<Object>} Content (title, body, html_url) and whether it is a new page
+   */
+  async getPageOrTemplate(target, exercises, settings = {}) {
+    try {
+      const page = await CanvasService.getContent(target);
+      return { page, created: false };
+    } catch (error) {
+      if (error.status !== 404 || target.type !== 'page' || !this.config.createMissingPages) {
+        throw error;
       }
     }
     
-    return true;
+    const pageUrl = target.id;
+    
+    // A created page needs the placeholders of every file that targets it
+    const placements = [...new Set(exercises.flatMap(exercise => this.placementsOf(exercise.metadata)))];
+    const { title = CanvasService.titleFromSlug(pageUrl) } = settings;
+    
+    const body = CanvasService.renderPageTemplate(this.config.pageTemplate, title, placements);
+    return { page: { url: pageUrl, title, body }, created: true };
+  }
+  
+  /**
+   * Validate metadata object against the metadata schema
+   * @param {Object} metadata - The metadata object to validate
+   * @returns {Array} Warning-level violations
+   * @throws {Error} Listing every error-level violation
+   */
+  validateMetadata(metadata) {
+    return MetadataSchema.assertValid(metadata);
   }
   
   /**
-   * Process a single Python file
-   * @param {string} filePath - Path to the Python file in the GitHub repo
-   * @returns {Promise<Object>} Result of the processing
+   * Apply every exercise that targets a page (or other Canvas resource) in
+   * memory and write it once
+   * @param {Object} target - Target from resolveTarget
+   * @param {Array<Object>} exercises - Loaded exercises targeting the resource
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Compute the new body without writing it
+   * @param {Object} options.expectedVersion - Version of the target at verification; the write
+   *   is refused if the target was edited since
+   * @param {Function} options.onStale - Called with the target, its title and files when it was
+   *   edited since verification; resolves to 'overwrite', 'skip' or 'reverify'
+   * @returns {Promise<Object>} Title, URL, bodies before and after, page settings that change,
+   *   the module placement, and one result per file
    */
-  async processSingleFile(filePath) {
+  async processPage(target, exercises, { dryRun = false, expectedVersion = null, onStale = null } = {}) {
+    // Construct the Canvas URL using the course ID from the Canvas URL
+    let canvasPageUrl = this.constructCanvasTargetUrl(target);
+    
+    // Get the Canvas page, or the template of a page to create
+    let page;
+    let created;
+    let requestedSettings;
+    let requestedModule;
     try {
-      // Get the file content from GitHub
-      const fileContent = await GitHubService.getFileContent(
-        this.config.githubRepoUrl,
-        filePath
-      );
+      // Only pages have settings; files that ask for different values all fail
+      requestedSettings = target.type === 'page' ? mergePageSettings(exercises) : {};
+      requestedModule = this.modulePlacementOf(target, exercises);
+      ({ page, created } = await this.getPageOrTemplate(target, exercises, requestedSettings));
+    } catch (error) {
+      return {
+        loaded: false,
+        canvasPageUrl,
+        results: exercises.map(exercise => ({
+          file: exercise.filePath,
+          status: 'error',
+          error: this.fileError(exercise.filePath, error).message,
+          canvasPageUrl
+        }))
+      };
+    }
+    
+    // Discussions named by slug only get their real URL from Canvas
+    canvasPageUrl = page.html_url || canvasPageUrl;
+    
+    const originalBody = created ? '' : page.body || '';
+    let body = page.body || '';
+    const applied = [];
+    const results = [];
+    
+    // Apply each file to the body left by the previous one; a failing file leaves it untouched
+    for (const exercise of exercises) {
+      try {
+        const { body: updatedBody, updatedPlacements, unchanged } = this.applyExercise(body, exercise, created);
+        body = updatedBody;
+        applied.push({ exercise, updatedPlacements, unchanged });
+      } catch (error) {
+        results.push({
+          file: exercise.filePath,
+          status: 'error',
+          error: this.fileError(exercise.filePath, error).message,
+          canvasPageUrl
+        });
+      }
+    }
+    
+    // Settings are compared with the page in Canvas; a page created in this run has none yet
+    const settingChanges = comparePageSettings(created ? null : page.settings, requestedSettings)
+      .filter(change => change.changed);
+    
+    // Write the page once: a new page is created with its final body, an existing
+    // one is only updated when at least one placement or setting changed
+    let updatedPage = null;
+    let writeError = null;
+    if (!dryRun && applied.length > 0 && (created || applied.some(entry => !entry.unchanged) || settingChanges.length > 0)) {
+      const settings = Object.fromEntries(settingChanges.map(change => [change.name, change.requested]));
+      if (requestedSettings.notify_of_update !== undefined) {
+        settings.notify_of_update = requestedSettings.notify_of_update;
+      }
       
-      // Parse the file content
-      const { metadata, code } = MetadataParser.processPythonFile(fileContent);
+      try {
+        if (created) {
+          const { title, ...pageSettings } = settings;
+          updatedPage = await CanvasService.createPage(target.id, page.title, body, pageSettings);
+          canvasPageUrl = updatedPage.html_url || canvasPageUrl;
+        } else {
+          updatedPage = await CanvasService.updateContent(target, body, settings, expectedVersion);
+        }
+      } catch (error) {
+        writeError = error;
+      }
+    }
+    
+    // Someone edited the target since verification: the user decides what happens to it
+    if (writeError && writeError.code === 'stale_version' && onStale) {
+      const choice = await onStale({
+        target: target.key,
+        title: page.title || target.label,
+        canvasPageUrl,
+        files: exercises.map(exercise => exercise.filePath)
+      });
       
-      // Validate metadata
-      this.validateMetadata(metadata);
+      if (choice === 'overwrite') {
+        // Start again from the edited page, so the edit is kept outside the placements
+        return this.processPage(target, exercises, { dryRun, onStale });
+      }
       
-      // Get the Canvas page
-      const page = await CanvasService.getPage(metadata.page);
+      if (choice === 'reverify') {
+        this.reverifyRequested = true;
+      }
+      const reason = choice === 'reverify'
+        ? 'Page was edited in Canvas after verification; processing stopped to verify again'
+        : 'Page was edited in Canvas after verification and was skipped';
       
-      // Construct the Canvas page URL using the course ID from the Canvas URL
-      const canvasPageUrl = this.constructCanvasPageUrl(this.courseId, metadata.page);
+      return {
+        loaded: true,
+        title: page.title || target.label,
+        canvasPageUrl,
+        created,
+        originalBody,
+        body: originalBody,
+        settingChanges: [],
+        modulePlacement: null,
+        results: [
+          ...results,
+          ...applied.map(({ exercise }) => this.skippedResult(target, exercise, reason, canvasPageUrl))
+        ]
+      };
+    }
+    
+    // Put the target in its module once it is written; the dry run only checks what that takes
+    let modulePlacement = null;
+    let moduleError = null;
+    if (requestedModule && applied.length > 0 && !writeError) {
+      try {
+        const { module, position } = requestedModule;
+        modulePlacement = dryRun
+          ? await CanvasService.getModulePlacement(target, module, position)
+          : await CanvasService.placeInModule(target, module, position);
+      } catch (error) {
+        moduleError = error;
+      }
+    }
+    
+    for (const { exercise, updatedPlacements, unchanged: placementsUnchanged } of applied) {
+      // A file is only up to date if none of the settings it asks for change either, nor its module
+      const fileSettings = pageSettingsOf(exercise.metadata);
+      const fileSettingChanges = settingChanges.filter(change => change.name in fileSettings);
+      const namesModule = exercise.metadata.module !== undefined && exercise.metadata.module !== null;
+      const moduleChanged = namesModule && Boolean(modulePlacement) && modulePlacement.action !== 'none';
+      const unchanged = placementsUnchanged && fileSettingChanges.length === 0 && !moduleChanged;
       
-      // Process placements - could be a single string or array of strings
-      const placements = Array.isArray(metadata.placement) 
-        ? metadata.placement 
-        : [metadata.placement];
+      // A failed write fails every file with changes; unchanged files are still up to date
+      if (writeError && !unchanged) {
+        results.push({
+          file: exercise.filePath,
+          status: 'error',
+          error: this.fileError(exercise.filePath, writeError).message,
+          canvasPageUrl
+        });
+        continue;
+      }
       
-      // Track the placements that were updated with their types
-      const updatedPlacements = [];
+      // The module is only an error for the files that name it
+      if (moduleError && namesModule) {
+        results.push({
+          file: exercise.filePath,
+          status: 'error',
+          error: this.fileError(exercise.filePath, moduleError).message,
+          canvasPageUrl
+        });
+        continue;
+      }
       
-      // Update the page content with each placement
-      let updatedContent = page.body;
+      const details = this.describePlacements(exercise.metadata, updatedPlacements, unchanged, fileSettingChanges);
       
-      for (const placement of placements) {
-        try {
-          // Detect the element type for this placement
-          const elementType = CanvasService.detectPlacementElementType(updatedContent, placement);
-          
-          // Determine what content to insert based on element type
-          let contentToInsert;
-          let isInteractive;
-          
-          if (elementType === 'pre') {
-            // For pre elements, use raw code (non-interactive)
-            contentToInsert = code;
-            isInteractive = false;
-          } else {
-            // For div elements, generate DCL embed (interactive)
-            contentToInsert = CanvasService.generateDclEmbed(code);
-            isInteractive = true;
-          }
-          
-          // Update content with this placement
+      results.push({
+        file: exercise.filePath,
+        status: unchanged ? 'unchanged' : 'success',
+        page: target.type === 'page' ? target.id : null,
+        target: target.key,
+        title: page.title || target.label,
+        placement: exercise.metadata.placement,
+        updated: updatedPage ? updatedPage.updated_at : null,
+        pageCreated: created,
+        canvasPageUrl,
+        placementDetails: moduleChanged ? `${details}; ${this.describeModulePlacement(modulePlacement)}` : details,
+        unchanged,
+        updatedPlacements,
+        settingChanges: fileSettingChanges,
+        modulePlacement: namesModule ? modulePlacement : null
+      });
+    }
+    
+    return {
+      loaded: true,
+      title: page.title || target.label,
+      canvasPageUrl,
+      created,
+      originalBody,
+      body,
+      settingChanges,
+      modulePlacement,
+      results
+    };
+  }
+  
+  /**
+   * Build the result of a file that was left out of the run
+   * @param {Object} target - Target from resolveTarget
+   * @param {Object} exercise - Loaded exercise
+   * @param {string} reason - Why the file was skipped
+   * @param {string} canvasPageUrl - Canvas URL of the target (derived from the target if omitted)
+   * @returns {Object} Result with status 'skipped'
+   */
+  skippedResult(target, exercise, reason, canvasPageUrl = this.constructCanvasTargetUrl(target)) {
+    return {
+      file: exercise.filePath,
+      status: 'skipped',
+      page: target.type === 'page' ? target.id : null,
+      target: target.key,
+      title: target.label,
+      canvasPageUrl,
+      placementDetails: reason
+    };
+  }
+  
+  /**
+   * Get the module the exercises of a target ask to place it in
+   * @param {Object} target - Target from resolveTarget
+   * @param {Array<Object>} exercises - Loaded exercises targeting the resource
+   * @returns {Object|null} Module name or ID and position (null to leave it to Canvas),
+   *   or null if no file names a module
+   * @throws {Error} If files name different modules or positions
+   */
+  modulePlacementOf(target, exercises) {
+    if (!TARGET_TYPES[target.type].inModules) {
+      return null;
+    }
+    
+    const requests = exercises
+      .filter(exercise => exercise.metadata.module !== undefined && exercise.metadata.module !== null)
+      .map(exercise => ({
+        file: exercise.filePath,
+        module: String(exercise.metadata.module).trim(),
+        position: exercise.metadata.position ?? null
+      }));
+    if (requests.length === 0) {
+      return null;
+    }
+    
+    const modules = [...new Set(requests.map(request => request.module))];
+    const positions = [...new Set(requests.map(request => request.position).filter(position => position !== null))];
+    if (modules.length > 1 || positions.length > 1) {
+      const described = requests.map(request => `${request.file} (${request.module}${request.position ? ` at ${request.position}` : ''})`);
+      throw new Error(`Files targeting ${target.label} ask for different modules or positions: ${described.join(', ')}`);
+    }
+    
+    return { module: modules[0], position: positions[0] || null };
+  }
+  
+  /**
+   * Describe what placing a target in its module did
+   * @param {Object} placement - Module placement from CanvasService
+   * @returns {string} Description for the results report
+   */
+  describeModulePlacement(placement) {
+    const position = placement.item ? ` at position ${placement.item.position}` : '';
+    return placement.action === 'create'
+      ? `added to module '${placement.module.name}'${position}`
+      : `moved to position ${placement.position} in module '${placement.module.name}'`;
+  }
+  
+  /**
+   * Fill the placements of one exercise in a page body
+   * @param {string} body - Current HTML body of the page
+   * @param {Object} exercise - Loaded exercise
+   * @param {boolean} pageCreated - Whether the page was created in this run
+   * @returns {Object} Updated body, the placements with their types, and whether nothing changed
+   */
+  applyExercise(body, exercise, pageCreated = false) {
+    const { filePath, metadata, language, code, sections } = exercise;
+    
+    // Track the placements that were updated with their types
+    const updatedPlacements = [];
+    
+    // Update the page content with each placement
+    let updatedContent = body;
+    
+    for (const placement of this.placementsOf(metadata)) {
+      try {
+        // Detect the element type for this placement
+        const elementType = CanvasService.detectPlacementElementType(updatedContent, placement);
+        
+        // Determine what content to insert based on element type
+        const isRawCode = elementType === 'pre';
+        let contentToInsert;
+        let isInteractive;
+        
+        if (elementType === 'pre') {
+          // For pre elements, use raw code (non-interactive)
+          contentToInsert = code;
+          isInteractive = false;
+        } else {
+          // For div elements, generate DCL embed (interactive) with all sections
+          contentToInsert = CanvasService.generateDclEmbed(sections, language);
+          isInteractive = true;
+        }
+        
+        // Skip placements that already hold exactly this content
+        const hash = CanvasService.placementHash(contentToInsert, {
+          isRawCode,
+          includeLineNumbers: !!this.config.includeLineNumbers,
+          customClasses: this.config.customClasses || '',
+          language
+        });
+        const existingStamp = CanvasService.getPlacementStamp(updatedContent, placement, elementType);
+        const unchanged = !!existingStamp && existingStamp.hash === hash;
+        
+        // Update content with this placement
+        if (!unchanged) {
           updatedContent = CanvasService.insertContentAtPlaceholder(
             updatedContent, // Use previously updated content for each iteration
             placement,
             contentToInsert,
-            elementType === 'pre', // isRawCode flag
+            isRawCode, // isRawCode flag
             this.config.includeLineNumbers, // includeLineNumbers flag
-            this.config.customClasses || '' // customClasses
+            this.config.customClasses || '', // customClasses
+            language, // language for the highlight class
+            { hash, source: filePath, commit: this.source?.commit?.sha } // stamp for the next run
           );
-          
-          updatedPlacements.push({
-            name: placement,
-            type: elementType,
-            interactive: isInteractive
-          });
-        } catch (placeholderError) {
-          throw new Error(`Placement '${placement}' not found in page '${metadata.page}': ${placeholderError.message}`);
         }
+        
+        updatedPlacements.push({
+          name: placement,
+          type: elementType,
+          interactive: isInteractive,
+          unchanged
+        });
+      } catch (placeholderError) {
+        throw new Error(`Placement '${placement}' not found in ${exercise.target.label}: ${placeholderError.message}`);
       }
-      
-      // Update the page
-      const updatedPage = await CanvasService.updatePage(metadata.page, updatedContent);
-      
-      // Generate a detailed placement description
-      const placementDescriptions = updatedPlacements.map(p => 
-        `${p.name} (${p.interactive ? 'interactive' : 'non-interactive'})`
-      );
-      
-      return {
-        page: metadata.page,
-        title: page.title,
-        placement: metadata.placement,
-        updated: updatedPage.updated_at,
-        canvasPageUrl: canvasPageUrl,
-        placementDetails: Array.isArray(metadata.placement)
-          ? `Placeholders updated: ${placementDescriptions.join(', ')}`
-          : `Placeholder '${updatedPlacements[0].name}' was updated (${updatedPlacements[0].interactive ? 'interactive' : 'non-interactive'})`,
-        updatedPlacements: updatedPlacements
-      };
-    } catch (error) {
-      // Enhance error with file information
-      const enhancedError = new Error(`Error processing '${filePath}': ${error.message}`);
-      enhancedError.originalError = error;
-      enhancedError.filePath = filePath;
-      throw enhancedError;
     }
+    
+    return {
+      body: updatedContent,
+      updatedPlacements,
+      unchanged: !pageCreated && updatedPlacements.every(p => p.unchanged)
+    };
+  }
+  
+  /**
+   * Generate a detailed placement description for the results report
+   * @param {Object} metadata - Exercise metadata
+   * @param {Array<Object>} updatedPlacements - Placements with their types
+   * @param {boolean} unchanged - Whether none of the placements or settings changed
+   * @param {Array<Object>} settingChanges - Page settings of the file that changed
+   * @returns {string} Description of the placements
+   */
+  describePlacements(metadata, updatedPlacements, unchanged, settingChanges = []) {
+    if (unchanged) {
+      return 'Content has not changed since the last run; the page was not written';
+    }
+    
+    const settingsNote = settingChanges.length > 0
+      ? `; page settings changed: ${settingChanges.map(change => change.label).join(', ')}`
+      : '';
+    if (updatedPlacements.every(p => p.unchanged)) {
+      return `Content has not changed since the last run${settingsNote}`;
+    }
+    
+    const placementDescriptions = updatedPlacements.map(p => 
+      `${p.name} (${p.interactive ? 'interactive' : 'non-interactive'}${p.unchanged ? ', unchanged' : ''})`
+    );
+    
+    if (Array.isArray(metadata.placement)) {
+      return `Placeholders updated: ${placementDescriptions.join(', ')}${settingsNote}`;
+    }
+    return `Placeholder '${updatedPlacements[0].name}' was updated (${updatedPlacements[0].interactive ? 'interactive' : 'non-interactive'})${settingsNote}`;
+  }
+  
+  /**
+   * Enhance an error with file information
+   * @param {string} filePath - Path to the exercise file in the GitHub repo
+   * @param {Error} error - The original error
+   * @returns {Error} Error naming the file
+   */
+  fileError(filePath, error) {
+    const enhancedError = new Error(`Error processing '${filePath}': ${error.message}`);
+    enhancedError.originalError = error;
+    enhancedError.filePath = filePath;
+    return enhancedError;
   }
 }
 
@@ -1,4 +1,9 @@
 import axios from 'axios';
+import { isExerciseFile } from './ExerciseLanguages';
+import { APP_REQUEST_HEADERS } from './SessionService';
+
+// Blobs asked for in one request to the backend, which fetches a few of them at a time
+const BLOB_BATCH_SIZE = 50;
 
 /**
  * Service for interacting with the GitHub API via our backend proxy
@@ -6,28 +11,33 @@ import axios from 'axios';
 class GitHubService {
   constructor() {
     this.apiClient = axios.create({
-      baseURL: '/api/github'
+      baseURL: '/api/github',
+      headers: APP_REQUEST_HEADERS
     });
-    this.token = null; // GitHub personal access token
+    this.fileShas = new Map(); // Blob SHA of each file listed by findExerciseFiles, by repository, ref and path
+    this.blobs = new Map(); // Content by blob SHA; a blob never changes, so it is never read twice
   }
   
   /**
-   * Set authentication token for GitHub API requests
-   * @param {string} token - GitHub personal access token
+   * Get the key of a file at a ref
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {string} ref - Branch, tag or commit SHA
+   * @param {string} filePath - Path to the file
+   * @returns {string} Key for fileShas
    */
-  setAuthToken(token) {
-    this.token = token;
+  fileKey(repoUrl, ref, filePath) {
+    return `${repoUrl}\n${ref || ''}\n${filePath}`;
   }
   
   /**
-   * Validate a GitHub token by checking if it's valid
-   * @param {string} token - GitHub personal access token to validate
+   * Validate the GitHub token stored in the session (see SessionService)
+   * @param {string} repoUrl - Repository URL, so that a GitHub Enterprise Server token is checked there (optional)
    * @returns {Promise<Object>} Validation result with user info if valid
    */
-  async validateToken(token) {
+  async validateToken(repoUrl) {
     try {
       const response = await this.apiClient.get('/validate-token', {
-        params: { token }
+        params: { repoUrl: repoUrl || undefined }
       });
       
       return {
@@ -54,15 +64,16 @@ class GitHubService {
    * Get contents of a repository directory
    * @param {string} repoUrl - GitHub repository URL
    * @param {string} path - Path within the repository
+   * @param {string} ref - Branch, tag or commit SHA (the default branch if omitted)
    * @returns {Promise<Array>} Array of content objects
    */
-  async getContents(repoUrl, path = '') {
+  async getContents(repoUrl, path = '', ref) {
     try {
       const response = await this.apiClient.get('/contents', {
         params: {
           repoUrl,
           path,
-          token: this.token
+          ref: ref || undefined
         }
       });
       
@@ -80,15 +91,25 @@ class GitHubService {
    * Get file content from a repository
    * @param {string} repoUrl - GitHub repository URL
    * @param {string} filePath - Path to the file
+   * @param {string} ref - Branch, tag or commit SHA (the default branch if omitted)
    * @returns {Promise<string>} Content of the file
    */
-  async getFileContent(repoUrl, filePath) {
+  async getFileContent(repoUrl, filePath, ref) {
+    // A file found through the tree is read as a blob
+    const sha = this.fileShas.get(this.fileKey(repoUrl, ref, filePath));
+    if (sha) {
+      await this.loadBlobs(repoUrl, [sha]);
+      if (this.blobs.has(sha)) {
+        return this.blobs.get(sha);
+      }
+    }
+    
     try {
       const response = await this.apiClient.get('/content', {
         params: {
           repoUrl,
           path: filePath,
-          token: this.token
+          ref: ref || undefined
         }
       });
       
@@ -103,16 +124,166 @@ class GitHubService {
   }
   
   /**
-   * Find all Python files in a directory recursively
+   * Get the commit a ref points to
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {string} ref - Branch, tag or commit SHA (the default branch if omitted)
+   * @returns {Promise<Object>} Commit with sha, message, date and url
+   */
+  async getCommit(repoUrl, ref) {
+    try {
+      const response = await this.apiClient.get('/commit', {
+        params: {
+          repoUrl,
+          ref
+        }
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`GitHub API error: ${errorMsg}`);
+    }
+  }
+  
+  /**
+   * Find the commit to deploy from. A ref that was asked for must exist; without
+   * one, the default branch is read even if its commit cannot be looked up.
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {string} ref - Branch, tag or commit SHA (the default branch if omitted)
+   * @returns {Promise<Object>} Source with the ref and its commit (null if it could not be looked up)
+   */
+  async resolveSource(repoUrl, ref) {
+    try {
+      return { ref: ref || null, commit: await this.getCommit(repoUrl, ref || undefined) };
+    } catch (error) {
+      if (ref) {
+        throw new Error(`Could not find '${ref}' in the repository: ${error.message}`);
+      }
+      console.warn('Could not look up the commit of the default branch:', error);
+      return { ref: null, commit: null };
+    }
+  }
+  
+  /**
+   * List the branches and tags of a repository
+   * @param {string} repoUrl - GitHub repository URL
+   * @returns {Promise<Object>} Default branch name, and branches and tags with their name and sha
+   */
+  async listRefs(repoUrl) {
+    try {
+      const response = await this.apiClient.get('/refs', {
+        params: { repoUrl }
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`GitHub API error: ${errorMsg}`);
+    }
+  }
+  
+  /**
+   * List every file under a directory with the Git Trees API, in one request
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {string} dirPath - Directory path
+   * @param {string} ref - Branch, tag or commit SHA (the default branch if omitted)
+   * @returns {Promise<Object>} Commit and tree SHA, files with their path and blob SHA, and
+   *   whether GitHub truncated the tree
+   */
+  async getTree(repoUrl, dirPath = '', ref) {
+    try {
+      const response = await this.apiClient.get('/tree', {
+        params: {
+          repoUrl,
+          path: dirPath,
+          ref: ref || undefined
+        }
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      if (error.response?.status === 404) {
+        throw new Error('Repository or path not found');
+      }
+      throw new Error(`GitHub API error: ${errorMsg}`);
+    }
+  }
+  
+  /**
+   * Read blobs that are not cached yet, in batches
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {Array<string>} shas - Blob SHAs
+   * @returns {Promise<void>} Resolves once every blob that could be read is cached
+   */
+  async loadBlobs(repoUrl, shas) {
+    const missing = [...new Set(shas)].filter(sha => !this.blobs.has(sha));
+    
+    for (let start = 0; start < missing.length; start += BLOB_BATCH_SIZE) {
+      try {
+        const response = await this.apiClient.post('/blobs', {
+          repoUrl,
+          shas: missing.slice(start, start + BLOB_BATCH_SIZE)
+        });
+        
+        for (const [sha, content] of Object.entries(response.data.data.blobs)) {
+          this.blobs.set(sha, content);
+        }
+      } catch (error) {
+        // Files that are not cached are read one by one later
+        console.warn('Could not read blobs:', error.response?.data?.error || error.message);
+      }
+    }
+  }
+  
+  /**
+   * Read several files found by findExerciseFiles ahead of getFileContent, in as few requests as possible
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {Array<string>} filePaths - Paths to the files
+   * @param {string} ref - Branch, tag or commit SHA the files were found at
+   * @returns {Promise<void>} Resolves once the files are cached
+   */
+  async prefetchFiles(repoUrl, filePaths, ref) {
+    const shas = filePaths
+      .map(filePath => this.fileShas.get(this.fileKey(repoUrl, ref, filePath)))
+      .filter(Boolean);
+    await this.loadBlobs(repoUrl, shas);
+  }
+  
+  /**
+   * Find all exercise files (any supported language) in a directory recursively
+   * @param {string} repoUrl - GitHub repository URL
+   * @param {string} dirPath - Directory path
+   * @param {string} ref - Branch, tag or commit SHA (the default branch if omitted)
+   * @returns {Promise<Array>} Array of exercise file paths
+   */
+  async findExerciseFiles(repoUrl, dirPath, ref) {
+    const tree = await this.getTree(repoUrl, dirPath, ref);
+    
+    // GitHub leaves out entries of very large trees, so those are walked directory by directory
+    if (tree.truncated) {
+      return this.walkExerciseFiles(repoUrl, dirPath, ref);
+    }
+    
+    const exerciseFiles = tree.files.filter(file => isExerciseFile(file.name));
+    for (const file of exerciseFiles) {
+      this.fileShas.set(this.fileKey(repoUrl, ref, file.path), file.sha);
+    }
+    return exerciseFiles.map(file => file.path);
+  }
+  
+  /**
+   * Find all exercise files in a directory with one contents request per directory
    * @param {string} repoUrl - GitHub repository URL
    * @param {string} dirPath - Directory path
-   * @returns {Promise<Array>} Array of Python file paths
+   * @param {string} ref - Branch, tag or commit SHA (the default branch if omitted)
+   * @returns {Promise<Array>} Array of exercise file paths
    */
-  async findPythonFiles(repoUrl, dirPath) {
-    const pythonFiles = [];
+  async walkExerciseFiles(repoUrl, dirPath, ref) {
+    const exerciseFiles = [];
     
     const processDirectory = async (path) => {
-      const contents = await this.getContents(repoUrl, path);
+      const contents = await this.getContents(repoUrl, path, ref);
       
       for (const item of contents) {
         const itemPath = path ? `${path}/${item.name}` : item.name;
@@ -120,15 +291,16 @@ class GitHubService {
         if (item.type === 'dir') {
           // Recursively process subdirectory
           await processDirectory(itemPath);
-        } else if (item.type === 'file' && item.name.endsWith('.py')) {
-          // Add Python file to the list
-          pythonFiles.push(itemPath);
+        } else if (item.type === 'file' && isExerciseFile(item.name)) {
+          // Add exercise file to the list, and remember its blob to read it as one
+          exerciseFiles.push(itemPath);
+          this.fileShas.set(this.fileKey(repoUrl, ref, itemPath), item.sha);
         }
       }
     };
     
     await processDirectory(dirPath);
-    return pythonFiles;
+    return exerciseFiles;
   }
 }
 
@@ -0,0 +1,167 @@
+// Above this many cells the LCS table is too large to build in the browser,
+// and the changed region is shown as a plain removal followed by an addition
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Service for computing line diffs between two versions of a page body
+ */
+class HtmlDiff {
+  /**
+   * Split HTML into lines, breaking between adjacent tags so that pages stored
+   * by Canvas on a single line still produce a readable diff
+   * @param {string} html - HTML content
+   * @returns {Array<string>} Lines of HTML
+   */
+  splitHtml(html) {
+    if (!html) return [];
+    return html.replace(/>\s*</g, '>\n<').split('\n');
+  }
+
+  /**
+   * Compute a line diff between two texts
+   * @param {Array<string>} oldLines - Lines before the change
+   * @param {Array<string>} newLines - Lines after the change
+   * @returns {Array<Object>} Diff entries with type ('equal', 'remove' or 'add'),
+   *   text, and the 1-based line numbers in the old and new text
+   */
+  diffLines(oldLines, newLines) {
+    // Skip the common prefix and suffix; edits usually touch a small region
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    while (
+      suffix < oldLines.length - prefix &&
+      suffix < newLines.length - prefix &&
+      oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+
+    const entries = [];
+    let oldLine = 1;
+    let newLine = 1;
+    const push = (type, text) => {
+      entries.push({
+        type,
+        text,
+        oldLine: type === 'add' ? null : oldLine,
+        newLine: type === 'remove' ? null : newLine
+      });
+      if (type !== 'add') oldLine++;
+      if (type !== 'remove') newLine++;
+    };
+
+    oldLines.slice(0, prefix).forEach(text => push('equal', text));
+    this.diffMiddle(oldMiddle, newMiddle).forEach(({ type, text }) => push(type, text));
+    oldLines.slice(oldLines.length - suffix).forEach(text => push('equal', text));
+
+    return entries;
+  }
+
+  /**
+   * Diff the changed region using a longest common subsequence table
+   * @param {Array<string>} oldLines - Lines before the change
+   * @param {Array<string>} newLines - Lines after the change
+   * @returns {Array<Object>} Diff entries with type and text
+   */
+  diffMiddle(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+
+    if (n * m > MAX_LCS_CELLS) {
+      return [
+        ...oldLines.map(text => ({ type: 'remove', text })),
+        ...newLines.map(text => ({ type: 'add', text }))
+      ];
+    }
+
+    // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+    const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] = oldLines[i] === newLines[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const entries = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (oldLines[i] === newLines[j]) {
+        entries.push({ type: 'equal', text: oldLines[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        entries.push({ type: 'remove', text: oldLines[i] });
+        i++;
+      } else {
+        entries.push({ type: 'add', text: newLines[j] });
+        j++;
+      }
+    }
+    while (i < n) entries.push({ type: 'remove', text: oldLines[i++] });
+    while (j < m) entries.push({ type: 'add', text: newLines[j++] });
+
+    return entries;
+  }
+
+  /**
+   * Group diff entries into hunks of changes with surrounding context lines
+   * @param {Array<Object>} entries - Entries from diffLines
+   * @param {number} context - Number of unchanged lines to keep around each change
+   * @returns {Array<Array<Object>>} Hunks of diff entries
+   */
+  toHunks(entries, context = 3) {
+    const keep = new Array(entries.length).fill(false);
+
+    entries.forEach((entry, index) => {
+      if (entry.type === 'equal') return;
+      const from = Math.max(0, index - context);
+      const to = Math.min(entries.length - 1, index + context);
+      for (let k = from; k <= to; k++) keep[k] = true;
+    });
+
+    const hunks = [];
+    let current = null;
+    entries.forEach((entry, index) => {
+      if (!keep[index]) {
+        current = null;
+        return;
+      }
+      if (!current) {
+        current = [];
+        hunks.push(current);
+      }
+      current.push(entry);
+    });
+
+    return hunks;
+  }
+
+  /**
+   * Diff two versions of a page body
+   * @param {string} oldHtml - Current page body
+   * @param {string} newHtml - Page body after processing
+   * @returns {Object} Diff entries, hunks, and counts of added and removed lines
+   */
+  diffHtml(oldHtml, newHtml) {
+    const entries = this.diffLines(this.splitHtml(oldHtml), this.splitHtml(newHtml));
+
+    return {
+      entries,
+      hunks: this.toHunks(entries),
+      added: entries.filter(entry => entry.type === 'add').length,
+      removed: entries.filter(entry => entry.type === 'remove').length
+    };
+  }
+}
+
+export default new HtmlDiff();
@@ -0,0 +1,29 @@
+import axios from 'axios';
+
+/**
+ * Service for the LTI launch the app was opened from, if any
+ */
+class LtiService {
+  constructor() {
+    this.apiClient = axios.create({
+      baseURL: '/api/lti'
+    });
+  }
+
+  /**
+   * Get the course and user of the launch this session started from
+   * @returns {Promise<Object|null>} Launch with courseUrl, courseTitle, userName
+   *   and returnUrl, or null if the app was not launched from Canvas
+   */
+  async getLaunch() {
+    try {
+      const response = await this.apiClient.get('/context');
+      return response.data.data.launched ? response.data.data : null;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to get LTI launch: ${errorMsg}`);
+    }
+  }
+}
+
+export default new LtiService();
@@ -1,332 +1,270 @@
+import PythonLiteralParser from './PythonLiteralParser';
+import MetadataSchema from './MetadataSchema';
+import { LANGUAGES, DEFAULT_LANGUAGE, getLanguage, languageFromPath } from './ExerciseLanguages';
+
+// DataCamp Light exercise sections, in the order they appear in an embed
+export const SECTION_NAMES = ['pre_exercise_code', 'sample_code', 'solution', 'sct', 'hint'];
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+}
+
 /**
- * Service for parsing metadata from Python exercise files
+ * Service for parsing metadata from exercise files
  */
 class MetadataParser {
   /**
-   * Extract metadata from Python file content
-   * @param {string} fileContent - Content of Python file
+   * Extract and validate metadata from exercise file content
+   * @param {string} fileContent - Content of the exercise file
+   * @param {string} language - Language of the file, which decides the comment syntax
    * @returns {Object|null} Metadata object or null if not found
    */
-  extractMetadata(fileContent) {
+  extractMetadata(fileContent, language = DEFAULT_LANGUAGE) {
     try {
-      // Regular expression to match the metadata block
-      // Looks for __metadata__ = { ... } pattern
-      const metadataRegex = /__metadata__\s*=\s*{([^}]*)}/;
-      const match = fileContent.match(metadataRegex);
+      const block = this.locateMetadataBlock(fileContent, language);
       
-      if (!match) {
+      if (!block) {
         return null;
       }
       
-      // Extract the contents of the metadata block
-      const metadataContent = match[1];
-      
-      // Parse key-value pairs more carefully to handle arrays
-      const metadata = this.parseMetadataContent(metadataContent);
-      
-      // Validate required fields
-      const requiredFields = [
-        { name: 'page', type: 'string' },
-        { name: 'placement', type: 'string' }
-      ];
-      
-      // Optional fields to validate if present
-      const optionalFields = [
-        { name: 'course', type: 'number|string' } // Now optional, used for administrative purposes only
-      ];
-      
-      // Check required fields
-      for (const field of requiredFields) {
-        if (metadata[field.name] === undefined || metadata[field.name] === null) {
-          throw new Error(`Required metadata field '${field.name}' is missing`);
-        }
-        
-        // Special handling for placement field which can be string or array of strings
-        if (field.name === 'placement') {
-          const placement = metadata[field.name];
-          
-          // Check if it's an array
-          if (Array.isArray(placement)) {
-            // Validate that all items in array are strings
-            const nonStringItems = placement.filter(item => typeof item !== 'string');
-            if (nonStringItems.length > 0) {
-              throw new Error(`All items in 'placement' array must be strings`);
-            }
-            if (placement.length === 0) {
-              throw new Error(`'placement' array cannot be empty`);
-            }
-          } 
-          // Check if it's a string
-          else if (typeof placement !== 'string') {
-            throw new Error(`Metadata field 'placement' should be a string or an array of strings`);
-          }
-        }
-        // Type checking for other required fields
-        else if (field.type === 'number|string') {
-          if (typeof metadata[field.name] !== 'number' && typeof metadata[field.name] !== 'string') {
-            throw new Error(`Metadata field '${field.name}' should be a number or string`);
-          }
-        } else if (typeof metadata[field.name] !== field.type) {
-          throw new Error(`Metadata field '${field.name}' should be a ${field.type}`);
-        }
-      }
-      
-      // Check optional fields if present
-      for (const field of optionalFields) {
-        if (metadata[field.name] !== undefined && metadata[field.name] !== null) {
-          // Type checking for optional fields
-          if (field.type === 'number|string') {
-            if (typeof metadata[field.name] !== 'number' && typeof metadata[field.name] !== 'string') {
-              throw new Error(`Optional metadata field '${field.name}' should be a number or string`);
-            }
-          } else if (typeof metadata[field.name] !== field.type) {
-            throw new Error(`Optional metadata field '${field.name}' should be a ${field.type}`);
-          }
-        }
-      }
+      MetadataSchema.assertValid(block.metadata);
       
-      return metadata;
+      return block.metadata;
     } catch (error) {
-      throw new Error(`Metadata parsing error: ${error.message}`);
+      const parsingError = new Error(`Metadata parsing error: ${error.message}`);
+      parsingError.violations = error.violations;
+      throw parsingError;
     }
   }
 
   /**
-   * Parse metadata content from the string inside the curly braces
-   * Handles arrays, quoted strings, and comments
-   * @param {string} content - The content inside the metadata block
-   * @returns {Object} Parsed metadata object
+   * Find the __metadata__ assignment and parse its dict literal. In Python files
+   * the assignment is code; in other languages every line of the block is
+   * commented out with the language's comment prefix.
+   * @param {string} fileContent - Content of the exercise file
+   * @param {string} language - Language of the file
+   * @returns {Object|null} Object with metadata and the start/end offsets of the
+   *   whole assignment, or null if the file has no metadata block
    */
-  parseMetadataContent(content) {
-    const metadata = {};
-    let i = 0;
+  locateMetadataBlock(fileContent, language = DEFAULT_LANGUAGE) {
+    const { commentPrefix, commentedMetadata } = getLanguage(language);
+    const prefix = escapeRegex(commentPrefix);
     
-    while (i < content.length) {
-      // Skip whitespace and comments
-      while (i < content.length && (content[i] === ' ' || content[i] === '\n' || content[i] === '\r' || content[i] === '\t')) {
-        i++;
-      }
-      
-      // Skip comments
-      if (content[i] === '#') {
-        while (i < content.length && content[i] !== '\n') {
-          i++;
-        }
-        continue;
-      }
-      
-      // End of content
-      if (i >= content.length) break;
-      
-      // Find the key - it should be a quoted string
-      let key = '';
-      
-      // Check if key starts with a quote
-      if (content[i] === '"' || content[i] === "'") {
-        const quoteChar = content[i];
-        i++; // Skip opening quote
-        
-        // Read until closing quote
-        while (i < content.length && content[i] !== quoteChar) {
-          key += content[i];
-          i++;
-        }
-        
-        if (i < content.length) {
-          i++; // Skip closing quote
-        }
-      } else {
-        // Fallback: support unquoted keys for backward compatibility
-        while (i < content.length && content[i] !== ':') {
-          if (content[i] !== ' ' && content[i] !== '\n' && content[i] !== '\r' && content[i] !== '\t') {
-            key += content[i];
-          }
-          i++;
-        }
-      }
-      
-      if (!key) break;
-      
-      // Skip whitespace after key
-      while (i < content.length && (content[i] === ' ' || content[i] === '\t')) {
-        i++;
-      }
-      
-      // Expect ':' after key
-      if (i >= content.length || content[i] !== ':') break;
-      
-      // Skip the ':'
-      i++;
-      
-      // Skip whitespace after ':'
-      while (i < content.length && (content[i] === ' ' || content[i] === '\t')) {
-        i++;
-      }
-      
-      // Parse the value
-      let value = null;
-      
-      // Check if it's an array
-      if (content[i] === '[') {
-        // Parse array
-        i++; // Skip '['
-        const arrayItems = [];
-        
-        while (i < content.length && content[i] !== ']') {
-          // Skip whitespace
-          while (i < content.length && (content[i] === ' ' || content[i] === '\t' || content[i] === '\n' || content[i] === '\r')) {
-            i++;
-          }
-          
-          if (content[i] === ']') break;
-          
-          // Parse array item (could be quoted string)
-          let item = '';
-          if (content[i] === '"' || content[i] === "'") {
-            const quote = content[i];
-            i++; // Skip opening quote
-            while (i < content.length && content[i] !== quote) {
-              item += content[i];
-              i++;
-            }
-            i++; // Skip closing quote
-          } else {
-            // Unquoted value
-            while (i < content.length && content[i] !== ',' && content[i] !== ']' && content[i] !== '\n') {
-              item += content[i];
-              i++;
-            }
-            item = item.trim();
-          }
-          
-          if (item) {
-            arrayItems.push(item);
-          }
-          
-          // Skip whitespace and comma
-          while (i < content.length && (content[i] === ' ' || content[i] === '\t' || content[i] === ',' || content[i] === '\n' || content[i] === '\r')) {
-            i++;
-          }
-        }
-        
-        i++; // Skip ']'
-        value = arrayItems;
-      }
-      // Check if it's a quoted string
-      else if (content[i] === '"' || content[i] === "'") {
-        const quote = content[i];
-        i++; // Skip opening quote
-        let str = '';
-        while (i < content.length && content[i] !== quote) {
-          str += content[i];
-          i++;
-        }
-        i++; // Skip closing quote
-        value = str;
-      }
-      // Unquoted value
-      else {
-        let str = '';
-        while (i < content.length && content[i] !== ',' && content[i] !== '\n' && content[i] !== '#') {
-          str += content[i];
-          i++;
-        }
-        value = str.trim();
-      }
-      
-      // Store the key-value pair
-      if (key && value !== null) {
-        metadata[key] = value;
-      }
-      
-      // Skip comma and whitespace
-      while (i < content.length && (content[i] === ',' || content[i] === ' ' || content[i] === '\t' || content[i] === '\n' || content[i] === '\r')) {
-        i++;
-      }
+    // The assignment must be a top-level statement at the start of a line
+    const assignmentRegex = commentedMetadata
+      ? new RegExp(`^[ \\t]*${prefix}[ \\t]*__metadata__[ \\t]*=[ \\t]*`, 'm')
+      : /^__metadata__[ \t]*=[ \t]*/m;
+    const match = assignmentRegex.exec(fileContent);
+    
+    if (!match) {
+      return null;
+    }
+    
+    const source = commentedMetadata
+      ? this.uncommentBlock(fileContent, match.index, commentPrefix)
+      : fileContent;
+    
+    const literalStart = match.index + match[0].length;
+    if (source[literalStart] !== '{') {
+      throw new Error('__metadata__ must be assigned a dict literal');
     }
     
-    return metadata;
+    const { value, end } = PythonLiteralParser.parse(source, literalStart);
+    
+    // The block's span runs to the end of the statement: a semicolon and a
+    // trailing comment on the closing line go with it. Code after it would be
+    // cut in half when the block is removed, so it must go on its own line.
+    const restOfLine = new RegExp(`^[ \\t]*;?[ \\t]*((#|${prefix})[^\\n]*)?`).exec(source.slice(end));
+    const blockEnd = end + restOfLine[0].length;
+    if (blockEnd < source.length && source[blockEnd] !== '\n' && source[blockEnd] !== '\r') {
+      const line = source.slice(0, blockEnd).split('\n').length;
+      throw new Error(`Unexpected code after the __metadata__ dict on line ${line}; put it on its own line`);
+    }
+    
+    return {
+      metadata: value,
+      start: match.index,
+      end: blockEnd
+    };
   }
-
+  
+  /**
+   * Blank out the comment prefix on the run of comment lines starting at an
+   * offset, so the block can be parsed as a literal. Offsets, lines and columns
+   * stay the same as in the original content.
+   * @param {string} fileContent - Content of the exercise file
+   * @param {number} blockStart - Offset of the line holding the assignment
+   * @param {string} commentPrefix - Comment prefix of the language
+   * @returns {string} Content with the block's comment prefixes replaced by spaces
+   */
+  uncommentBlock(fileContent, blockStart, commentPrefix) {
+    const commentLineRegex = new RegExp(`^([ \\t]*)${escapeRegex(commentPrefix)}`);
+    const lines = fileContent.slice(blockStart).split('\n');
+    const blank = ' '.repeat(commentPrefix.length);
+    
+    let index = 0;
+    while (index < lines.length && commentLineRegex.test(lines[index])) {
+      lines[index] = lines[index].replace(commentLineRegex, `$1${blank}`);
+      index++;
+    }
+    
+    return fileContent.slice(0, blockStart) + lines.join('\n');
+  }
+  
   /**
-   * Parse array content from a string, handling quoted values
-   * @param {string} arrayContentStr - The content of an array (inside the brackets)
-   * @returns {Array} Array of parsed values
+   * Remove metadata block from exercise file content
+   * @param {string} fileContent - Content of the exercise file
+   * @param {string} language - Language of the file
+   * @returns {string} File content without metadata block
    */
-  parseArrayContent(arrayContentStr) {
-    const items = [];
-    let currentItem = '';
-    let inQuotes = false;
-    let quoteChar = null;
+  removeMetadataBlock(fileContent, language = DEFAULT_LANGUAGE) {
+    const block = this.locateMetadataBlock(fileContent, language);
+    
+    if (!block) {
+      return fileContent.trim();
+    }
     
-    // Process each character
-    for (let i = 0; i < arrayContentStr.length; i++) {
-      const char = arrayContentStr[i];
+    return (fileContent.slice(0, block.start) + fileContent.slice(block.end)).trim();
+  }
+  
+  /**
+   * Split code into DataCamp Light sections using "# --- name ---" marker lines
+   * ("-- --- name ---" in SQL). Code before the first marker is the sample code,
+   * unless the file has an explicit sample_code section, in which case it is ignored.
+   * @param {string} code - Code without the metadata block
+   * @param {string} language - Language of the file
+   * @returns {Object} Sections keyed by name; only sections present in the file
+   */
+  splitSections(code, language = DEFAULT_LANGUAGE) {
+    const { commentPrefix } = getLanguage(language);
+    const markerRegex = new RegExp(`^${escapeRegex(commentPrefix)}[ \\t]*---[ \\t]*([A-Za-z_-]+)[ \\t]*---[ \\t]*$`);
+    const lines = code.split('\n');
+    const sections = {};
+    const preamble = [];
+    let currentLines = preamble;
+    
+    lines.forEach((line, index) => {
+      const markerMatch = markerRegex.exec(line.trim());
       
-      // Handle quotes
-      if ((char === '"' || char === "'") && (i === 0 || arrayContentStr[i-1] !== '\\')) {
-        if (!inQuotes) {
-          inQuotes = true;
-          quoteChar = char;
-          continue;
-        } else if (char === quoteChar) {
-          inQuotes = false;
-          quoteChar = null;
-          continue;
-        }
+      if (!markerMatch) {
+        currentLines.push(line);
+        return;
       }
       
-      // Handle commas (only as delimiters if not in quotes)
-      if (char === ',' && !inQuotes) {
-        items.push(currentItem.trim());
-        currentItem = '';
-        continue;
+      const name = markerMatch[1].toLowerCase().replace(/-/g, '_');
+      if (!SECTION_NAMES.includes(name)) {
+        throw new Error(`Unknown section '${markerMatch[1]}' on line ${index + 1}. Expected one of: ${SECTION_NAMES.join(', ')}`);
+      }
+      if (sections[name] !== undefined) {
+        throw new Error(`Section '${name}' is defined more than once`);
       }
       
-      // Add character to current item
-      currentItem += char;
+      currentLines = [];
+      sections[name] = currentLines;
+    });
+    
+    if (sections.sample_code === undefined) {
+      sections.sample_code = preamble;
     }
     
-    // Add the last item if not empty
-    if (currentItem.trim()) {
-      items.push(currentItem.trim());
+    const result = {};
+    for (const name of SECTION_NAMES) {
+      if (sections[name] === undefined) continue;
+      
+      const text = sections[name].join('\n').trim();
+      result[name] = name === 'hint' ? this.stripCommentPrefix(text, commentPrefix) : text;
     }
     
-    // Clean up quotes from items
-    return items.map(item => item.replace(/^['"]|['"]$/g, ''));
+    return result;
   }
   
   /**
-   * Remove metadata block from Python file content
-   * @param {string} fileContent - Content of Python file
-   * @returns {string} File content without metadata block
+   * Remove the leading comment prefix from comment lines, so hints can be
+   * written as comments and the file stays valid code
+   * @param {string} text - Hint text
+   * @param {string} commentPrefix - Comment prefix of the language
+   * @returns {string} Hint text without comment markers
    */
-  removeMetadataBlock(fileContent) {
-    // Regular expression to match the metadata block
-    const metadataBlockRegex = /^.*__metadata__\s*=\s*{[^}]*}.*$/m;
-    
-    return fileContent.replace(metadataBlockRegex, '').trim();
+  stripCommentPrefix(text, commentPrefix = '#') {
+    const prefixRegex = new RegExp(`^[ \\t]*${escapeRegex(commentPrefix)}[ ]?`);
+    return text
+      .split('\n')
+      .map(line => line.replace(prefixRegex, ''))
+      .join('\n')
+      .trim();
   }
   
   /**
-   * Process a Python file for DCL embedding
-   * @param {string} fileContent - Content of Python file
-   * @returns {Object} Object with metadata and code without metadata
+   * Parse an exercise file without rejecting it for schema violations. The file
+   * extension decides the comment syntax; the `language` metadata field, if
+   * present, overrides the language used for the embed and highlighting.
+   * @param {string} fileContent - Content of the exercise file
+   * @param {string} filePath - Path of the file, used to infer its language
+   * @returns {Object} Object with metadata (defaults applied), language, the
+   *   sample code, all sections and the list of schema violations
    */
-  processPythonFile(fileContent) {
-    const metadata = this.extractMetadata(fileContent);
+  parseExerciseFile(fileContent, filePath) {
+    const fileLanguage = languageFromPath(filePath) || DEFAULT_LANGUAGE;
+    let block;
+    
+    try {
+      block = this.locateMetadataBlock(fileContent, fileLanguage);
+    } catch (error) {
+      throw new Error(`Metadata parsing error: ${error.message}`);
+    }
     
-    if (!metadata) {
+    if (!block) {
       throw new Error('No metadata block found in the file');
     }
     
-    const codeWithoutMetadata = this.removeMetadataBlock(fileContent);
+    const violations = MetadataSchema.validate(block.metadata);
+    const metadata = MetadataSchema.applyDefaults(block.metadata, { filePath });
+    
+    const codeWithoutMetadata = this.removeMetadataBlock(fileContent, fileLanguage);
+    const sections = this.splitSections(codeWithoutMetadata, fileLanguage);
     
     return {
       metadata,
-      code: codeWithoutMetadata
+      language: LANGUAGES[metadata.language] ? metadata.language : fileLanguage,
+      code: sections.sample_code,
+      sections,
+      violations
     };
   }
+  
+  /**
+   * Process an exercise file for DCL embedding
+   * @param {string} fileContent - Content of the exercise file
+   * @param {string} filePath - Path of the file, used to infer its language
+   * @returns {Object} Same as parseExerciseFile
+   * @throws {Error} If the metadata has any error-level schema violations
+   */
+  processExerciseFile(fileContent, filePath) {
+    const result = this.parseExerciseFile(fileContent, filePath);
+    const errors = MetadataSchema.errorsOf(result.violations);
+    
+    if (errors.length > 0) {
+      const error = new Error(`Metadata parsing error: ${errors.map(violation => violation.message).join('; ')}`);
+      error.violations = result.violations;
+      throw error;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Process a Python file for DCL embedding
+   * @param {string} fileContent - Content of Python file
+   * @returns {Object} Object with metadata, language, the sample code and all sections
+   */
+  processPythonFile(fileContent) {
+    return this.processExerciseFile(fileContent, 'exercise.py');
+  }
 }
 
 export default new MetadataParser();
@@ -0,0 +1,17 @@
+import MetadataParser from './MetadataParser';
+
+describe('removeMetadataBlock', () => {
+  test('removes the assignment with a semicolon and trailing comment on its closing line', () => {
+    const content = "__metadata__ = {\n    'page': 'week-1'\n};  # where it goes\nx = 5\n";
+
+    expect(MetadataParser.removeMetadataBlock(content)).toBe('x = 5');
+  });
+
+  test('rejects code after the dict on the same line', () => {
+    const content = "__metadata__ = {'page': 'week-1'}; y = 2\nx = 5\n";
+
+    expect(() => MetadataParser.removeMetadataBlock(content))
+      .toThrow('Unexpected code after the __metadata__ dict on line 1; put it on its own line');
+    expect(() => MetadataParser.extractMetadata(content)).toThrow(/^Metadata parsing error: Unexpected code/);
+  });
+});
@@ -0,0 +1,302 @@
+import { LANGUAGES, DEFAULT_LANGUAGE, languageFromPath } from './ExerciseLanguages';
+import { TARGET_TYPES, MODULE_TARGET_TYPES, parseTargetString, needsPageField, resolveTarget } from './CanvasTargets';
+import { EDITING_ROLES, validateEditingRoles } from './PageSettings';
+
+/**
+ * Declarative definition of the `__metadata__` fields.
+ *
+ * Each field can declare:
+ * - type: one type or a list of accepted types ('string', 'number', 'boolean', 'string[]')
+ * - required: whether the field must be present, or a function of the metadata
+ *   deciding it (requiredWhen then describes the condition)
+ * - default: a value, or a function of the validation context ({ filePath }) returning one
+ * - enum: list of allowed values
+ * - validate: custom check returning an error message or null
+ * - deprecated: message shown when the field is used; replacedBy names its successor
+ * - targets: target types the field applies to; it is ignored for other targets
+ * - requires: another field that must be set for this one to be used
+ * - description: shown in the schema reference
+ */
+export const METADATA_FIELDS = {
+  page: {
+    type: 'string',
+    required: needsPageField,
+    requiredWhen: 'unless target names the resource',
+    validate: value => (value.trim() === '' ? 'must not be empty' : null),
+    description: 'URL slug of the Canvas page to update.'
+  },
+  target: {
+    type: 'string',
+    validate: value => {
+      try {
+        parseTargetString(value);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    },
+    defaultDescription: 'the page named by page',
+    description: `Canvas resource to update: ${Object.keys(TARGET_TYPES).map(type => (TARGET_TYPES[type].singleton ? type : `${type}:<id>`)).join(', ')}. Discussions can also be named by the slug of their title.`
+  },
+  placement: {
+    type: ['string', 'string[]'],
+    required: true,
+    validate: value => {
+      if (Array.isArray(value) && value.length === 0) {
+        return 'array cannot be empty';
+      }
+      const names = Array.isArray(value) ? value : [value];
+      return names.some(name => name.trim() === '') ? 'placement names must not be empty' : null;
+    },
+    description: 'Value of the data-code-placement attribute to fill. Use a list to fill several placeholders on the page.'
+  },
+  course: {
+    type: ['number', 'string'],
+    description: 'Administrative label only; the target course comes from the course URL.'
+  },
+  title: {
+    type: 'string',
+    targets: ['page'],
+    validate: value => (value.trim() === '' ? 'must not be empty' : null),
+    defaultDescription: 'derived from the page slug',
+    description: 'Title of the page. Used when the tool creates the page, and renames an existing page. Canvas may change the URL of a renamed page.'
+  },
+  published: {
+    type: 'boolean',
+    targets: ['page'],
+    defaultDescription: 'left as it is',
+    description: 'Publish (true) or unpublish (false) the page.'
+  },
+  editing_roles: {
+    type: 'string',
+    targets: ['page'],
+    validate: validateEditingRoles,
+    defaultDescription: 'left as it is',
+    description: `Who can edit the page: a comma-separated list of ${EDITING_ROLES.join(', ')}.`
+  },
+  front_page: {
+    type: 'boolean',
+    targets: ['page'],
+    defaultDescription: 'left as it is',
+    description: 'Make the page the front page of the course (true), or stop it being the front page (false).'
+  },
+  notify_of_update: {
+    type: 'boolean',
+    targets: ['page'],
+    defaultDescription: 'false',
+    description: 'Notify course participants when the tool writes the page.'
+  },
+  module: {
+    type: ['number', 'string'],
+    targets: MODULE_TARGET_TYPES,
+    validate: value => (String(value).trim() === '' ? 'must not be empty' : null),
+    description: 'Name or ID of the course module the target should be an item of. The item is added to the module if it is missing.'
+  },
+  position: {
+    type: 'number',
+    targets: MODULE_TARGET_TYPES,
+    requires: 'module',
+    validate: value => (Number.isInteger(value) && value > 0 ? null : 'must be a whole number of 1 or more'),
+    defaultDescription: 'end of the module for new items; existing items stay where they are',
+    description: 'Position of the item in the module, starting at 1.'
+  },
+  language: {
+    type: 'string',
+    enum: Object.keys(LANGUAGES),
+    default: ({ filePath }) => languageFromPath(filePath) || DEFAULT_LANGUAGE,
+    defaultDescription: 'inferred from the file extension',
+    description: 'Exercise language. Sets the DataCamp Light data-lang attribute and the highlight class.'
+  }
+};
+
+// Violation codes reported by MetadataSchema.validate
+export const VIOLATION_CODES = {
+  MISSING_REQUIRED: 'missing_required',
+  INVALID_TYPE: 'invalid_type',
+  INVALID_ENUM: 'invalid_enum',
+  INVALID_VALUE: 'invalid_value',
+  DEPRECATED_FIELD: 'deprecated_field',
+  IGNORED_FIELD: 'ignored_field',
+  UNKNOWN_FIELD: 'unknown_field'
+};
+
+const TYPE_LABELS = {
+  string: 'a string',
+  number: 'a number',
+  boolean: 'a boolean',
+  'string[]': 'an array of strings'
+};
+
+/**
+ * Validates metadata objects against METADATA_FIELDS
+ */
+class MetadataSchema {
+  constructor() {
+    this.fields = METADATA_FIELDS;
+  }
+
+  /**
+   * Check whether a value matches one schema type
+   * @param {*} value - Value to check
+   * @param {string} type - Schema type
+   * @returns {boolean} True if the value matches
+   */
+  matchesType(value, type) {
+    if (type === 'string[]') {
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+    return typeof value === type;
+  }
+
+  /**
+   * Validate a metadata object and collect every violation
+   * @param {Object} metadata - Parsed metadata
+   * @returns {Array} Violations, each with code, field, severity ('error' or 'warning') and message
+   */
+  validate(metadata) {
+    const violations = [];
+    const add = (code, field, message, severity = 'error') => {
+      violations.push({ code, field, severity, message });
+    };
+
+    for (const [name, field] of Object.entries(this.fields)) {
+      const value = metadata[name];
+
+      if (value === undefined || value === null) {
+        const required = typeof field.required === 'function' ? field.required(metadata) : field.required;
+        if (required) {
+          add(VIOLATION_CODES.MISSING_REQUIRED, name, `Required metadata field '${name}' is missing`);
+        }
+        continue;
+      }
+
+      if (field.deprecated) {
+        const replacement = field.replacedBy ? ` Use '${field.replacedBy}' instead.` : '';
+        add(VIOLATION_CODES.DEPRECATED_FIELD, name, `Metadata field '${name}' is deprecated: ${field.deprecated}${replacement}`, 'warning');
+      }
+
+      const types = Array.isArray(field.type) ? field.type : [field.type];
+      if (!types.some(type => this.matchesType(value, type))) {
+        const expected = types.map(type => TYPE_LABELS[type] || type).join(' or ');
+        add(VIOLATION_CODES.INVALID_TYPE, name, `Metadata field '${name}' should be ${expected}`);
+        continue;
+      }
+
+      if (field.enum && !field.enum.includes(value)) {
+        add(VIOLATION_CODES.INVALID_ENUM, name, `Metadata field '${name}' must be one of: ${field.enum.join(', ')}`);
+        continue;
+      }
+
+      if (field.validate) {
+        const message = field.validate(value);
+        if (message) {
+          add(VIOLATION_CODES.INVALID_VALUE, name, `Metadata field '${name}' ${message}`);
+          continue;
+        }
+      }
+      
+      if (field.requires && (metadata[field.requires] === undefined || metadata[field.requires] === null)) {
+        add(VIOLATION_CODES.MISSING_REQUIRED, name, `Metadata field '${name}' needs '${field.requires}' to be set as well`);
+        continue;
+      }
+      
+      if (field.targets) {
+        const targetType = this.targetTypeOf(metadata);
+        if (targetType && !field.targets.includes(targetType)) {
+          add(VIOLATION_CODES.IGNORED_FIELD, name, `Metadata field '${name}' only applies to ${field.targets.join(', ')} targets; it is ignored for the ${targetType} target`, 'warning');
+        }
+      }
+    }
+
+    for (const name of Object.keys(metadata)) {
+      if (!this.fields[name]) {
+        add(VIOLATION_CODES.UNKNOWN_FIELD, name, `Unknown metadata field '${name}'`, 'warning');
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Get the type of resource metadata targets
+   * @param {Object} metadata - Parsed metadata
+   * @returns {string|null} Target type, or null if the target is invalid
+   */
+  targetTypeOf(metadata) {
+    try {
+      return resolveTarget(metadata).type;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Fill in defaults for fields that are not set
+   * @param {Object} metadata - Parsed metadata
+   * @param {Object} context - Validation context
+   * @param {string} context.filePath - Path of the exercise file
+   * @returns {Object} New metadata object with defaults applied
+   */
+  applyDefaults(metadata, context = {}) {
+    const result = { ...metadata };
+
+    for (const [name, field] of Object.entries(this.fields)) {
+      if ((result[name] === undefined || result[name] === null) && field.default !== undefined) {
+        result[name] = typeof field.default === 'function' ? field.default(context) : field.default;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get only the violations that make metadata unusable
+   * @param {Array} violations - Violations from validate()
+   * @returns {Array} Error-level violations
+   */
+  errorsOf(violations) {
+    return violations.filter(violation => violation.severity === 'error');
+  }
+
+  /**
+   * Validate metadata and throw one error listing every error-level violation
+   * @param {Object} metadata - Parsed metadata
+   * @returns {Array} Warning-level violations
+   */
+  assertValid(metadata) {
+    if (!metadata) {
+      throw new Error('Metadata is missing');
+    }
+
+    const violations = this.validate(metadata);
+    const errors = this.errorsOf(violations);
+
+    if (errors.length > 0) {
+      const error = new Error(errors.map(violation => violation.message).join('; '));
+      error.violations = violations;
+      throw error;
+    }
+
+    return violations;
+  }
+
+  /**
+   * Describe the schema for reference documentation
+   * @returns {Array} One entry per field with name, types, required (and the condition, if any), default, enum, deprecation and description
+   */
+  describe() {
+    return Object.entries(this.fields).map(([name, field]) => ({
+      name,
+      types: Array.isArray(field.type) ? field.type : [field.type],
+      required: !!field.required,
+      requiredWhen: field.requiredWhen || null,
+      default: field.defaultDescription || (typeof field.default === 'function' ? null : field.default),
+      enum: field.enum || null,
+      deprecated: field.deprecated || null,
+      replacedBy: field.replacedBy || null,
+      description: field.description
+    }));
+  }
+}
+
+export default new MetadataSchema();
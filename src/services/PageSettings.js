@@ -0,0 +1,109 @@
+/**
+ * Canvas page settings that exercise metadata can set, keyed by the metadata
+ * field, which is also the name of the Canvas wiki_page parameter
+ */
+export const PAGE_SETTINGS = {
+  title: { label: 'Title' },
+  published: { label: 'Published' },
+  editing_roles: { label: 'Editing roles' },
+  front_page: { label: 'Front page' },
+  // Not a property of the page: Canvas notifies participants about the write it comes with
+  notify_of_update: { label: 'Notify of update', action: true }
+};
+
+// Roles Canvas accepts in editing_roles, in the order Canvas lists them
+export const EDITING_ROLES = ['teachers', 'students', 'members', 'public'];
+
+/**
+ * Check an editing_roles value such as "teachers" or "teachers,students"
+ * @param {string} value - Comma-separated roles
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+export function validateEditingRoles(value) {
+  const roles = value.split(',').map(role => role.trim());
+  const unknown = roles.filter(role => !EDITING_ROLES.includes(role));
+
+  if (unknown.length > 0) {
+    return `has unknown roles (${unknown.join(', ')}); use a comma-separated list of: ${EDITING_ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Write editing roles the way Canvas returns them, so they can be compared
+ * @param {string} value - Comma-separated roles
+ * @returns {string} Roles in Canvas order, without duplicates or spaces
+ */
+export function normalizeEditingRoles(value) {
+  const roles = value.split(',').map(role => role.trim());
+  return EDITING_ROLES.filter(role => roles.includes(role)).join(',');
+}
+
+/**
+ * Get the page settings an exercise asks for
+ * @param {Object} metadata - Exercise metadata
+ * @returns {Object} Requested settings by name; settings that are not set are left out
+ */
+export function pageSettingsOf(metadata) {
+  const settings = {};
+
+  for (const name of Object.keys(PAGE_SETTINGS)) {
+    if (metadata[name] === undefined || metadata[name] === null) continue;
+    settings[name] = name === 'editing_roles' ? normalizeEditingRoles(metadata[name]) : metadata[name];
+  }
+
+  return settings;
+}
+
+/**
+ * Combine the page settings of every exercise that targets a page
+ * @param {Array<Object>} exercises - Exercises with filePath and metadata
+ * @returns {Object} Requested settings by name
+ * @throws {Error} If two files ask for different values of a setting
+ */
+export function mergePageSettings(exercises) {
+  const settings = {};
+  const sources = {};
+  const conflicts = [];
+
+  for (const exercise of exercises) {
+    for (const [name, value] of Object.entries(pageSettingsOf(exercise.metadata))) {
+      if (!(name in settings)) {
+        settings[name] = value;
+        sources[name] = exercise.filePath;
+      } else if (settings[name] !== value) {
+        conflicts.push(`'${name}' is ${JSON.stringify(settings[name])} in ${sources[name]} but ${JSON.stringify(value)} in ${exercise.filePath}`);
+      }
+    }
+  }
+
+  if (conflicts.length > 0) {
+    throw new Error(`Conflicting page settings: ${conflicts.join('; ')}`);
+  }
+  return settings;
+}
+
+/**
+ * Compare the settings of a page in Canvas with the requested ones
+ * @param {Object|null} current - Current settings of the page (null for a page that does not exist yet)
+ * @param {Object} requested - Requested settings by name
+ * @returns {Array<Object>} One entry per requested setting with name, label, current, requested, action and changed
+ */
+export function comparePageSettings(current, requested) {
+  return Object.entries(requested).map(([name, value]) => {
+    const currentValue = current ? current[name] : undefined;
+    const comparable = name === 'editing_roles' && typeof currentValue === 'string'
+      ? normalizeEditingRoles(currentValue)
+      : currentValue;
+
+    return {
+      name,
+      label: PAGE_SETTINGS[name].label,
+      current: currentValue === undefined ? null : currentValue,
+      requested: value,
+      action: Boolean(PAGE_SETTINGS[name].action),
+      // Actions apply to a write but never cause one
+      changed: !PAGE_SETTINGS[name].action && comparable !== value
+    };
+  });
+}
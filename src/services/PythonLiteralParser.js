@@ -0,0 +1,526 @@
+/**
+ * Tokenizer and parser for the subset of Python literals used in metadata blocks
+ * (dict, list, tuple, str, int, float, bool and None)
+ */
+
+const PUNCTUATION = ['{', '}', '[', ']', '(', ')', ',', ':', '+', '-'];
+
+const SIMPLE_ESCAPES = {
+  '\\': '\\',
+  "'": "'",
+  '"': '"',
+  a: '\x07',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  v: '\v'
+};
+
+const KEYWORDS = {
+  True: true,
+  False: false,
+  None: null
+};
+
+/**
+ * Reads tokens on demand from a source string so parsing can stop at the end
+ * of the literal without tokenizing whatever code follows it
+ */
+class LiteralReader {
+  /**
+   * @param {string} source - Full source text (used for line/column reporting)
+   * @param {number} offset - Offset at which the literal starts
+   */
+  constructor(source, offset) {
+    this.source = source;
+    this.pos = offset;
+    this.peeked = null;
+    this.lastEnd = offset;
+  }
+
+  /**
+   * Convert an offset into a 1-based line and column
+   * @param {number} offset - Offset into the source
+   * @returns {Object} An object containing line and column
+   */
+  positionAt(offset) {
+    let line = 1;
+    let lineStart = 0;
+    for (let i = 0; i < offset && i < this.source.length; i++) {
+      if (this.source[i] === '\n') {
+        line++;
+        lineStart = i + 1;
+      }
+    }
+    return { line, column: offset - lineStart + 1 };
+  }
+
+  /**
+   * Create an error that carries the line and column of the offending offset
+   * @param {string} message - Error description
+   * @param {number} offset - Offset the error refers to
+   * @returns {Error} Error with line and column properties
+   */
+  error(message, offset) {
+    const { line, column } = this.positionAt(offset);
+    const error = new Error(`${message} at line ${line}, column ${column}`);
+    error.line = line;
+    error.column = column;
+    error.offset = offset;
+    return error;
+  }
+
+  /**
+   * Skip whitespace, comments and backslash line continuations
+   */
+  skipTrivia() {
+    const src = this.source;
+    while (this.pos < src.length) {
+      const char = src[this.pos];
+      if (char === ' ' || char === '\t' || char === '\n' || char === '\r' || char === '\f') {
+        this.pos++;
+      } else if (char === '#') {
+        while (this.pos < src.length && src[this.pos] !== '\n') {
+          this.pos++;
+        }
+      } else if (char === '\\' && (src[this.pos + 1] === '\n' || src.startsWith('\r\n', this.pos + 1))) {
+        this.pos += src[this.pos + 1] === '\n' ? 2 : 3;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Look at the next token without consuming it
+   * @returns {Object} Token with type, value, start and end
+   */
+  peek() {
+    if (!this.peeked) {
+      this.peeked = this.readToken();
+    }
+    return this.peeked;
+  }
+
+  /**
+   * Consume and return the next token
+   * @returns {Object} Token with type, value, start and end
+   */
+  next() {
+    const token = this.peek();
+    this.peeked = null;
+    this.lastEnd = token.end;
+    return token;
+  }
+
+  /**
+   * Check whether the next token is a string without failing on whatever
+   * follows the literal
+   * @returns {boolean} True if the next token is a string
+   */
+  peekIsString() {
+    if (this.peeked) {
+      return this.peeked.type === 'string';
+    }
+
+    const pos = this.pos;
+    try {
+      const token = this.readToken();
+      if (token.type === 'string') {
+        this.peeked = token;
+        return true;
+      }
+    } catch (error) {
+      // Not a string; the error belongs to code after the literal
+    }
+
+    this.pos = pos;
+    return false;
+  }
+
+  /**
+   * Consume the next token, which must be the given punctuation
+   * @param {string} value - Expected punctuation
+   * @returns {Object} The consumed token
+   */
+  expect(value) {
+    const token = this.next();
+    if (token.type !== 'punct' || token.value !== value) {
+      throw this.error(`Expected '${value}' but found ${this.describe(token)}`, token.start);
+    }
+    return token;
+  }
+
+  /**
+   * Describe a token for error messages
+   * @param {Object} token - Token to describe
+   * @returns {string} Human readable description
+   */
+  describe(token) {
+    if (token.type === 'eof') return 'end of input';
+    return `'${this.source.slice(token.start, token.end)}'`;
+  }
+
+  /**
+   * Read the next token from the source
+   * @returns {Object} Token with type, value, start and end
+   */
+  readToken() {
+    this.skipTrivia();
+    const src = this.source;
+    const start = this.pos;
+
+    if (start >= src.length) {
+      return { type: 'eof', value: null, start, end: start };
+    }
+
+    const char = src[start];
+
+    // String literal, optionally with a prefix (r, u, b, rb, br)
+    const prefixMatch = /^([rRuUbBfF]{0,2})(['"])/.exec(src.slice(start, start + 3));
+    if (prefixMatch) {
+      return this.readString(prefixMatch[1], start);
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(src[start + 1] || ''))) {
+      return this.readNumber(start);
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      let end = start;
+      while (end < src.length && /[A-Za-z0-9_]/.test(src[end])) {
+        end++;
+      }
+      this.pos = end;
+      return { type: 'name', value: src.slice(start, end), start, end };
+    }
+
+    if (PUNCTUATION.includes(char)) {
+      this.pos++;
+      return { type: 'punct', value: char, start, end: this.pos };
+    }
+
+    throw this.error(`Unexpected character '${char}'`, start);
+  }
+
+  /**
+   * Read a string literal including its prefix
+   * @param {string} prefix - String prefix characters
+   * @param {number} start - Offset of the first prefix character
+   * @returns {Object} String token
+   */
+  readString(prefix, start) {
+    const src = this.source;
+    const flags = prefix.toLowerCase();
+
+    if (flags.includes('f')) {
+      throw this.error('f-strings are not allowed in literals', start);
+    }
+    if (flags.length === 2 && !(flags.includes('r') && flags.includes('b'))) {
+      throw this.error(`Invalid string prefix '${prefix}'`, start);
+    }
+
+    const isRaw = flags.includes('r');
+    let pos = start + prefix.length;
+    const quote = src[pos];
+    const isTriple = src.startsWith(quote.repeat(3), pos);
+    const delimiter = isTriple ? quote.repeat(3) : quote;
+    pos += delimiter.length;
+
+    let value = '';
+    for (;;) {
+      if (pos >= src.length) {
+        throw this.error('Unterminated string literal', start);
+      }
+
+      if (src.startsWith(delimiter, pos)) {
+        pos += delimiter.length;
+        break;
+      }
+
+      const char = src[pos];
+
+      if (char === '\n' && !isTriple) {
+        throw this.error('Unterminated string literal', start);
+      }
+
+      if (char !== '\\') {
+        value += char;
+        pos++;
+        continue;
+      }
+
+      // Raw strings keep the backslash but still cannot end on an escaped quote
+      if (isRaw) {
+        value += src.slice(pos, pos + 2);
+        pos += 2;
+        continue;
+      }
+
+      const escape = this.readEscape(pos);
+      value += escape.value;
+      pos = escape.end;
+    }
+
+    this.pos = pos;
+    return { type: 'string', value, start, end: pos };
+  }
+
+  /**
+   * Decode a backslash escape sequence in a non-raw string
+   * @param {number} pos - Offset of the backslash
+   * @returns {Object} Decoded value and the offset after the escape
+   */
+  readEscape(pos) {
+    const src = this.source;
+    const next = src[pos + 1];
+
+    if (next === undefined) {
+      throw this.error('Unterminated string literal', pos);
+    }
+
+    // Escaped newline joins the lines
+    if (next === '\n') {
+      return { value: '', end: pos + 2 };
+    }
+    if (next === '\r') {
+      return { value: '', end: src[pos + 2] === '\n' ? pos + 3 : pos + 2 };
+    }
+
+    if (Object.prototype.hasOwnProperty.call(SIMPLE_ESCAPES, next)) {
+      return { value: SIMPLE_ESCAPES[next], end: pos + 2 };
+    }
+
+    if (/[0-7]/.test(next)) {
+      const digits = /^[0-7]{1,3}/.exec(src.slice(pos + 1, pos + 4))[0];
+      return { value: String.fromCharCode(parseInt(digits, 8)), end: pos + 1 + digits.length };
+    }
+
+    const hexLengths = { x: 2, u: 4, U: 8 };
+    if (hexLengths[next]) {
+      const length = hexLengths[next];
+      const digits = src.slice(pos + 2, pos + 2 + length);
+      if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(digits)) {
+        throw this.error(`Invalid \\${next} escape`, pos);
+      }
+      const codePoint = parseInt(digits, 16);
+      if (codePoint > 0x10ffff) {
+        throw this.error(`Invalid \\${next} escape`, pos);
+      }
+      return { value: String.fromCodePoint(codePoint), end: pos + 2 + length };
+    }
+
+    if (next === 'N') {
+      throw this.error('Named unicode escapes (\\N{...}) are not supported', pos);
+    }
+
+    // Unknown escapes are kept verbatim, as Python does
+    return { value: `\\${next}`, end: pos + 2 };
+  }
+
+  /**
+   * Read an int or float literal
+   * @param {number} start - Offset of the first character
+   * @returns {Object} Number token
+   */
+  readNumber(start) {
+    const src = this.source;
+    const rest = src.slice(start);
+    let match;
+    let value;
+
+    if ((match = /^0[xX](?:_?[0-9a-fA-F])+/.exec(rest))) {
+      value = parseInt(match[0].slice(2).replace(/_/g, ''), 16);
+    } else if ((match = /^0[oO](?:_?[0-7])+/.exec(rest))) {
+      value = parseInt(match[0].slice(2).replace(/_/g, ''), 8);
+    } else if ((match = /^0[bB](?:_?[01])+/.exec(rest))) {
+      value = parseInt(match[0].slice(2).replace(/_/g, ''), 2);
+    } else if ((match = /^(?:\d(?:_?\d)*(?:\.(?:\d(?:_?\d)*)?)?|\.\d(?:_?\d)*)(?:[eE][+-]?\d(?:_?\d)*)?/.exec(rest))) {
+      const text = match[0].replace(/_/g, '');
+      if (/^0\d/.test(text) && !/[.eE]/.test(text) && /[1-9]/.test(text)) {
+        throw this.error('Leading zeros are not allowed in integer literals', start);
+      }
+      value = Number(text);
+    }
+
+    const end = start + match[0].length;
+    if (/[A-Za-z0-9_.]/.test(src[end] || '')) {
+      throw this.error('Invalid number literal', start);
+    }
+
+    this.pos = end;
+    return { type: 'number', value, start, end };
+  }
+
+  /**
+   * Parse a single literal value
+   * @returns {*} Parsed value
+   */
+  parseValue() {
+    const token = this.next();
+
+    if (token.type === 'string') {
+      // Adjacent string literals are concatenated
+      let value = token.value;
+      while (this.peekIsString()) {
+        value += this.next().value;
+      }
+      return value;
+    }
+
+    if (token.type === 'number') {
+      return token.value;
+    }
+
+    if (token.type === 'name') {
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) {
+        return KEYWORDS[token.value];
+      }
+      throw this.error(`Name '${token.value}' is not a literal`, token.start);
+    }
+
+    if (token.type === 'punct') {
+      switch (token.value) {
+        case '{':
+          return this.parseDict();
+        case '[':
+          return this.parseSequence(']');
+        case '(':
+          return this.parseTuple();
+        case '-':
+        case '+': {
+          const operand = this.peek();
+          if (operand.type !== 'number') {
+            throw this.error(`Unary '${token.value}' must be followed by a number`, operand.start);
+          }
+          this.next();
+          return token.value === '-' ? -operand.value : operand.value;
+        }
+        default:
+          break;
+      }
+    }
+
+    throw this.error(`Unexpected ${this.describe(token)}`, token.start);
+  }
+
+  /**
+   * Parse the items of a dict after its opening brace
+   * @returns {Object} Parsed dict
+   */
+  parseDict() {
+    const dict = {};
+
+    while (!this.isPunct(this.peek(), '}')) {
+      const keyToken = this.peek();
+      const key = this.parseValue();
+      if (key !== null && typeof key === 'object') {
+        throw this.error('Dict keys must be strings, numbers, booleans or None', keyToken.start);
+      }
+
+      this.expect(':');
+      dict[String(key)] = this.parseValue();
+
+      if (!this.isPunct(this.peek(), ',')) break;
+      this.next();
+    }
+
+    this.expect('}');
+    return dict;
+  }
+
+  /**
+   * Parse comma separated items up to a closing bracket
+   * @param {string} closing - Closing punctuation
+   * @returns {Array} Parsed items
+   */
+  parseSequence(closing) {
+    const items = [];
+
+    while (!this.isPunct(this.peek(), closing)) {
+      items.push(this.parseValue());
+
+      if (!this.isPunct(this.peek(), ',')) break;
+      this.next();
+    }
+
+    this.expect(closing);
+    return items;
+  }
+
+  /**
+   * Parse a tuple or a parenthesised value after its opening parenthesis
+   * @returns {*} Array for tuples, the inner value for plain parentheses
+   */
+  parseTuple() {
+    if (this.isPunct(this.peek(), ')')) {
+      this.next();
+      return [];
+    }
+
+    const first = this.parseValue();
+    if (this.isPunct(this.peek(), ')')) {
+      this.next();
+      return first;
+    }
+
+    this.expect(',');
+    const rest = this.parseSequence(')');
+    return [first, ...rest];
+  }
+
+  /**
+   * Check whether a token is the given punctuation
+   * @param {Object} token - Token to check
+   * @param {string} value - Punctuation character
+   * @returns {boolean} True if the token matches
+   */
+  isPunct(token, value) {
+    return token.type === 'punct' && token.value === value;
+  }
+}
+
+/**
+ * Service for parsing Python literal expressions
+ */
+class PythonLiteralParser {
+  /**
+   * Parse one Python literal starting at an offset in the source. Parsing stops
+   * at the end of the literal, so any code after it is left untouched.
+   * @param {string} source - Source text containing the literal
+   * @param {number} offset - Offset at which the literal starts
+   * @returns {Object} Object with the parsed value and its start/end offsets
+   */
+  parse(source, offset = 0) {
+    const reader = new LiteralReader(source, offset);
+    const start = reader.peek().start;
+    const value = reader.parseValue();
+
+    return {
+      value,
+      start,
+      end: reader.lastEnd
+    };
+  }
+
+  /**
+   * Parse a source string that must contain exactly one literal
+   * @param {string} source - Source text
+   * @returns {*} Parsed value
+   */
+  parseExpression(source) {
+    const reader = new LiteralReader(source, 0);
+    const value = reader.parseValue();
+    const token = reader.next();
+
+    if (token.type !== 'eof') {
+      throw reader.error(`Unexpected ${reader.describe(token)} after literal`, token.start);
+    }
+
+    return value;
+  }
+}
+
+export default new PythonLiteralParser();
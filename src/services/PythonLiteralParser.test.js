@@ -0,0 +1,152 @@
+import PythonLiteralParser from './PythonLiteralParser';
+
+/**
+ * Parse a source that must hold one literal and return the error it fails with
+ * @param {string} source - Source text
+ * @returns {Error|null} The error, or null if the source parsed
+ */
+const parseError = (source) => {
+  try {
+    PythonLiteralParser.parseExpression(source);
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+describe('valid literals', () => {
+  test('scalars', () => {
+    expect(PythonLiteralParser.parseExpression("'text'")).toBe('text');
+    expect(PythonLiteralParser.parseExpression('"text"')).toBe('text');
+    expect(PythonLiteralParser.parseExpression('42')).toBe(42);
+    expect(PythonLiteralParser.parseExpression('-3.5')).toBe(-3.5);
+    expect(PythonLiteralParser.parseExpression('1_000')).toBe(1000);
+    expect(PythonLiteralParser.parseExpression('0x1F')).toBe(31);
+    expect(PythonLiteralParser.parseExpression('0o17')).toBe(15);
+    expect(PythonLiteralParser.parseExpression('0b101')).toBe(5);
+    expect(PythonLiteralParser.parseExpression('1e3')).toBe(1000);
+    expect(PythonLiteralParser.parseExpression('True')).toBe(true);
+    expect(PythonLiteralParser.parseExpression('False')).toBe(false);
+    expect(PythonLiteralParser.parseExpression('None')).toBeNull();
+  });
+
+  test('containers', () => {
+    expect(PythonLiteralParser.parseExpression("{'page': 'week-1', 'position': 2}")).toEqual({ page: 'week-1', position: 2 });
+    expect(PythonLiteralParser.parseExpression("['a', 'b']")).toEqual(['a', 'b']);
+    expect(PythonLiteralParser.parseExpression('(1, 2)')).toEqual([1, 2]);
+    expect(PythonLiteralParser.parseExpression('(1,)')).toEqual([1]);
+    expect(PythonLiteralParser.parseExpression('()')).toEqual([]);
+    expect(PythonLiteralParser.parseExpression('(1)')).toBe(1);
+    expect(PythonLiteralParser.parseExpression('{1: None, True: []}')).toEqual({ 1: null, true: [] });
+  });
+
+  test('comments, line breaks and adjacent strings', () => {
+    const source = [
+      '{',
+      "    # Where the exercise goes",
+      "    'page': 'week-'",
+      "            '1',",
+      "    'placement': ['a',",
+      "                  'b']",
+      '}'
+    ].join('\n');
+
+    expect(PythonLiteralParser.parseExpression(source)).toEqual({ page: 'week-1', placement: ['a', 'b'] });
+  });
+
+  test('triple-quoted strings keep their line breaks', () => {
+    expect(PythonLiteralParser.parseExpression('"""one\ntwo"""')).toBe('one\ntwo');
+    expect(PythonLiteralParser.parseExpression("'''it's'''")).toBe("it's");
+  });
+});
+
+describe('escapes', () => {
+  test('simple escapes', () => {
+    expect(PythonLiteralParser.parseExpression("'a\\nb\\tc'")).toBe('a\nb\tc');
+    expect(PythonLiteralParser.parseExpression("'it\\'s'")).toBe("it's");
+    expect(PythonLiteralParser.parseExpression('"say \\"hi\\""')).toBe('say "hi"');
+    expect(PythonLiteralParser.parseExpression("'back\\\\slash'")).toBe('back\\slash');
+  });
+
+  test('octal, hex and unicode escapes', () => {
+    expect(PythonLiteralParser.parseExpression("'\\101'")).toBe('A');
+    expect(PythonLiteralParser.parseExpression("'\\x41'")).toBe('A');
+    expect(PythonLiteralParser.parseExpression("'\\u00e9'")).toBe('é');
+    expect(PythonLiteralParser.parseExpression("'\\U0001F600'")).toBe('\u{1F600}');
+  });
+
+  test('an escaped line break joins the lines', () => {
+    expect(PythonLiteralParser.parseExpression("'one \\\ntwo'")).toBe('one two');
+  });
+
+  test('unknown escapes and raw strings keep the backslash', () => {
+    expect(PythonLiteralParser.parseExpression("'\\d'")).toBe('\\d');
+    expect(PythonLiteralParser.parseExpression("r'\\n'")).toBe('\\n');
+    expect(PythonLiteralParser.parseExpression("r'\\''")).toBe("\\'");
+  });
+
+  test('invalid escapes fail', () => {
+    expect(parseError("'\\x4'").message).toMatch(/Invalid \\x escape/);
+    expect(parseError("'\\N{DASH}'").message).toMatch(/Named unicode escapes/);
+  });
+});
+
+describe('trailing commas', () => {
+  test('are allowed in dicts, lists and tuples', () => {
+    expect(PythonLiteralParser.parseExpression("{'a': 1,}")).toEqual({ a: 1 });
+    expect(PythonLiteralParser.parseExpression('[1, 2,]')).toEqual([1, 2]);
+    expect(PythonLiteralParser.parseExpression('(1, 2,)')).toEqual([1, 2]);
+  });
+
+  test('a comma on its own is not an item', () => {
+    expect(parseError('[,]').message).toMatch(/^Unexpected ','/);
+    expect(parseError("{'a': 1,,}").message).toMatch(/^Unexpected ','/);
+  });
+});
+
+describe('error positions', () => {
+  test('name the line and column of the offending token', () => {
+    const error = parseError("{\n    'page': week_1\n}");
+
+    expect(error.message).toBe("Name 'week_1' is not a literal at line 2, column 13");
+    expect(error.line).toBe(2);
+    expect(error.column).toBe(13);
+    expect(error.offset).toBe(14);
+  });
+
+  test('point at the start of an unterminated string', () => {
+    const error = parseError("['a',\n 'b\n]");
+
+    expect(error.message).toBe('Unterminated string literal at line 2, column 2');
+  });
+
+  test('report a missing separator', () => {
+    expect(parseError("{'a' 1}").message).toBe("Expected ':' but found '1' at line 1, column 6");
+    expect(parseError("{'a': 1").message).toBe("Expected '}' but found end of input at line 1, column 8");
+  });
+
+  test('report code after the literal', () => {
+    expect(parseError('[1] x').message).toBe("Unexpected 'x' after literal at line 1, column 5");
+  });
+
+  test('report literals Python rejects', () => {
+    expect(parseError('007').message).toMatch(/^Leading zeros are not allowed/);
+    expect(parseError('12abc').message).toBe('Invalid number literal at line 1, column 1');
+    expect(parseError("f'{x}'").message).toMatch(/^f-strings are not allowed/);
+    expect(parseError("{['a']: 1}").message).toBe('Dict keys must be strings, numbers, booleans or None at line 1, column 2');
+    expect(parseError('-True').message).toBe("Unary '-' must be followed by a number at line 1, column 2");
+  });
+});
+
+describe('parse', () => {
+  test('stops at the end of the literal and reports its offsets', () => {
+    const source = "__metadata__ = {'page': 'week-1'}\nprint('done')";
+    const offset = source.indexOf('{');
+
+    expect(PythonLiteralParser.parse(source, offset)).toEqual({
+      value: { page: 'week-1' },
+      start: offset,
+      end: source.indexOf('\n')
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import axios from 'axios';
+
+// Sent with every API request of the app. The backend refuses API requests
+// without it, which a page on another site cannot send with the session cookie.
+export const APP_REQUEST_HEADERS = { 'X-Requested-With': 'XMLHttpRequest' };
+
+/**
+ * Service for the backend session that holds the Canvas API key and GitHub
+ * token. The credentials are sent once and stay on the backend; the browser
+ * only keeps an HttpOnly session cookie, so they never appear in request URLs.
+ */
+class SessionService {
+  constructor() {
+    this.apiClient = axios.create({
+      baseURL: '/api/session',
+      headers: APP_REQUEST_HEADERS
+    });
+  }
+
+  /**
+   * Get which credentials the session holds
+   * @returns {Promise<Object>} Session status with hasCanvasApiKey and hasGithubToken
+   */
+  async getStatus() {
+    try {
+      const response = await this.apiClient.get('/');
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to get session: ${errorMsg}`);
+    }
+  }
+
+  /**
+   * Store credentials in the session, starting one if needed
+   * @param {Object} credentials - Credentials to store; an empty value removes
+   *   a credential and a missing one keeps it
+   * @param {string} [credentials.canvasApiKey] - Canvas API key
+   * @param {string} [credentials.githubToken] - GitHub personal access token
+   * @returns {Promise<Object>} Session status
+   */
+  async setCredentials({ canvasApiKey, githubToken }) {
+    try {
+      const response = await this.apiClient.put('/', { canvasApiKey, githubToken });
+      return response.data.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to store credentials: ${errorMsg}`);
+    }
+  }
+
+  /**
+   * End the session; the backend forgets its credentials
+   * @returns {Promise<void>}
+   */
+  async end() {
+    try {
+      await this.apiClient.delete('/');
+    } catch (error) {
+      const errorMsg = error.response?.data?.error || error.message;
+      throw new Error(`Failed to end session: ${errorMsg}`);
+    }
+  }
+}
+
+export default new SessionService();
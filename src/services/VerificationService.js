@@ -1,38 +1,57 @@
 import GitHubService from './GitHubService';
 import CanvasService from './CanvasService';
 import MetadataParser from './MetadataParser';
+import { TARGET_TYPES, resolveTarget } from './CanvasTargets';
+import { pageSettingsOf, comparePageSettings } from './PageSettings';
+import { parseCourseUrl, courseResourceUrl, courseKey as courseKeyOf } from './CanvasUrl';
 
 /**
- * Service for verifying Python files before processing
+ * Service for verifying exercise files before processing
  */
 class VerificationService {
   constructor() {
     this.githubRepoUrl = null;
+    this.githubRef = null; // Branch, tag or commit to verify, the default branch if null
+    this.source = null; // Ref and commit the exercise files are read from
+    this.courseUrls = []; // Every course of the run, verified in sequence
     this.courseUrl = null;
     this.courseId = null;
+    this.createMissingPages = false;
   }
 
   /**
    * Initialize the verification service
    * @param {Object} config - Configuration object
    * @param {string} config.githubRepoUrl - GitHub repository URL
+   * @param {string} config.githubRef - Branch, tag or commit SHA to read the exercises from (optional)
    * @param {string} config.courseUrl - Canvas course URL
-   * @param {string} config.canvasApiKey - Canvas API key
+   * @param {Array<string>} config.courseUrls - Canvas course URLs, when the run targets several courses
+   * @param {boolean} config.createMissingPages - Missing pages will be created during processing
    */
   initialize(config) {
     this.githubRepoUrl = config.githubRepoUrl;
-    this.courseUrl = config.courseUrl;
+    this.githubRef = config.githubRef || null;
+    this.source = null;
+    this.courseUrls = config.courseUrls && config.courseUrls.length > 0 ? config.courseUrls : [config.courseUrl];
+    this.createMissingPages = !!config.createMissingPages;
     
+    this.useCourse(this.courseUrls[0]);
+  }
+
+  /**
+   * Point the service, and the Canvas service, at one course
+   * @param {string} courseUrl - Canvas course URL
+   */
+  useCourse(courseUrl) {
     // Extract course ID from the course URL
-    this.courseId = this.extractCourseId(config.courseUrl);
-    if (!this.courseId) {
+    const courseId = this.extractCourseId(courseUrl);
+    if (!courseId) {
       throw new Error('Invalid Canvas URL: Could not extract course ID');
     }
     
-    // Initialize Canvas service if not already initialized
-    if (!CanvasService.isInitialized) {
-      CanvasService.initialize(config.canvasApiKey, config.courseUrl);
-    }
+    this.courseUrl = courseUrl;
+    this.courseId = courseId;
+    CanvasService.initialize(courseUrl);
   }
 
   /**
@@ -42,20 +61,20 @@ class VerificationService {
    */
   extractCourseId(url) {
     try {
-      const parsedUrl = new URL(url);
-      
-      // Extract the course ID from the path
-      const pathMatch = parsedUrl.pathname.match(/\/courses\/(\d+)/);
-      if (!pathMatch) {
-        return null;
-      }
-      
-      return pathMatch[1];
+      return parseCourseUrl(url).courseId;
     } catch (error) {
       return null;
     }
   }
 
+  /**
+   * Get the ref to read exercise files at: the commit found for the source when there is one
+   * @returns {string|undefined} Commit SHA or ref, undefined for the default branch
+   */
+  contentRef() {
+    return this.source?.commit?.sha || this.githubRef || undefined;
+  }
+
   /**
    * Construct the full Canvas page URL
    * @param {string} pageSlug - Canvas page slug
@@ -64,35 +83,116 @@ class VerificationService {
   constructCanvasPageUrl(pageSlug) {
     if (!this.courseId || !pageSlug) return null;
     
-    try {
-      const parsedUrl = new URL(this.courseUrl);
-      return `${parsedUrl.protocol}//${parsedUrl.host}/courses/${this.courseId}/pages/${pageSlug}`;
-    } catch (error) {
-      return null;
+    return courseResourceUrl(this.courseUrl, `pages/${pageSlug}`);
+  }
+
+  /**
+   * Construct the Canvas URL of the resource an exercise targets
+   * @param {Object} target - Target from resolveTarget
+   * @returns {string|null} Full Canvas URL or null
+   */
+  constructCanvasTargetUrl(target) {
+    if (!this.courseId || !target) return null;
+    
+    return courseResourceUrl(this.courseUrl, TARGET_TYPES[target.type].urlPath(target.id));
+  }
+
+  /**
+   * Verify the exercise files against every course, one course after the
+   * other. A course that cannot be verified does not stop the others.
+   * @param {string} directoryPath - Path to the directory in GitHub repo
+   * @param {Function} onProgress - Progress callback, also told which course is being verified
+   * @returns {Promise<Object>} Verification results of each course (with the version of
+   *   every page that exists, by target key), totals, and the source the files were read from
+   */
+  async verifyCourses(directoryPath, onProgress) {
+    const courses = [];
+    
+    // Every course is verified against the same commit, even if the branch moves meanwhile
+    this.source = await GitHubService.resolveSource(this.githubRepoUrl, this.githubRef);
+    
+    for (const [courseIndex, courseUrl] of this.courseUrls.entries()) {
+      const onCourseProgress = onProgress && ((progressInfo) => onProgress({
+        ...progressInfo,
+        courseUrl,
+        courseIndex,
+        courseCount: this.courseUrls.length
+      }));
+      
+      try {
+        this.useCourse(courseUrl);
+        const verification = await this.verifyDirectory(directoryPath, onCourseProgress);
+        courses.push({ courseUrl, ...verification });
+      } catch (error) {
+        courses.push({
+          courseUrl,
+          failed: true,
+          error: error.message,
+          totalFiles: 0,
+          processedFiles: 0,
+          missingPages: [],
+          pageVersions: {},
+          createMissingPages: this.createMissingPages,
+          results: []
+        });
+      }
+    }
+    
+    // Courses that receive their content from a blueprint in the same run are
+    // only updated through the blueprint sync
+    const coursesByKey = new Map(courses.map(course => [this.courseKey(course.courseUrl), course]));
+    for (const course of courses) {
+      const associatedCourses = course.blueprint?.associatedCourses || [];
+      for (const associated of associatedCourses) {
+        const associatedCourse = coursesByKey.get(this.courseKey(associated.courseUrl));
+        if (associatedCourse) {
+          associatedCourse.blueprintCourseUrl = course.courseUrl;
+        }
+      }
     }
+    
+    return {
+      courses,
+      source: this.source,
+      deployCourseUrls: courses.filter(course => !course.blueprintCourseUrl).map(course => course.courseUrl),
+      failedCourses: courses.filter(course => course.failed).length,
+      totalFiles: courses.reduce((total, course) => total + course.totalFiles, 0)
+    };
   }
 
   /**
-   * Verify all Python files in a directory
+   * Get a key that identifies a course whatever the form of its URL
+   * @param {string} courseUrl - Canvas course URL
+   * @returns {string|null} Canvas base URL and course ID, or null for an invalid URL
+   */
+  courseKey(courseUrl) {
+    return courseKeyOf(courseUrl);
+  }
+
+  /**
+   * Verify all exercise files in a directory
    * @param {string} directoryPath - Path to the directory in GitHub repo
    * @param {Function} onProgress - Progress callback
    * @returns {Promise<Array>} Array of verification results
    */
   async verifyDirectory(directoryPath, onProgress) {
     try {
-      // Find all Python files in the directory
-      const pythonFiles = await GitHubService.findPythonFiles(this.githubRepoUrl, directoryPath);
+      // Find all exercise files in the directory
+      const exerciseFiles = await GitHubService.findExerciseFiles(this.githubRepoUrl, directoryPath, this.contentRef());
       
-      const totalFiles = pythonFiles.length;
+      const totalFiles = exerciseFiles.length;
       if (totalFiles === 0) {
-        throw new Error('No Python files found in the selected directory');
+        throw new Error('No exercise files found in the selected directory');
       }
 
+      // Read every file in a few batched requests instead of one request per file
+      await GitHubService.prefetchFiles(this.githubRepoUrl, exerciseFiles, this.contentRef());
+
       const results = [];
       let processed = 0;
 
       // Process each file
-      for (const filePath of pythonFiles) {
+      for (const filePath of exerciseFiles) {
         try {
           // Update progress
           if (onProgress) {
@@ -133,9 +233,37 @@ class VerificationService {
         });
       }
 
+      // List each missing page once, however many files target it
+      const missingPages = [...new Set(
+        results
+          .flatMap(result => result.checks || [])
+          .filter(check => check.name === 'page_exists' && check.missing && check.page)
+          .map(check => check.page)
+      )];
+
+      // Processing refuses to overwrite a page that changed after the version seen here
+      const pageVersions = {};
+      for (const check of results.flatMap(result => result.checks || [])) {
+        if (check.name === 'page_exists' && check.version && !pageVersions[check.target]) {
+          pageVersions[check.target] = check.version;
+        }
+      }
+
+      // Blueprint details are informational, so a user without blueprint rights still gets a report
+      let blueprint;
+      try {
+        blueprint = await CanvasService.getBlueprint();
+      } catch (error) {
+        blueprint = { isBlueprint: false, associatedCourses: [], error: error.message };
+      }
+
       return {
         totalFiles,
         processedFiles: processed,
+        blueprint,
+        missingPages,
+        pageVersions,
+        createMissingPages: this.createMissingPages,
         results
       };
     } catch (error) {
@@ -144,8 +272,164 @@ class VerificationService {
   }
 
   /**
-   * Verify a single Python file
-   * @param {string} filePath - Path to the Python file in the GitHub repo
+   * Cross-reference every placeholder in the course with the exercises found
+   * during verification
+   * @param {Object} verification - Result of verifyDirectory, or one course from verifyCourses
+   * @returns {Promise<Object>} Filled placeholders, placeholders with no exercise,
+   *   and exercises whose page or placeholder does not exist
+   */
+  async buildPlaceholderReport(verification) {
+    try {
+      if (verification.courseUrl) {
+        this.useCourse(verification.courseUrl);
+      }
+      
+      const inventory = await CanvasService.getPlaceholderInventory();
+      
+      // Every (page, placement) pair targeted by a file with valid metadata
+      const targets = [];
+      for (const result of verification.results) {
+        const metadataCheck = (result.checks || []).find(check => check.name === 'metadata_valid' && check.passed);
+        if (!metadataCheck) continue;
+        
+        // The inventory only covers wiki pages
+        const target = resolveTarget(metadataCheck.metadata);
+        if (target.type !== 'page') continue;
+        
+        const { placement } = metadataCheck.metadata;
+        const placements = Array.isArray(placement) ? placement : [placement];
+        placements.forEach(name => targets.push({ file: result.file, page: target.id, placement: name }));
+      }
+      
+      const filled = [];
+      const unclaimed = [];
+      let placeholderCount = 0;
+      
+      for (const page of inventory.pages) {
+        for (const placeholder of page.placeholders) {
+          placeholderCount++;
+          const entry = {
+            ...placeholder,
+            page: page.url,
+            pageTitle: page.title,
+            canvasPageUrl: this.constructCanvasPageUrl(page.url)
+          };
+          
+          const files = targets
+            .filter(target => target.page === page.url && target.placement === placeholder.placement)
+            .map(target => target.file);
+          
+          if (files.length > 0) {
+            filled.push({ ...entry, files });
+          } else {
+            unclaimed.push(entry);
+          }
+        }
+      }
+      
+      const pagesByUrl = new Map(inventory.pages.map(page => [page.url, page]));
+      const orphans = targets
+        .filter(target => {
+          const page = pagesByUrl.get(target.page);
+          return !page || !page.placeholders.some(placeholder => placeholder.placement === target.placement);
+        })
+        .map(target => ({
+          ...target,
+          reason: pagesByUrl.has(target.page) ? 'placeholder_missing' : 'page_missing',
+          canvasPageUrl: pagesByUrl.has(target.page) ? this.constructCanvasPageUrl(target.page) : null
+        }));
+      
+      return {
+        pageCount: inventory.pageCount,
+        placeholderCount,
+        filled,
+        unclaimed,
+        orphans
+      };
+    } catch (error) {
+      throw new Error(`Placeholder report failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare the page settings an exercise asks for with the page in Canvas
+   * @param {Object} target - Target from resolveTarget
+   * @param {Object} metadata - Exercise metadata
+   * @param {Object|null} current - Current settings of the page, or null if it will be created
+   * @returns {Object|null} Check with one row per setting, or null if the file sets none
+   */
+  checkPageSettings(target, metadata, current) {
+    const requested = pageSettingsOf(metadata);
+    if (target.type !== 'page' || Object.keys(requested).length === 0) {
+      return null;
+    }
+
+    const settings = comparePageSettings(current, requested);
+    const changing = settings.filter(setting => setting.changed).map(setting => setting.label);
+
+    return {
+      name: 'page_settings',
+      passed: true,
+      message: changing.length > 0
+        ? `Page settings will change: ${changing.join(', ')}`
+        : 'Page settings already match the metadata',
+      settings,
+      willCreate: current === null
+    };
+  }
+
+  /**
+   * Check the module an exercise names, and whether the target is in another module
+   * @param {Object} target - Target from resolveTarget
+   * @param {Object} metadata - Exercise metadata
+   * @returns {Promise<Object|null>} Check, or null if the file names no module
+   */
+  async checkModulePlacement(target, metadata) {
+    if (metadata.module === undefined || metadata.module === null || !TARGET_TYPES[target.type].inModules) {
+      return null;
+    }
+
+    let placement;
+    try {
+      placement = await CanvasService.getModulePlacement(target, metadata.module, metadata.position);
+    } catch (error) {
+      return {
+        name: 'module_placement',
+        passed: false,
+        message: error.message
+      };
+    }
+
+    const { module, item, position, action, otherModules } = placement;
+    const label = TARGET_TYPES[target.type].label;
+    let message;
+    if (action === 'create') {
+      message = `${label} is not in module '${module.name}' yet and will be added${position ? ` at position ${position}` : ''}`;
+    } else if (action === 'move') {
+      message = `${label} is in module '${module.name}' at position ${item.position} and will move to position ${position}`;
+    } else {
+      message = `${label} is in module '${module.name}' at position ${item.position}`;
+    }
+
+    // Being in another module is not an error, but usually means the repo and the course disagree
+    if (otherModules.length > 0) {
+      message += `. It is currently in ${otherModules.map(other => `'${other.name}'`).join(', ')}, which the metadata does not name`;
+    }
+
+    return {
+      name: 'module_placement',
+      passed: true,
+      warning: otherModules.length > 0,
+      message,
+      module,
+      action,
+      otherModules
+    };
+  }
+
+  /**
+   * Verify a single exercise file
+   * @param {string} filePath - Path to the exercise file in the GitHub repo
    * @returns {Promise<Object>} Verification result
    */
   async verifySingleFile(filePath) {
@@ -155,7 +439,7 @@ class VerificationService {
 
       // Check 1: File exists and can be downloaded from GitHub
       try {
-        const fileContent = await GitHubService.getFileContent(this.githubRepoUrl, filePath);
+        const fileContent = await GitHubService.getFileContent(this.githubRepoUrl, filePath, this.contentRef());
         checks.push({
           name: 'file_exists',
           passed: true,
@@ -164,26 +448,57 @@ class VerificationService {
 
         // Check 2: File has valid metadata
         try {
-          const { metadata } = MetadataParser.processPythonFile(fileContent);
+          const { metadata, language, sections, violations } = MetadataParser.processExerciseFile(fileContent, filePath);
           checks.push({
             name: 'metadata_valid',
             passed: true,
-            message: 'Metadata is valid',
-            metadata
+            message: violations.length > 0
+              ? `Metadata is valid (${violations.length} warning${violations.length === 1 ? '' : 's'})`
+              : 'Metadata is valid',
+            metadata,
+            language,
+            violations
+          });
+
+          // Report which DataCamp Light sections the file provides
+          const providedSections = Object.keys(sections).filter(name => sections[name]);
+          checks.push({
+            name: 'sections_found',
+            passed: true,
+            message: providedSections.length > 0
+              ? `Sections provided: ${providedSections.join(', ')}`
+              : 'No code sections provided',
+            sections: providedSections
           });
 
-          // Check 3: Canvas page exists
+          // Check 3: Canvas page (or other target resource) exists
+          const target = resolveTarget(metadata);
           try {
-            const page = await CanvasService.getPage(metadata.page);
-            const canvasPageUrl = this.constructCanvasPageUrl(metadata.page);
+            const page = await CanvasService.getContent(target, { includeVersion: true });
+            const canvasPageUrl = page.html_url || this.constructCanvasTargetUrl(target);
             checks.push({
               name: 'page_exists',
               passed: true,
-              message: 'Canvas page exists',
+              message: `Canvas ${TARGET_TYPES[target.type].label.toLowerCase()} exists`,
               pageTitle: page.title,
-              canvasPageUrl
+              target: target.key,
+              canvasPageUrl,
+              version: page.version
             });
 
+            const settingsCheck = this.checkPageSettings(target, metadata, page.settings);
+            if (settingsCheck) {
+              checks.push(settingsCheck);
+            }
+
+            const moduleCheck = await this.checkModulePlacement(target, metadata);
+            if (moduleCheck) {
+              checks.push(moduleCheck);
+              if (!moduleCheck.passed) {
+                isValid = false;
+              }
+            }
+
             // Check 4: Placement exists in the page
             try {
               // Handle multiple placements if it's an array
@@ -265,7 +580,7 @@ class VerificationService {
                   passed: placeholderExists,
                   message: placeholderExists 
                     ? `Placeholder '${metadata.placement}' exists (<${elementType}>, ${isInteractive ? 'interactive' : 'non-interactive'})`
-                    : `Placeholder '${metadata.placement}' not found in page '${metadata.page}'`,
+                    : `Placeholder '${metadata.placement}' not found in ${target.label}`,
                   elementType,
                   interactive: isInteractive
                 });
@@ -283,20 +598,53 @@ class VerificationService {
               isValid = false;
             }
           } catch (pageError) {
-            const canvasPageUrl = this.constructCanvasPageUrl(metadata.page);
-            checks.push({
-              name: 'page_exists',
-              passed: false,
-              message: `Canvas page '${metadata.page}' not found`,
-              canvasPageUrl
-            });
-            isValid = false;
+            const canvasPageUrl = this.constructCanvasTargetUrl(target);
+            const missing = pageError.status === 404;
+            
+            if (missing && this.createMissingPages && target.type === 'page') {
+              // The page template adds every placeholder, so there is nothing more to check
+              checks.push({
+                name: 'page_exists',
+                passed: true,
+                message: `Canvas page '${target.id}' does not exist and will be created from the page template`,
+                page: target.id,
+                missing: true,
+                willCreate: true,
+                canvasPageUrl
+              });
+
+              const settingsCheck = this.checkPageSettings(target, metadata, null);
+              if (settingsCheck) {
+                checks.push(settingsCheck);
+              }
+
+              const moduleCheck = await this.checkModulePlacement(target, metadata);
+              if (moduleCheck) {
+                checks.push(moduleCheck);
+                if (!moduleCheck.passed) {
+                  isValid = false;
+                }
+              }
+            } else {
+              checks.push({
+                name: 'page_exists',
+                passed: false,
+                message: missing
+                  ? `Canvas ${target.label} not found`
+                  : `Could not load Canvas ${target.label}: ${pageError.message}`,
+                page: target.type === 'page' ? target.id : null,
+                missing,
+                canvasPageUrl
+              });
+              isValid = false;
+            }
           }
         } catch (metadataError) {
           checks.push({
             name: 'metadata_valid',
             passed: false,
-            message: `Invalid metadata: ${metadataError.message}`
+            message: `Invalid metadata: ${metadataError.message}`,
+            violations: metadataError.violations || []
           });
           isValid = false;
         }